@@ -3,78 +3,767 @@
  * 
  * 使い方:
  * 1. スプレッドシートの「拡張機能」>「Apps Script」を開く
- * 2. このコードを貼り付ける
+ * 2. このコードと Parsing.gs・Rules.gs・RuleEngine.gs（src/parsing.js・src/rules.js・src/ruleEngine.js から生成）を貼り付ける
  * 3. 右上の「デプロイ」>「新しいデプロイ」を選択
  * 4. 種類を「ウェブアプリ」に、アクセスできるユーザーを「全員」にしてデプロイ
- * 5. 発行されたURLをダッシュボードの初期設定画面に入力
+ * 5. スプレッドシートのメニュー「ダッシュボード」>「アクセストークンを再発行」でトークンを発行する
+ * 6. 発行されたURLとトークンをダッシュボードの初期設定画面に入力
  */
 
-const TYPE_INCOME = '収入';
-const TYPE_EXPENSE = '支出';
-const TYPE_ADJUST = '調整';
-
-const INCOME_HINTS = ['収入', '給与', '給料', '賞与', 'ボーナス', '入金'];
-const EXPENSE_HINTS = ['支出', '出金', '支払', '立替'];
-const ADJUST_HINTS = ['調整', '返金', '振替', '相殺'];
-const SALARY_HINTS = ['給与', '給料'];
-const BONUS_HINTS = ['賞与', 'ボーナス'];
-const VARIABLE_EXPENSE_CATEGORIES = ['趣味・娯楽', '食費', '日用品'];
-const HOBBY_CATEGORY = '趣味・娯楽';
-
-const INSTALLMENT_ITEMS = [
-  { name: 'オスカー30回分', amount: 6865, completionDate: '2026年7月27日' },
-  { name: 'テンピュール', amount: 11973, completionDate: '2027年6月27日' },
-  { name: 'コンサル費用', amount: 20686, completionDate: '2026年5月27日' }
-];
-const DEFAULT_INSTALLMENT_DEDUCTION = INSTALLMENT_ITEMS.reduce((sum, item) => sum + item.amount, 0);
+// 分類ルール（TYPE_* / *_HINTS / DEFAULT_INSTALLMENT_PLANS / classifyRow など）は Rules.gs に定義されています。
+// ユーザー定義の分類ルールの適用（applyRules）は RuleEngine.gs に定義されています。
+// 日付・金額の読み取り（parseLedgerDate / parseAmount など）は Parsing.gs に定義されています。
+// いずれも src/ のモジュールから `npm run build:gas` で生成されるため、直接編集しないでください。
 
 const OVERVIEW_SHEET_PREFIX = 'Overview_';
 const OVERVIEW_CONFIG_SHEET = 'Overview_Config';
+// 更新日時はダッシュボードとの同期で新しい方を残すために使う（シートで編集すると onEdit が記録する）
+const OVERVIEW_CONFIG_HEADER = ['年', '月', '分割払い補正（空欄で自動）', '彼女の立替入力', '更新日時'];
+const LEDGER_SHEET_SUFFIX = '_CSV';
+const API_SCHEMA_VERSION = 2;
+// 以前の分割払い補正の既定値を空欄に戻したら記録する（スクリプト プロパティ、一度だけ実行するため）
+const LEGACY_INSTALLMENT_CLEARED_PROPERTY = 'legacyInstallmentDefaultsClearedAt';
+const MODIFIED_PROPERTY_PREFIX = 'modified:';
+// URLを知っているだけでは明細を読めないよう、doGet / doPost はこのトークンを求める（スクリプト プロパティに保存）
+const ACCESS_TOKEN_PROPERTY = 'accessToken';
+const ACCESS_TOKEN_MIN_LENGTH = 12;
+// doPost で書き換えてよい列
+const WRITABLE_COLUMNS = ['区分', '計算対象', 'メモ'];
+const BUDGET_CONFIG_SHEET = 'Budget_Config';
+const BUDGET_CONFIG_HEADER = ['大項目', '中項目', '月（YYYY-MM、空欄で毎月）', '予算'];
+const PERIOD_CONFIG_SHEET = 'Period_Config';
+// 月が空欄の行は開始日（日にち）、月を指定した行はその月の期間（開始日〜終了日）
+const PERIOD_CONFIG_HEADER = ['月（YYYY-MM、空欄で毎月）', '開始日', '終了日（YYYY-MM-DD）'];
+const INSTALLMENT_CONFIG_SHEET = 'Installment_Config';
+const INSTALLMENT_CONFIG_HEADER = [
+  '名称',
+  '月額',
+  '初回引落月（YYYY-MM、空欄で登録前から継続）',
+  '最終引落月（YYYY-MM）',
+  '引落日'
+];
+const DUPLICATE_CONFIG_SHEET = 'Duplicate_Config';
+const DUPLICATE_CONFIG_HEADER = ['キー（内容|金額|シート名:行番号）', '判定（dismissed: 重複ではない / excluded: 重複）'];
+// ダッシュボードの分類ルール（1行1ルール、上から順に適用）と分類キーワード（Rules.gs の CLASSIFICATION_HINT_FIELDS）
+const RULE_CONFIG_SHEET = 'Rule_Config';
+const RULE_CONFIG_HEADER = ['ID', '名前', '有効（TRUE / FALSE）', '条件（JSON）', 'アクション（JSON）'];
+const HINT_CONFIG_SHEET = 'Hint_Config';
+const HINT_CONFIG_HEADER = ['キー', '項目', '値（カンマ区切り、行を消すと既定値）'];
+// 口座ごとの残高（銀行・証券・NISA など）。手入力で、記録した日の残高を1行ずつ足していく
+const BALANCES_SHEET = 'Balances';
+const BALANCES_HEADER = ['日付', '口座', '残高'];
 
-function doGet() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheets = ss.getSheets();
-  let allData = [];
+/**
+ * 明細をJSONで返す。
+ *
+ * クエリパラメータ（token 以外は省略可）:
+ * - token:   アクセストークン（スクリプト プロパティの accessToken と一致しなければ { ok: false, error: 'unauthorized' }）
+ * - year:    対象年（例: 2026 / 2025,2026）
+ * - from/to: 対象月の範囲（YYYY-MM、両端を含む）
+ * - since:   この日時（ISO 8601）より後に編集された _CSV シートだけを返す
+ * - columns: 返す列名（カンマ区切り）。_sheet / _row は常に含む
+ * - type:    'balances' なら明細の代わりに Balances シートの残高を返す
+ *
+ * 応答は { schemaVersion, generatedAt, rowCount, sheets, rows } 形式。
+ * sheets には全 _CSV シートの名前・最終編集日時・今回 rows に含めたかを入れる。
+ * type=balances の応答は { schemaVersion, generatedAt, balances: [{ date, account, balance }] }（日付の古い順）。
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  const denied = checkAccessToken(params.token);
+  if (denied) return jsonOutput(denied);
+  const generatedAt = new Date().toISOString();
+  if (params.type === 'balances') {
+    return jsonOutput({
+      schemaVersion: API_SCHEMA_VERSION,
+      generatedAt: generatedAt,
+      balances: readBalances(SpreadsheetApp.getActiveSpreadsheet())
+    });
+  }
 
-  sheets.forEach(sheet => {
-    const sheetName = sheet.getName();
-    // 「2026_CSV」のように年度が含まれるシートのみを対象にする
-    if (!sheetName.endsWith("_CSV")) return;
+  const filter = buildRowFilter(params);
+  const columns = params.columns ? splitParam(params.columns) : null;
+  const since = params.since ? new Date(params.since) : null;
+  const modifiedMap = getSheetModifiedMap();
+
+  const sheets = [];
+  let rows = [];
+
+  getLedgerSheets(SpreadsheetApp.getActiveSpreadsheet()).forEach((sheet) => {
+    const name = sheet.getName();
+    const modifiedAt = modifiedMap[name] || null;
+    const included = !since || Number.isNaN(since.getTime()) || (modifiedAt !== null && new Date(modifiedAt) > since);
+    sheets.push({ name: name, modifiedAt: modifiedAt, included: included });
+    if (!included) return;
+
+    rows = rows.concat(
+      readSheetRecords(sheet)
+        .filter(filter)
+        .map((record) => pickColumns(record, columns))
+    );
+  });
 
-    const rows = sheet.getDataRange().getValues();
-    if (rows.length < 2) return; // ヘッダーのみ、または空のシートはスキップ
-
-    const keys = rows[0];
-    const sheetData = rows.slice(1).map(row => {
-      const obj = {};
-      keys.forEach((key, i) => {
-        let val = row[i];
-        // 日付型の場合はYYYY-MM-DD形式の文字列に変換
-        if (val instanceof Date) {
-          val = Utilities.formatDate(val, "JST", "yyyy-MM-dd");
-        }
-        obj[key] = val;
-      });
-      return obj;
+  const payload = {
+    schemaVersion: API_SCHEMA_VERSION,
+    generatedAt: generatedAt,
+    rowCount: rows.length,
+    sheets: sheets,
+    rows: rows
+  };
+
+  return jsonOutput(payload);
+}
+
+/**
+ * _CSV シートが編集されたら最終編集日時を記録する（doGet の since で使用）。
+ * Overview_Config の月ごとの入力が編集されたら、その行の更新日時を記録する（syncOverviewConfig で使用）。
+ */
+function onEdit(e) {
+  if (!e || !e.range) return;
+  const sheet = e.range.getSheet();
+  if (sheet.getName() === OVERVIEW_CONFIG_SHEET) {
+    stampOverviewConfig(sheet, e.range);
+    return;
+  }
+  if (!isLedgerSheet(sheet)) return;
+  markSheetModified(sheet.getName());
+}
+
+function markSheetModified(sheetName) {
+  PropertiesService.getDocumentProperties().setProperty(
+    `${MODIFIED_PROPERTY_PREFIX}${sheetName}`,
+    new Date().toISOString()
+  );
+}
+
+function getSheetModifiedMap() {
+  const properties = PropertiesService.getDocumentProperties().getProperties();
+  const map = {};
+  Object.keys(properties).forEach((key) => {
+    if (key.indexOf(MODIFIED_PROPERTY_PREFIX) !== 0) return;
+    map[key.slice(MODIFIED_PROPERTY_PREFIX.length)] = properties[key];
+  });
+  return map;
+}
+
+function isLedgerSheet(sheet) {
+  // 「2026_CSV」のように年度が含まれるシートのみを対象にする
+  return sheet.getName().endsWith(LEDGER_SHEET_SUFFIX);
+}
+
+function getLedgerSheets(ss) {
+  return ss.getSheets().filter(isLedgerSheet);
+}
+
+/** シートの明細を列名をキーにしたオブジェクトで返す（_sheet / _row に元の位置を入れる） */
+function readSheetRecords(sheet) {
+  const values = sheet.getDataRange().getValues();
+  if (values.length < 2) return []; // ヘッダーのみ、または空のシートはスキップ
+
+  const keys = values[0].map((key) => String(key).trim());
+  const sheetName = sheet.getName();
+  return values.slice(1).map((row, index) => toRecord(sheetName, keys, row, index + 2));
+}
+
+function toRecord(sheetName, keys, row, rowNumber) {
+  const record = { _sheet: sheetName, _row: rowNumber };
+  keys.forEach((key, i) => {
+    let val = row[i];
+    // 日付型の場合はYYYY-MM-DD形式の文字列に変換
+    if (val instanceof Date) {
+      val = Utilities.formatDate(val, 'JST', 'yyyy-MM-dd');
+    }
+    record[key] = val;
+  });
+  return record;
+}
+
+function pickColumns(record, columns) {
+  if (!columns) return record;
+  const picked = { _sheet: record._sheet, _row: record._row };
+  columns.forEach((key) => {
+    if (key in record) picked[key] = record[key];
+  });
+  return picked;
+}
+
+function splitParam(value) {
+  return String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseMonthParam(value) {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1;
+}
+
+/** year / from / to パラメータから明細の絞り込み関数を作る（日付のない行は絞り込み時に除外） */
+function buildRowFilter(params) {
+  const years = params.year ? splitParam(params.year).map((year) => parseInt(year, 10)) : null;
+  const from = parseMonthParam(params.from);
+  const to = parseMonthParam(params.to);
+  if (!years && from === null && to === null) return () => true;
+
+  return (record) => {
+    const date = parseLedgerDate(record['日付']);
+    if (!date) return false;
+    const monthIndex = date.getFullYear() * 12 + date.getMonth();
+    if (years && years.indexOf(date.getFullYear()) === -1) return false;
+    if (from !== null && monthIndex < from) return false;
+    if (to !== null && monthIndex > to) return false;
+    return true;
+  };
+}
+
+/**
+ * ダッシュボードからの明細の更新を受け付ける。
+ * どの操作にも token（doGet と同じアクセストークン）が必要。
+ *
+ * 明細の更新（JSON）: { action: 'updateRow', sheet, row, id, expected, changes }
+ * - sheet / row: 対象の _CSV シート名と行番号（doGet の _sheet / _row）
+ * - id:          ID 列がある場合はこちらで行を探す（並べ替えで行番号がずれても更新できる）
+ * - expected:    取得時点の値。現在の値と食い違う場合は書き込まずに conflict を返す
+ * - changes:     書き込む値（WRITABLE_COLUMNS の列のみ）
+ *
+ * 予算の保存（JSON）: { action: 'saveBudgets', budgets: [{ category, subcategory, month, amount }] }
+ * - Budget_Config シートの内容を丸ごと置き換える
+ *
+ * 集計期間の保存（JSON）: { action: 'savePeriod', period: { type, startDay, ranges } }
+ * - Period_Config シートの内容を丸ごと置き換える
+ *
+ * 分割払いの計画の保存（JSON）: { action: 'saveInstallments', plans: [{ name, amount, firstDebit, lastDebit, debitDay }] }
+ * - Installment_Config シートの内容を丸ごと置き換える
+ *
+ * 重複の判定の保存（JSON）: { action: 'saveDuplicates', resolutions: { [キー]: 'dismissed' | 'excluded' } }
+ * - Duplicate_Config シートの内容を丸ごと置き換える
+ *
+ * 分類ルールの保存（JSON）: { action: 'saveRules', rules: [{ id, name, enabled, conditions, actions }], hints: { [キー]: [...] } }
+ * - Rule_Config と Hint_Config シートの内容を丸ごと置き換える（hints の未設定の項目は既定値を書き込む）
+ *
+ * 月ごとの入力の同期（JSON）: { action: 'syncOverviewConfig', entries: [{ year, month, installment, partnerAdvance, updatedAt }] }
+ * - updatedAt（ISO 8601）がシートの更新日時より新しい月だけ Overview_Config に書き込む
+ * - 応答の entries は同期後の Overview_Config の全行（空欄は ''）
+ *
+ * 応答は { ok: true, record } または { ok: false, error, message, fields?, record? }。
+ * ほかの書き込みが10秒以内に終わらなければ { ok: false, error: 'busy' } を返す。
+ */
+function doPost(e) {
+  let request;
+  try {
+    request = JSON.parse((e && e.postData && e.postData.contents) || '');
+  } catch (error) {
+    return jsonOutput({ ok: false, error: 'bad-request', message: 'リクエストがJSONではありません' });
+  }
+  const denied = checkAccessToken(request.token);
+  if (denied) return jsonOutput(denied);
+
+  const handlers = {
+    updateRow: updateLedgerRow,
+    saveBudgets: saveBudgetConfig,
+    savePeriod: savePeriodConfig,
+    saveInstallments: saveInstallmentConfig,
+    saveDuplicates: saveDuplicateConfig,
+    saveRules: saveRuleConfig,
+    syncOverviewConfig: syncOverviewConfig
+  };
+  const handler = handlers[request.action];
+  if (!handler) {
+    return jsonOutput({ ok: false, error: 'bad-request', message: `未対応の操作です: ${request.action}` });
+  }
+
+  const lock = LockService.getDocumentLock();
+  // waitLock は待ちきれないと例外になり、JSONではなくエラーページが返るので tryLock で確かめる
+  if (!lock.tryLock(10000)) {
+    return jsonOutput({
+      ok: false,
+      error: 'busy',
+      message: 'ほかの書き込みが終わらないため保存できませんでした。しばらくしてからやり直してください'
     });
-    allData = allData.concat(sheetData);
+  }
+  try {
+    return jsonOutput(handler(SpreadsheetApp.getActiveSpreadsheet(), request));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** アクセストークンが一致しなければ応答するエラー、一致すれば null */
+function checkAccessToken(token) {
+  const expected = PropertiesService.getScriptProperties().getProperty(ACCESS_TOKEN_PROPERTY);
+  if (!expected) {
+    return {
+      ok: false,
+      error: 'unauthorized',
+      message: 'アクセストークンが発行されていません。スプレッドシートのメニューから発行してください'
+    };
+  }
+  if (!isSameToken(cellText(token), expected)) {
+    return { ok: false, error: 'unauthorized', message: 'アクセストークンが違います' };
+  }
+  return null;
+}
+
+// 何文字目まで一致したかが応答時間から分からないよう、最後まで比べる
+function isSameToken(actual, expected) {
+  let diff = actual.length ^ expected.length;
+  for (let i = 0; i < expected.length; i += 1) {
+    diff |= (actual.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/** メニューから実行する。入力したパスフレーズ（空欄なら自動で作成）を新しいトークンにし、古いトークンは使えなくする */
+function rotateAccessToken() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'アクセストークンを再発行',
+    `新しいパスフレーズを${ACCESS_TOKEN_MIN_LENGTH}文字以上で入力してください（空欄なら自動で作成します）。今のトークンは使えなくなります。`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const entered = response.getResponseText().trim();
+  if (entered && entered.length < ACCESS_TOKEN_MIN_LENGTH) {
+    ui.alert(`パスフレーズは${ACCESS_TOKEN_MIN_LENGTH}文字以上にしてください。トークンは変更していません。`);
+    return;
+  }
+  const token = entered || Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty(ACCESS_TOKEN_PROPERTY, token);
+  ui.alert(`アクセストークンを更新しました。ダッシュボードの設定画面の「パスフレーズ」に入力してください。\n\n${token}`);
+}
+
+function jsonOutput(payload) {
+  return ContentService.createTextOutput(JSON.stringify(payload)).setMimeType(ContentService.MimeType.JSON);
+}
+
+function findRowNumber(keys, values, request) {
+  const idIndex = keys.indexOf('ID');
+  if (request.id && idIndex !== -1) {
+    for (let i = 1; i < values.length; i += 1) {
+      if (String(values[i][idIndex]) === String(request.id)) return i + 1;
+    }
+    return null;
+  }
+  const rowNumber = parseInt(request.row, 10);
+  if (Number.isNaN(rowNumber) || rowNumber < 2 || rowNumber > values.length) return null;
+  return rowNumber;
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function updateLedgerRow(ss, request) {
+  const sheet = ss.getSheetByName(String(request.sheet || ''));
+  if (!sheet || !isLedgerSheet(sheet)) {
+    return { ok: false, error: 'not-found', message: `シートが見つかりません: ${request.sheet}` };
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const keys = values[0].map((key) => String(key).trim());
+  const rowNumber = findRowNumber(keys, values, request);
+  if (!rowNumber) {
+    return { ok: false, error: 'not-found', message: '対象の行が見つかりません（削除された可能性があります）' };
+  }
+
+  const current = toRecord(sheet.getName(), keys, values[rowNumber - 1], rowNumber);
+  const expected = request.expected || {};
+  const conflicts = Object.keys(expected).filter(
+    (key) => key in current && cellText(current[key]) !== cellText(expected[key])
+  );
+  if (conflicts.length > 0) {
+    return {
+      ok: false,
+      error: 'conflict',
+      message: '取得後にスプレッドシート側で変更されています',
+      fields: conflicts,
+      record: current
+    };
+  }
+
+  const changes = request.changes || {};
+  const invalid = Object.keys(changes).filter((key) => WRITABLE_COLUMNS.indexOf(key) === -1 || keys.indexOf(key) === -1);
+  if (invalid.length > 0) {
+    return { ok: false, error: 'invalid-field', message: `更新できない列です: ${invalid.join(', ')}` };
+  }
+
+  Object.keys(changes).forEach((key) => {
+    sheet.getRange(rowNumber, keys.indexOf(key) + 1).setValue(changes[key]);
+    current[key] = changes[key];
   });
+  // スクリプトからの書き込みでは onEdit が動かないため、差分取得用の編集日時はここで記録する
+  markSheetModified(sheet.getName());
 
-  return ContentService.createTextOutput(JSON.stringify(allData))
-    .setMimeType(ContentService.MimeType.JSON);
+  return { ok: true, record: current };
+}
+
+function saveBudgetConfig(ss, request) {
+  if (!Array.isArray(request.budgets)) {
+    return { ok: false, error: 'bad-request', message: 'budgets が配列ではありません' };
+  }
+  const rows = request.budgets
+    .filter((budget) => String(budget.category || '').trim())
+    .map((budget) => [
+      String(budget.category).trim(),
+      String(budget.subcategory || '').trim(),
+      String(budget.month || '').trim(),
+      parseAmount(budget.amount)
+    ]);
+
+  const sheet = ensureSheet(ss, BUDGET_CONFIG_SHEET);
+  sheet.clearContents();
+  // 「2026-03」が日付に変換されないよう、月の列は書式なしテキストにする
+  sheet.getRange(1, 3, rows.length + 1, 1).setNumberFormat('@');
+  sheet.getRange(1, 1, rows.length + 1, BUDGET_CONFIG_HEADER.length).setValues([BUDGET_CONFIG_HEADER].concat(rows));
+  sheet.setFrozenRows(1);
+
+  return { ok: true, count: rows.length };
+}
+
+function readBudgetConfig(ss) {
+  const sheet = ss.getSheetByName(BUDGET_CONFIG_SHEET);
+  if (!sheet) return [];
+  return sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .map((row) => ({
+      category: String(row[0] || '').trim(),
+      subcategory: String(row[1] || '').trim(),
+      // 手入力で日付に変換されてしまった月にも対応する
+      month: row[2] instanceof Date ? Utilities.formatDate(row[2], 'JST', 'yyyy-MM') : String(row[2] || '').trim(),
+      amount: parseAmount(row[3])
+    }))
+    .filter((budget) => budget.category);
+}
+
+function savePeriodConfig(ss, request) {
+  const period = request.period;
+  if (!period || typeof period !== 'object') {
+    return { ok: false, error: 'bad-request', message: 'period がありません' };
+  }
+  const rows = [['', period.type === PERIOD_CALENDAR ? 1 : getPeriodStartDay(period), '']];
+  if (period.type === PERIOD_CUSTOM) {
+    (period.ranges || []).forEach((range) => {
+      rows.push([String(range.month || '').trim(), String(range.start || '').trim(), String(range.end || '').trim()]);
+    });
+  }
+
+  const sheet = ensureSheet(ss, PERIOD_CONFIG_SHEET);
+  sheet.clearContents();
+  // 月・日付が自動で変換されないよう、書式なしテキストにする
+  sheet.getRange(1, 1, rows.length + 1, PERIOD_CONFIG_HEADER.length).setNumberFormat('@');
+  sheet.getRange(1, 1, rows.length + 1, PERIOD_CONFIG_HEADER.length).setValues([PERIOD_CONFIG_HEADER].concat(rows));
+  sheet.setFrozenRows(1);
+
+  return { ok: true, count: rows.length - 1 };
+}
+
+/** Period_Config から集計期間を読む（シートがなければカレンダー月） */
+function readPeriodConfig(ss) {
+  const sheet = ss.getSheetByName(PERIOD_CONFIG_SHEET);
+  if (!sheet) return DEFAULT_PERIOD_SETTING;
+  const formatCell = (value, pattern) =>
+    value instanceof Date ? Utilities.formatDate(value, 'JST', pattern) : cellText(value).trim();
+
+  let startDay = 1;
+  const ranges = [];
+  sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .forEach((row) => {
+      const month = formatCell(row[0], 'yyyy-MM');
+      if (!month) {
+        startDay = parseInt(row[1], 10) || 1;
+        return;
+      }
+      ranges.push({ month: month, start: formatCell(row[1], 'yyyy-MM-dd'), end: formatCell(row[2], 'yyyy-MM-dd') });
+    });
+
+  const type = ranges.length > 0 ? PERIOD_CUSTOM : startDay > 1 ? PERIOD_START_DAY : PERIOD_CALENDAR;
+  return { type: type, startDay: startDay, ranges: ranges };
+}
+
+function saveInstallmentConfig(ss, request) {
+  if (!Array.isArray(request.plans)) {
+    return { ok: false, error: 'bad-request', message: 'plans が配列ではありません' };
+  }
+  const rows = request.plans
+    .filter((plan) => plan && (cellText(plan.name).trim() || parseAmount(plan.amount)))
+    .map((plan) => [
+      cellText(plan.name).trim(),
+      parseAmount(plan.amount),
+      cellText(plan.firstDebit).trim(),
+      cellText(plan.lastDebit).trim(),
+      parseInt(plan.debitDay, 10) || 1
+    ]);
+
+  const sheet = ensureSheet(ss, INSTALLMENT_CONFIG_SHEET);
+  sheet.clearContents();
+  // 「2026-03」が日付に変換されないよう、月の列は書式なしテキストにする
+  sheet.getRange(1, 3, rows.length + 1, 2).setNumberFormat('@');
+  sheet
+    .getRange(1, 1, rows.length + 1, INSTALLMENT_CONFIG_HEADER.length)
+    .setValues([INSTALLMENT_CONFIG_HEADER].concat(rows));
+  sheet.setFrozenRows(1);
+
+  return { ok: true, count: rows.length };
+}
+
+/** Installment_Config から分割払いの計画を読む（シートがなければ初期値の計画） */
+function readInstallmentConfig(ss) {
+  const sheet = ss.getSheetByName(INSTALLMENT_CONFIG_SHEET);
+  if (!sheet) return DEFAULT_INSTALLMENT_PLANS;
+  const formatMonth = (value) => (value instanceof Date ? Utilities.formatDate(value, 'JST', 'yyyy-MM') : cellText(value).trim());
+  return sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .map((row) => ({
+      name: cellText(row[0]).trim(),
+      amount: parseAmount(row[1]),
+      firstDebit: formatMonth(row[2]),
+      lastDebit: formatMonth(row[3]),
+      debitDay: parseInt(row[4], 10) || 1
+    }))
+    .filter((plan) => plan.name || plan.amount);
+}
+
+function saveDuplicateConfig(ss, request) {
+  const resolutions = request.resolutions;
+  if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+    return { ok: false, error: 'bad-request', message: 'resolutions がありません' };
+  }
+  const rows = Object.keys(resolutions)
+    .filter((key) => key && [DUPLICATE_DISMISSED, DUPLICATE_EXCLUDED].includes(resolutions[key]))
+    .map((key) => [key, resolutions[key]]);
+
+  const sheet = ensureSheet(ss, DUPLICATE_CONFIG_SHEET);
+  sheet.clearContents();
+  // キーの日付や金額が自動で変換されないよう、書式なしテキストにする
+  sheet.getRange(1, 1, rows.length + 1, DUPLICATE_CONFIG_HEADER.length).setNumberFormat('@');
+  sheet.getRange(1, 1, rows.length + 1, DUPLICATE_CONFIG_HEADER.length).setValues([DUPLICATE_CONFIG_HEADER].concat(rows));
+  sheet.setFrozenRows(1);
+
+  return { ok: true, count: rows.length };
+}
+
+/** Duplicate_Config から重複の判定を { [キー]: 判定 } の形で読む */
+function readDuplicateConfig(ss) {
+  const sheet = ss.getSheetByName(DUPLICATE_CONFIG_SHEET);
+  const resolutions = {};
+  if (!sheet) return resolutions;
+  sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .forEach((row) => {
+      const key = cellText(row[0]).trim();
+      if (key) resolutions[key] = cellText(row[1]).trim();
+    });
+  return resolutions;
+}
+
+function saveRuleConfig(ss, request) {
+  if (!Array.isArray(request.rules)) {
+    return { ok: false, error: 'bad-request', message: 'rules が配列ではありません' };
+  }
+  const rows = request.rules
+    .filter((rule) => rule && Array.isArray(rule.conditions) && Array.isArray(rule.actions))
+    .map((rule) => [
+      cellText(rule.id),
+      cellText(rule.name),
+      rule.enabled !== false,
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.actions)
+    ]);
+  const ruleSheet = ensureSheet(ss, RULE_CONFIG_SHEET);
+  ruleSheet.clearContents();
+  // 条件の値（'2026' など）が数値や日付に変換されないよう、書式なしテキストにする
+  ruleSheet.getRange(1, 4, rows.length + 1, 2).setNumberFormat('@');
+  ruleSheet.getRange(1, 1, rows.length + 1, RULE_CONFIG_HEADER.length).setValues([RULE_CONFIG_HEADER].concat(rows));
+  ruleSheet.setFrozenRows(1);
+
+  const hints = resolveClassificationHints(request.hints);
+  const hintRows = CLASSIFICATION_HINT_FIELDS.map((field) => [field.key, field.label, hints[field.key].join(',')]);
+  const hintSheet = ensureSheet(ss, HINT_CONFIG_SHEET);
+  hintSheet.clearContents();
+  hintSheet.getRange(1, 3, hintRows.length + 1, 1).setNumberFormat('@');
+  hintSheet.getRange(1, 1, hintRows.length + 1, HINT_CONFIG_HEADER.length).setValues([HINT_CONFIG_HEADER].concat(hintRows));
+  hintSheet.setFrozenRows(1);
+
+  return { ok: true, count: rows.length };
+}
+
+/** Rule_Config から分類ルールを読む（条件・アクションのJSONが読めない行は使わない） */
+function readRuleConfig(ss) {
+  const sheet = ss.getSheetByName(RULE_CONFIG_SHEET);
+  if (!sheet) return [];
+  const rules = [];
+  sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .forEach((row, index) => {
+      try {
+        const conditions = JSON.parse(cellText(row[3]));
+        const actions = JSON.parse(cellText(row[4]));
+        if (!Array.isArray(conditions) || !Array.isArray(actions)) return;
+        rules.push({
+          id: cellText(row[0]).trim() || `row-${index + 2}`,
+          name: cellText(row[1]).trim(),
+          enabled: row[2] === true || cellText(row[2]).trim().toUpperCase() === 'TRUE',
+          conditions: conditions,
+          actions: actions
+        });
+      } catch (error) {
+        // 手で書き換えて読めなくなった行は飛ばす
+      }
+    });
+  return rules;
+}
+
+/** Hint_Config から分類キーワードの設定を { [キー]: [...] } の形で読む（行のない項目は既定値になる） */
+function readHintConfig(ss) {
+  const sheet = ss.getSheetByName(HINT_CONFIG_SHEET);
+  const hints = {};
+  if (!sheet) return hints;
+  sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .forEach((row) => {
+      const key = cellText(row[0]).trim();
+      if (!CLASSIFICATION_HINT_FIELDS.some((field) => field.key === key)) return;
+      hints[key] = cellText(row[2]).split(/[,、]/);
+    });
+  return hints;
+}
+
+function syncOverviewConfig(ss, request) {
+  if (!Array.isArray(request.entries)) {
+    return { ok: false, error: 'bad-request', message: 'entries が配列ではありません' };
+  }
+  const sheet = ensureSheet(ss, OVERVIEW_CONFIG_SHEET);
+  sheet.getRange(1, 1, 1, OVERVIEW_CONFIG_HEADER.length).setValues([OVERVIEW_CONFIG_HEADER]);
+
+  const rowNumbers = {};
+  const current = {};
+  const values = sheet.getDataRange().getValues();
+  values.slice(1).forEach((row, index) => {
+    const entry = toOverviewConfigEntry(row);
+    if (!entry) return;
+    rowNumbers[`${entry.year}-${entry.month}`] = index + 2;
+    current[`${entry.year}-${entry.month}`] = entry;
+  });
+
+  let nextRow = values.length + 1;
+  let count = 0;
+  request.entries.forEach((entry) => {
+    const year = parseInt(entry.year, 10);
+    const month = parseInt(entry.month, 10);
+    const updatedAt = cellText(entry.updatedAt).trim();
+    if (Number.isNaN(year) || Number.isNaN(month) || month < 1 || month > 12 || !updatedAt) return;
+    const key = `${year}-${month}`;
+    // 後から変更した方を残す（シートの行に更新日時がなければダッシュボードの値を書き込む）
+    if (current[key] && current[key].updatedAt && current[key].updatedAt >= updatedAt) return;
+
+    let rowNumber = rowNumbers[key];
+    if (!rowNumber) {
+      rowNumber = nextRow;
+      nextRow += 1;
+    }
+    // ISO 8601 の文字列が日時に変換されないよう、更新日時の列は書式なしテキストにする
+    sheet.getRange(rowNumber, OVERVIEW_CONFIG_HEADER.length).setNumberFormat('@');
+    sheet
+      .getRange(rowNumber, 1, 1, OVERVIEW_CONFIG_HEADER.length)
+      .setValues([[year, month, toOverviewConfigCell(entry.installment), toOverviewConfigCell(entry.partnerAdvance), updatedAt]]);
+    count += 1;
+  });
+
+  return { ok: true, count: count, entries: readOverviewConfigEntries(sheet) };
+}
+
+function toOverviewConfigCell(value) {
+  return cellText(value).trim() === '' ? '' : parseAmount(value);
+}
+
+/** Overview_Config の1行（年・月が読めない行は null。空欄の入力は ''） */
+function toOverviewConfigEntry(row) {
+  const year = parseInt(row[0], 10);
+  const month = parseInt(row[1], 10);
+  if (Number.isNaN(year) || Number.isNaN(month)) return null;
+  const updatedAt = row[4] instanceof Date ? row[4].toISOString() : cellText(row[4]).trim();
+  return {
+    year: year,
+    month: month,
+    installment: toOverviewConfigCell(row[2]),
+    partnerAdvance: toOverviewConfigCell(row[3]),
+    updatedAt: updatedAt
+  };
+}
+
+function readOverviewConfigEntries(sheet) {
+  return sheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .map(toOverviewConfigEntry)
+    .filter(Boolean);
+}
+
+// 手で編集した行に更新日時を記録する（syncOverviewConfig の書き込みでは onEdit は動かない）
+function stampOverviewConfig(sheet, range) {
+  const firstRow = Math.max(range.getRow(), 2);
+  const lastRow = range.getLastRow();
+  // 更新日時の列だけを直した場合はそのままにする
+  if (lastRow < firstRow || range.getColumn() >= OVERVIEW_CONFIG_HEADER.length) return;
+  const stamp = new Date().toISOString();
+  const cells = sheet.getRange(firstRow, OVERVIEW_CONFIG_HEADER.length, lastRow - firstRow + 1, 1);
+  cells.setNumberFormat('@');
+  cells.setValues(Array.from({ length: lastRow - firstRow + 1 }, () => [stamp]));
+}
+
+/** Balances シートの残高（日付・口座・残高のどれかが読めない行は除く） */
+function readBalances(ss) {
+  const sheet = ss.getSheetByName(BALANCES_SHEET);
+  if (!sheet) return [];
+  const values = sheet.getDataRange().getValues();
+  if (values.length === 0) return [];
+  const keys = values[0].map((key) => String(key).trim());
+  const indexes = BALANCES_HEADER.map((key) => keys.indexOf(key));
+  if (indexes.indexOf(-1) !== -1) return [];
+
+  return values
+    .slice(1)
+    .map((row) => ({
+      date: formatLedgerDate(row[indexes[0]]),
+      account: cellText(row[indexes[1]]).trim(),
+      balance: parseLedgerAmount(row[indexes[2]])
+    }))
+    .filter((entry) => entry.date && entry.account && entry.balance !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
 }
 
 function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('ダッシュボード')
     .addItem('年度別Overviewを更新', 'updateOverviewSheets')
+    .addItem('アクセストークンを再発行', 'rotateAccessToken')
     .addToUi();
 }
 
 function updateOverviewSheets() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sourceSheets = ss.getSheets().filter((sheet) => sheet.getName().endsWith('_CSV'));
-  const rows = collectRows(sourceSheets);
+  const sourceSheets = getLedgerSheets(ss);
+  const period = readPeriodConfig(ss);
+  const rows = collectRows(sourceSheets, period, readDuplicateConfig(ss), {
+    rules: readRuleConfig(ss),
+    hints: readHintConfig(ss)
+  });
   const years = Array.from(
     new Set(
       Object.keys(rows.byMonth)
@@ -85,7 +774,9 @@ function updateOverviewSheets() {
 
   if (years.length === 0) return;
 
-  const configMap = ensureOverviewConfig(ss, years);
+  const plans = readInstallmentConfig(ss);
+  const configMap = ensureOverviewConfig(ss, years, period, plans);
+  const budgets = readBudgetConfig(ss);
 
   years.forEach((year) => {
     const overviewSheetName = `${OVERVIEW_SHEET_PREFIX}${year}`;
@@ -102,7 +793,14 @@ function updateOverviewSheets() {
       '分割補正',
       '収支',
       '固定費',
-      '趣味・娯楽'
+      '趣味・娯楽',
+      '彼女の支払額',
+      '入金済み',
+      '未清算',
+      '実質収支',
+      '予算',
+      '予算対象の支出',
+      '予算差異'
     ];
     sheet.getRange(1, 1, 1, header.length).setValues([header]);
 
@@ -110,9 +808,14 @@ function updateOverviewSheets() {
     for (let month = 1; month <= 12; month += 1) {
       const key = `${year}-${month}`;
       const summary = rows.byMonth[key] || createEmptySummary();
-      const config = configMap[key] || { installment: DEFAULT_INSTALLMENT_DEDUCTION };
+      const config = configMap[key] || {
+        installment: getScheduledInstallmentTotal(year, month, plans, period),
+        partnerAdvance: 0
+      };
 
       const net = summary.incomeTotal - summary.expenseTotal + summary.adjustTotal - config.installment;
+      const settlement = buildSettlement(summary, config.partnerAdvance);
+      const budget = buildBudgetReport(summary.expenseByBudgetKey, budgets, year, month);
 
       values.push([
         month,
@@ -124,7 +827,14 @@ function updateOverviewSheets() {
         config.installment,
         net,
         summary.fixedExpenseTotal,
-        summary.hobbyTotal
+        summary.hobbyTotal,
+        settlement.owed,
+        settlement.received,
+        settlement.outstanding,
+        net + settlement.outstanding,
+        budget.budget,
+        budget.spent,
+        budget.remaining
       ]);
     }
 
@@ -134,78 +844,74 @@ function updateOverviewSheets() {
   });
 }
 
-function collectRows(sheets) {
-  const result = { byMonth: {} };
+/**
+ * 明細を集計期間の年月（period を省略するとカレンダー月）ごとに集計する。
+ * classification の rules（Rule_Config）をダッシュボードと同じ順に適用してから、hints（Hint_Config）で分類する。
+ * 重複の疑いがある明細は、duplicateResolutions で重複ではないとしたもの以外、最初の1件だけを数える。
+ */
+function collectRows(sheets, period, duplicateResolutions, classification) {
+  const rules = (classification && classification.rules) || [];
+  const hints = classification && classification.hints;
+  const result = { byMonth: {}, duplicateCount: 0 };
+  const entries = [];
 
   sheets.forEach((sheet) => {
     const rows = sheet.getDataRange().getValues();
     if (rows.length < 2) return;
+    const sheetName = sheet.getName();
 
-    const keys = rows[0];
-    const headerMap = buildHeaderMap(keys);
+    const keys = rows[0].map((key) => String(key).trim());
 
-    rows.slice(1).forEach((row) => {
-      const dateValue = row[headerMap['日付']];
-      const parsedDate = parseDate(dateValue);
+    const records = rows.slice(1).map((row) => buildRecord(keys, row));
+    applyRules(records, rules).rows.forEach((record, index) => {
+      const parsedDate = parseLedgerDate(record['日付']);
       if (!parsedDate) return;
 
-      const isTarget = String(row[headerMap['計算対象']] || '').trim() === '1';
-      if (!isTarget) return;
+      const classified = classifyRow(record, hints);
+      if (!classified.isTarget) return;
 
-      const year = parsedDate.getFullYear();
-      const month = parsedDate.getMonth() + 1;
-      const key = `${year}-${month}`;
-      if (!result.byMonth[key]) result.byMonth[key] = createEmptySummary();
-
-      const summary = result.byMonth[key];
-      const amountRaw = parseAmount(row[headerMap['金額（円）']]);
-      const amountAbs = Math.abs(amountRaw);
-      const type = getTypeFromRow(row, headerMap);
-
-      if (type === TYPE_INCOME) {
-        summary.incomeTotal += amountAbs;
-        const hintSource = buildHintSource(
-          row[headerMap['大項目']],
-          row[headerMap['中項目']],
-          row[headerMap['内容']]
-        );
-        if (hasHint(hintSource, SALARY_HINTS)) summary.salaryTotal += amountAbs;
-        if (hasHint(hintSource, BONUS_HINTS)) summary.bonusTotal += amountAbs;
-      }
+      entries.push({
+        date: parsedDate,
+        daySerial: getDaySerial(parsedDate),
+        amount: classified.amount,
+        content: record['内容'],
+        id: `${sheetName}:${index + 2}`,
+        classified: classified
+      });
+    });
+  });
 
-      if (type === TYPE_EXPENSE) {
-        summary.expenseTotal += amountAbs;
-        const category = normalizeText(row[headerMap['大項目']]);
-        if (VARIABLE_EXPENSE_CATEGORIES.indexOf(category) === -1) summary.fixedExpenseTotal += amountAbs;
-        if (category === HOBBY_CATEGORY) summary.hobbyTotal += amountAbs;
-      }
+  const excluded = getDuplicateExcludedIndexes(findDuplicateGroups(entries), duplicateResolutions);
+  result.duplicateCount = excluded.length;
+  const excludedSet = new Set(excluded);
 
-      if (type === TYPE_ADJUST) summary.adjustTotal += amountRaw;
-    });
+  entries.forEach((entry, index) => {
+    if (excludedSet.has(index)) return;
+    const target = getPeriodOfDate(entry.date, period);
+    const key = `${target.year}-${target.month}`;
+    if (!result.byMonth[key]) result.byMonth[key] = createEmptySummary();
+
+    accumulateRow(result.byMonth[key], entry.classified);
   });
 
   return result;
 }
 
-function ensureOverviewConfig(ss, years) {
+function ensureOverviewConfig(ss, years, period, plans) {
   const sheet = ensureSheet(ss, OVERVIEW_CONFIG_SHEET);
-  const header = ['年', '月', '分割払い補正'];
-  if (sheet.getLastRow() === 0) {
-    sheet.getRange(1, 1, 1, header.length).setValues([header]);
-  }
+  // 既存シートにも新しい列名を反映するため、ヘッダーは毎回書き込む
+  sheet.getRange(1, 1, 1, OVERVIEW_CONFIG_HEADER.length).setValues([OVERVIEW_CONFIG_HEADER]);
+  clearLegacyInstallmentDefaults(sheet);
 
-  const values = sheet.getDataRange().getValues();
   const map = {};
-  values.slice(1).forEach((row) => {
-    const year = parseInt(row[0], 10);
-    const month = parseInt(row[1], 10);
-    if (Number.isNaN(year) || Number.isNaN(month)) return;
-    const installmentRaw = row[2] !== undefined ? row[2] : row[3];
-    map[`${year}-${month}`] = {
+  readOverviewConfigEntries(sheet).forEach((entry) => {
+    map[`${entry.year}-${entry.month}`] = {
+      // 空欄なら Installment_Config の計画の引落期間から自動計算し、値があれば手入力の補正として優先する
       installment:
-        installmentRaw === '' || installmentRaw === null
-          ? DEFAULT_INSTALLMENT_DEDUCTION
-          : parseAmount(installmentRaw)
+        entry.installment === ''
+          ? getScheduledInstallmentTotal(entry.year, entry.month, plans, period)
+          : entry.installment,
+      partnerAdvance: entry.partnerAdvance === '' ? 0 : entry.partnerAdvance
     };
   });
 
@@ -213,82 +919,46 @@ function ensureOverviewConfig(ss, years) {
     for (let month = 1; month <= 12; month += 1) {
       const key = `${year}-${month}`;
       if (map[key]) continue;
-      sheet.appendRow([year, month, DEFAULT_INSTALLMENT_DEDUCTION]);
-      map[key] = { installment: DEFAULT_INSTALLMENT_DEDUCTION };
+      sheet.appendRow([year, month, '', '', '']);
+      map[key] = { installment: getScheduledInstallmentTotal(year, month, plans, period), partnerAdvance: 0 };
     }
   });
 
   return map;
 }
 
+/**
+ * 以前のバージョンが書き込んだ分割払い補正の既定値（LEGACY_INSTALLMENT_DEFAULT_TOTAL）を空欄（自動計算）に戻す。
+ * 更新日時のある行は手で入力した値なのでそのままにする。
+ * 移行として一度だけ実行し、その後に入力された同じ金額は手入力の値として残す。
+ */
+function clearLegacyInstallmentDefaults(sheet) {
+  const properties = PropertiesService.getScriptProperties();
+  if (properties.getProperty(LEGACY_INSTALLMENT_CLEARED_PROPERTY)) return;
+
+  const rows = sheet.getDataRange().getValues().slice(1);
+  let cleared = 0;
+  const column = rows.map((row) => {
+    const entry = toOverviewConfigEntry(row);
+    if (!entry || entry.updatedAt || !isLegacyInstallmentDefault(entry.installment)) return [row[2]];
+    cleared += 1;
+    return [''];
+  });
+  if (cleared > 0) sheet.getRange(2, 3, column.length, 1).setValues(column);
+  properties.setProperty(LEGACY_INSTALLMENT_CLEARED_PROPERTY, new Date().toISOString());
+}
+
 function ensureSheet(ss, name) {
   const existing = ss.getSheetByName(name);
   if (existing) return existing;
   return ss.insertSheet(name);
 }
 
-function buildHeaderMap(keys) {
-  const map = {};
+function buildRecord(keys, row) {
+  const record = {};
   keys.forEach((key, index) => {
-    map[String(key).trim()] = index;
+    record[key] = row[index];
   });
-  return map;
-}
-
-function parseDate(value) {
-  if (value instanceof Date) return value;
-  if (!value) return null;
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) return null;
-  return parsed;
-}
-
-function parseAmount(value) {
-  if (typeof value === 'number') return value;
-  if (value === null || value === '') return 0;
-  const cleaned = String(value).replace(/,/g, '');
-  const parsed = Number(cleaned);
-  return Number.isNaN(parsed) ? 0 : parsed;
-}
-
-function normalizeText(value) {
-  return String(value || '').replace(/[\s　]+/g, '').trim();
+  return record;
 }
 
-function buildHintSource() {
-  const parts = Array.prototype.slice.call(arguments).map((value) => normalizeText(value));
-  return parts.filter(Boolean).join(' ');
-}
-
-function hasHint(text, hints) {
-  return hints.some((hint) => text.indexOf(hint) !== -1);
-}
-
-function getTypeFromRow(row, headerMap) {
-  const raw = normalizeText(row[headerMap['区分']]);
-  if ([TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST].includes(raw)) return raw;
-
-  const hintSource = buildHintSource(
-    raw,
-    row[headerMap['大項目']],
-    row[headerMap['中項目']],
-    row[headerMap['内容']]
-  );
-
-  if (hasHint(hintSource, ADJUST_HINTS)) return TYPE_ADJUST;
-  if (hasHint(hintSource, INCOME_HINTS)) return TYPE_INCOME;
-  if (hasHint(hintSource, EXPENSE_HINTS)) return TYPE_EXPENSE;
-  return TYPE_EXPENSE;
-}
-
-function createEmptySummary() {
-  return {
-    incomeTotal: 0,
-    expenseTotal: 0,
-    adjustTotal: 0,
-    salaryTotal: 0,
-    bonusTotal: 0,
-    fixedExpenseTotal: 0,
-    hobbyTotal: 0
-  };
-}
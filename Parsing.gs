@@ -0,0 +1,122 @@
+// このファイルは src/parsing.js から `npm run build:gas` で自動生成されています。
+// 直接編集せず、src/parsing.js を修正して再生成してください。
+
+/**
+ * 明細の日付・金額の読み取り（ReactアプリとGASの共通定義）
+ *
+ * `npm run build:gas` で `Parsing.gs` に変換され、GAS側でも同じ関数で読み取ります。
+ * rules.js と同じく、トップレベルは `export const` / `export function` のみで記述し、import は使わないでください。
+ *
+ * 日付は `new Date('2026-01-31')` のように UTC として読むとタイムゾーンによって前日にずれるため、
+ * 年・月・日だけを取り出し、その日のローカル時刻 0:00 として扱います。
+ * 読めない値は 0 や今日の日付で補わず null を返すので、呼び出し側で集計対象外やデータ品質の問題として扱えます。
+ */
+
+// 元号の開始年（元年）。R8.1.5 / 令和8年1月5日 のように書かれた日付を西暦にする
+const JAPANESE_ERAS = [
+  { names: ['令和', 'R'], firstYear: 2019 },
+  { names: ['平成', 'H'], firstYear: 1989 },
+  { names: ['昭和', 'S'], firstYear: 1926 },
+  { names: ['大正', 'T'], firstYear: 1912 },
+  { names: ['明治', 'M'], firstYear: 1868 }
+];
+
+// スプレッドシートのシリアル値（1899-12-30 からの日数）で 1970-01-01 にあたる値
+const SPREADSHEET_EPOCH_SERIAL = 25569;
+const MAX_SPREADSHEET_SERIAL = 2958465; // 9999-12-31
+
+const ERA_DATE_PATTERN = /^(令和|平成|昭和|大正|明治|[RHSTM])(\d{1,2}|元)[年./-](\d{1,2})[月./-](\d{1,2})日?$/i;
+
+function isValidCalendarDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function toCalendarDate(year, month, day) {
+  return isValidCalendarDate(year, month, day) ? { year: year, month: month, day: day } : null;
+}
+
+function fromSpreadsheetSerial(serial) {
+  if (!(serial >= 1 && serial <= MAX_SPREADSHEET_SERIAL)) return null;
+  const date = new Date((Math.floor(serial) - SPREADSHEET_EPOCH_SERIAL) * 86400000);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function findEraFirstYear(name) {
+  const era = JAPANESE_ERAS.find((item) => item.names.indexOf(name.toUpperCase()) !== -1);
+  return era ? era.firstYear : null;
+}
+
+/**
+ * 日付の値を { year, month, day } にする（読めなければ null）。
+ * 2026-01-05 / 2026/1/5 / 2026.1.5 / 2026年1月5日 / R8.1.5 / 令和8年1月5日、
+ * スプレッドシートのシリアル値（46027 など）と Date に対応する。時刻が付いていても日付の部分だけを見る。
+ */
+function parseCalendarDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+  }
+  if (typeof value === 'number') return fromSpreadsheetSerial(value);
+
+  // 全角数字・全角記号は NFKC で半角にそろえる
+  const text = String(value).normalize('NFKC').trim();
+  if (/^\d{5}(\.\d+)?$/.test(text)) return fromSpreadsheetSerial(Number(text));
+
+  const western = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(text);
+  if (western) return toCalendarDate(Number(western[1]), Number(western[2]), Number(western[3]));
+
+  const compact = text.replace(/\s+/g, '');
+  const kanji = /^(\d{4})年(\d{1,2})月(\d{1,2})日?$/.exec(compact);
+  if (kanji) return toCalendarDate(Number(kanji[1]), Number(kanji[2]), Number(kanji[3]));
+
+  const era = ERA_DATE_PATTERN.exec(compact);
+  if (era) {
+    const firstYear = findEraFirstYear(era[1]);
+    const eraYear = era[2] === '元' ? 1 : Number(era[2]);
+    if (firstYear === null || eraYear < 1) return null;
+    return toCalendarDate(firstYear + eraYear - 1, Number(era[3]), Number(era[4]));
+  }
+  return null;
+}
+
+/** 日付の値をその日のローカル時刻 0:00 の Date にする（読めなければ null） */
+function parseLedgerDate(value) {
+  const parts = parseCalendarDate(value);
+  return parts ? new Date(parts.year, parts.month - 1, parts.day) : null;
+}
+
+/** 日付の値を 'YYYY-MM-DD' にする（読めなければ空文字） */
+function formatLedgerDate(value) {
+  const parts = parseCalendarDate(value);
+  if (!parts) return '';
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * 金額の値を数値にする（読めなければ null）。
+ * 1,200 / ¥1,200 / 1200円 / 全角数字 と、△500・▲500・(500)・−500 のような負の数の書き方に対応する。
+ */
+function parseLedgerAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+
+  let text = String(value)
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .replace(/[,¥\\]|円$/g, '');
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/^[△▲−-]/.test(text)) {
+    sign = -sign;
+    text = text.slice(1);
+  } else if (text.charAt(0) === '+') {
+    text = text.slice(1);
+  }
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  return sign * Number(text);
+}
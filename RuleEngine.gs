@@ -0,0 +1,161 @@
+// このファイルは src/ruleEngine.js から `npm run build:gas` で自動生成されています。
+// 直接編集せず、src/ruleEngine.js を修正して再生成してください。
+
+/**
+ * ユーザー定義の分類ルール
+ *
+ * ルールは上から順に評価され、条件（すべて一致）を満たした行にアクションを適用します。
+ * 後続のルールは前のルールで書き換えた値を見て判定します。
+ *
+ * このファイルも `npm run build:gas` で `RuleEngine.gs` に変換され、GASの年度別Overviewで同じルールを適用します。
+ * import は rules.js・parsing.js からだけにしてください。
+ */
+
+const RULE_FIELDS = ['内容', 'メモ', '大項目', '中項目'];
+
+const MATCH_INCLUDES = 'includes';
+const MATCH_REGEX = 'regex';
+const MATCH_OPERATORS = [
+  { value: MATCH_INCLUDES, label: '含む' },
+  { value: MATCH_REGEX, label: '正規表現' }
+];
+
+const ACTION_SET_TYPE = 'setType';
+const ACTION_SET_CATEGORY = 'setCategory';
+const ACTION_SET_SUBCATEGORY = 'setSubcategory';
+const ACTION_EXCLUDE = 'exclude';
+const ACTION_TAG = 'tag';
+const RULE_ACTIONS = [
+  { value: ACTION_SET_TYPE, label: '区分を変更', options: [TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST] },
+  { value: ACTION_SET_CATEGORY, label: '大項目を変更' },
+  { value: ACTION_SET_SUBCATEGORY, label: '中項目を変更' },
+  { value: ACTION_EXCLUDE, label: '集計から除外' },
+  { value: ACTION_TAG, label: 'タグを付与' }
+];
+
+const TAGS_FIELD = '_tags';
+
+let ruleSequence = 0;
+const createRuleId = () => {
+  ruleSequence += 1;
+  return `rule-${Date.now().toString(36)}-${ruleSequence}`;
+};
+
+const createCondition = () => ({ field: '内容', operator: MATCH_INCLUDES, value: '' });
+
+const createAction = () => ({ type: ACTION_SET_TYPE, value: TYPE_EXPENSE });
+
+const createRule = () => ({
+  id: createRuleId(),
+  name: '新しいルール',
+  enabled: true,
+  conditions: [createCondition()],
+  actions: [createAction()]
+});
+
+/** 正規表現の構文エラーを返す（問題なければ空文字） */
+const getConditionError = (condition) => {
+  if (condition.operator !== MATCH_REGEX || !condition.value) return '';
+  try {
+    new RegExp(condition.value);
+    return '';
+  } catch (error) {
+    return '正規表現が不正です';
+  }
+};
+
+const matchesCondition = (row, condition) => {
+  if (!condition.value) return false;
+  const text = String(row[condition.field] ?? '');
+  if (condition.operator === MATCH_REGEX) {
+    if (getConditionError(condition)) return false;
+    return new RegExp(condition.value, 'i').test(text);
+  }
+  return text.toLowerCase().includes(String(condition.value).toLowerCase());
+};
+
+const matchesRule = (row, rule) =>
+  rule.conditions.length > 0 && rule.conditions.every((condition) => matchesCondition(row, condition));
+
+const applyAction = (row, action) => {
+  switch (action.type) {
+    case ACTION_SET_TYPE:
+      return { ...row, 区分: action.value };
+    case ACTION_SET_CATEGORY:
+      return { ...row, 大項目: action.value };
+    case ACTION_SET_SUBCATEGORY:
+      return { ...row, 中項目: action.value };
+    case ACTION_EXCLUDE:
+      return { ...row, 計算対象: '0' };
+    case ACTION_TAG: {
+      const tags = row[TAGS_FIELD] || [];
+      if (!action.value || tags.includes(action.value)) return row;
+      return { ...row, [TAGS_FIELD]: [...tags, action.value] };
+    }
+    default:
+      return row;
+  }
+};
+
+const PREVIEW_FIELDS = ['区分', '大項目', '中項目', '計算対象'];
+
+const describeChanges = (before, after) => {
+  const changes = PREVIEW_FIELDS.filter((field) => String(before[field] ?? '') !== String(after[field] ?? '')).map(
+    (field) => ({ field, from: before[field] ?? '', to: after[field] ?? '' })
+  );
+  const addedTags = (after[TAGS_FIELD] || []).filter((tag) => !(before[TAGS_FIELD] || []).includes(tag));
+  if (addedTags.length > 0) changes.push({ field: 'タグ', from: '', to: addedTags.join(', ') });
+  return changes;
+};
+
+/**
+ * ルールを順に適用した行と、ルールごとの変更内容（プレビュー用）を返す。
+ * 元の行オブジェクトは書き換えない。
+ */
+const applyRules = (rows, rules) => {
+  const activeRules = (rules || []).filter((rule) => rule.enabled);
+  const changesByRule = {};
+  (rules || []).forEach((rule) => {
+    changesByRule[rule.id] = [];
+  });
+
+  if (activeRules.length === 0) return { rows, changesByRule };
+
+  const result = rows.map((original) =>
+    activeRules.reduce((row, rule) => {
+      if (!matchesRule(row, rule)) return row;
+      const next = rule.actions.reduce(applyAction, row);
+      const changes = describeChanges(row, next);
+      if (changes.length > 0) changesByRule[rule.id].push({ row: original, changes });
+      return next;
+    }, original)
+  );
+
+  return { rows: result, changesByRule };
+};
+
+const parseStoredRules = (raw) => {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/** 保存された分類キーワードの設定（変えた項目だけ。未設定の項目は既定値を使う） */
+const parseStoredClassificationHints = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const hints = {};
+    if (!parsed || typeof parsed !== 'object') return hints;
+    CLASSIFICATION_HINT_FIELDS.forEach((field) => {
+      if (Array.isArray(parsed[field.key])) hints[field.key] = parsed[field.key].map((item) => String(item));
+    });
+    return hints;
+  } catch (error) {
+    return {};
+  }
+};
@@ -0,0 +1,482 @@
+// このファイルは src/rules.js から `npm run build:gas` で自動生成されています。
+// 直接編集せず、src/rules.js を修正して再生成してください。
+
+/**
+ * 収支の分類ルール（ReactアプリとGASの共通定義）
+ *
+ * このファイルは `npm run build:gas` で `Rules.gs` に変換され、GAS側でも同じ定義を読み込みます。
+ * GASでも動くように、トップレベルは `export const` / `export function` のみで記述し、
+ * import は同じく GAS に変換される parsing.js からだけにしてください（GASのファイルはすべて同じグローバルスコープで読み込まれます）。
+ */
+
+const TYPE_INCOME = '収入';
+const TYPE_EXPENSE = '支出';
+const TYPE_ADJUST = '調整';
+
+const INCOME_HINTS = ['収入', '給与', '給料', '賞与', 'ボーナス', '入金'];
+const EXPENSE_HINTS = ['支出', '出金', '支払', '立替'];
+const ADJUST_HINTS = ['調整', '返金', '振替', '相殺'];
+const SALARY_HINTS = ['給与', '給料'];
+const BONUS_HINTS = ['賞与', 'ボーナス'];
+const EXCLUDE_INCOME_HINTS = ['シユクリ', 'ユキエ'];
+const VARIABLE_EXPENSE_CATEGORIES = ['趣味・娯楽', '食費', '日用品'];
+const HOBBY_CATEGORY = '趣味・娯楽';
+const COHABITATION_HINTS = ['同棲費用'];
+const SELF_PAID_HINTS = ['自費'];
+const ADVANCE_HINTS = ['立替'];
+const SHARED_FIXED_COST = 40000;
+const SHARED_FIXED_CATEGORIES = ['住宅', '水道・光熱費'];
+
+// 設定の「分類キーワード」で変えられる項目と既定値（未設定の項目は既定値を使う）
+const CLASSIFICATION_HINT_FIELDS = [
+  { key: 'salary', label: '給与とみなすキーワード', defaults: SALARY_HINTS },
+  { key: 'excludeIncome', label: '収入に数えない入金のキーワード', defaults: EXCLUDE_INCOME_HINTS },
+  { key: 'variableExpenseCategories', label: '変動費の大項目（ほかは固定費）', defaults: VARIABLE_EXPENSE_CATEGORIES },
+  { key: 'hobbyCategory', label: '趣味・娯楽の大項目', defaults: [HOBBY_CATEGORY] }
+];
+
+/**
+ * 分類キーワードの設定（{ [key]: 文字列の配列 }）を、読めない項目は既定値で補って返す。
+ * 空の配列は「該当なし」として残す。キーワードは明細と同じく空白を取り除いて比べる。
+ */
+function resolveClassificationHints(hints) {
+  const resolved = {};
+  CLASSIFICATION_HINT_FIELDS.forEach((field) => {
+    const value = hints && hints[field.key];
+    resolved[field.key] = Array.isArray(value)
+      ? value.map((item) => normalizeText(item)).filter(Boolean)
+      : field.defaults;
+  });
+  return resolved;
+}
+
+// 分割払いの計画。firstDebit / lastDebit は 'YYYY-MM'（firstDebit が空なら登録前から継続中として扱う）
+// 計画は設定画面（GASでは Installment_Config）で編集する。これは編集する前の初期値
+const DEFAULT_INSTALLMENT_PLANS = [
+  { name: 'オスカー30回分', amount: 6865, firstDebit: '2024-02', lastDebit: '2026-07', debitDay: 27 },
+  { name: 'テンピュール', amount: 11973, firstDebit: '', lastDebit: '2027-06', debitDay: 27 },
+  { name: 'コンサル費用', amount: 20686, firstDebit: '', lastDebit: '2026-05', debitDay: 27 }
+];
+
+// 以前のバージョンが Overview_Config の分割払い補正に毎月書き込んでいた既定値（当時の計画の月額の合計）
+const LEGACY_INSTALLMENT_DEFAULT_TOTAL = 39524;
+
+/** 分割払い補正の値が、手入力ではなく以前の既定値のまま残ったものか */
+function isLegacyInstallmentDefault(value) {
+  return parseLedgerAmount(value) === LEGACY_INSTALLMENT_DEFAULT_TOTAL;
+}
+
+// 読めない金額は 0 円として集計する（どの行が読めなかったかはデータ品質で確認する）
+function parseAmount(value) {
+  const parsed = parseLedgerAmount(value);
+  return parsed === null ? 0 : parsed;
+}
+
+function normalizeText(value) {
+  return String(value || '').replace(/[\s　]+/g, '').trim();
+}
+
+function buildHintSource(...values) {
+  return values
+    .map((value) => normalizeText(value))
+    .filter(Boolean)
+    .join(' ');
+}
+
+function hasHint(text, hints) {
+  return hints.some((hint) => text.includes(hint));
+}
+
+function isTargetRow(row) {
+  return String(row['計算対象'] || '').trim() === '1';
+}
+
+/**
+ * 区分の判定とその根拠。区分が収入・支出・調整のどれでもなければ推定し（inferred）、
+ * 一致したキーワードを hint に入れる。どれにも一致しなければ支出とみなす（hint は null）。
+ */
+function explainType(row) {
+  const raw = normalizeText(row['区分']);
+  if ([TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST].includes(raw)) return { type: raw, inferred: false, hint: null };
+
+  const hintSource = buildHintSource(raw, row['大項目'], row['中項目'], row['内容']);
+  const candidates = [
+    [TYPE_ADJUST, ADJUST_HINTS],
+    [TYPE_INCOME, INCOME_HINTS],
+    [TYPE_EXPENSE, EXPENSE_HINTS]
+  ];
+  for (const [type, hints] of candidates) {
+    const hint = hints.find((item) => hintSource.includes(item));
+    if (hint) return { type, inferred: true, hint };
+  }
+  return { type: TYPE_EXPENSE, inferred: true, hint: null };
+}
+
+function getType(row) {
+  return explainType(row).type;
+}
+
+/**
+ * 1行分の分類結果を返す。月次集計はこの結果だけを見て加算する。
+ * settlementShare は支出の清算区分（'advance' = 立替全額, 'shared' = 折半, null = 対象外）。
+ * hints は分類キーワードの設定（省略すると既定値）。
+ */
+function classifyRow(row, hints) {
+  const activeHints = resolveClassificationHints(hints);
+  const type = getType(row);
+  const amount = parseAmount(row['金額（円）']);
+  const amountAbs = Math.abs(amount);
+  const category = normalizeText(row['大項目']);
+  const subcategory = normalizeText(row['中項目']);
+  const incomeSource = buildHintSource(row['大項目'], row['中項目'], row['内容']);
+
+  let settlementShare = null;
+  if (type === TYPE_EXPENSE && !hasHint(subcategory, SELF_PAID_HINTS)) {
+    const advanceSource = buildHintSource(row['中項目'], row['内容'], row['メモ']);
+    if (hasHint(advanceSource, ADVANCE_HINTS)) {
+      settlementShare = 'advance';
+    } else if (!SHARED_FIXED_CATEGORIES.includes(category)) {
+      settlementShare = 'shared';
+    }
+  }
+
+  return {
+    type,
+    amount,
+    amountAbs,
+    category,
+    subcategory,
+    isTarget: isTargetRow(row),
+    isExcludedIncome:
+      type === TYPE_INCOME && hasHint(buildHintSource(row['内容'], row['メモ']), activeHints.excludeIncome),
+    isSalary: type === TYPE_INCOME && hasHint(incomeSource, activeHints.salary),
+    isBonus: type === TYPE_INCOME && hasHint(incomeSource, BONUS_HINTS),
+    isSettlementReceipt: type === TYPE_INCOME && hasHint(incomeSource, COHABITATION_HINTS),
+    isFixedExpense: type === TYPE_EXPENSE && !activeHints.variableExpenseCategories.includes(category),
+    isHobby: type === TYPE_EXPENSE && activeHints.hobbyCategory.includes(category),
+    settlementShare
+  };
+}
+
+function parseYearMonth(value) {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1;
+}
+
+// 集計期間。カレンダー月 / 開始日固定（25日始まりなど） / 任意の期間 から選ぶ。
+// 期間は始まる月で呼ぶ（25日始まりなら 4/25〜5/24 が「4月」）。
+// custom の ranges は { month: 'YYYY-MM', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } で、指定のない月は startDay で区切る。
+const PERIOD_CALENDAR = 'calendar';
+const PERIOD_START_DAY = 'startDay';
+const PERIOD_CUSTOM = 'custom';
+const DEFAULT_PERIOD_SETTING = { type: PERIOD_CALENDAR, startDay: 1, ranges: [] };
+
+// 日付は時刻やタイムゾーンの影響を受けないよう、1970-01-01 からの日数で比べる
+function toDaySerial(year, monthIndex, day) {
+  return Math.round(Date.UTC(year, monthIndex, day) / 86400000);
+}
+
+function getDaySerial(date) {
+  return toDaySerial(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function parseDaySerial(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return toDaySerial(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+function formatDaySerial(serial) {
+  const date = new Date(serial * 86400000);
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${date.getUTCFullYear()}-${month}-${day}`;
+}
+
+// 月末の日付は月によってないため、開始日は 1〜28 日
+function getPeriodStartDay(period) {
+  if (!period || period.type === PERIOD_CALENDAR) return 1;
+  const day = parseInt(period.startDay, 10);
+  return Number.isNaN(day) ? 1 : Math.min(28, Math.max(1, day));
+}
+
+function findCustomRange(period, monthIndex) {
+  if (!period || period.type !== PERIOD_CUSTOM) return null;
+  for (const range of period.ranges || []) {
+    if (parseYearMonth(range.month) !== monthIndex) continue;
+    const start = parseDaySerial(range.start);
+    const end = parseDaySerial(range.end);
+    if (start !== null && end !== null && start <= end) return { start, end };
+  }
+  return null;
+}
+
+// 任意の期間の前後の月は、その期間と重ならず隙間もできないように伸び縮みさせる
+function getPeriodSerialRange(year, month, period) {
+  const monthIndex = year * 12 + month - 1;
+  const custom = findCustomRange(period, monthIndex);
+  if (custom) return custom;
+  const startDay = getPeriodStartDay(period);
+  const previous = findCustomRange(period, monthIndex - 1);
+  const next = findCustomRange(period, monthIndex + 1);
+  return {
+    start: previous ? previous.end + 1 : toDaySerial(year, month - 1, startDay),
+    end: next ? next.start - 1 : toDaySerial(year, month, startDay) - 1
+  };
+}
+
+/** 指定月の期間（start / end は 'YYYY-MM-DD'、両端を含む） */
+function getPeriodRange(year, month, period) {
+  const range = getPeriodSerialRange(year, month, period);
+  return { start: formatDaySerial(range.start), end: formatDaySerial(range.end), days: range.end - range.start + 1 };
+}
+
+/** 期間の日数と、date の日までに経過した日数（期間前なら 0、期間後なら日数と同じ） */
+function getPeriodProgress(year, month, date, period) {
+  const range = getPeriodSerialRange(year, month, period);
+  const days = range.end - range.start + 1;
+  return { days, elapsedDays: Math.min(days, Math.max(0, getDaySerial(date) - range.start + 1)) };
+}
+
+/** 日付が属する期間の年月 */
+function getPeriodOfDate(date, period) {
+  const serial = getDaySerial(date);
+  let monthIndex = date.getFullYear() * 12 + date.getMonth();
+  if (date.getDate() < getPeriodStartDay(period)) monthIndex -= 1;
+  // 任意の期間とその前後の月は日付が月をまたぐので、期間の範囲で確かめる
+  const candidates = [monthIndex, monthIndex - 1, monthIndex + 1];
+  for (const candidate of candidates) {
+    const range = getPeriodSerialRange(Math.floor(candidate / 12), (candidate % 12) + 1, period);
+    if (serial >= range.start && serial <= range.end) {
+      return { year: Math.floor(candidate / 12), month: (candidate % 12) + 1 };
+    }
+  }
+  return { year: Math.floor(monthIndex / 12), month: (monthIndex % 12) + 1 };
+}
+
+// 期間内に引落日がある月（なければ null）。25日始まりの4月（4/25〜5/24）なら 4/27 引落の月
+function findDebitMonth(range, debitDay) {
+  const first = new Date(range.start * 86400000);
+  const last = new Date(range.end * 86400000);
+  const from = first.getUTCFullYear() * 12 + first.getUTCMonth();
+  const to = last.getUTCFullYear() * 12 + last.getUTCMonth();
+  for (let monthIndex = from; monthIndex <= to; monthIndex += 1) {
+    const serial = toDaySerial(Math.floor(monthIndex / 12), monthIndex % 12, debitDay || 1);
+    if (serial >= range.start && serial <= range.end) return monthIndex;
+  }
+  return null;
+}
+
+/**
+ * 指定月時点の分割払いの状況を返す。
+ * remainingPayments は指定月の引落を含めた残り回数（完了済みなら 0）。
+ * period を渡すと、その期間内に引落日がある分を指定月の引落として扱う。plans を省略すると初期値の計画を使う。
+ */
+function getInstallmentSchedule(year, month, plans, period) {
+  const range = getPeriodSerialRange(year, month, period);
+  return (plans || DEFAULT_INSTALLMENT_PLANS).map((plan) => {
+    const debitMonth = findDebitMonth(range, plan.debitDay);
+    const current = debitMonth === null ? year * 12 + month - 1 : debitMonth;
+    const first = parseYearMonth(plan.firstDebit);
+    const last = parseYearMonth(plan.lastDebit);
+    const started = first === null || current >= first;
+    const finished = last !== null && current > last;
+    return {
+      ...plan,
+      active: debitMonth !== null && started && !finished,
+      started,
+      finished,
+      totalPayments: first !== null && last !== null ? last - first + 1 : null,
+      remainingPayments: last === null ? null : Math.max(0, last - Math.max(current, first === null ? current : first) + 1)
+    };
+  });
+}
+
+function getScheduledInstallmentTotal(year, month, plans, period) {
+  return getInstallmentSchedule(year, month, plans, period)
+    .filter((plan) => plan.active)
+    .reduce((sum, plan) => sum + plan.amount, 0);
+}
+
+function createEmptySummary() {
+  return {
+    rowCount: 0,
+    incomeTotal: 0,
+    expenseTotal: 0,
+    adjustTotal: 0,
+    salaryTotal: 0,
+    bonusTotal: 0,
+    fixedExpenseTotal: 0,
+    hobbyTotal: 0,
+    sharedExpenseTotal: 0,
+    advanceTotal: 0,
+    settlementReceived: 0,
+    expenseByBudgetKey: {}
+  };
+}
+
+/** classifyRow の結果を月次サマリーに加算する（計算対象外の行は無視） */
+function accumulateRow(summary, classified) {
+  if (!classified.isTarget) return;
+  const amountAbs = classified.amountAbs;
+  summary.rowCount += 1;
+
+  if (classified.type === TYPE_INCOME) {
+    if (classified.isSettlementReceipt) summary.settlementReceived += amountAbs;
+    if (classified.isExcludedIncome) return;
+    summary.incomeTotal += amountAbs;
+    if (classified.isSalary) summary.salaryTotal += amountAbs;
+    if (classified.isBonus) summary.bonusTotal += amountAbs;
+  }
+
+  if (classified.type === TYPE_EXPENSE) {
+    summary.expenseTotal += amountAbs;
+    if (classified.isFixedExpense) summary.fixedExpenseTotal += amountAbs;
+    if (classified.isHobby) summary.hobbyTotal += amountAbs;
+    if (classified.settlementShare === 'advance') summary.advanceTotal += amountAbs;
+    if (classified.settlementShare === 'shared') summary.sharedExpenseTotal += amountAbs;
+    addBudgetSpending(summary.expenseByBudgetKey, classified.category, classified.subcategory, amountAbs);
+  }
+
+  if (classified.type === TYPE_ADJUST) summary.adjustTotal += classified.amount;
+}
+
+// 予算は大項目単位（中項目が空）か、大項目/中項目単位で設定する
+function getBudgetKey(category, subcategory) {
+  return subcategory ? `${category}/${subcategory}` : category;
+}
+
+function addBudgetSpending(spending, category, subcategory, amount) {
+  const categoryKey = getBudgetKey(category || '未分類', '');
+  spending[categoryKey] = (spending[categoryKey] || 0) + amount;
+  if (!subcategory) return;
+  const subcategoryKey = getBudgetKey(category || '未分類', subcategory);
+  spending[subcategoryKey] = (spending[subcategoryKey] || 0) + amount;
+}
+
+/**
+ * 指定月に有効な予算を返す。budgets の month は 'YYYY-MM'（空なら毎月）。
+ * 同じ大項目/中項目に月指定の予算があればそちらを優先し、0 円なら予算なしとして扱う。
+ */
+function resolveBudgets(budgets, year, month) {
+  const current = year * 12 + month - 1;
+  const byKey = {};
+  const overridden = {};
+  (budgets || []).forEach((budget) => {
+    const category = String(budget.category || '').trim();
+    if (!category) return;
+    const subcategory = String(budget.subcategory || '').trim();
+    const key = getBudgetKey(category, subcategory);
+    const budgetMonth = parseYearMonth(budget.month);
+    if (budgetMonth !== null && budgetMonth !== current) return;
+    if (budgetMonth === null && overridden[key]) return;
+    if (budgetMonth !== null) overridden[key] = true;
+    byKey[key] = { key, category, subcategory, amount: parseAmount(budget.amount) };
+  });
+  return Object.keys(byKey)
+    .map((key) => byKey[key])
+    .filter((budget) => budget.amount > 0);
+}
+
+/**
+ * 予算と実績（summary.expenseByBudgetKey）の対比。
+ * 合計は、大項目の予算がある場合はその中項目の予算を重複して数えない。
+ */
+function buildBudgetReport(expenseByBudgetKey, budgets, year, month) {
+  const items = resolveBudgets(budgets, year, month).map((budget) => {
+    const spent = (expenseByBudgetKey || {})[budget.key] || 0;
+    return { ...budget, spent, remaining: budget.amount - spent };
+  });
+  const categoryKeys = items.filter((item) => !item.subcategory).map((item) => item.category);
+  const totals = items
+    .filter((item) => !item.subcategory || categoryKeys.indexOf(item.category) === -1)
+    .reduce(
+      (acc, item) => ({ budget: acc.budget + item.amount, spent: acc.spent + item.spent }),
+      { budget: 0, spent: 0 }
+    );
+  return { items, budget: totals.budget, spent: totals.spent, remaining: totals.budget - totals.spent };
+}
+
+// 彼女の支払額 = 家賃・光熱費(固定) + 共同生活費の折半分 + 立替全額 - 彼女の立替入力(折半分)
+// 取引のない月は固定分も計上しない
+function buildSettlement(summary, partnerAdvance) {
+  const fixedShare = summary.rowCount > 0 ? SHARED_FIXED_COST : 0;
+  const sharedHalf = Math.round(summary.sharedExpenseTotal / 2);
+  const partnerAdvanceHalf = Math.round((partnerAdvance || 0) / 2);
+  const owed = fixedShare + sharedHalf + summary.advanceTotal - partnerAdvanceHalf;
+  return {
+    fixedShare,
+    sharedExpense: summary.sharedExpenseTotal,
+    sharedHalf,
+    advance: summary.advanceTotal,
+    partnerAdvance: partnerAdvance || 0,
+    partnerAdvanceHalf,
+    owed,
+    received: summary.settlementReceived,
+    outstanding: owed - summary.settlementReceived
+  };
+}
+
+// 重複の疑い: 内容（空白・全角半角・大文字小文字を無視）と金額が同じで、グループの最初の明細からの日付の差がこの日数以内の明細
+const DUPLICATE_DAY_WINDOW = 2;
+const DUPLICATE_DISMISSED = 'dismissed';
+const DUPLICATE_EXCLUDED = 'excluded';
+
+function getDuplicateContentKey(content) {
+  return String(content || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+}
+
+/**
+ * 重複の疑いがある明細のグループ。entries は { daySerial, amount, content, id } の配列（id は「シート名:行番号」）。
+ * 日付の差はグループの最初の明細から数える（毎日続く同じ明細が1つのグループに連なり続けないように）。
+ * indexes は entries の位置（日付順）、key は判定の記録に使う「内容|金額|明細の id（並べ替えたもの）」。
+ * id がない明細は日付で代用する。
+ */
+function findDuplicateGroups(entries) {
+  const buckets = {};
+  entries.forEach((entry, index) => {
+    const contentKey = getDuplicateContentKey(entry.content);
+    if (!contentKey || !entry.amount || entry.daySerial === null) return;
+    const bucketKey = `${contentKey}|${entry.amount}`;
+    if (!buckets[bucketKey]) buckets[bucketKey] = [];
+    buckets[bucketKey].push(index);
+  });
+
+  const groups = [];
+  Object.keys(buckets).forEach((bucketKey) => {
+    const indexes = buckets[bucketKey].sort((a, b) => entries[a].daySerial - entries[b].daySerial || a - b);
+    let current = [];
+    const flush = () => {
+      if (current.length < 2) return;
+      const ids = current.map((index) => String(entries[index].id || formatDaySerial(entries[index].daySerial))).sort();
+      groups.push({ key: `${bucketKey}|${ids.join(',')}`, indexes: current });
+    };
+    indexes.forEach((index) => {
+      if (current.length > 0 && entries[index].daySerial - entries[current[0]].daySerial <= DUPLICATE_DAY_WINDOW) {
+        current.push(index);
+        return;
+      }
+      flush();
+      current = [index];
+    });
+    flush();
+  });
+  return groups;
+}
+
+/**
+ * 集計から外す entries の位置。重複ではないと判定したグループ以外は、
+ * 未判定のものも含めて最初の1件だけを残す。resolutions は { [key]: 判定 }。
+ */
+function getDuplicateExcludedIndexes(groups, resolutions) {
+  const excluded = [];
+  groups.forEach((group) => {
+    if (resolutions && resolutions[group.key] === DUPLICATE_DISMISSED) return;
+    group.indexes.slice(1).forEach((index) => excluded.push(index));
+  });
+  return excluded;
+}
@@ -0,0 +1,116 @@
+/**
+ * 開発・デモ用の架空の家計簿データ
+ *
+ * `npm run dev` の開発サーバーが `__mock__/ledger.json`（明細）と `__mock__/balances.json`（口座残高）として配信します。
+ * 乱数は固定シードなので、同じ日付範囲なら毎回同じ明細になります。
+ */
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const buildRow = (year, month, day, content, amount, category, subcategory, type, memo = '') => ({
+  日付: `${year}-${pad(month)}-${pad(day)}`,
+  内容: content,
+  '金額（円）': amount,
+  大項目: category,
+  中項目: subcategory,
+  区分: type,
+  計算対象: 1,
+  メモ: memo
+});
+
+const VARIABLE_SPENDING = [
+  { content: 'スーパーマーケット', category: '食費', subcategory: '食料品', min: 1500, max: 6000, perMonth: 8 },
+  { content: 'コンビニ', category: '食費', subcategory: '食料品', min: 300, max: 1200, perMonth: 6 },
+  { content: 'レストラン', category: '食費', subcategory: '外食', min: 2500, max: 9000, perMonth: 3 },
+  { content: 'ドラッグストア', category: '日用品', subcategory: 'ドラッグストア', min: 800, max: 4000, perMonth: 2 },
+  { content: '映画館', category: '趣味・娯楽', subcategory: '映画・音楽・ゲーム', min: 1800, max: 4000, perMonth: 1 },
+  { content: '書店', category: '趣味・娯楽', subcategory: '自費', min: 1000, max: 3500, perMonth: 1 }
+];
+
+const buildMonth = (year, month, random) => {
+  const amountBetween = (min, max) => -Math.round((min + random() * (max - min)) / 10) * 10;
+  const rows = [
+    buildRow(year, month, 25, '株式会社サンプル 給与', 320000, '収入', '給与', '収入'),
+    buildRow(year, month, 27, '家賃', -98000, '住宅', '家賃・地代', '支出'),
+    buildRow(year, month, 20, '電力会社', amountBetween(6000, 12000), '水道・光熱費', '電気代', '支出'),
+    buildRow(year, month, 22, 'ガス会社', amountBetween(3000, 7000), '水道・光熱費', 'ガス・灯油代', '支出'),
+    buildRow(year, month, 10, 'モバイル回線', -3278, '通信費', '携帯電話', '支出'),
+    buildRow(year, month, 12, 'NETFLIX サブスク', -1590, '通信費', 'サブスク', '支出'),
+    buildRow(year, month, 15, 'ChatGPT Plus サブスク', -3000, '通信費', 'サブスク', '支出'),
+    buildRow(year, month, 28, '振込 同棲費用', 90000, '収入', '同棲費用', '収入', `${month}月分`)
+  ];
+
+  if (month === 6 || month === 12) {
+    rows.push(buildRow(year, month, 10, '賞与', 450000, '収入', '賞与', '収入'));
+  }
+  if (random() < 0.5) {
+    rows.push(buildRow(year, month, 18, '彼女の分 立替', amountBetween(2000, 8000), '衣服・美容', '衣服', '支出'));
+  }
+
+  VARIABLE_SPENDING.forEach((item) => {
+    for (let count = 0; count < item.perMonth; count += 1) {
+      const day = 1 + Math.floor(random() * 28);
+      rows.push(
+        buildRow(year, month, day, item.content, amountBetween(item.min, item.max), item.category, item.subcategory, '支出')
+      );
+    }
+  });
+
+  return rows;
+};
+
+/** 基準日の月を含む直近 months か月分の明細を返す（基準日より後の明細は含めない） */
+export const createMockLedger = ({ today = new Date(), months = 18 } = {}) => {
+  const random = createRandom(20260101);
+  const todayKey = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+  const rows = [];
+  for (let offset = months - 1; offset >= 0; offset -= 1) {
+    const date = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+    rows.push(...buildMonth(date.getFullYear(), date.getMonth() + 1, random));
+  }
+  return rows
+    .filter((row) => row['日付'] <= todayKey)
+    .sort((a, b) => a['日付'].localeCompare(b['日付']));
+};
+
+// 架空の口座。銀行は明細の収支で増減し、NISA は毎月の積立、証券は運用益（明細にない増減）で動く
+const NISA_MONTHLY_DEPOSIT = 33000;
+const SECURITIES_MONTHLY_RETURN = 0.006;
+
+/**
+ * createMockLedger と同じ期間の月末残高（`__mock__/balances.json`、Balances シートと同じ形）。
+ * 証券口座の運用益は明細にないため、純資産ビューでは説明のつかない差として出る。
+ */
+export const createMockBalances = ({ today = new Date(), months = 18 } = {}) => {
+  const rows = createMockLedger({ today, months });
+  const balances = [];
+  let bank = 1200000;
+  let nisa = 0;
+  let securities = 800000;
+  for (let offset = months - 1; offset >= 0; offset -= 1) {
+    const start = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+    const end = offset === 0 ? today : new Date(start.getFullYear(), start.getMonth() + 1, 0);
+    const prefix = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-`;
+    const net = rows
+      .filter((row) => row['日付'].startsWith(prefix))
+      .reduce((sum, row) => sum + row['金額（円）'], 0);
+    bank += net - NISA_MONTHLY_DEPOSIT;
+    nisa += NISA_MONTHLY_DEPOSIT;
+    securities = Math.round(securities * (1 + SECURITIES_MONTHLY_RETURN));
+    const date = `${end.getFullYear()}-${pad(end.getMonth() + 1)}-${pad(end.getDate())}`;
+    balances.push(
+      { date, account: '普通預金', balance: bank },
+      { date, account: 'NISA', balance: nisa },
+      { date, account: '証券口座', balance: securities }
+    );
+  }
+  return balances;
+};
@@ -0,0 +1,49 @@
+/**
+ * ReactアプリとGASの共通モジュール（src/parsing.js, src/rules.js, src/ruleEngine.js）を GAS 用の .gs に変換する。
+ * GASはESモジュールを読めないため、`export` を外してグローバル定義として出力します。
+ * GASのファイルはすべて同じグローバルスコープで読み込まれるので、共通モジュール同士の import は取り除きます。
+ *
+ * 使い方: npm run build:gas
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const GAS_MODULES = [
+  { source: 'src/parsing.js', output: 'Parsing.gs' },
+  { source: 'src/rules.js', output: 'Rules.gs' },
+  { source: 'src/ruleEngine.js', output: 'RuleEngine.gs' }
+];
+
+const IMPORT_PATTERN = /^import\s[^;]*?from\s+'([^']+)';\n/gm;
+
+const buildHeader = (sourcePath) =>
+  [
+    `// このファイルは ${sourcePath} から \`npm run build:gas\` で自動生成されています。`,
+    `// 直接編集せず、${sourcePath} を修正して再生成してください。`,
+    ''
+  ].join('\n');
+
+export const buildGasSource = (source, sourcePath) => {
+  const sharedImports = GAS_MODULES.map((module) => `./${module.source.replace(/^src\//, '')}`);
+  const stripped = source.replace(IMPORT_PATTERN, (statement, from) => {
+    if (!sharedImports.includes(from)) {
+      throw new Error(`${sourcePath} で ${from} を import することはできません（GASで読み込めないため）`);
+    }
+    return '';
+  });
+  if (/^\s*import\s/m.test(stripped)) {
+    throw new Error(`${sourcePath} の import は「import { ... } from './parsing.js';」の形で書いてください`);
+  }
+  return `${buildHeader(sourcePath)}\n${stripped.replace(/^export /gm, '')}`;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  GAS_MODULES.forEach((module) => {
+    const outputPath = resolve(rootDir, module.output);
+    writeFileSync(outputPath, buildGasSource(readFileSync(resolve(rootDir, module.source), 'utf8'), module.source));
+    console.log(`Generated ${outputPath}`);
+  });
+}
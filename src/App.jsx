@@ -1,13 +1,16 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import {
+  AlertTriangle,
   ArrowDownRight,
   ArrowUpRight,
   Calendar,
   List,
+  PiggyBank,
   Receipt,
   RefreshCw,
   Settings,
-  Sparkles
+  Sparkles,
+  Target
 } from 'lucide-react';
 import {
   CartesianGrid,
@@ -21,63 +24,115 @@ import {
   XAxis,
   YAxis
 } from 'recharts';
+import {
+  TYPE_EXPENSE,
+  TYPE_INCOME,
+  buildBudgetReport,
+  getInstallmentSchedule,
+  getPeriodOfDate,
+  getScheduledInstallmentTotal,
+  getType,
+  isTargetRow,
+  resolveClassificationHints
+} from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+import { buildChartData, isSameMonth, summarizeMonth } from './summary.js';
+import { formatSignedYen, formatYen } from './format.js';
+import { forecastMonth } from './forecast.js';
+import { INTERVAL_YEARLY, detectRecurringCharges } from './recurring.js';
+import { TAGS_FIELD, applyRules } from './ruleEngine.js';
+import RuleEditor from './RuleEditor.jsx';
+import ClassificationHintEditor from './ClassificationHintEditor.jsx';
+import { getActiveTrackers } from './trackers.js';
+import TrackerEditor from './TrackerEditor.jsx';
+import { CSV_STORAGE_KEY } from './csvImport.js';
+import CsvImport from './CsvImport.jsx';
+import TransactionRow from './TransactionRow.jsx';
+import ComparisonView from './ComparisonView.jsx';
+import TransactionExplorer from './TransactionExplorer.jsx';
+import { buildYearlyTrends } from './trends.js';
+import { buildNetWorth } from './netWorth.js';
+import NetWorthView from './NetWorthView.jsx';
+import { buildCategoryTable, buildLedgerTable, buildOverviewTable } from './exportData.js';
+import ExportMenu from './ExportMenu.jsx';
+import PrintReport, { PrintIncomeExpenseChart, PrintPieChart } from './PrintReport.jsx';
+import TrendView from './TrendView.jsx';
+import BudgetEditor from './BudgetEditor.jsx';
+import {
+  GOAL_ACHIEVED,
+  GOAL_BEHIND,
+  GOAL_OVERDUE,
+  GOAL_SOURCE_TAG,
+  buildGoalContributions,
+  buildGoalProgress,
+  formatGoalMonth
+} from './goals.js';
+import GoalEditor from './GoalEditor.jsx';
+import InstallmentEditor from './InstallmentEditor.jsx';
+import { formatPeriodRange, getYearMonthSpan, isCalendarPeriod } from './period.js';
+import PeriodEditor from './PeriodEditor.jsx';
+import { applyDuplicateResolutions, detectDuplicates } from './duplicates.js';
+import DuplicateReview from './DuplicateReview.jsx';
+import { SEVERITY_ERROR, buildDataHealth, summarizeDataHealth } from './dataHealth.js';
+import DataHealthView from './DataHealthView.jsx';
+import { BUDGET_AHEAD, BUDGET_OVER, buildBudgetProgress } from './budget.js';
+import {
+  MONTHLY_INSTALLMENT,
+  MONTHLY_PARTNER_ADVANCE,
+  clearSettingsBackup,
+  getMonthlyInput,
+  getSetting,
+  mergeSettings,
+  normalizeSettings,
+  readSettings,
+  readSettingsBackup,
+  setMonthlyInput,
+  writeSettings
+} from './settings.js';
+import SettingsOverview from './SettingsOverview.jsx';
+import {
+  SYNC_DONE,
+  SYNC_FAILED,
+  SYNC_SYNCING,
+  mergeOverviewConfigEntries,
+  toOverviewConfigEntries
+} from './overviewSync.js';
+import {
+  SOURCE_CSV,
+  SOURCE_GAS,
+  SOURCE_JSON,
+  SOURCE_LABELS,
+  SOURCE_MOCK,
+  GAS_CACHE_STORAGE_KEY,
+  RowConflictError,
+  createDataSource,
+  describeLoadError,
+  ERROR_UNAUTHORIZED,
+  getSheetRowKey,
+  isWritableRow,
+  mergeGasRows,
+  saveGasBudgets,
+  saveGasInstallments,
+  saveGasRules,
+  saveGasDuplicates,
+  saveGasPeriod,
+  syncGasOverviewConfig,
+  updateGasRow
+} from './dataSources.js';
 
-const TYPE_INCOME = '収入';
-const TYPE_EXPENSE = '支出';
-const TYPE_ADJUST = '調整';
-
-const INCOME_HINTS = ['収入', '給与', '給料', '賞与', 'ボーナス', '入金'];
-const EXPENSE_HINTS = ['支出', '出金', '支払', '立替'];
-const ADJUST_HINTS = ['調整', '返金', '振替', '相殺'];
-const SALARY_HINTS = ['給与', '給料'];
-const BONUS_HINTS = ['賞与', 'ボーナス'];
-const EXCLUDE_INCOME_HINTS = ['シユクリ', 'ユキエ'];
-const VARIABLE_EXPENSE_CATEGORIES = ['趣味・娯楽', '食費', '日用品'];
-const HOBBY_CATEGORY = '趣味・娯楽';
-const AI_HINTS = [
-  'AI',
-  'ai',
-  'ChatGPT',
-  'chatgpt',
-  'OpenAI',
-  'openai',
-  'Claude',
-  'claude',
-  'Gemini',
-  'gemini',
-  'Copilot',
-  'copilot',
-  'Perplexity',
-  'perplexity',
-  'Midjourney',
-  'midjourney',
-  'DALL-E',
-  'dall-e',
-  'DALL·E',
-  'NotionAI',
-  'notionai',
-  'Stability',
-  'stability',
-  'Anthropic',
-  'anthropic',
-  'Cursor',
-  'cursor',
-  'AQUAVOICE',
-  'AquaVoice',
-  'aquavoice',
-  'GOOGLEPLAYJAPAN',
-  'GooglePlayJapan',
-  'googleplayjapan'
-];
-const INSTALLMENT_ITEMS = [
-  { name: 'オスカー30回分', amount: 6865, completionDate: '2026年7月27日' },
-  { name: 'テンピュール', amount: 11973, completionDate: '2027年6月27日' },
-  { name: 'コンサル費用', amount: 20686, completionDate: '2026年5月27日' }
-];
-const INSTALLMENT_DEFAULT_TOTAL = INSTALLMENT_ITEMS.reduce((sum, item) => sum + item.amount, 0);
 const VIEW_MONTHLY = 'monthly';
 const VIEW_ANNUAL = 'annual';
-const VIEW_STORAGE_KEY = 'dashboard_view';
+const VIEW_COMPARE = 'compare';
+const VIEW_EXPLORER = 'explorer';
+const VIEW_TRENDS = 'trends';
+const VIEW_HEALTH = 'health';
+const VIEW_NET_WORTH = 'networth';
+// 全期間の明細を使うビュー（GASから年を絞って読んでいても、開いたときに残りの年を読み足す）
+const ALL_YEAR_VIEWS = [VIEW_COMPARE, VIEW_EXPLORER, VIEW_TRENDS, VIEW_HEALTH, VIEW_NET_WORTH];
+// 月ごとの入力は打ち終わってから Overview_Config と同期する
+const MONTHLY_SYNC_DELAY = 1500;
+// CSVは専用の読み込み欄から選ぶため、フォームで切り替えるのはURL系とモックのみ
+const FORM_SOURCES = import.meta.env.DEV ? [SOURCE_GAS, SOURCE_JSON, SOURCE_MOCK] : [SOURCE_GAS, SOURCE_JSON];
 
 const COLORS = ['#0F766E', '#10B981', '#F59E0B', '#F97316', '#60A5FA', '#34D399', '#F43F5E'];
 const DEFAULT_GAS_URL =
@@ -91,309 +146,625 @@ const readLocalStorage = (key) => {
   }
 };
 
+// 保存できたか（容量の上限などで失敗すると false）
 const writeLocalStorage = (key, value) => {
   try {
     localStorage.setItem(key, value);
+    return true;
   } catch (error) {
-    return;
+    return false;
   }
 };
 
-const parseYenInput = (value) => {
-  const cleaned = String(value || '').replace(/[^0-9]/g, '');
-  return cleaned ? parseInt(cleaned, 10) : 0;
+// 設定は1つのドキュメントにまとめて保存する（旧バージョンの個別のキーは最初の読み込みで移行する）
+const loadSettings = () => {
+  try {
+    const { settings, migrated } = readSettings(localStorage);
+    if (migrated) writeSettings(localStorage, settings);
+    return settings;
+  } catch (error) {
+    return normalizeSettings(null);
+  }
 };
 
-const parseAmount = (value) => {
-  const cleaned = String(value ?? '').replace(/,/g, '');
-  const parsed = Number(cleaned);
-  return Number.isNaN(parsed) ? 0 : parsed;
+// 読めなかった設定を退避したもの（設定画面で理由を出す）
+const loadSettingsBackup = () => {
+  try {
+    return readSettingsBackup(localStorage);
+  } catch (error) {
+    return null;
+  }
 };
 
-const normalizeText = (value) => String(value || '').replace(/[\s　]+/g, '').trim();
-
-const buildHintSource = (...values) =>
-  values
-    .map((value) => normalizeText(value))
-    .filter(Boolean)
-    .join(' ');
-
-const hasHint = (text, hints) => hints.some((hint) => text.includes(hint));
-
-const isSubscriptionRow = (row, type) => {
-  if (type !== TYPE_EXPENSE) return false;
-  const major = normalizeText(row['大項目']);
-  const sub = normalizeText(row['中項目']);
-  const content = normalizeText(row['内容']);
-  return major.includes('通信費') && (sub.includes('サブスク') || content.includes('サブスク'));
+const saveSettings = (settings) => {
+  try {
+    writeSettings(localStorage, settings);
+  } catch (error) {
+    return;
+  }
 };
 
-const isAiExpenseRow = (row, type) => {
-  if (type !== TYPE_EXPENSE) return false;
-  const hintSource = buildHintSource(row['大項目'], row['中項目'], row['内容'], row['メモ']);
-  return hasHint(hintSource, AI_HINTS);
+const readStoredRows = (key) => {
+  try {
+    const parsed = JSON.parse(readLocalStorage(key) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
 };
 
-const getType = (row) => {
-  const raw = normalizeText(row['区分']);
-  if ([TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST].includes(raw)) return raw;
-
-  const hintSource = buildHintSource(raw, row['大項目'], row['中項目'], row['内容']);
+// GASの差分取得用キャッシュ。読む範囲（scope）ごとに持つ（容量超過で保存できなくても次回は全件取得になるだけ）
+const readGasCacheScopes = () => {
+  try {
+    const stored = JSON.parse(readLocalStorage(GAS_CACHE_STORAGE_KEY) || 'null');
+    return stored && stored.scopes && typeof stored.scopes === 'object' ? stored.scopes : {};
+  } catch (error) {
+    return {};
+  }
+};
 
-  if (hasHint(hintSource, ADJUST_HINTS)) return TYPE_ADJUST;
-  if (hasHint(hintSource, INCOME_HINTS)) return TYPE_INCOME;
-  if (hasHint(hintSource, EXPENSE_HINTS)) return TYPE_EXPENSE;
-  return TYPE_EXPENSE;
+const gasCache = {
+  read: (scope) => readGasCacheScopes()[scope] || null,
+  write: (snapshot) => {
+    // URLを変えたら前のURLの範囲は捨てる
+    const scopes = Object.fromEntries(
+      Object.entries(readGasCacheScopes()).filter(([, cached]) => cached && cached.url === snapshot.url)
+    );
+    writeLocalStorage(GAS_CACHE_STORAGE_KEY, JSON.stringify({ scopes: { ...scopes, [snapshot.scope]: snapshot } }));
+  }
 };
 
-const formatYen = (value) => `¥${Math.abs(value).toLocaleString()}`;
+const findLatestDate = (rows) => {
+  let maxDate = new Date(0);
+  rows.forEach((row) => {
+    const d = parseLedgerDate(row['日付']);
+    if (d && d > maxDate) {
+      maxDate = d;
+    }
+  });
+  return maxDate.getTime() > 0 ? maxDate : null;
+};
 
-const formatSignedYen = (value) => {
-  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
-  return `${sign}¥${Math.abs(value).toLocaleString()}`;
+const parseYenInput = (value) => {
+  const cleaned = String(value || '').replace(/[^0-9]/g, '');
+  return cleaned ? parseInt(cleaned, 10) : 0;
 };
 
 const getSignedClass = (value) => (value >= 0 ? 'text-emerald-700' : 'text-orange-700');
 const formatDeduction = (value) => (value ? `-${formatYen(value)}` : formatYen(0));
 
-const getInstallmentKey = (year, month) => `installment_adjust_${year}-${month}`;
+// 手入力の補正があればそれを優先し、未入力なら分割払いの計画から自動計算する
+const resolveInstallmentDeduction = (storedValue, year, month, plans, periodSetting) =>
+  storedValue ? parseYenInput(storedValue) : getScheduledInstallmentTotal(year, month, plans, periodSetting);
 
-const isTargetRow = (row) => String(row['計算対象'] || '').trim() === '1';
+// 固定費の説明に出す変動費の大項目（分類キーワードで変えられる）
+const describeVariableCategories = (hints) => hints.variableExpenseCategories.join('・') || '変動費';
 
-const isSameMonth = (row, year, month) => {
-  const date = new Date(row['日付']);
-  if (Number.isNaN(date.getTime())) return false;
-  return date.getFullYear() === year && date.getMonth() + 1 === month;
+const formatDebitDate = (debitMonth, debitDay) => {
+  const [year, month] = String(debitMonth || '').split('-');
+  if (!year || !month) return '';
+  return `${year}年${parseInt(month, 10)}月${debitDay}日`;
 };
 
-const buildChartData = (map, limit = 6) => {
-  const entries = Object.entries(map)
-    .map(([name, value]) => ({ name, value }))
-    .filter((entry) => entry.value > 0)
-    .sort((a, b) => b.value - a.value);
-
-  if (entries.length <= limit) return entries;
+const App = () => {
+  const envGasUrl = (import.meta.env.VITE_GAS_URL || '').trim();
+  const [settings, setSettings] = useState(loadSettings);
+  const [settingsBackup, setSettingsBackup] = useState(loadSettingsBackup);
+  const initialGasUrl = getSetting(settings, 'gasUrl') || envGasUrl || DEFAULT_GAS_URL;
+  const storedSource = getSetting(settings, 'dataSource');
 
-  const major = entries.slice(0, limit);
-  const restValue = entries.slice(limit).reduce((sum, item) => sum + item.value, 0);
-  return [...major, { name: 'その他', value: restValue }];
-};
+  const [data, setData] = useState(null);
+  const [dataSource, setDataSource] = useState(() => storedSource || SOURCE_GAS);
+  const [draftSource, setDraftSource] = useState(() => (FORM_SOURCES.includes(storedSource) ? storedSource : SOURCE_GAS));
+  const [jsonUrl, setJsonUrl] = useState(() => getSetting(settings, 'jsonUrl'));
+  const [importedRows, setImportedRows] = useState(() => readStoredRows(CSV_STORAGE_KEY));
+  // 読み込んだ明細を localStorage に保存できなかったときの案内
+  const [csvSaveError, setCsvSaveError] = useState(null);
+  // 未設定の項目は既定値になる（毎回作り直さないよう、保存された値が変わったときだけ読み直す）
+  const rules = useMemo(() => getSetting(settings, 'rules'), [settings.rules]);
+  const storedHints = useMemo(() => getSetting(settings, 'classificationHints'), [settings.classificationHints]);
+  const classificationHints = useMemo(() => resolveClassificationHints(storedHints), [storedHints]);
+  const budgets = useMemo(() => getSetting(settings, 'budgets'), [settings.budgets]);
+  const installmentPlans = useMemo(() => getSetting(settings, 'installmentPlans'), [settings.installmentPlans]);
+  const trackers = useMemo(() => getSetting(settings, 'trackers'), [settings.trackers]);
+  const goals = useMemo(() => getSetting(settings, 'goals'), [settings.goals]);
+  const periodSetting = useMemo(() => getSetting(settings, 'period'), [settings.period]);
+  const duplicateResolutions = useMemo(
+    () => getSetting(settings, 'duplicateResolutions'),
+    [settings.duplicateResolutions]
+  );
+  const [loading, setLoading] = useState(true);
+  // GASから読んだ年（all: 全期間）。ほかのデータソースは全件を読むので null
+  const [loadedYears, setLoadedYears] = useState(null);
+  const [loadingYears, setLoadingYears] = useState(false);
+  // GASの _CSV シートの年（まだ読んでいない年も年の選択に出す）
+  const [sheetYears, setSheetYears] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [gasUrl, setGasUrl] = useState(initialGasUrl);
+  const [gasToken, setGasToken] = useState(() => getSetting(settings, 'gasToken'));
+  // パスフレーズが受け付けられなかったときに設定画面へ出す案内
+  const [configNotice, setConfigNotice] = useState(null);
+  const gasOptions = { token: gasToken };
+  const [isConfiguring, setIsConfiguring] = useState(!initialGasUrl);
+  const [activeView, setActiveView] = useState(() => getSetting(settings, 'view') || VIEW_MONTHLY);
+  // 年月は集計期間の年月（25日始まりなら 1/1〜1/24 は前年12月）
+  const todayPeriod = getPeriodOfDate(new Date(), periodSetting);
+  const [selectedYear, setSelectedYear] = useState(todayPeriod.year);
+  const [selectedMonth, setSelectedMonth] = useState(todayPeriod.month);
+  const installmentAdjustInput = getMonthlyInput(settings, selectedYear, selectedMonth, MONTHLY_INSTALLMENT);
+  const partnerAdvanceInput = getMonthlyInput(settings, selectedYear, selectedMonth, MONTHLY_PARTNER_ADVANCE);
+
+  const dismissSettingsBackup = () => {
+    try {
+      clearSettingsBackup(localStorage);
+    } catch (error) {
+      // 消せなくても画面からは閉じる
+    }
+    setSettingsBackup(null);
+  };
 
-const summarizeMonth = (rows, installmentDeduction) => {
-  let incomeTotal = 0;
-  let expenseTotal = 0;
-  let adjustTotal = 0;
-  let salaryTotal = 0;
-  let bonusTotal = 0;
-  let fixedExpenseTotal = 0;
-  let hobbyTotal = 0;
-
-  const ledgerDetails = [];
-  const expenseBySubcategory = {};
-  const subscriptionDetails = [];
-  let subscriptionTotal = 0;
-  const aiDetails = [];
-  let aiTotal = 0;
+  const updateSettings = (patch) => {
+    const next = mergeSettings(settings, patch);
+    setSettings(next);
+    saveSettings(next);
+  };
 
-  rows.forEach((row) => {
-    const type = getType(row);
-    const amountRaw = parseAmount(row['金額（円）']);
-    const amountAbs = Math.abs(amountRaw);
-    const subcategory = String(row['中項目'] || '').trim();
-    const category = String(row['大項目'] || '').trim();
-
-    const detail = {
-      date: row['日付'],
-      content: row['内容'] || '',
-      category,
-      subcategory,
-      type,
-      amount: amountRaw,
-      amountAbs,
-      memo: row['メモ'] || '',
-      isTarget: isTargetRow(row)
-    };
+  // 読み込んだ設定ファイルやリセットで、ドキュメントごと置き換える
+  const replaceSettings = (next) => {
+    setSettings(next);
+    saveSettings(next);
+    const nextSource = getSetting(next, 'dataSource') || SOURCE_GAS;
+    setDataSource(nextSource);
+    setDraftSource(FORM_SOURCES.includes(nextSource) ? nextSource : SOURCE_GAS);
+    setGasUrl(getSetting(next, 'gasUrl') || envGasUrl || DEFAULT_GAS_URL);
+    setGasToken(getSetting(next, 'gasToken'));
+    setJsonUrl(getSetting(next, 'jsonUrl'));
+    setActiveView(getSetting(next, 'view') || VIEW_MONTHLY);
+  };
 
-    ledgerDetails.push(detail);
+  const updateMonthlyInput = (field, value) => {
+    const next = setMonthlyInput(settings, selectedYear, selectedMonth, field, value);
+    setSettings(next);
+    saveSettings(next);
+  };
 
-    if (!isTargetRow(row)) return;
+  // 月ごとの入力と Overview_Config の同期（GASのときのみ。lastSyncedMonthlyRef は同期済みの入力のJSON）
+  const [monthlySync, setMonthlySync] = useState(null);
+  const [monthlySyncRequest, setMonthlySyncRequest] = useState(0);
+  const lastSyncedMonthlyRef = useRef(null);
 
-    if (type === TYPE_INCOME) {
-      const contentSource = buildHintSource(row['内容'], row['メモ']);
-      if (hasHint(contentSource, EXCLUDE_INCOME_HINTS)) return;
-      incomeTotal += amountAbs;
-      const hintSource = buildHintSource(row['大項目'], row['中項目'], row['内容']);
-      if (hasHint(hintSource, SALARY_HINTS)) salaryTotal += amountAbs;
-      if (hasHint(hintSource, BONUS_HINTS)) bonusTotal += amountAbs;
+  const syncMonthlyInputs = async (monthlyInputs) => {
+    setMonthlySync({ status: SYNC_SYNCING });
+    try {
+      const entries = await syncGasOverviewConfig(gasUrl, toOverviewConfigEntries(monthlyInputs), gasOptions);
+      setSettings((current) => {
+        const merged = mergeOverviewConfigEntries(current.monthlyInputs, entries);
+        // 同期中に入力された値はまだ送っていないので、次の同期で送る
+        if (JSON.stringify(current.monthlyInputs || {}) === JSON.stringify(monthlyInputs)) {
+          lastSyncedMonthlyRef.current = JSON.stringify(merged);
+        }
+        const next = mergeSettings(current, {
+          monthlyInputs: Object.keys(merged).length > 0 ? merged : undefined
+        });
+        saveSettings(next);
+        return next;
+      });
+      setMonthlySync({ status: SYNC_DONE, at: new Date() });
+    } catch (error) {
+      lastSyncedMonthlyRef.current = null;
+      setMonthlySync({ status: SYNC_FAILED, message: error.message });
     }
-    if (type === TYPE_EXPENSE) expenseTotal += amountAbs;
-    if (type === TYPE_ADJUST) adjustTotal += amountRaw;
-
-    if (type === TYPE_EXPENSE) {
-      const key = subcategory || category || '未分類';
-      expenseBySubcategory[key] = (expenseBySubcategory[key] || 0) + amountAbs;
-
-      if (!VARIABLE_EXPENSE_CATEGORIES.includes(category)) fixedExpenseTotal += amountAbs;
-      if (category === HOBBY_CATEGORY) hobbyTotal += amountAbs;
+  };
 
-      if (isSubscriptionRow(row, type)) {
-        subscriptionTotal += amountAbs;
-        subscriptionDetails.push(detail);
-      }
+  useEffect(() => {
+    if (dataSource !== SOURCE_GAS || isConfiguring) return undefined;
+    const monthlyInputs = settings.monthlyInputs || {};
+    if (lastSyncedMonthlyRef.current === JSON.stringify(monthlyInputs)) return undefined;
+    const timer = setTimeout(() => syncMonthlyInputs(monthlyInputs), MONTHLY_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [dataSource, isConfiguring, gasUrl, gasToken, settings.monthlyInputs, monthlySyncRequest]);
+
+  // 再読み込みのたびに、シート側で変えた月も取り込む
+  const requestMonthlySync = () => {
+    lastSyncedMonthlyRef.current = null;
+    setMonthlySyncRequest((count) => count + 1);
+  };
 
-      if (isAiExpenseRow(row, type)) {
-        aiTotal += amountAbs;
-        aiDetails.push(detail);
-      }
-    }
-  });
+  const monthlySyncNote =
+    dataSource === SOURCE_GAS && monthlySync ? (
+      <p
+        className={`mt-2 flex items-center gap-2 text-[10px] ${
+          monthlySync.status === SYNC_FAILED ? 'text-rose-600' : 'text-slate-400'
+        }`}
+      >
+        {monthlySync.status === SYNC_SYNCING && 'Overview_Config と同期中…'}
+        {monthlySync.status === SYNC_DONE &&
+          `Overview_Config と同期済み（${monthlySync.at.toLocaleTimeString('ja-JP', {
+            hour: '2-digit',
+            minute: '2-digit'
+          })}）`}
+        {monthlySync.status === SYNC_FAILED && (
+          <>
+            <span>Overview_Config と同期できませんでした: {monthlySync.message}</span>
+            <button type="button" onClick={requestMonthlySync} className="font-semibold hover:text-rose-700">
+              再試行
+            </button>
+          </>
+        )}
+      </p>
+    ) : null;
 
-  return {
-    ledger: {
-      income: incomeTotal,
-      expense: expenseTotal,
-      adjust: adjustTotal,
-      net: incomeTotal - expenseTotal + adjustTotal
-    },
-    salary: salaryTotal,
-    bonus: bonusTotal,
-    fixedExpense: fixedExpenseTotal,
-    hobby: hobbyTotal,
-    expenseBySubcategory,
-    details: {
-      ledger: ledgerDetails.sort((a, b) => new Date(b.date) - new Date(a.date))
-    },
-    subscription: {
-      total: subscriptionTotal,
-      details: subscriptionDetails.sort((a, b) => new Date(b.date) - new Date(a.date))
-    },
-    ai: {
-      total: aiTotal,
-      details: aiDetails.sort((a, b) => new Date(b.date) - new Date(a.date))
-    }
+  const changeView = (view) => {
+    setActiveView(view);
+    updateSettings({ view });
   };
-};
 
-const App = () => {
-  const envGasUrl = (import.meta.env.VITE_GAS_URL || '').trim();
-  const storedGasUrl = readLocalStorage('gas_url');
-  const initialGasUrl = storedGasUrl || envGasUrl || DEFAULT_GAS_URL;
+  const installmentDeduction = useMemo(
+    () =>
+      resolveInstallmentDeduction(installmentAdjustInput, selectedYear, selectedMonth, installmentPlans, periodSetting),
+    [installmentAdjustInput, selectedYear, selectedMonth, installmentPlans, periodSetting]
+  );
 
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [errorMessage, setErrorMessage] = useState('');
-  const [gasUrl, setGasUrl] = useState(initialGasUrl);
-  const [isConfiguring, setIsConfiguring] = useState(!initialGasUrl);
-  const [activeView, setActiveView] = useState(
-    () => readLocalStorage(VIEW_STORAGE_KEY) || VIEW_MONTHLY
+  const installmentSchedule = useMemo(
+    () => getInstallmentSchedule(selectedYear, selectedMonth, installmentPlans, periodSetting),
+    [selectedYear, selectedMonth, installmentPlans, periodSetting]
   );
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
-  const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
-  const [installmentAdjustInput, setInstallmentAdjustInput] = useState(() => {
-    return (
-      readLocalStorage(getInstallmentKey(new Date().getFullYear(), new Date().getMonth() + 1)) ??
-      String(INSTALLMENT_DEFAULT_TOTAL)
-    );
-  });
 
-  const installmentDeduction = useMemo(
-    () => parseYenInput(installmentAdjustInput),
-    [installmentAdjustInput]
+  const partnerAdvance = useMemo(() => parseYenInput(partnerAdvanceInput), [partnerAdvanceInput]);
+
+  const ruledData = useMemo(() => (data ? applyRules(data, rules).rows : null), [data, rules]);
+  // 重複の疑いがある明細は、確認するまで2件目以降を計算対象外にする
+  const duplicateGroups = useMemo(() => (ruledData ? detectDuplicates(ruledData) : []), [ruledData]);
+  const classifiedData = useMemo(
+    () => (ruledData ? applyDuplicateResolutions(ruledData, duplicateGroups, duplicateResolutions) : null),
+    [ruledData, duplicateGroups, duplicateResolutions]
   );
+  const dataHealth = useMemo(() => (ruledData ? buildDataHealth(ruledData) : []), [ruledData]);
+  const dataHealthSummary = summarizeDataHealth(dataHealth);
 
-  useEffect(() => {
-    const stored = readLocalStorage(getInstallmentKey(selectedYear, selectedMonth));
-    setInstallmentAdjustInput(stored ?? String(INSTALLMENT_DEFAULT_TOTAL));
-  }, [selectedYear, selectedMonth]);
+  const updateRules = (nextRules) => updateSettings({ rules: nextRules });
+  const updateClassificationHints = (nextHints) =>
+    updateSettings({ classificationHints: Object.keys(nextHints).length > 0 ? nextHints : undefined });
+
+  const updateDuplicateResolutions = (nextResolutions) => updateSettings({ duplicateResolutions: nextResolutions });
+
+  const updateBudgets = (nextBudgets) => updateSettings({ budgets: nextBudgets });
+
+  const updateInstallmentPlans = (nextPlans) => updateSettings({ installmentPlans: nextPlans });
+
+  const updateTrackers = (nextTrackers) => updateSettings({ trackers: nextTrackers });
+
+  const updateGoals = (nextGoals) => updateSettings({ goals: nextGoals });
+
+  const activeTrackers = useMemo(() => getActiveTrackers(trackers), [trackers]);
+
+  // 予算の入力候補（明細に出てくる支出の大項目・中項目）
+  const budgetCategories = useMemo(() => {
+    const map = {};
+    (classifiedData || []).forEach((row) => {
+      if (getType(row) !== TYPE_EXPENSE) return;
+      const category = String(row['大項目'] || '').trim();
+      if (!category) return;
+      if (!map[category]) map[category] = new Set();
+      const subcategory = String(row['中項目'] || '').trim();
+      if (subcategory) map[category].add(subcategory);
+    });
+    return Object.keys(map)
+      .sort()
+      .map((category) => ({ category, subcategories: Array.from(map[category]).sort() }));
+  }, [classifiedData]);
+
+  // 貯蓄目標のタグの入力候補（明細に付いているタグ）
+  const goalTags = useMemo(() => {
+    const tags = new Set();
+    (classifiedData || []).forEach((row) => (row[TAGS_FIELD] || []).forEach((tag) => tags.add(tag)));
+    return Array.from(tags).sort();
+  }, [classifiedData]);
 
   const availableYears = useMemo(() => {
-    if (!data) return [new Date().getFullYear()];
-    const years = new Set();
+    if (!data) return [todayPeriod.year];
+    const years = new Set(dataSource === SOURCE_GAS ? sheetYears : []);
     data.forEach((row) => {
-      const d = new Date(row['日付']);
-      if (!Number.isNaN(d.getTime())) years.add(d.getFullYear());
+      const d = parseLedgerDate(row['日付']);
+      if (d) years.add(getPeriodOfDate(d, periodSetting).year);
     });
     const sorted = Array.from(years).sort((a, b) => b - a);
-    return sorted.length ? sorted : [new Date().getFullYear()];
-  }, [data]);
+    return sorted.length ? sorted : [todayPeriod.year];
+  }, [data, dataSource, sheetYears, periodSetting, todayPeriod.year]);
+
+  // 表示に必要な年（null は全期間）。月次・年間は選んだ年と前年（前年比・定期支出の判定用）と、貯蓄目標の開始年から今年まで
+  const requiredYears = useMemo(() => {
+    if (ALL_YEAR_VIEWS.includes(activeView)) return null;
+    const goalYears = goals
+      .map((goal) => parseInt(String(goal.startMonth || '').slice(0, 4), 10))
+      .filter((year) => !Number.isNaN(year));
+    const first = Math.min(selectedYear - 1, ...goalYears);
+    const last = goalYears.length > 0 ? Math.max(selectedYear, todayPeriod.year) : selectedYear;
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+  }, [activeView, selectedYear, goals, todayPeriod.year]);
+
+  // 年で絞ってGASから読む（years が null なら全期間）。旧バージョンの doGet は範囲を無視して全件返す
+  const loadGasYears = async (source, years) => {
+    const range = years ? getYearMonthSpan(years[0], years[years.length - 1], periodSetting) : null;
+    const rows = await source.load(range ? { range } : {});
+    setSheetYears(source.listSheetYears());
+    return { rows, complete: !range || !rows.every(isWritableRow) };
+  };
+
+  const applyLoadedRows = (rows) => {
+    setData(rows);
+    const latest = findLatestDate(rows);
+    if (latest) {
+      const latestPeriod = getPeriodOfDate(latest, periodSetting);
+      setSelectedYear(latestPeriod.year);
+      setSelectedMonth(latestPeriod.month);
+    }
+  };
+
+  const updatePeriodSetting = (nextPeriod) => updateSettings({ period: nextPeriod });
+
+  // 口座の残高は純資産ビューを開いたときに読み込む（明細を読み直すと idle に戻る）
+  const [balanceState, setBalanceState] = useState({ status: 'idle' });
+
+  const buildSource = () =>
+    createDataSource(dataSource, {
+      gasUrl,
+      gasToken,
+      gasCache,
+      jsonUrl,
+      csvRows: importedRows,
+      baseUrl: import.meta.env.BASE_URL
+    });
 
   const fetchData = async () => {
-    if (!gasUrl) return;
+    const source = buildSource();
+    setBalanceState({ status: 'idle' });
     setLoading(true);
-    setErrorMessage('');
+    setLoadError(null);
     try {
-      const response = await fetch(gasUrl, { cache: 'no-store' });
-      if (!response.ok) {
-        throw new Error('APIの応答に失敗しました');
-      }
-      const json = await response.json();
-      if (!Array.isArray(json)) {
-        throw new Error('想定外のデータ形式です');
-      }
-      setData(json);
-
-      if (json.length > 0) {
-        let maxDate = new Date(0);
-        json.forEach((row) => {
-          const d = new Date(row['日付']);
-          if (!Number.isNaN(d.getTime()) && d > maxDate) {
-            maxDate = d;
-          }
-        });
-        if (maxDate.getTime() > 0) {
-          setSelectedYear(maxDate.getFullYear());
-          setSelectedMonth(maxDate.getMonth() + 1);
-        }
+      if (dataSource === SOURCE_GAS) {
+        const { rows, complete } = await loadGasYears(source, requiredYears);
+        setLoadedYears(complete ? { all: true, years: [] } : { all: false, years: requiredYears });
+        applyLoadedRows(rows);
+        requestMonthlySync();
+      } else {
+        setLoadedYears(null);
+        applyLoadedRows(await source.load());
       }
     } catch (error) {
-      setErrorMessage('データの取得に失敗しました。URLや公開設定を確認してください。');
+      // パスフレーズの誤りは再読み込みでは直らないので、設定画面で入力し直してもらう
+      if (error.kind === ERROR_UNAUTHORIZED) {
+        setConfigNotice(describeLoadError(error, source));
+        setIsConfiguring(true);
+      } else {
+        setLoadError(describeLoadError(error, source));
+      }
     } finally {
       setLoading(false);
     }
   };
 
   useEffect(() => {
-    if (gasUrl && !isConfiguring) {
+    if (!isConfiguring) {
       fetchData();
     }
-  }, [gasUrl, isConfiguring]);
+  }, [isConfiguring, dataSource]);
+
+  // 別の年を選んだり全期間のビューを開いたりしたら、まだ読んでいない年をGASから読み足す
+  useEffect(() => {
+    // 読めなかったときはエラー画面の「再読み込み」で読み直す
+    if (!data || loadError || !loadedYears || loadedYears.all || loadingYears || loading) return;
+    const missing = requiredYears ? requiredYears.filter((year) => !loadedYears.years.includes(year)) : null;
+    if (missing && missing.length === 0) return;
+    const source = buildSource();
+    const loadMissingYears = async () => {
+      setLoadingYears(true);
+      try {
+        const { rows, complete } = await loadGasYears(source, missing);
+        setData((current) => mergeGasRows(current || [], rows));
+        setLoadedYears((current) =>
+          complete ? { all: true, years: [] } : { all: false, years: [...current.years, ...missing] }
+        );
+      } catch (error) {
+        setLoadError(describeLoadError(error, source));
+      } finally {
+        setLoadingYears(false);
+      }
+    };
+    loadMissingYears();
+  }, [data, loadError, loadedYears, loadingYears, loading, requiredYears]);
+
+  useEffect(() => {
+    if (activeView !== VIEW_NET_WORTH || isConfiguring || balanceState.status !== 'idle') return;
+    const source = buildSource();
+    if (!source.loadBalances) {
+      setBalanceState({ status: 'unsupported' });
+      return;
+    }
+    const loadBalances = async () => {
+      setBalanceState({ status: 'loading' });
+      try {
+        setBalanceState({ status: 'ready', balances: await source.loadBalances() });
+      } catch (error) {
+        setBalanceState({ status: 'failed', error: describeLoadError(error, source) });
+      }
+    };
+    loadBalances();
+  }, [activeView, isConfiguring, balanceState.status]);
+
+  // 明細の表から編集できるのはGASから取得した行のみ
+  const writableRows = useMemo(() => {
+    if (!data || dataSource !== SOURCE_GAS) return new Map();
+    return new Map(data.filter(isWritableRow).map((row) => [getSheetRowKey(row), row]));
+  }, [data, dataSource]);
+
+  // 先に画面へ反映し、書き戻しに失敗したら元に戻す（競合時はスプレッドシートの最新の値にする）
+  const saveRowChanges = async (original, changes) => {
+    const optimistic = { ...original, ...changes };
+    const replaceRow = (from, to) => setData((rows) => rows.map((row) => (row === from ? to : row)));
+    replaceRow(original, optimistic);
+    try {
+      const record = await updateGasRow(gasUrl, original, changes, gasOptions);
+      replaceRow(optimistic, { ...optimistic, ...record });
+    } catch (error) {
+      replaceRow(
+        optimistic,
+        error instanceof RowConflictError && error.record ? { ...original, ...error.record } : original
+      );
+      throw error;
+    }
+  };
+
+  const updateImportedRows = (rows) => {
+    setImportedRows(rows);
+    const saved = writeLocalStorage(CSV_STORAGE_KEY, JSON.stringify(rows));
+    setCsvSaveError(
+      saved
+        ? null
+        : 'ブラウザの保存容量を超えたため、読み込んだ明細を保存できませんでした。ページを再読み込みすると消えます。不要な年を削除してから読み込み直してください。'
+    );
+    if (rows.length === 0) {
+      // 最後の年を削除したら、CSVの明細を閉じてデータソースを選び直してもらう
+      if (dataSource === SOURCE_CSV) {
+        setData(null);
+        setLoadError(null);
+        setDataSource(SOURCE_GAS);
+        updateSettings({ dataSource: undefined });
+        setIsConfiguring(true);
+      }
+      return;
+    }
+    setDataSource(SOURCE_CSV);
+    updateSettings({ dataSource: SOURCE_CSV });
+    setLoadError(null);
+    setLoadedYears(null);
+    applyLoadedRows(rows);
+    setLoading(false);
+  };
 
   const report = useMemo(() => {
-    if (!data) return null;
-    const filtered = data.filter((row) => isTargetRow(row) && isSameMonth(row, selectedYear, selectedMonth));
-    const summary = summarizeMonth(filtered, installmentDeduction);
+    if (!classifiedData) return null;
+    // 計算対象外の行も明細の表には出す（集計は summarizeMonth が計算対象の行だけで行う）
+    const monthRows = classifiedData.filter((row) => isSameMonth(row, selectedYear, selectedMonth, periodSetting));
+    const summary = summarizeMonth(monthRows, installmentDeduction, partnerAdvance, activeTrackers, classificationHints);
+    const netAfterInstallment = summary.ledger.net - installmentDeduction;
     return {
       ...summary,
-      netAfterInstallment: summary.ledger.net - installmentDeduction,
+      netAfterInstallment,
+      realNet: netAfterInstallment + summary.settlement.outstanding,
       expenseChart: buildChartData(summary.expenseBySubcategory),
-      hasRows: filtered.length > 0
+      budget: buildBudgetProgress(
+        summary.expenseByBudgetKey,
+        budgets,
+        selectedYear,
+        selectedMonth,
+        new Date(),
+        periodSetting
+      ),
+      hasRows: monthRows.some(isTargetRow)
     };
-  }, [data, selectedYear, selectedMonth, installmentDeduction]);
+  }, [
+    classifiedData,
+    selectedYear,
+    selectedMonth,
+    installmentDeduction,
+    partnerAdvance,
+    budgets,
+    activeTrackers,
+    periodSetting,
+    classificationHints
+  ]);
+
+  const getInstallmentDeductionOf = (year, month) =>
+    resolveInstallmentDeduction(
+      getMonthlyInput(settings, year, month, MONTHLY_INSTALLMENT),
+      year,
+      month,
+      installmentPlans,
+      periodSetting
+    );
+
+  // 月ごとの貯蓄目標への積み立て（{ 'YYYY-M': { total, byGoal } }）
+  const goalContributions = useMemo(() => {
+    if (!classifiedData) return {};
+    return buildGoalContributions(goals, classifiedData, {
+      period: periodSetting,
+      getInstallmentDeduction: getInstallmentDeductionOf,
+      hints: classificationHints
+    });
+  }, [goals, classifiedData, settings.monthlyInputs, installmentPlans, periodSetting, classificationHints]);
+
+  const goalProgress = useMemo(
+    () => buildGoalProgress(goals, goalContributions, new Date(), periodSetting),
+    [goals, goalContributions, periodSetting]
+  );
+  // 年間Overviewに積み立てを出す目標（目標額と期間が入っているもの）
+  const overviewGoals = useMemo(() => goalProgress.map((item) => item.goal), [goalProgress]);
+
+  const describeGoalContribution = (byGoal) =>
+    overviewGoals.map((goal) => `${goal.name || '名前なし'}: ${formatYen(byGoal[goal.id] || 0)}`).join('\n');
 
   const overviewRows = useMemo(() => {
-    if (!data) return [];
+    if (!classifiedData) return [];
     return Array.from({ length: 12 }, (_, index) => {
       const month = index + 1;
-      const monthRows = data.filter((row) => isTargetRow(row) && isSameMonth(row, selectedYear, month));
-      const storedInstallment = readLocalStorage(getInstallmentKey(selectedYear, month));
-      const installmentValue = storedInstallment ?? String(INSTALLMENT_DEFAULT_TOTAL);
-      const installmentDeduction = parseYenInput(installmentValue);
-      const summary = summarizeMonth(monthRows, installmentDeduction);
+      const monthRows = classifiedData.filter(
+        (row) => isTargetRow(row) && isSameMonth(row, selectedYear, month, periodSetting)
+      );
+      const storedInstallment = getMonthlyInput(settings, selectedYear, month, MONTHLY_INSTALLMENT);
+      const installmentDeduction = resolveInstallmentDeduction(
+        storedInstallment,
+        selectedYear,
+        month,
+        installmentPlans,
+        periodSetting
+      );
+      const partnerAdvanceValue = parseYenInput(
+        getMonthlyInput(settings, selectedYear, month, MONTHLY_PARTNER_ADVANCE)
+      );
+      const summary = summarizeMonth(
+        monthRows,
+        installmentDeduction,
+        partnerAdvanceValue,
+        activeTrackers,
+        classificationHints
+      );
+      const net = summary.ledger.net - installmentDeduction;
+      const budget = buildBudgetReport(summary.expenseByBudgetKey, budgets, selectedYear, month);
 
       return {
         month,
         income: summary.ledger.income,
         expense: summary.ledger.expense,
         adjust: summary.ledger.adjust,
-        net: summary.ledger.net - installmentDeduction,
+        net,
         installmentDeduction,
+        settlementOwed: summary.settlement.owed,
+        settlementReceived: summary.settlement.received,
+        settlementOutstanding: summary.settlement.outstanding,
+        realNet: net + summary.settlement.outstanding,
         salary: summary.salary,
         bonus: summary.bonus,
         fixedExpense: summary.fixedExpense,
-        hobby: summary.hobby
+        hobby: summary.hobby,
+        budget: budget.budget,
+        budgetSpent: budget.spent,
+        trackers: Object.fromEntries(summary.trackers.map((tracker) => [tracker.id, tracker.total])),
+        goalContribution: goalContributions[`${selectedYear}-${month}`]?.total || 0,
+        goals: goalContributions[`${selectedYear}-${month}`]?.byGoal || {}
       };
     });
-  }, [data, selectedYear, installmentAdjustInput]);
+  }, [
+    classifiedData,
+    selectedYear,
+    settings.monthlyInputs,
+    installmentPlans,
+    budgets,
+    activeTrackers,
+    goalContributions,
+    periodSetting,
+    classificationHints
+  ]);
 
   const overviewTotals = useMemo(() => {
     if (overviewRows.length === 0) return null;
@@ -404,10 +775,24 @@ const App = () => {
         adjust: acc.adjust + row.adjust,
         net: acc.net + row.net,
         installmentDeduction: acc.installmentDeduction + row.installmentDeduction,
+        settlementOwed: acc.settlementOwed + row.settlementOwed,
+        settlementReceived: acc.settlementReceived + row.settlementReceived,
+        settlementOutstanding: acc.settlementOutstanding + row.settlementOutstanding,
+        realNet: acc.realNet + row.realNet,
         salary: acc.salary + row.salary,
         bonus: acc.bonus + row.bonus,
         fixedExpense: acc.fixedExpense + row.fixedExpense,
-        hobby: acc.hobby + row.hobby
+        hobby: acc.hobby + row.hobby,
+        budget: acc.budget + row.budget,
+        budgetSpent: acc.budgetSpent + row.budgetSpent,
+        trackers: Object.fromEntries(
+          Object.entries(row.trackers).map(([id, total]) => [id, (acc.trackers[id] || 0) + total])
+        ),
+        goalContribution: acc.goalContribution + row.goalContribution,
+        goals: Object.keys(row.goals).reduce(
+          (totals, id) => ({ ...totals, [id]: (totals[id] || 0) + row.goals[id] }),
+          acc.goals
+        )
       }),
       {
         income: 0,
@@ -415,34 +800,124 @@ const App = () => {
         adjust: 0,
         net: 0,
         installmentDeduction: 0,
+        settlementOwed: 0,
+        settlementReceived: 0,
+        settlementOutstanding: 0,
+        realNet: 0,
         salary: 0,
         bonus: 0,
         fixedExpense: 0,
-        hobby: 0
+        hobby: 0,
+        budget: 0,
+        budgetSpent: 0,
+        trackers: {},
+        goalContribution: 0,
+        goals: {}
       }
     );
   }, [overviewRows]);
 
+  const trends = useMemo(() => {
+    if (!classifiedData) return null;
+    return buildYearlyTrends(classifiedData, availableYears, {
+      period: periodSetting,
+      getInstallmentDeduction: getInstallmentDeductionOf,
+      hints: classificationHints
+    });
+  }, [classifiedData, availableYears, settings.monthlyInputs, installmentPlans, periodSetting, classificationHints]);
+
+  const netWorth = useMemo(() => {
+    if (!classifiedData || balanceState.status !== 'ready') return null;
+    return buildNetWorth(balanceState.balances, classifiedData, {
+      period: periodSetting,
+      getInstallmentDeduction: getInstallmentDeductionOf,
+      hints: classificationHints
+    });
+  }, [classifiedData, balanceState, settings.monthlyInputs, installmentPlans, periodSetting, classificationHints]);
+
+  // 書き出し・印刷の対象（月次ビューは支出カテゴリと取引明細、年間ビューは年間Overview）
+  const exportTables = useMemo(() => {
+    if (!report) return null;
+    if (activeView === VIEW_MONTHLY) {
+      return [
+        buildCategoryTable(selectedYear, selectedMonth, report.expenseBySubcategory),
+        buildLedgerTable(selectedYear, selectedMonth, report.details.ledger)
+      ];
+    }
+    if (activeView === VIEW_ANNUAL) {
+      return [buildOverviewTable(selectedYear, overviewRows, overviewTotals, activeTrackers, overviewGoals)];
+    }
+    return null;
+  }, [activeView, report, selectedYear, selectedMonth, overviewRows, overviewTotals, activeTrackers, overviewGoals]);
+
+  // 今月以降は月末の見込みを破線で表示する（前月の実績から線をつなぐ）
   const monthlySeries = useMemo(() => {
-    return overviewRows.map((row) => ({
-      label: `${row.month}月`,
-      net: row.net
-    }));
-  }, [overviewRows]);
+    const today = new Date();
+    const current = getPeriodOfDate(today, periodSetting);
+    const currentIndex = current.year * 12 + current.month - 1;
+    return overviewRows.map((row) => {
+      const offset = selectedYear * 12 + row.month - 1 - currentIndex;
+      if (offset < -1) return { label: `${row.month}月`, net: row.net };
+      if (offset === -1) return { label: `${row.month}月`, net: row.net, projected: row.net };
+      const forecast = forecastMonth(classifiedData, {
+        year: selectedYear,
+        month: row.month,
+        actualNet: row.net,
+        installmentDeduction: row.installmentDeduction,
+        today,
+        period: periodSetting,
+        hints: classificationHints
+      });
+      return { label: `${row.month}月`, net: offset === 0 ? row.net : null, projected: forecast.net.expected };
+    });
+  }, [overviewRows, classifiedData, selectedYear, periodSetting, classificationHints]);
+
+  const forecast = useMemo(() => {
+    if (!report) return null;
+    const result = forecastMonth(classifiedData, {
+      year: selectedYear,
+      month: selectedMonth,
+      actualNet: report.netAfterInstallment,
+      installmentDeduction,
+      period: periodSetting,
+      hints: classificationHints
+    });
+    return result.elapsed < 1 ? result : null;
+  }, [report, classifiedData, selectedYear, selectedMonth, installmentDeduction, periodSetting, classificationHints]);
+
+  const recurring = useMemo(() => {
+    if (!classifiedData) return null;
+    return detectRecurringCharges(classifiedData, { year: selectedYear, month: selectedMonth, period: periodSetting });
+  }, [classifiedData, selectedYear, selectedMonth, periodSetting]);
 
   const saveConfig = (event) => {
     event.preventDefault();
-    const normalized = gasUrl.trim();
-    if (!normalized) return;
-    setGasUrl(normalized);
-    writeLocalStorage('gas_url', normalized);
+    const patch = { dataSource: draftSource };
+    if (draftSource === SOURCE_GAS) {
+      const normalized = gasUrl.trim();
+      if (!normalized) return;
+      setGasUrl(normalized);
+      patch.gasUrl = normalized;
+      const token = gasToken.trim();
+      setGasToken(token);
+      patch.gasToken = token || undefined;
+    }
+    if (draftSource === SOURCE_JSON) {
+      const normalized = jsonUrl.trim();
+      if (!normalized) return;
+      setJsonUrl(normalized);
+      patch.jsonUrl = normalized;
+    }
+    setDataSource(draftSource);
+    updateSettings(patch);
+    setConfigNotice(null);
     setIsConfiguring(false);
   };
 
   if (isConfiguring) {
     return (
       <div className="ambient-bg min-h-screen">
-        <div className="section-shell mx-auto flex min-h-screen max-w-lg items-center px-6 py-12">
+        <div className="section-shell mx-auto flex min-h-screen max-w-2xl flex-col items-center justify-center gap-6 px-6 py-12">
           <div
             className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
             style={{ boxShadow: 'var(--shadow)' }}
@@ -455,21 +930,226 @@ const App = () => {
             <p className="mt-2 text-sm text-slate-500">
               Google Apps ScriptのURLを設定すると、最新の家計データを取り込みます。
             </p>
+            {configNotice && (
+              <div className="mt-4 space-y-1 rounded-2xl border border-rose-100 bg-rose-50 px-4 py-3 text-xs text-rose-700">
+                <p className="font-semibold">{configNotice.title}</p>
+                {configNotice.hint && <p>{configNotice.hint}</p>}
+                {configNotice.detail && <p className="text-rose-500">{configNotice.detail}</p>}
+              </div>
+            )}
             <form onSubmit={saveConfig} className="mt-6 space-y-4">
-              <label className="block text-xs font-semibold text-slate-600">GAS WebアプリのURL</label>
-              <input
-                type="text"
-                className="w-full rounded-2xl border border-slate-200 bg-white/70 px-4 py-3 text-sm focus:border-emerald-400 focus:outline-none"
-                placeholder="https://script.google.com/macros/s/.../exec"
-                value={gasUrl}
-                onChange={(event) => setGasUrl(event.target.value)}
-                required
-              />
+              <label className="block text-xs font-semibold text-slate-600">データソース</label>
+              <div className="flex flex-wrap gap-2">
+                {FORM_SOURCES.map((id) => (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => setDraftSource(id)}
+                    className={`rounded-2xl px-4 py-2 text-xs font-semibold transition ${
+                      draftSource === id
+                        ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                        : 'border border-slate-200 text-slate-500 hover:bg-white'
+                    }`}
+                  >
+                    {SOURCE_LABELS[id]}
+                  </button>
+                ))}
+              </div>
+              {draftSource === SOURCE_GAS && (
+                <>
+                  <label className="block text-xs font-semibold text-slate-600">GAS WebアプリのURL</label>
+                  <input
+                    type="text"
+                    className="w-full rounded-2xl border border-slate-200 bg-white/70 px-4 py-3 text-sm focus:border-emerald-400 focus:outline-none"
+                    placeholder="https://script.google.com/macros/s/.../exec"
+                    value={gasUrl}
+                    onChange={(event) => setGasUrl(event.target.value)}
+                    required
+                  />
+                  <label className="block text-xs font-semibold text-slate-600">パスフレーズ</label>
+                  <input
+                    type="password"
+                    autoComplete="off"
+                    className="w-full rounded-2xl border border-slate-200 bg-white/70 px-4 py-3 text-sm focus:border-emerald-400 focus:outline-none"
+                    placeholder="スプレッドシートのメニューで発行したアクセストークン"
+                    value={gasToken}
+                    onChange={(event) => setGasToken(event.target.value)}
+                  />
+                  <p className="text-xs text-slate-400">
+                    スプレッドシートのメニュー「ダッシュボード」&gt;「アクセストークンを再発行」で発行した値です。
+                  </p>
+                </>
+              )}
+              {draftSource === SOURCE_JSON && (
+                <>
+                  <label className="block text-xs font-semibold text-slate-600">JSONファイルのURL</label>
+                  <input
+                    type="text"
+                    className="w-full rounded-2xl border border-slate-200 bg-white/70 px-4 py-3 text-sm focus:border-emerald-400 focus:outline-none"
+                    placeholder="https://example.com/ledger.json"
+                    value={jsonUrl}
+                    onChange={(event) => setJsonUrl(event.target.value)}
+                    required
+                  />
+                  <p className="text-xs text-slate-400">GASの出力と同じ、明細オブジェクトの配列を返すURLを指定します。</p>
+                </>
+              )}
+              {draftSource === SOURCE_MOCK && (
+                <p className="text-xs text-slate-400">
+                  開発サーバーが生成する架空の明細を表示します（npm run dev のときのみ）。
+                </p>
+              )}
               <button className="w-full rounded-2xl bg-emerald-600 px-4 py-3 text-sm font-semibold text-white shadow-lg shadow-emerald-200 transition hover:bg-emerald-700">
                 設定を保存して開始
               </button>
             </form>
           </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">CSVから読み込む</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              GASが使えないときは、家計簿のCSV（「_CSV」タブと同じ列）を直接読み込めます。年度ごとに複数ファイルを合わせられます。
+            </p>
+            <div className="mt-6">
+              <CsvImport rows={importedRows} onChange={updateImportedRows} saveError={csvSaveError} />
+            </div>
+            {importedRows.length > 0 && (
+              <button
+                type="button"
+                onClick={() => {
+                  setDataSource(SOURCE_CSV);
+                  updateSettings({ dataSource: SOURCE_CSV });
+                  setIsConfiguring(false);
+                }}
+                className="mt-4 w-full rounded-2xl border border-emerald-200 px-4 py-3 text-sm font-semibold text-emerald-700 transition hover:bg-emerald-50"
+              >
+                CSVのデータで開始
+              </button>
+            )}
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">分類ルール</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              内容・メモ・大項目・中項目の条件で、区分やカテゴリの変更、集計からの除外、タグ付けを行います。
+            </p>
+            <div className="mt-6">
+              <RuleEditor rules={rules} onChange={updateRules} rows={data} />
+            </div>
+            <h3 className="mt-8 text-sm font-semibold text-slate-700">分類キーワード</h3>
+            <p className="mt-1 text-xs text-slate-500">
+              給与・収入に数えない入金・固定費・趣味の判定に使うキーワードと大項目です。分類ルールを適用した後の明細に使います。
+            </p>
+            <div className="mt-4">
+              <ClassificationHintEditor
+                hints={storedHints}
+                onChange={updateClassificationHints}
+                onSaveToSheet={
+                  dataSource === SOURCE_GAS ? () => saveGasRules(gasUrl, rules, storedHints, gasOptions) : null
+                }
+              />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">予算</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              大項目・中項目ごとの月次予算です。特定の月だけ金額を変えたいときは、月を指定した予算を追加します。
+            </p>
+            <div className="mt-6">
+              <BudgetEditor
+                budgets={budgets}
+                onChange={updateBudgets}
+                categories={budgetCategories}
+                onSaveToSheet={
+                  dataSource === SOURCE_GAS ? (nextBudgets) => saveGasBudgets(gasUrl, nextBudgets, gasOptions) : null
+                }
+              />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">分割払い</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              月ごとの分割払い補正の自動計算に使う計画です。新しく分割払いで買ったものは、ここに月額と引落期間を追加します。
+            </p>
+            <div className="mt-6">
+              <InstallmentEditor
+                plans={installmentPlans}
+                onChange={updateInstallmentPlans}
+                onSaveToSheet={
+                  dataSource === SOURCE_GAS ? (nextPlans) => saveGasInstallments(gasUrl, nextPlans, gasOptions) : null
+                }
+              />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">トラッカー</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              条件のいずれかに一致する支出を集計し、月次ビューの明細カードと年間Overviewの列に表示します。分類ルールでトラッカー名のタグを付けた支出も対象になります。
+            </p>
+            <div className="mt-6">
+              <TrackerEditor trackers={trackers} onChange={updateTrackers} />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">貯蓄目標</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              目標額と期限から、毎月必要な積み立て額を計算します。積み立ては毎月の収支（分割補正後）の割合か、分類ルールで目標のタグを付けた振替で数えます。
+            </p>
+            <div className="mt-6">
+              <GoalEditor goals={goals} onChange={updateGoals} tags={goalTags} />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">集計期間</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              給料日に合わせて「25日〜翌月24日」のように月の区切りを変えられます。期間は開始日のある月として表示します。
+            </p>
+            <div className="mt-6">
+              <PeriodEditor
+                period={periodSetting}
+                onChange={updatePeriodSetting}
+                onSaveToSheet={
+                  dataSource === SOURCE_GAS ? (nextPeriod) => saveGasPeriod(gasUrl, nextPeriod, gasOptions) : null
+                }
+              />
+            </div>
+          </div>
+          <div
+            className="w-full rounded-3xl border border-white/70 bg-white/80 p-8 shadow-2xl backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <h2 className="font-display text-lg font-semibold text-slate-900">保存されている設定</h2>
+            <p className="mt-2 text-sm text-slate-500">
+              このブラウザに保存されている設定と月ごとの入力です。JSONに書き出しておくと、別の端末やブラウザのデータを消した後に読み込んで戻せます。
+            </p>
+            <div className="mt-6">
+              <SettingsOverview
+                settings={settings}
+                onChange={replaceSettings}
+                backup={settingsBackup}
+                onDismissBackup={dismissSettingsBackup}
+              />
+            </div>
+          </div>
         </div>
       </div>
     );
@@ -486,11 +1166,19 @@ const App = () => {
     );
   }
 
-  if (errorMessage) {
+  if (loadError) {
     return (
       <div className="ambient-bg min-h-screen">
         <div className="section-shell flex min-h-screen flex-col items-center justify-center gap-5 px-6 text-center">
-          <p className="max-w-md text-sm text-slate-500">{errorMessage}</p>
+          <div className="max-w-md space-y-2">
+            <p className="text-sm font-semibold text-slate-700">{loadError.title}</p>
+            {loadError.hint && <p className="text-sm text-slate-500">{loadError.hint}</p>}
+            {loadError.detail && (
+              <p className="break-all rounded-2xl bg-white/70 px-3 py-2 text-left font-mono text-[10px] text-slate-400">
+                {loadError.detail}
+              </p>
+            )}
+          </div>
           <div className="flex flex-col gap-3 sm:flex-row">
             <button
               onClick={fetchData}
@@ -502,9 +1190,13 @@ const App = () => {
               onClick={() => setIsConfiguring(true)}
               className="rounded-2xl border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-500 transition hover:bg-white/80"
             >
-              URLを変更
+              設定を変更
             </button>
           </div>
+          <div className="w-full max-w-md text-left">
+            <p className="mb-3 text-center text-xs text-slate-400">または家計簿のCSVを読み込んで表示</p>
+            <CsvImport rows={importedRows} onChange={updateImportedRows} saveError={csvSaveError} />
+          </div>
         </div>
       </div>
     );
@@ -520,6 +1212,25 @@ const App = () => {
     return amount >= 0 ? 'text-emerald-600' : 'text-rose-600';
   };
 
+  // 予算対比: 予算内なら残額、超過なら超過額
+  const formatBudgetVariance = (budget, spent) => {
+    if (!budget) return <span className="text-slate-300">-</span>;
+    const remaining = budget - spent;
+    return (
+      <span className={remaining >= 0 ? 'text-emerald-700' : 'text-rose-600'} title={`${formatYen(spent)} / ${formatYen(budget)}`}>
+        {remaining >= 0 ? `残り ${formatYen(remaining)}` : `${formatYen(remaining)} 超過`}
+      </span>
+    );
+  };
+
+  // 比較ビューと明細検索は期間を画面内で選ぶので、ヘッダーの年月は月次・年間ビューだけに出す
+  const hasPeriodSelector = activeView === VIEW_MONTHLY || activeView === VIEW_ANNUAL;
+  // 純資産ビューの読み込み状況（表示できるときは null）
+  let netWorthStatus = null;
+  if (!netWorth) {
+    netWorthStatus = ['failed', 'unsupported'].includes(balanceState.status) ? balanceState.status : 'loading';
+  }
+
   const formatLedgerAmount = (item) => {
     if (item.type === TYPE_INCOME) return `+${formatYen(item.amountAbs)}`;
     if (item.type === TYPE_EXPENSE) return `-${formatYen(item.amountAbs)}`;
@@ -528,7 +1239,7 @@ const App = () => {
 
   return (
     <div className="ambient-bg min-h-screen">
-      <div className="section-shell mx-auto max-w-6xl px-4 pb-16 pt-10">
+      <div className={`section-shell mx-auto max-w-6xl px-4 pb-16 pt-10 ${exportTables ? 'print:hidden' : ''}`}>
         <header className="flex flex-col gap-6 lg:flex-row lg:items-end lg:justify-between">
           <div className="space-y-3">
             <div className="inline-flex items-center gap-2 rounded-full border border-white/70 bg-white/70 px-3 py-1 text-xs font-semibold text-emerald-700">
@@ -539,40 +1250,74 @@ const App = () => {
               キャッシュフロー・ダッシュボード
             </h1>
             <p className="text-sm text-slate-500">
-              Google Sheets連携で、収支と固定費を一目で把握
+              {dataSource === SOURCE_CSV
+                ? `読み込んだCSV（${importedRows.length.toLocaleString()} 件）を表示中`
+                : dataSource === SOURCE_GAS
+                  ? 'Google Sheets連携で、収支と固定費を一目で把握'
+                  : `${SOURCE_LABELS[dataSource]}のデータを表示中`}
             </p>
           </div>
           <div className="flex flex-wrap items-center gap-3">
-            <div
-              className="flex items-center gap-2 rounded-2xl border border-white/70 bg-white/80 px-3 py-2 text-sm text-slate-600"
-              style={{ boxShadow: 'var(--shadow)' }}
-            >
-              <Calendar className="h-4 w-4 text-emerald-600" />
-              <select
-                className="bg-transparent text-sm font-semibold text-slate-600 focus:outline-none"
-                value={selectedYear}
-                onChange={(event) => setSelectedYear(parseInt(event.target.value, 10))}
+            {hasPeriodSelector && (
+              <div
+                className="flex items-center gap-2 rounded-2xl border border-white/70 bg-white/80 px-3 py-2 text-sm text-slate-600"
+                style={{ boxShadow: 'var(--shadow)' }}
               >
-                {availableYears.map((year) => (
-                  <option key={year} value={year}>
-                    {year}年
-                  </option>
-                ))}
-              </select>
-              {activeView === VIEW_MONTHLY && (
+                <Calendar className="h-4 w-4 text-emerald-600" />
                 <select
                   className="bg-transparent text-sm font-semibold text-slate-600 focus:outline-none"
-                  value={selectedMonth}
-                  onChange={(event) => setSelectedMonth(parseInt(event.target.value, 10))}
+                  value={selectedYear}
+                  onChange={(event) => setSelectedYear(parseInt(event.target.value, 10))}
                 >
-                  {Array.from({ length: 12 }, (_, index) => index + 1).map((month) => (
-                    <option key={month} value={month}>
-                      {month}月
+                  {availableYears.map((year) => (
+                    <option key={year} value={year}>
+                      {year}年
                     </option>
                   ))}
                 </select>
-              )}
-            </div>
+                {loadingYears && <span className="text-xs text-slate-400">明細を読み込み中…</span>}
+                {activeView === VIEW_MONTHLY && (
+                  <select
+                    className="bg-transparent text-sm font-semibold text-slate-600 focus:outline-none"
+                    value={selectedMonth}
+                    onChange={(event) => setSelectedMonth(parseInt(event.target.value, 10))}
+                  >
+                    {Array.from({ length: 12 }, (_, index) => index + 1).map((month) => (
+                      <option key={month} value={month}>
+                        {month}月
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {activeView === VIEW_MONTHLY && !isCalendarPeriod(periodSetting) && (
+                  <span className="text-xs text-slate-400">{formatPeriodRange(selectedYear, selectedMonth, periodSetting)}</span>
+                )}
+              </div>
+            )}
+            {exportTables && (
+              <ExportMenu
+                tables={exportTables}
+                filename={
+                  activeView === VIEW_MONTHLY ? `${selectedYear}年${selectedMonth}月レポート` : `${selectedYear}年 年間Overview`
+                }
+                onPrint={() => window.print()}
+              />
+            )}
+            {dataHealthSummary.count > 0 && (
+              <button
+                type="button"
+                onClick={() => changeView(VIEW_HEALTH)}
+                className={`flex items-center gap-1.5 rounded-2xl border px-3 py-2 text-xs font-semibold shadow-sm transition ${
+                  dataHealthSummary.severity === SEVERITY_ERROR
+                    ? 'border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100'
+                    : 'border-amber-200 bg-amber-50 text-amber-700 hover:bg-amber-100'
+                }`}
+                title="データ品質を確認"
+              >
+                <AlertTriangle className="h-4 w-4" />
+                {dataHealthSummary.count.toLocaleString()}
+              </button>
+            )}
             <button
               onClick={fetchData}
               className="rounded-2xl border border-white/70 bg-white/80 p-2 text-emerald-600 shadow-sm transition hover:bg-white"
@@ -596,10 +1341,7 @@ const App = () => {
         >
           <button
             type="button"
-            onClick={() => {
-              setActiveView(VIEW_MONTHLY);
-              writeLocalStorage(VIEW_STORAGE_KEY, VIEW_MONTHLY);
-            }}
+            onClick={() => changeView(VIEW_MONTHLY)}
             className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
               activeView === VIEW_MONTHLY
                 ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
@@ -610,10 +1352,7 @@ const App = () => {
           </button>
           <button
             type="button"
-            onClick={() => {
-              setActiveView(VIEW_ANNUAL);
-              writeLocalStorage(VIEW_STORAGE_KEY, VIEW_ANNUAL);
-            }}
+            onClick={() => changeView(VIEW_ANNUAL)}
             className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
               activeView === VIEW_ANNUAL
                 ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
@@ -622,12 +1361,111 @@ const App = () => {
           >
             年間ビュー
           </button>
+          <button
+            type="button"
+            onClick={() => changeView(VIEW_TRENDS)}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
+              activeView === VIEW_TRENDS
+                ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                : 'text-slate-500 hover:bg-white'
+            }`}
+          >
+            推移ビュー
+          </button>
+          <button
+            type="button"
+            onClick={() => changeView(VIEW_NET_WORTH)}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
+              activeView === VIEW_NET_WORTH
+                ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                : 'text-slate-500 hover:bg-white'
+            }`}
+          >
+            純資産
+          </button>
+          <button
+            type="button"
+            onClick={() => changeView(VIEW_COMPARE)}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
+              activeView === VIEW_COMPARE
+                ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                : 'text-slate-500 hover:bg-white'
+            }`}
+          >
+            比較ビュー
+          </button>
+          <button
+            type="button"
+            onClick={() => changeView(VIEW_EXPLORER)}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
+              activeView === VIEW_EXPLORER
+                ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                : 'text-slate-500 hover:bg-white'
+            }`}
+          >
+            明細検索
+          </button>
+          <button
+            type="button"
+            onClick={() => changeView(VIEW_HEALTH)}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold transition sm:flex-none ${
+              activeView === VIEW_HEALTH
+                ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200'
+                : 'text-slate-500 hover:bg-white'
+            }`}
+          >
+            データ品質
+          </button>
           <div className="ml-auto hidden text-xs text-slate-400 sm:block">
-            表示を切り替えて月次/年間を確認
+            表示を切り替えて月次/年間/推移/純資産/比較/明細/データ品質を確認
           </div>
         </div>
 
-        {!report.hasRows && (
+        {csvSaveError && dataSource === SOURCE_CSV && (
+          <div className="mt-6 flex items-start gap-2 rounded-2xl border border-rose-100 bg-rose-50 px-4 py-3 text-xs text-rose-600">
+            <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+            <p>{csvSaveError}</p>
+          </div>
+        )}
+
+        {duplicateGroups.length > 0 && (
+          <DuplicateReview
+            groups={duplicateGroups}
+            resolutions={duplicateResolutions}
+            onChange={updateDuplicateResolutions}
+            onSaveToSheet={
+              dataSource === SOURCE_GAS
+                ? (nextResolutions) => saveGasDuplicates(gasUrl, nextResolutions, gasOptions)
+                : null
+            }
+          />
+        )}
+
+        {activeView === VIEW_COMPARE && (
+          <ComparisonView
+            rows={classifiedData}
+            years={availableYears}
+            year={selectedYear}
+            month={selectedMonth}
+            accountingPeriod={periodSetting}
+          />
+        )}
+
+        {activeView === VIEW_TRENDS && <TrendView trends={trends} />}
+
+        {activeView === VIEW_NET_WORTH && (
+          <NetWorthView
+            netWorth={netWorth}
+            status={netWorthStatus}
+            error={balanceState.error}
+          />
+        )}
+
+        {activeView === VIEW_EXPLORER && <TransactionExplorer rows={classifiedData} />}
+
+        {activeView === VIEW_HEALTH && <DataHealthView issues={dataHealth} />}
+
+        {hasPeriodSelector && !report.hasRows && (
           <div
             className="mt-6 rounded-3xl border border-amber-100 bg-amber-50/80 px-5 py-4 text-sm text-amber-900"
             style={{ boxShadow: 'var(--shadow)' }}
@@ -712,10 +1550,82 @@ const App = () => {
             <p className="mt-4 text-2xl font-semibold text-slate-700">
               {formatYen(report.fixedExpense)}
             </p>
-            <p className="mt-2 text-xs text-slate-500">趣味・娯楽・食費・日用品を除く支出</p>
+            <p className="mt-2 text-xs text-slate-500">{describeVariableCategories(classificationHints)}を除く支出</p>
           </div>
         </section>
 
+        {forecast && (
+          <section className="mt-8">
+            <div
+              className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+              style={{ boxShadow: 'var(--shadow)' }}
+            >
+              <div className="flex flex-wrap items-end justify-between gap-4">
+                <div>
+                  <p className="text-xs font-semibold tracking-[0.2em] text-slate-400">FORECAST</p>
+                  <h2 className="font-display text-lg font-semibold text-slate-900">月末の収支見込み</h2>
+                  <p className="mt-1 text-xs text-slate-500">
+                    残り {forecast.remainingDays} 日・毎月の入出金と支出ペースからの見込みです
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className={`text-2xl font-semibold ${getSignedClass(forecast.net.expected)}`}>
+                    {formatSignedYen(forecast.net.expected)}
+                  </p>
+                  <p className="mt-1 text-xs text-slate-500">
+                    {formatSignedYen(forecast.net.low)} 〜 {formatSignedYen(forecast.net.high)}
+                  </p>
+                </div>
+              </div>
+              <div className="mt-6 grid grid-cols-1 gap-4 text-sm text-slate-600 md:grid-cols-3">
+                <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+                  <p className="text-xs font-semibold text-slate-500">今日までの収支</p>
+                  <p className={`mt-1 font-semibold ${getSignedClass(forecast.actualNet)}`}>
+                    {formatSignedYen(forecast.actualNet)}
+                  </p>
+                  <p className="mt-1 text-[11px] text-slate-400">
+                    分割補正 {formatDeduction(forecast.installmentDeduction)} を含む
+                  </p>
+                </div>
+                <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+                  <p className="text-xs font-semibold text-slate-500">これからの毎月の入出金</p>
+                  <p className={`mt-1 font-semibold ${getSignedClass(forecast.pendingIncome - forecast.pendingExpense)}`}>
+                    {formatSignedYen(forecast.pendingIncome - forecast.pendingExpense)}
+                  </p>
+                  {forecast.pending.length > 0 ? (
+                    <div className="mt-2 space-y-1 text-[11px] text-slate-500">
+                      {forecast.pending.map((entry) => (
+                        <div key={entry.key} className="flex items-center justify-between gap-2">
+                          <span className="truncate">
+                            {entry.day}日頃 {entry.name}
+                          </span>
+                          <span className={entry.type === TYPE_INCOME ? 'text-emerald-600' : 'text-orange-600'}>
+                            {entry.type === TYPE_INCOME ? '+' : '-'}
+                            {formatYen(entry.amount)}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="mt-1 text-[11px] text-slate-400">今月分はすべて計上済みです</p>
+                  )}
+                </div>
+                <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+                  <p className="text-xs font-semibold text-slate-500">変動費（残り {forecast.remainingDays} 日分）</p>
+                  <p className="mt-1 font-semibold text-orange-600">-{formatYen(forecast.variable.expected)}</p>
+                  <p className="mt-1 text-[11px] text-slate-400">
+                    {formatYen(forecast.variable.low)} 〜 {formatYen(forecast.variable.high)}・今月はここまで{' '}
+                    {formatYen(forecast.variable.soFar)}
+                  </p>
+                  {!forecast.hasHistory && (
+                    <p className="mt-1 text-[11px] text-amber-600">前月までの明細がないため、今月のペースのみで見込んでいます</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          </section>
+        )}
+
         <section className="mt-8 grid grid-cols-1 gap-6 lg:grid-cols-3">
           <div
             className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur lg:col-span-2"
@@ -743,6 +1653,15 @@ const App = () => {
                     labelFormatter={(label) => `${selectedYear}年${label}`}
                   />
                   <Line type="monotone" dataKey="net" stroke="#0F766E" strokeWidth={3} dot={false} name="収支" />
+                  <Line
+                    type="monotone"
+                    dataKey="projected"
+                    stroke="#0F766E"
+                    strokeWidth={2}
+                    strokeDasharray="6 4"
+                    dot={false}
+                    name="見込み"
+                  />
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -751,6 +1670,10 @@ const App = () => {
                 <span className="h-2 w-2 rounded-full bg-emerald-600" />
                 収支（分割補正後）
               </div>
+              <div className="flex items-center gap-2">
+                <span className="w-4 border-t-2 border-dashed border-emerald-700" />
+                月末の見込み
+              </div>
             </div>
           </div>
 
@@ -783,37 +1706,171 @@ const App = () => {
             <div className="mt-6 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-4">
               <div className="flex items-center justify-between text-xs text-slate-500">
                 <span className="font-semibold text-slate-600">分割払い補正</span>
-                <span>未計上のカード引落</span>
+                <span>{installmentAdjustInput ? '手入力の補正' : '計画から自動計算'}</span>
               </div>
               <div className="mt-3 flex items-center gap-2">
                 <input
                   type="text"
                   inputMode="numeric"
                   className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-2 text-right text-sm text-slate-600 focus:border-emerald-300 focus:outline-none"
-                  placeholder={`例: ${INSTALLMENT_DEFAULT_TOTAL.toLocaleString()}`}
+                  placeholder={`自動: ${getScheduledInstallmentTotal(
+                    selectedYear,
+                    selectedMonth,
+                    installmentPlans,
+                    periodSetting
+                  ).toLocaleString()}`}
                   value={installmentAdjustInput}
-                  onChange={(event) => {
-                    const cleaned = event.target.value.replace(/[^0-9]/g, '');
-                    setInstallmentAdjustInput(cleaned);
-                    writeLocalStorage(getInstallmentKey(selectedYear, selectedMonth), cleaned);
-                  }}
+                  onChange={(event) =>
+                    updateMonthlyInput(MONTHLY_INSTALLMENT, event.target.value.replace(/[^0-9]/g, ''))
+                  }
                 />
                 <span className="text-xs font-semibold text-slate-600">円</span>
               </div>
+              {installmentAdjustInput && (
+                <button
+                  type="button"
+                  onClick={() => updateMonthlyInput(MONTHLY_INSTALLMENT, '')}
+                  className="mt-2 text-xs font-semibold text-emerald-600 hover:text-emerald-700"
+                >
+                  自動計算に戻す
+                </button>
+              )}
+              {monthlySyncNote}
               <div className="mt-3 space-y-2 text-xs text-slate-500">
-                {INSTALLMENT_ITEMS.map((item) => (
-                  <div key={item.name} className="rounded-2xl border border-slate-100 bg-white/80 px-3 py-2">
+                {installmentSchedule.map((item) => (
+                  <div
+                    key={item.id || item.name}
+                    className={`rounded-2xl border border-slate-100 bg-white/80 px-3 py-2 ${item.active ? '' : 'opacity-50'}`}
+                  >
                     <div className="flex items-center justify-between text-xs text-slate-600">
-                      <span className="font-semibold">{item.name}</span>
+                      <span className="font-semibold">{item.name || '名前なし'}</span>
                       <span>{formatYen(item.amount)}</span>
                     </div>
-                    <div className="mt-1 text-[10px] text-slate-400">完了予定: {item.completionDate}</div>
+                    <div className="mt-1 flex items-center justify-between text-[10px] text-slate-400">
+                      <span>
+                        毎月{item.debitDay}日引落 / 完了予定: {formatDebitDate(item.lastDebit, item.debitDay) || '未定'}
+                      </span>
+                      <span className="font-semibold">
+                        {item.finished
+                          ? '完了'
+                          : !item.started
+                            ? item.totalPayments === null
+                              ? '開始前'
+                              : `開始前（全${item.totalPayments}回）`
+                            : item.remainingPayments === null
+                              ? '継続中'
+                              : `残り${item.remainingPayments}回`}
+                      </span>
+                    </div>
                   </div>
                 ))}
               </div>
             </div>
           </div>
         </section>
+
+        <section className="mt-8">
+          <div
+            className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+            style={{ boxShadow: 'var(--shadow)' }}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex items-center gap-2">
+                <Receipt className="h-5 w-5 text-emerald-600" />
+                <h2 className="font-display text-lg font-semibold text-slate-900">同棲費用の清算</h2>
+              </div>
+              <span className="text-xs text-slate-400">
+                {selectedYear}年{selectedMonth}月
+              </span>
+            </div>
+            <div className="mt-6 grid grid-cols-1 gap-6 lg:grid-cols-2">
+              <div className="space-y-3 text-sm text-slate-600">
+                <div className="flex items-center justify-between">
+                  <span>家賃・光熱費（固定）</span>
+                  <span className="font-semibold">{formatYen(report.settlement.fixedShare)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>共同生活費の折半分</span>
+                  <span className="font-semibold">
+                    {formatYen(report.settlement.sharedHalf)}
+                    <span className="ml-2 text-xs font-normal text-slate-400">
+                      （総額 {formatYen(report.settlement.sharedExpense)}）
+                    </span>
+                  </span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>立替全額</span>
+                  <span className="font-semibold">{formatYen(report.settlement.advance)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>彼女の立替（折半分）</span>
+                  <span className="font-semibold text-slate-500">
+                    {formatDeduction(report.settlement.partnerAdvanceHalf)}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between border-t border-slate-100 pt-3">
+                  <span className="font-semibold text-slate-700">彼女の支払額</span>
+                  <span className="font-semibold text-slate-700">{formatSignedYen(report.settlement.owed)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>入金済み</span>
+                  <span className="font-semibold text-emerald-600">{formatYen(report.settlement.received)}</span>
+                </div>
+              </div>
+              <div className="space-y-4">
+                <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-4">
+                  <div className="flex items-center justify-between text-xs text-slate-500">
+                    <span className="font-semibold text-slate-600">彼女の立替入力</span>
+                    <span>折半分を支払額から控除</span>
+                  </div>
+                  <div className="mt-3 flex items-center gap-2">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-2 text-right text-sm text-slate-600 focus:border-emerald-300 focus:outline-none"
+                      placeholder="例: 12,000"
+                      value={partnerAdvanceInput}
+                      onChange={(event) =>
+                        updateMonthlyInput(MONTHLY_PARTNER_ADVANCE, event.target.value.replace(/[^0-9]/g, ''))
+                      }
+                    />
+                    <span className="text-xs font-semibold text-slate-600">円</span>
+                  </div>
+                  {monthlySyncNote}
+                </div>
+                <div
+                  className={`rounded-2xl border px-4 py-3 ${
+                    report.settlement.outstanding > 0
+                      ? 'border-orange-100 bg-orange-50'
+                      : 'border-emerald-100 bg-emerald-50'
+                  }`}
+                >
+                  <p
+                    className={`text-xs font-semibold ${
+                      report.settlement.outstanding > 0 ? 'text-orange-700' : 'text-emerald-700'
+                    }`}
+                  >
+                    未清算（支払額 - 入金済み）
+                  </p>
+                  <p
+                    className={`mt-1 text-xl font-semibold ${
+                      report.settlement.outstanding > 0 ? 'text-orange-700' : 'text-emerald-700'
+                    }`}
+                  >
+                    {formatSignedYen(report.settlement.outstanding)}
+                  </p>
+                </div>
+                <div className="rounded-2xl border border-emerald-100 bg-emerald-50 px-4 py-3">
+                  <p className="text-xs font-semibold text-emerald-700">実質収支</p>
+                  <p className={`mt-1 text-xl font-semibold ${getSignedClass(report.realNet)}`}>
+                    {formatSignedYen(report.realNet)}
+                  </p>
+                  <p className="mt-1 text-xs text-emerald-600">収支 + 未清算</p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </section>
           </>
         )}
 
@@ -847,8 +1904,21 @@ const App = () => {
                         <th className="px-4 py-3 text-right font-medium">調整</th>
                         <th className="px-4 py-3 text-right font-medium">分割補正</th>
                         <th className="px-4 py-3 text-right font-medium">収支</th>
+                        <th className="px-4 py-3 text-right font-medium">彼女の支払額</th>
+                        <th className="px-4 py-3 text-right font-medium">入金済み</th>
+                        <th className="px-4 py-3 text-right font-medium">未清算</th>
+                        <th className="px-4 py-3 text-right font-medium">実質収支</th>
                         <th className="px-4 py-3 text-right font-medium">固定費</th>
                         <th className="px-4 py-3 text-right font-medium">趣味・娯楽</th>
+                        {activeTrackers.map((tracker) => (
+                          <th key={tracker.id} className="px-4 py-3 text-right font-medium">
+                            {tracker.name}
+                          </th>
+                        ))}
+                        {overviewGoals.length > 0 && (
+                          <th className="px-4 py-3 text-right font-medium">目標への積立</th>
+                        )}
+                        <th className="px-4 py-3 text-right font-medium">予算対比</th>
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-slate-100">
@@ -876,12 +1946,37 @@ const App = () => {
                           <td className={`px-4 py-3 text-right font-semibold ${getSignedClass(row.net)}`}>
                             {formatSignedYen(row.net)}
                           </td>
+                          <td className="px-4 py-3 text-right text-slate-500">
+                            {formatYen(row.settlementOwed)}
+                          </td>
+                          <td className="px-4 py-3 text-right text-slate-500">
+                            {formatYen(row.settlementReceived)}
+                          </td>
+                          <td className="px-4 py-3 text-right text-slate-500">
+                            {formatSignedYen(row.settlementOutstanding)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-semibold ${getSignedClass(row.realNet)}`}>
+                            {formatSignedYen(row.realNet)}
+                          </td>
                           <td className="px-4 py-3 text-right text-slate-600">
                             {formatYen(row.fixedExpense)}
                           </td>
                           <td className="px-4 py-3 text-right text-amber-700">
                             {formatYen(row.hobby)}
                           </td>
+                          {activeTrackers.map((tracker) => (
+                            <td key={tracker.id} className="px-4 py-3 text-right text-indigo-600">
+                              {formatYen(row.trackers[tracker.id] || 0)}
+                            </td>
+                          ))}
+                          {overviewGoals.length > 0 && (
+                            <td className="px-4 py-3 text-right text-teal-700" title={describeGoalContribution(row.goals)}>
+                              {row.goalContribution > 0 ? formatYen(row.goalContribution) : '-'}
+                            </td>
+                          )}
+                          <td className="px-4 py-3 text-right whitespace-nowrap">
+                            {formatBudgetVariance(row.budget, row.budgetSpent)}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -910,12 +2005,40 @@ const App = () => {
                           <td className={`px-4 py-3 text-right font-semibold ${getSignedClass(overviewTotals.net)}`}>
                             {formatSignedYen(overviewTotals.net)}
                           </td>
+                          <td className="px-4 py-3 text-right font-semibold text-slate-500">
+                            {formatYen(overviewTotals.settlementOwed)}
+                          </td>
+                          <td className="px-4 py-3 text-right font-semibold text-slate-500">
+                            {formatYen(overviewTotals.settlementReceived)}
+                          </td>
+                          <td className="px-4 py-3 text-right font-semibold text-slate-500">
+                            {formatSignedYen(overviewTotals.settlementOutstanding)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-semibold ${getSignedClass(overviewTotals.realNet)}`}>
+                            {formatSignedYen(overviewTotals.realNet)}
+                          </td>
                           <td className="px-4 py-3 text-right font-semibold text-slate-600">
                             {formatYen(overviewTotals.fixedExpense)}
                           </td>
                           <td className="px-4 py-3 text-right font-semibold text-amber-700">
                             {formatYen(overviewTotals.hobby)}
                           </td>
+                          {activeTrackers.map((tracker) => (
+                            <td key={tracker.id} className="px-4 py-3 text-right font-semibold text-indigo-600">
+                              {formatYen(overviewTotals.trackers[tracker.id] || 0)}
+                            </td>
+                          ))}
+                          {overviewGoals.length > 0 && (
+                            <td
+                              className="px-4 py-3 text-right font-semibold text-teal-700"
+                              title={describeGoalContribution(overviewTotals.goals)}
+                            >
+                              {formatYen(overviewTotals.goalContribution)}
+                            </td>
+                          )}
+                          <td className="px-4 py-3 text-right font-semibold whitespace-nowrap">
+                            {formatBudgetVariance(overviewTotals.budget, overviewTotals.budgetSpent)}
+                          </td>
                         </tr>
                       </tfoot>
                     )}
@@ -984,13 +2107,13 @@ const App = () => {
             <div className="mt-6 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-4">
               <p className="text-xs font-semibold text-slate-600">固定費総額</p>
               <p className="mt-1 text-xl font-semibold text-slate-700">{formatYen(report.fixedExpense)}</p>
-              <p className="mt-2 text-xs text-slate-400">趣味・娯楽・食費・日用品を除く全支出</p>
+              <p className="mt-2 text-xs text-slate-400">{describeVariableCategories(classificationHints)}を除く全支出</p>
               {(() => {
                 const breakdown = {};
                 report.details.ledger.forEach((item) => {
                   if (!item.isTarget) return;
                   if (item.type !== TYPE_EXPENSE) return;
-                  if (VARIABLE_EXPENSE_CATEGORIES.includes(item.category)) return;
+                  if (!item.isFixedExpense) return;
                   const key = item.category || '未分類';
                   breakdown[key] = (breakdown[key] || 0) + item.amountAbs;
                 });
@@ -1029,52 +2152,204 @@ const App = () => {
 
         <section className="mt-8">
           <div
-            className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+            className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
             style={{ boxShadow: 'var(--shadow)' }}
           >
-            <div className="flex flex-wrap items-center justify-between gap-3 border-b border-slate-100 px-6 py-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
               <div className="flex items-center gap-2">
-                <Sparkles className="h-5 w-5 text-indigo-500" />
-                <h2 className="font-display text-lg font-semibold text-slate-900">AI費用明細</h2>
-              </div>
-              <div className="text-xs text-slate-500">
-                合計 {formatYen(report.ai.total)} / {report.ai.details.length} 件
+                <Target className="h-5 w-5 text-emerald-600" />
+                <h2 className="font-display text-lg font-semibold text-slate-900">予算</h2>
               </div>
+              {report.budget.items.length > 0 && (
+                <p className="text-xs text-slate-500">
+                  {formatYen(report.budget.spent)} / {formatYen(report.budget.budget)}
+                  （月の経過 {Math.round(report.budget.elapsed * 100)}%）
+                </p>
+              )}
             </div>
-            {report.ai.details.length === 0 ? (
-              <div className="px-6 py-8 text-center text-sm text-slate-500">AI費用がありません。</div>
+            {report.budget.items.length === 0 ? (
+              <p className="mt-4 text-xs text-slate-400">設定画面で大項目・中項目ごとの予算を追加すると、進捗がここに表示されます。</p>
             ) : (
-              <div className="overflow-x-auto">
-                <table className="w-full text-left text-sm">
-                  <thead className="bg-slate-50 text-xs uppercase text-slate-400">
-                    <tr>
-                      <th className="px-6 py-3 font-medium">日付</th>
-                      <th className="px-6 py-3 font-medium">内容 / メモ</th>
-                      <th className="px-6 py-3 text-right font-medium">金額</th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-slate-100">
-                    {report.ai.details.map((item, index) => (
-                      <tr key={`${item.date}-${index}`} className="transition hover:bg-white/80">
-                        <td className="px-6 py-4 text-slate-500 whitespace-nowrap">{item.date}</td>
-                        <td className="px-6 py-4">
-                          <div className="font-medium text-slate-900 line-clamp-2" title={item.content}>
-                            {item.content}
-                          </div>
-                          {item.memo && <div className="mt-1 text-xs text-slate-400 italic">{item.memo}</div>}
-                        </td>
-                        <td className="px-6 py-4 text-right font-semibold text-slate-700 whitespace-nowrap">
-                          -{formatYen(item.amountAbs)}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+              <div className="mt-6 grid grid-cols-1 gap-4 md:grid-cols-2">
+                {report.budget.items.map((item) => {
+                  const barClass =
+                    item.status === BUDGET_OVER
+                      ? 'bg-rose-500'
+                      : item.status === BUDGET_AHEAD
+                        ? 'bg-amber-400'
+                        : 'bg-emerald-500';
+                  return (
+                    <div key={item.key} className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+                      <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="font-semibold text-slate-700">
+                          {item.category}
+                          {item.subcategory && <span className="text-slate-400"> / {item.subcategory}</span>}
+                        </span>
+                        <span className="text-slate-500">
+                          {formatYen(item.spent)} / {formatYen(item.amount)}
+                        </span>
+                      </div>
+                      <div className="relative mt-2 h-2 rounded-full bg-slate-200">
+                        <div
+                          className={`h-2 rounded-full ${barClass}`}
+                          style={{ width: `${Math.min(100, item.ratio * 100)}%` }}
+                        />
+                        <div
+                          className="absolute -top-1 h-4 w-0.5 bg-slate-500"
+                          style={{ left: `${report.budget.elapsed * 100}%` }}
+                          title={`経過日数どおりなら ${formatYen(item.pace)}`}
+                        />
+                      </div>
+                      <p
+                        className={`mt-2 text-[11px] ${
+                          item.status === BUDGET_OVER
+                            ? 'font-semibold text-rose-600'
+                            : item.status === BUDGET_AHEAD
+                              ? 'text-amber-700'
+                              : 'text-slate-500'
+                        }`}
+                      >
+                        {item.status === BUDGET_OVER
+                          ? `予算を ${formatYen(-item.remaining)} 超過しています`
+                          : item.status === BUDGET_AHEAD
+                            ? `残り ${formatYen(item.remaining)}・ペースより ${formatYen(item.spent - item.pace)} 多く使っています`
+                            : `残り ${formatYen(item.remaining)}`}
+                      </p>
+                    </div>
+                  );
+                })}
               </div>
             )}
           </div>
         </section>
 
+        {goalProgress.length > 0 && (
+          <section className="mt-8">
+            <div
+              className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+              style={{ boxShadow: 'var(--shadow)' }}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <PiggyBank className="h-5 w-5 text-teal-600" />
+                  <h2 className="font-display text-lg font-semibold text-slate-900">貯蓄目標</h2>
+                </div>
+                <p className="text-xs text-slate-500">
+                  {selectedMonth}月の積立{' '}
+                  {formatYen(goalContributions[`${selectedYear}-${selectedMonth}`]?.total || 0)}（進捗は今日時点）
+                </p>
+              </div>
+              <div className="mt-6 grid grid-cols-1 gap-4 md:grid-cols-2">
+                {goalProgress.map((item) => {
+                  const { goal } = item;
+                  const barClass =
+                    item.status === GOAL_OVERDUE
+                      ? 'bg-rose-500'
+                      : item.status === GOAL_BEHIND
+                        ? 'bg-amber-400'
+                        : 'bg-teal-500';
+                  return (
+                    <div key={goal.id} className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+                      <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="font-semibold text-slate-700">
+                          {goal.name || '名前なし'}
+                          <span className="font-normal text-slate-400">
+                            {' '}
+                            / {goal.source === GOAL_SOURCE_TAG ? `タグ「${goal.tag}」` : `収支の ${goal.share}%`}・
+                            {formatGoalMonth(goal.deadline)}まで
+                          </span>
+                        </span>
+                        <span className="text-slate-500">
+                          {formatYen(item.saved)} / {formatYen(goal.target)}
+                        </span>
+                      </div>
+                      <div className="relative mt-2 h-2 rounded-full bg-slate-200">
+                        <div className={`h-2 rounded-full ${barClass}`} style={{ width: `${item.ratio * 100}%` }} />
+                        <div
+                          className="absolute -top-1 h-4 w-0.5 bg-slate-500"
+                          style={{ left: `${Math.min(100, (item.expected / goal.target) * 100)}%` }}
+                          title={`先月までの目安 ${formatYen(item.expected)}`}
+                        />
+                      </div>
+                      <p
+                        className={`mt-2 text-[11px] ${
+                          item.status === GOAL_OVERDUE
+                            ? 'font-semibold text-rose-600'
+                            : item.status === GOAL_BEHIND
+                              ? 'text-amber-700'
+                              : item.status === GOAL_ACHIEVED
+                                ? 'font-semibold text-teal-700'
+                                : 'text-slate-500'
+                        }`}
+                      >
+                        {item.status === GOAL_ACHIEVED
+                          ? '目標額に届きました'
+                          : item.status === GOAL_OVERDUE
+                            ? `期限を過ぎました・残り ${formatYen(item.remaining)}`
+                            : `残り ${formatYen(item.remaining)}・あと ${item.monthsLeft} か月、毎月 ${formatYen(item.required)}${
+                                item.status === GOAL_BEHIND
+                                  ? `（目安より ${formatYen(item.expected - item.saved)} 遅れています）`
+                                  : ''
+                              }`}
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </section>
+        )}
+
+        {report.trackers.map((tracker) => (
+          <section key={tracker.id} className="mt-8">
+            <div
+              className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+              style={{ boxShadow: 'var(--shadow)' }}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-3 border-b border-slate-100 px-6 py-4">
+                <div className="flex items-center gap-2">
+                  <Sparkles className="h-5 w-5 text-indigo-500" />
+                  <h2 className="font-display text-lg font-semibold text-slate-900">{tracker.name}費用明細</h2>
+                </div>
+                <div className="text-xs text-slate-500">
+                  合計 {formatYen(tracker.total)} / {tracker.details.length} 件
+                </div>
+              </div>
+              {tracker.details.length === 0 ? (
+                <div className="px-6 py-8 text-center text-sm text-slate-500">{tracker.name}費用がありません。</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-left text-sm">
+                    <thead className="bg-slate-50 text-xs uppercase text-slate-400">
+                      <tr>
+                        <th className="px-6 py-3 font-medium">日付</th>
+                        <th className="px-6 py-3 font-medium">内容 / メモ</th>
+                        <th className="px-6 py-3 text-right font-medium">金額</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {tracker.details.map((item, index) => (
+                        <tr key={`${item.date}-${index}`} className="transition hover:bg-white/80">
+                          <td className="px-6 py-4 text-slate-500 whitespace-nowrap">{item.date}</td>
+                          <td className="px-6 py-4">
+                            <div className="font-medium text-slate-900 line-clamp-2" title={item.content}>
+                              {item.content}
+                            </div>
+                            {item.memo && <div className="mt-1 text-xs text-slate-400 italic">{item.memo}</div>}
+                          </td>
+                          <td className="px-6 py-4 text-right font-semibold text-slate-700 whitespace-nowrap">
+                            -{formatYen(item.amountAbs)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </section>
+        ))}
+
         <section className="mt-8">
           <div
             className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
@@ -1083,36 +2358,68 @@ const App = () => {
             <div className="flex flex-wrap items-center justify-between gap-3 border-b border-slate-100 px-6 py-4">
               <div className="flex items-center gap-2">
                 <Receipt className="h-5 w-5 text-indigo-500" />
-                <h2 className="font-display text-lg font-semibold text-slate-900">サブスク明細（通信費）</h2>
+                <h2 className="font-display text-lg font-semibold text-slate-900">サブスク明細</h2>
               </div>
               <div className="text-xs text-slate-500">
-                合計 {formatYen(report.subscription.total)} / {report.subscription.details.length} 件
+                今月の請求 {formatYen(recurring.total)} / 月額換算 {formatYen(recurring.monthlyTotal)} /{' '}
+                {recurring.items.length} 件
               </div>
             </div>
-            {report.subscription.details.length === 0 ? (
-              <div className="px-6 py-8 text-center text-sm text-slate-500">該当するサブスクはありません。</div>
+            {recurring.items.length === 0 ? (
+              <div className="px-6 py-8 text-center text-sm text-slate-500">定期的な支出は見つかりませんでした。</div>
             ) : (
               <div className="overflow-x-auto">
                 <table className="w-full text-left text-sm">
                   <thead className="bg-slate-50 text-xs uppercase text-slate-400">
                     <tr>
-                      <th className="px-6 py-3 font-medium">日付</th>
-                      <th className="px-6 py-3 font-medium">内容 / メモ</th>
+                      <th className="px-6 py-3 font-medium">内容</th>
+                      <th className="px-6 py-3 font-medium">周期</th>
+                      <th className="px-6 py-3 font-medium">前回 / 次回予定</th>
                       <th className="px-6 py-3 text-right font-medium">金額</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-slate-100">
-                    {report.subscription.details.map((item, index) => (
-                      <tr key={`${item.date}-${index}`} className="transition hover:bg-white/80">
-                        <td className="px-6 py-4 text-slate-500 whitespace-nowrap">{item.date}</td>
+                    {recurring.items.map((item) => (
+                      <tr key={item.key} className="transition hover:bg-white/80">
                         <td className="px-6 py-4">
-                          <div className="font-medium text-slate-900 line-clamp-2" title={item.content}>
-                            {item.content}
+                          <div className="font-medium text-slate-900 line-clamp-2" title={item.name}>
+                            {item.name}
+                          </div>
+                          <div className="mt-1 flex flex-wrap items-center gap-1.5 text-xs text-slate-400">
+                            <span>{item.subcategory || item.category || '未分類'}</span>
+                            {item.isDetectedThisMonth && (
+                              <span
+                                className="rounded-full bg-emerald-50 px-2 py-0.5 font-semibold text-emerald-600"
+                                title="今月の請求が2回目で、初めて定期的と判定されました"
+                              >
+                                今月検出
+                              </span>
+                            )}
+                            {item.isPriceIncrease && (
+                              <span className="rounded-full bg-orange-50 px-2 py-0.5 font-semibold text-orange-600">
+                                値上げ {formatSignedYen(item.amount - item.previousAmount)}
+                              </span>
+                            )}
+                            {item.isMissed && (
+                              <span className="rounded-full bg-rose-50 px-2 py-0.5 font-semibold text-rose-600">
+                                請求なし
+                              </span>
+                            )}
                           </div>
-                          {item.memo && <div className="mt-1 text-xs text-slate-400 italic">{item.memo}</div>}
                         </td>
-                        <td className="px-6 py-4 text-right font-semibold text-slate-700 whitespace-nowrap">
-                          -{formatYen(item.amountAbs)}
+                        <td className="px-6 py-4 text-slate-500 whitespace-nowrap">
+                          {item.interval === INTERVAL_YEARLY ? '毎年' : '毎月'}
+                        </td>
+                        <td className="px-6 py-4 text-xs text-slate-500 whitespace-nowrap">
+                          <div>{item.lastDate}</div>
+                          <div className={item.isMissed ? 'text-rose-500' : 'text-slate-400'}>→ {item.nextDate}</div>
+                        </td>
+                        <td
+                          className={`px-6 py-4 text-right font-semibold whitespace-nowrap ${
+                            item.chargedThisMonth ? 'text-slate-700' : 'text-slate-400'
+                          }`}
+                        >
+                          -{formatYen(item.amount)}
                         </td>
                       </tr>
                     ))}
@@ -1140,36 +2447,23 @@ const App = () => {
                     <th className="px-6 py-3 font-medium">内容 / メモ</th>
                     <th className="px-6 py-3 font-medium">区分</th>
                     <th className="px-6 py-3 text-right font-medium">金額</th>
+                    <th className="px-4 py-3" />
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-slate-100">
-                  {report.details.ledger.map((item, index) => (
-                    <tr key={`${item.date}-${index}`} className="transition hover:bg-white/80">
-                      <td className="px-6 py-4 text-slate-500 whitespace-nowrap">{item.date}</td>
-                      <td className="px-6 py-4">
-                        <div className="font-medium text-slate-900 line-clamp-2" title={item.content}>
-                          {item.content}
-                        </div>
-                        {item.memo && <div className="mt-1 text-xs text-slate-400 italic">{item.memo}</div>}
-                      </td>
-                      <td className="px-6 py-4">
-                        <span
-                          className={`rounded-full px-2 py-1 text-[10px] font-semibold ${
-                            item.type === TYPE_INCOME
-                              ? 'bg-emerald-100 text-emerald-700'
-                              : item.type === TYPE_EXPENSE
-                                ? 'bg-orange-100 text-orange-700'
-                                : 'bg-slate-100 text-slate-500'
-                          }`}
-                        >
-                          {item.type}
-                        </span>
-                      </td>
-                      <td className={`px-6 py-4 text-right font-semibold ${getAmountClass(item.type, item.amount)}`}>
-                        {formatLedgerAmount(item)}
-                      </td>
-                    </tr>
-                  ))}
+                  {report.details.ledger.map((item, index) => {
+                    const rowKey = item.sheet ? getSheetRowKey({ _sheet: item.sheet, _row: item.sheetRow }) : null;
+                    return (
+                      <TransactionRow
+                        key={rowKey || `${item.date}-${index}`}
+                        item={item}
+                        source={rowKey ? writableRows.get(rowKey) : null}
+                        onSave={saveRowChanges}
+                        amountClassName={getAmountClass(item.type, item.amount)}
+                        amountLabel={formatLedgerAmount(item)}
+                      />
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -1179,6 +2473,38 @@ const App = () => {
           </>
         )}
       </div>
+      {exportTables && activeView === VIEW_MONTHLY && (
+        <PrintReport
+          title={`${selectedYear}年${selectedMonth}月 収支レポート`}
+          summaryItems={[
+            { label: '収入', value: formatYen(report.ledger.income) },
+            { label: '支出', value: formatYen(report.ledger.expense) },
+            { label: '分割補正', value: formatDeduction(installmentDeduction) },
+            { label: '収支（分割補正後）', value: formatSignedYen(report.netAfterInstallment) },
+            { label: '実質収支', value: formatSignedYen(report.realNet) },
+            { label: '固定費', value: formatYen(report.fixedExpense) }
+          ]}
+          tables={exportTables}
+        >
+          {report.expenseChart.length > 0 && <PrintPieChart data={report.expenseChart} />}
+        </PrintReport>
+      )}
+      {exportTables && activeView === VIEW_ANNUAL && overviewTotals && (
+        <PrintReport
+          title={`${selectedYear}年 年間収支レポート`}
+          summaryItems={[
+            { label: '収入', value: formatYen(overviewTotals.income) },
+            { label: '支出', value: formatYen(overviewTotals.expense) },
+            { label: '分割補正', value: formatDeduction(overviewTotals.installmentDeduction) },
+            { label: '収支（分割補正後）', value: formatSignedYen(overviewTotals.net) },
+            { label: '実質収支', value: formatSignedYen(overviewTotals.realNet) },
+            { label: '固定費', value: formatYen(overviewTotals.fixedExpense) }
+          ]}
+          tables={exportTables}
+        >
+          <PrintIncomeExpenseChart data={overviewRows} />
+        </PrintReport>
+      )}
     </div>
   );
 };
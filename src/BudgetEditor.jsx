@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { createBudget } from './budget.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+/**
+ * カテゴリ別予算の編集。categories は明細から集めた { category, subcategories } の一覧（入力候補）。
+ * onSaveToSheet を渡すと、スプレッドシートの Budget_Config にも保存できる。
+ */
+const BudgetEditor = ({ budgets, onChange, categories, onSaveToSheet }) => {
+  const [sheetStatus, setSheetStatus] = useState(null);
+
+  const updateBudget = (id, patch) => {
+    onChange(budgets.map((budget) => (budget.id === id ? { ...budget, ...patch } : budget)));
+  };
+
+  const saveToSheet = async () => {
+    setSheetStatus({ saving: true });
+    try {
+      const count = await onSaveToSheet(budgets);
+      setSheetStatus({ text: `Budget_Config に ${count} 件を保存しました` });
+    } catch (error) {
+      setSheetStatus({ text: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <datalist id="budget-categories">
+        {categories.map(({ category }) => (
+          <option key={category} value={category} />
+        ))}
+      </datalist>
+      {budgets.length === 0 && (
+        <p className="text-xs text-slate-400">
+          予算はまだありません。中項目を空欄にすると大項目全体、月を空欄にすると毎月の予算になります。
+        </p>
+      )}
+      {budgets.map((budget) => {
+        const subcategories = categories.find((item) => item.category === budget.category)?.subcategories || [];
+        const listId = `budget-subcategories-${budget.id}`;
+        return (
+          <div
+            key={budget.id}
+            className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3"
+          >
+            <input
+              type="text"
+              list="budget-categories"
+              className={`${inputClass} w-32`}
+              value={budget.category}
+              placeholder="大項目"
+              onChange={(event) => updateBudget(budget.id, { category: event.target.value })}
+            />
+            <input
+              type="text"
+              list={listId}
+              className={`${inputClass} w-32`}
+              value={budget.subcategory}
+              placeholder="中項目（任意）"
+              onChange={(event) => updateBudget(budget.id, { subcategory: event.target.value })}
+            />
+            <datalist id={listId}>
+              {subcategories.map((subcategory) => (
+                <option key={subcategory} value={subcategory} />
+              ))}
+            </datalist>
+            <input
+              type="month"
+              className={inputClass}
+              value={budget.month}
+              title="空欄で毎月"
+              onChange={(event) => updateBudget(budget.id, { month: event.target.value })}
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              className={`${inputClass} w-28 text-right`}
+              value={budget.amount ? budget.amount.toLocaleString() : ''}
+              placeholder="予算（円）"
+              onChange={(event) => {
+                const cleaned = event.target.value.replace(/[^0-9]/g, '');
+                updateBudget(budget.id, { amount: cleaned ? parseInt(cleaned, 10) : 0 });
+              }}
+            />
+            <button
+              type="button"
+              onClick={() => onChange(budgets.filter((item) => item.id !== budget.id))}
+              className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+              title="削除"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => onChange([...budgets, createBudget()])}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+      >
+        <Plus className="h-4 w-4" />
+        予算を追加
+      </button>
+      {onSaveToSheet && (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={saveToSheet}
+            disabled={sheetStatus?.saving}
+            className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-xs font-semibold text-slate-600 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            スプレッドシートに保存
+          </button>
+          {sheetStatus?.saving && <span className="text-xs text-slate-400">保存中…</span>}
+          {sheetStatus?.text && (
+            <span className={`text-xs ${sheetStatus.isError ? 'text-rose-600' : 'text-emerald-700'}`}>
+              {sheetStatus.text}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetEditor;
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { CLASSIFICATION_HINT_FIELDS } from './rules.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+/**
+ * 給与・収入に数えない入金・変動費・趣味の判定に使うキーワードの編集。hints は変えた項目だけを持つ。
+ * onSaveToSheet を渡すと、分類ルールと一緒にスプレッドシートの Rule_Config / Hint_Config にも保存できる。
+ */
+const ClassificationHintEditor = ({ hints, onChange, onSaveToSheet }) => {
+  const [sheetStatus, setSheetStatus] = useState(null);
+
+  const updateField = (key, value) => {
+    const next = { ...hints };
+    if (value === undefined) delete next[key];
+    else next[key] = value;
+    onChange(next);
+  };
+
+  const saveToSheet = async () => {
+    setSheetStatus({ saving: true });
+    try {
+      const count = await onSaveToSheet();
+      setSheetStatus({ text: `Rule_Config に ${count} 件のルールを、Hint_Config にキーワードを保存しました` });
+    } catch (error) {
+      setSheetStatus({ text: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {CLASSIFICATION_HINT_FIELDS.map((field) => {
+        const edited = Array.isArray(hints[field.key]);
+        return (
+          <div
+            key={field.key}
+            className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3"
+          >
+            <span className="w-48 text-xs font-semibold text-slate-600">{field.label}</span>
+            <input
+              type="text"
+              className={`${inputClass} flex-1`}
+              value={edited ? hints[field.key].join(',') : field.defaults.join(',')}
+              placeholder="カンマ区切り（空欄で該当なし）"
+              onChange={(event) => updateField(field.key, event.target.value.split(/[,、]/))}
+            />
+            {edited && (
+              <button
+                type="button"
+                onClick={() => updateField(field.key, undefined)}
+                className="rounded-xl p-1.5 text-slate-400 transition hover:bg-white"
+                title={`既定値（${field.defaults.join(', ')}）に戻す`}
+              >
+                <RotateCcw className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+      {onSaveToSheet && (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={saveToSheet}
+            disabled={sheetStatus?.saving}
+            className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-xs font-semibold text-slate-600 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            ルールとキーワードをスプレッドシートに保存
+          </button>
+          {sheetStatus?.saving && <span className="text-xs text-slate-400">保存中…</span>}
+          {sheetStatus?.text && (
+            <span className={`text-xs ${sheetStatus.isError ? 'text-rose-600' : 'text-emerald-700'}`}>
+              {sheetStatus.text}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClassificationHintEditor;
@@ -0,0 +1,242 @@
+import { useMemo, useState } from 'react';
+import { ArrowLeftRight } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, Cell, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import {
+  GROUP_BY_CATEGORY,
+  GROUP_BY_SUBCATEGORY,
+  PERIOD_MONTH,
+  PERIOD_YEAR,
+  buildComparison,
+  createPeriod,
+  getPeriodLabel,
+  getPreviousPeriod,
+  getSamePeriodLastYear
+} from './comparison.js';
+import { formatPercent, formatSignedYen, formatYen } from './format.js';
+import { parseAmount } from './rules.js';
+
+const CHART_LIMIT = 12;
+const MONTHS = Array.from({ length: 12 }, (_, index) => index + 1);
+
+const selectClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+// 支出が増えたカテゴリはオレンジ、減ったカテゴリは緑
+const getDeltaClass = (delta) => (delta > 0 ? 'text-orange-600' : delta < 0 ? 'text-emerald-600' : 'text-slate-400');
+
+const PeriodPicker = ({ label, period, years, onChange }) => (
+  <div className="flex items-center gap-2">
+    <span className="text-xs font-semibold text-slate-500">{label}</span>
+    <select
+      className={selectClass}
+      value={period.year}
+      onChange={(event) => onChange(createPeriod(period.kind, parseInt(event.target.value, 10), period.month))}
+    >
+      {years.map((year) => (
+        <option key={year} value={year}>
+          {year}年
+        </option>
+      ))}
+    </select>
+    {period.kind === PERIOD_MONTH && (
+      <select
+        className={selectClass}
+        value={period.month}
+        onChange={(event) => onChange(createPeriod(PERIOD_MONTH, period.year, parseInt(event.target.value, 10)))}
+      >
+        {MONTHS.map((month) => (
+          <option key={month} value={month}>
+            {month}月
+          </option>
+        ))}
+      </select>
+    )}
+  </div>
+);
+
+const TransactionList = ({ title, rows }) => (
+  <div className="min-w-0 flex-1">
+    <p className="text-xs font-semibold text-slate-500">
+      {title}（{rows.length} 件）
+    </p>
+    <div className="mt-2 max-h-72 space-y-1.5 overflow-y-auto">
+      {rows.length === 0 && <p className="text-xs text-slate-400">取引はありません</p>}
+      {[...rows]
+        .sort((a, b) => String(b['日付']).localeCompare(String(a['日付'])))
+        .map((row, index) => (
+          <div
+            key={`${row['日付']}-${index}`}
+            className="flex items-center justify-between gap-2 rounded-xl border border-slate-100 bg-white/80 px-3 py-2 text-[11px]"
+          >
+            <span className="min-w-0">
+              <span className="mr-2 text-slate-400">{row['日付']}</span>
+              <span className="font-medium text-slate-700">{row['内容']}</span>
+            </span>
+            <span className="whitespace-nowrap font-semibold text-orange-600">
+              {formatYen(parseAmount(row['金額（円）']))}
+            </span>
+          </div>
+        ))}
+    </div>
+  </div>
+);
+
+/** 2つの期間のカテゴリ別支出を比較する。rows は分類ルール適用後の明細、accountingPeriod は集計期間の設定 */
+const ComparisonView = ({ rows, years, year, month, accountingPeriod }) => {
+  const [target, setTarget] = useState(() => createPeriod(PERIOD_MONTH, year, month));
+  const [base, setBase] = useState(() => getPreviousPeriod(createPeriod(PERIOD_MONTH, year, month)));
+  const [groupBy, setGroupBy] = useState(GROUP_BY_SUBCATEGORY);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const comparison = useMemo(
+    () => buildComparison(rows, base, target, { groupBy, accountingPeriod }),
+    [rows, base, target, groupBy, accountingPeriod]
+  );
+  const selected = comparison.items.find((item) => item.key === selectedKey) || null;
+  const chartData = comparison.items.slice(0, CHART_LIMIT).map((item) => ({ name: item.key, delta: item.delta }));
+  const periodYears = Array.from(new Set([...years, base.year, target.year])).sort((a, b) => b - a);
+
+  const switchKind = (kind) => {
+    const nextTarget = createPeriod(kind, target.year, target.month || month);
+    setTarget(nextTarget);
+    setBase(getPreviousPeriod(nextTarget));
+    setSelectedKey(null);
+  };
+
+  const presetButton = (label, getBase) => (
+    <button
+      type="button"
+      onClick={() => {
+        setBase(getBase(target));
+        setSelectedKey(null);
+      }}
+      className="rounded-xl border border-slate-200 px-3 py-1.5 text-xs font-semibold text-slate-500 transition hover:bg-white"
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <section className="mt-8 space-y-6">
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <div className="flex items-center gap-2">
+          <ArrowLeftRight className="h-5 w-5 text-emerald-600" />
+          <h2 className="font-display text-lg font-semibold text-slate-900">カテゴリ別の比較</h2>
+        </div>
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <div className="flex gap-1 rounded-2xl bg-slate-100 p-1">
+            {[
+              [PERIOD_MONTH, '月で比較'],
+              [PERIOD_YEAR, '年で比較']
+            ].map(([kind, label]) => (
+              <button
+                key={kind}
+                type="button"
+                onClick={() => switchKind(kind)}
+                className={`rounded-xl px-3 py-1.5 text-xs font-semibold transition ${
+                  target.kind === kind ? 'bg-white text-emerald-700 shadow-sm' : 'text-slate-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <PeriodPicker label="比較元" period={base} years={periodYears} onChange={setBase} />
+          <PeriodPicker label="比較先" period={target} years={periodYears} onChange={setTarget} />
+          {target.kind === PERIOD_MONTH && presetButton('前月比', getPreviousPeriod)}
+          {presetButton(target.kind === PERIOD_MONTH ? '前年同月比' : '前年比', getSamePeriodLastYear)}
+          <select className={selectClass} value={groupBy} onChange={(event) => setGroupBy(event.target.value)}>
+            <option value={GROUP_BY_SUBCATEGORY}>中項目ごと</option>
+            <option value={GROUP_BY_CATEGORY}>大項目ごと</option>
+          </select>
+        </div>
+        <p className="mt-4 text-sm text-slate-600">
+          支出合計 {formatYen(comparison.base)}（{getPeriodLabel(base)}）→ {formatYen(comparison.target)}（
+          {getPeriodLabel(target)}）
+          <span className={`ml-2 font-semibold ${getDeltaClass(comparison.delta)}`}>
+            {formatSignedYen(comparison.delta)}（{formatPercent(comparison.percent)}）
+          </span>
+        </p>
+
+        {comparison.items.length === 0 ? (
+          <p className="mt-6 text-sm text-slate-400">どちらの期間にも支出がありません。</p>
+        ) : (
+          <div className="mt-6" style={{ height: Math.max(180, chartData.length * 32) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} layout="vertical" margin={{ left: 20, right: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                <XAxis type="number" tickFormatter={(value) => formatSignedYen(value)} tick={{ fontSize: 10 }} />
+                <YAxis type="category" dataKey="name" width={120} tick={{ fontSize: 11 }} />
+                <Tooltip formatter={(value) => formatSignedYen(value)} />
+                <ReferenceLine x={0} stroke="#94A3B8" />
+                <Bar dataKey="delta" name="増減" onClick={(entry) => setSelectedKey(entry.name)} cursor="pointer">
+                  {chartData.map((entry) => (
+                    <Cell
+                      key={entry.name}
+                      fill={entry.delta > 0 ? '#F97316' : '#10B981'}
+                      fillOpacity={selectedKey && selectedKey !== entry.name ? 0.4 : 1}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+
+      {comparison.items.length > 0 && (
+        <div
+          className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+          style={{ boxShadow: 'var(--shadow)' }}
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs sm:text-sm">
+              <thead className="bg-slate-50 text-xs uppercase text-slate-400">
+                <tr>
+                  <th className="px-4 py-3 font-medium">カテゴリ</th>
+                  <th className="px-4 py-3 text-right font-medium">{getPeriodLabel(base)}</th>
+                  <th className="px-4 py-3 text-right font-medium">{getPeriodLabel(target)}</th>
+                  <th className="px-4 py-3 text-right font-medium">増減</th>
+                  <th className="px-4 py-3 text-right font-medium">増減率</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {comparison.items.map((item) => (
+                  <tr
+                    key={item.key}
+                    onClick={() => setSelectedKey(item.key === selectedKey ? null : item.key)}
+                    className={`cursor-pointer transition hover:bg-white/80 ${item.key === selectedKey ? 'bg-emerald-50/60' : ''}`}
+                  >
+                    <td className="px-4 py-3 font-medium text-slate-700">{item.key}</td>
+                    <td className="px-4 py-3 text-right text-slate-500">{formatYen(item.base)}</td>
+                    <td className="px-4 py-3 text-right text-slate-500">{formatYen(item.target)}</td>
+                    <td className={`px-4 py-3 text-right font-semibold ${getDeltaClass(item.delta)}`}>
+                      {formatSignedYen(item.delta)}
+                    </td>
+                    <td className={`px-4 py-3 text-right ${getDeltaClass(item.delta)}`}>
+                      {item.percent === null ? '新規' : formatPercent(item.percent)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {selected && (
+            <div className="border-t border-slate-100 px-6 py-5">
+              <p className="text-sm font-semibold text-slate-700">{selected.key} の取引</p>
+              <div className="mt-3 flex flex-col gap-4 md:flex-row">
+                <TransactionList title={getPeriodLabel(base)} rows={selected.baseRows} />
+                <TransactionList title={getPeriodLabel(target)} rows={selected.targetRows} />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ComparisonView;
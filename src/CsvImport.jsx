@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { countRowsByYear, mergeImportedRows, readCsvFile, removeRowsOfYear } from './csvImport.js';
+
+/** CSVの読み込みと年度ごとの削除。saveError はブラウザに保存できなかったときの案内 */
+const CsvImport = ({ rows, onChange, saveError }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [messages, setMessages] = useState([]);
+
+  const importFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    let merged = rows;
+    const results = [];
+    for (const file of files) {
+      try {
+        const imported = await readCsvFile(file);
+        merged = mergeImportedRows(merged, imported);
+        results.push({ name: file.name, text: `${imported.length} 件を読み込みました`, isError: false });
+      } catch (error) {
+        results.push({ name: file.name, text: error.message, isError: true });
+      }
+    }
+    setMessages(results);
+    if (merged !== rows) onChange(merged);
+  };
+
+  const yearCounts = countRowsByYear(rows);
+
+  return (
+    <div className="space-y-4">
+      <label
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={(event) => {
+          event.preventDefault();
+          setIsDragging(false);
+          importFiles(event.dataTransfer.files);
+        }}
+        className={`flex cursor-pointer flex-col items-center gap-2 rounded-2xl border border-dashed px-4 py-6 text-center text-sm transition ${
+          isDragging ? 'border-emerald-400 bg-emerald-50 text-emerald-700' : 'border-slate-200 text-slate-500 hover:bg-white'
+        }`}
+      >
+        <Upload className="h-5 w-5" />
+        <span>CSVファイルをドロップ、またはクリックして選択</span>
+        <span className="text-[10px] text-slate-400">UTF-8 / Shift_JIS 対応・複数ファイル可</span>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          className="hidden"
+          onChange={(event) => {
+            importFiles(event.target.files);
+            event.target.value = '';
+          }}
+        />
+      </label>
+
+      {messages.length > 0 && (
+        <div className="space-y-1 text-xs">
+          {messages.map((message) => (
+            <p key={message.name} className={message.isError ? 'text-rose-600' : 'text-emerald-700'}>
+              {message.name}: {message.text}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {saveError && (
+        <p className="rounded-2xl border border-rose-100 bg-rose-50 px-4 py-2 text-xs text-rose-600">{saveError}</p>
+      )}
+
+      {yearCounts.length > 0 && (
+        <div className="space-y-2">
+          {yearCounts.map(({ year, count }) => (
+            <div
+              key={year ?? 'unknown'}
+              className="flex items-center justify-between rounded-2xl border border-slate-100 bg-slate-50 px-4 py-2 text-xs text-slate-600"
+            >
+              <span className="font-semibold">{year === null ? '日付不明' : `${year}年`}</span>
+              <span className="flex items-center gap-3">
+                {count.toLocaleString()} 件
+                <button
+                  type="button"
+                  onClick={() => onChange(removeRowsOfYear(rows, year))}
+                  className="text-slate-400 hover:text-rose-500"
+                >
+                  削除
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvImport;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { SEVERITY_ERROR } from './dataHealth.js';
+
+// 1種類あたりに表示する行数（残りは件数だけ出す）
+const ROW_LIMIT = 100;
+
+const formatCell = (value) => (value === null || value === undefined || value === '' ? '-' : String(value));
+
+const IssueCard = ({ issue }) => {
+  const [expanded, setExpanded] = useState(false);
+  const isError = issue.severity === SEVERITY_ERROR;
+  const visible = expanded ? issue.items : issue.items.slice(0, ROW_LIMIT);
+  const hasRows = issue.items.some((item) => item.row);
+
+  return (
+    <div
+      className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+      style={{ boxShadow: 'var(--shadow)' }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 border-b border-slate-100 px-6 py-4">
+        <div className="flex items-center gap-2">
+          <AlertTriangle className={`h-5 w-5 ${isError ? 'text-rose-500' : 'text-amber-500'}`} />
+          <h3 className="font-display text-base font-semibold text-slate-900">{issue.label}</h3>
+          <span
+            className={`rounded-full px-2 py-0.5 text-xs font-semibold ${
+              isError ? 'bg-rose-100 text-rose-700' : 'bg-amber-100 text-amber-700'
+            }`}
+          >
+            {issue.items.length.toLocaleString()} 件
+          </span>
+        </div>
+        <p className="text-xs text-slate-500">{issue.description}</p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-xs sm:text-sm">
+          <thead className="bg-slate-50 text-xs text-slate-400">
+            <tr>
+              <th className="px-4 py-2 font-medium">シート</th>
+              {hasRows && (
+                <>
+                  <th className="px-4 py-2 font-medium">行</th>
+                  <th className="px-4 py-2 font-medium">日付</th>
+                  <th className="px-4 py-2 font-medium">内容</th>
+                  <th className="px-4 py-2 text-right font-medium">金額</th>
+                </>
+              )}
+              <th className="px-4 py-2 font-medium">内容の詳細</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {visible.map((item) => (
+              <tr key={item.key}>
+                <td className="px-4 py-2 text-slate-500 whitespace-nowrap">{item.sheet || '-'}</td>
+                {hasRows && (
+                  <>
+                    <td className="px-4 py-2 text-slate-400">{formatCell(item.row?._row)}</td>
+                    <td className="px-4 py-2 text-slate-500 whitespace-nowrap">{formatCell(item.row?.['日付'])}</td>
+                    <td className="max-w-xs truncate px-4 py-2 text-slate-700">{formatCell(item.row?.['内容'])}</td>
+                    <td className="px-4 py-2 text-right text-slate-600 whitespace-nowrap">
+                      {formatCell(item.row?.['金額（円）'])}
+                    </td>
+                  </>
+                )}
+                <td className="px-4 py-2 text-slate-600">{item.detail}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {issue.items.length > ROW_LIMIT && (
+        <button
+          type="button"
+          onClick={() => setExpanded((current) => !current)}
+          className="w-full px-6 py-3 text-xs font-semibold text-emerald-600 hover:bg-white"
+        >
+          {expanded ? '先頭だけ表示' : `残り ${(issue.items.length - ROW_LIMIT).toLocaleString()} 件も表示`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/** データ品質の一覧。issues は buildDataHealth の結果 */
+const DataHealthView = ({ issues }) => {
+  const found = issues.filter((issue) => issue.items.length > 0);
+
+  return (
+    <section className="mt-8 space-y-6">
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <h2 className="font-display text-lg font-semibold text-slate-900">データ品質</h2>
+        <div className="mt-4 flex flex-wrap gap-2">
+          {issues.map((issue) => (
+            <span
+              key={issue.id}
+              className={`rounded-2xl border px-3 py-1.5 text-xs font-semibold ${
+                issue.items.length === 0
+                  ? 'border-slate-100 text-slate-400'
+                  : issue.severity === SEVERITY_ERROR
+                    ? 'border-rose-200 bg-rose-50 text-rose-700'
+                    : 'border-amber-200 bg-amber-50 text-amber-700'
+              }`}
+            >
+              {issue.label} {issue.items.length.toLocaleString()}
+            </span>
+          ))}
+        </div>
+        {found.length === 0 && (
+          <p className="mt-4 flex items-center gap-2 text-sm text-emerald-700">
+            <CheckCircle2 className="h-4 w-4" />
+            問題のある明細はありません。
+          </p>
+        )}
+      </div>
+      {found.map((issue) => (
+        <IssueCard key={issue.id} issue={issue} />
+      ))}
+    </section>
+  );
+};
+
+export default DataHealthView;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Copy } from 'lucide-react';
+import { DUPLICATE_DISMISSED, DUPLICATE_EXCLUDED, parseAmount } from './rules.js';
+import { isResolved } from './duplicates.js';
+import { formatSignedYen } from './format.js';
+
+const RESOLUTION_LABELS = {
+  [DUPLICATE_DISMISSED]: '重複ではない（すべて集計）',
+  [DUPLICATE_EXCLUDED]: '重複として除外'
+};
+
+const buttonClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-600 transition hover:bg-slate-50';
+
+const describeRow = (row) => {
+  const source = row._sheet ? `${row._sheet} ${row._row}行目` : '';
+  return [String(row['日付']).slice(0, 10), source].filter(Boolean).join(' / ');
+};
+
+/**
+ * 重複の疑いがある明細の確認。判定が済むまで、各グループの2件目以降は集計に入らない。
+ * onSaveToSheet を渡すと、判定をスプレッドシートの Duplicate_Config にも保存できる（年度別Overviewで使う）。
+ */
+const DuplicateReview = ({ groups, resolutions, onChange, onSaveToSheet }) => {
+  const [showResolved, setShowResolved] = useState(false);
+  const [sheetStatus, setSheetStatus] = useState(null);
+
+  const pending = groups.filter((group) => !isResolved(group, resolutions));
+  const visible = showResolved ? groups : pending;
+
+  const resolve = (key, resolution) => {
+    const next = { ...resolutions };
+    if (resolution) next[key] = resolution;
+    else delete next[key];
+    onChange(next);
+  };
+
+  const saveToSheet = async () => {
+    setSheetStatus({ saving: true });
+    try {
+      const count = await onSaveToSheet(resolutions);
+      setSheetStatus({ text: `Duplicate_Config に ${count} 件を保存しました` });
+    } catch (error) {
+      setSheetStatus({ text: error.message, isError: true });
+    }
+  };
+
+  return (
+    <section
+      className={`mt-6 rounded-3xl border p-6 backdrop-blur ${
+        pending.length > 0 ? 'border-amber-200 bg-amber-50/80' : 'border-white/70 bg-white/80'
+      }`}
+      style={{ boxShadow: 'var(--shadow)' }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Copy className={`h-5 w-5 ${pending.length > 0 ? 'text-amber-600' : 'text-slate-400'}`} />
+          <h2 className="font-display text-lg font-semibold text-slate-900">重複の疑い</h2>
+          <span className="text-xs text-slate-500">
+            {pending.length > 0
+              ? `未確認 ${pending.length} 件（確認するまで2件目以降は集計しません）`
+              : `すべて確認済み（${groups.length} 件）`}
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button type="button" onClick={() => setShowResolved((current) => !current)} className={buttonClass}>
+            {showResolved ? '未確認のみ表示' : '確認済みも表示'}
+          </button>
+          {onSaveToSheet && (
+            <button
+              type="button"
+              onClick={saveToSheet}
+              disabled={sheetStatus?.saving}
+              className={`${buttonClass} disabled:opacity-50`}
+            >
+              スプレッドシートに保存
+            </button>
+          )}
+          {sheetStatus?.saving && <span className="text-xs text-slate-400">保存中…</span>}
+          {sheetStatus?.text && (
+            <span className={`text-xs ${sheetStatus.isError ? 'text-rose-600' : 'text-emerald-700'}`}>
+              {sheetStatus.text}
+            </span>
+          )}
+        </div>
+      </div>
+      {visible.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {visible.map((group) => {
+            const [first] = group.rows;
+            const resolution = resolutions[group.key];
+            return (
+              <div
+                key={group.key}
+                className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-slate-100 bg-white/90 px-4 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-slate-800">
+                    {first['内容']}
+                    <span className="ml-2 text-slate-500">{formatSignedYen(parseAmount(first['金額（円）']))}</span>
+                    <span className="ml-2 text-xs font-normal text-slate-400">× {group.rows.length}</span>
+                  </p>
+                  <ul className="mt-1 space-y-0.5 text-xs text-slate-500">
+                    {group.rows.map((row, index) => (
+                      <li key={index}>
+                        {describeRow(row)}
+                        {index > 0 && resolution !== DUPLICATE_DISMISSED && (
+                          <span className="ml-2 text-amber-700">集計から除外</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                {resolution ? (
+                  <div className="flex items-center gap-2 text-xs text-slate-500">
+                    {RESOLUTION_LABELS[resolution]}
+                    <button type="button" onClick={() => resolve(group.key, null)} className={buttonClass}>
+                      元に戻す
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    <button type="button" onClick={() => resolve(group.key, DUPLICATE_DISMISSED)} className={buttonClass}>
+                      重複ではない
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => resolve(group.key, DUPLICATE_EXCLUDED)}
+                      className="rounded-xl bg-amber-500 px-3 py-1.5 text-xs font-semibold text-white transition hover:bg-amber-600"
+                    >
+                      重複として除外
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DuplicateReview;
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { Download, FileSpreadsheet, FileText, Printer } from 'lucide-react';
+import { downloadCsv, downloadXlsx } from './exportData.js';
+
+const itemClass =
+  'flex w-full items-center gap-2 rounded-xl px-3 py-2 text-left text-xs font-semibold text-slate-600 transition hover:bg-slate-50';
+
+/**
+ * 表示中のビューの書き出しメニュー。tables は exportData.js の表（CSV は表ごと、Excel は1ファイルにまとめる）、
+ * onPrint は印刷用のレポートを印刷する（ブラウザの「PDFに保存」で PDF にできる）。
+ */
+const ExportMenu = ({ tables, filename, onPrint }) => {
+  const [open, setOpen] = useState(false);
+
+  const run = (action) => {
+    setOpen(false);
+    action();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((current) => !current)}
+        className="rounded-2xl border border-white/70 bg-white/80 p-2 text-emerald-600 shadow-sm transition hover:bg-white"
+        title="書き出し"
+      >
+        <Download className="h-5 w-5" />
+      </button>
+      {open && (
+        <div
+          className="absolute right-0 z-20 mt-2 w-64 rounded-2xl border border-slate-100 bg-white p-2"
+          style={{ boxShadow: 'var(--shadow)' }}
+        >
+          {tables.map((table) => (
+            <button key={table.name} type="button" onClick={() => run(() => downloadCsv(table))} className={itemClass}>
+              <FileText className="h-4 w-4 text-slate-400" />
+              CSV: {table.name}
+            </button>
+          ))}
+          <button type="button" onClick={() => run(() => downloadXlsx(tables, filename))} className={itemClass}>
+            <FileSpreadsheet className="h-4 w-4 text-emerald-600" />
+            Excel（.xlsx）
+          </button>
+          <button type="button" onClick={() => run(onPrint)} className={itemClass}>
+            <Printer className="h-4 w-4 text-slate-400" />
+            印刷 / PDF
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,128 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { GOAL_SOURCES, GOAL_SOURCE_TAG, createGoal } from './goals.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+const toNumber = (value) => {
+  const cleaned = value.replace(/[^0-9]/g, '');
+  return cleaned ? parseInt(cleaned, 10) : 0;
+};
+
+/** 貯蓄目標の編集。tags は明細に付いているタグの一覧（入力候補） */
+const GoalEditor = ({ goals, onChange, tags }) => {
+  const updateGoal = (id, patch) => {
+    onChange(goals.map((goal) => (goal.id === id ? { ...goal, ...patch } : goal)));
+  };
+
+  const shareTotal = goals
+    .filter((goal) => goal.source !== GOAL_SOURCE_TAG)
+    .reduce((sum, goal) => sum + (Number(goal.share) || 0), 0);
+
+  return (
+    <div className="space-y-3">
+      <datalist id="goal-tags">
+        {tags.map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+      {goals.length === 0 && (
+        <p className="text-xs text-slate-400">
+          目標はまだありません。毎月の収支の一部を積み立てるか、分類ルールでタグを付けた振替を積み立てとして数えます。
+        </p>
+      )}
+      {goals.map((goal) => (
+        <div
+          key={goal.id}
+          className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3"
+        >
+          <input
+            type="text"
+            className={`${inputClass} w-36`}
+            value={goal.name}
+            placeholder="目標の名前"
+            onChange={(event) => updateGoal(goal.id, { name: event.target.value })}
+          />
+          <input
+            type="text"
+            inputMode="numeric"
+            className={`${inputClass} w-32 text-right`}
+            value={goal.target ? goal.target.toLocaleString() : ''}
+            placeholder="目標額（円）"
+            onChange={(event) => updateGoal(goal.id, { target: toNumber(event.target.value) })}
+          />
+          <input
+            type="month"
+            className={inputClass}
+            value={goal.startMonth}
+            title="積み立てを始める月"
+            onChange={(event) => updateGoal(goal.id, { startMonth: event.target.value })}
+          />
+          <span className="text-xs text-slate-400">〜</span>
+          <input
+            type="month"
+            className={inputClass}
+            value={goal.deadline}
+            title="期限の月"
+            onChange={(event) => updateGoal(goal.id, { deadline: event.target.value })}
+          />
+          <select
+            className={inputClass}
+            value={goal.source}
+            onChange={(event) => updateGoal(goal.id, { source: event.target.value })}
+          >
+            {GOAL_SOURCES.map((source) => (
+              <option key={source.value} value={source.value}>
+                {source.label}
+              </option>
+            ))}
+          </select>
+          {goal.source === GOAL_SOURCE_TAG ? (
+            <input
+              type="text"
+              list="goal-tags"
+              className={`${inputClass} w-28`}
+              value={goal.tag}
+              placeholder="タグ"
+              onChange={(event) => updateGoal(goal.id, { tag: event.target.value })}
+            />
+          ) : (
+            <label className="flex items-center gap-1 text-xs text-slate-500">
+              <input
+                type="text"
+                inputMode="numeric"
+                className={`${inputClass} w-16 text-right`}
+                value={goal.share ? String(goal.share) : ''}
+                onChange={(event) => updateGoal(goal.id, { share: Math.min(toNumber(event.target.value), 100) })}
+              />
+              %
+            </label>
+          )}
+          <button
+            type="button"
+            onClick={() => onChange(goals.filter((item) => item.id !== goal.id))}
+            className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+            title="削除"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      {shareTotal > 100 && (
+        <p className="text-xs text-amber-700">
+          収支の割合の合計が {shareTotal}% です。100% を超えると、収支より多くを積み立てたことになります。
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...goals, createGoal()])}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+      >
+        <Plus className="h-4 w-4" />
+        目標を追加
+      </button>
+    </div>
+  );
+};
+
+export default GoalEditor;
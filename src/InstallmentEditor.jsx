@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { createInstallmentPlan } from './installments.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+/**
+ * 分割払いの計画の編集。初回引落月を空欄にすると登録前から継続中、最終引落月を空欄にすると終了未定として扱う。
+ * onSaveToSheet を渡すと、スプレッドシートの Installment_Config にも保存できる。
+ */
+const InstallmentEditor = ({ plans, onChange, onSaveToSheet }) => {
+  const [sheetStatus, setSheetStatus] = useState(null);
+
+  const updatePlan = (id, patch) => {
+    onChange(plans.map((plan) => (plan.id === id ? { ...plan, ...patch } : plan)));
+  };
+
+  const saveToSheet = async () => {
+    setSheetStatus({ saving: true });
+    try {
+      const count = await onSaveToSheet(plans);
+      setSheetStatus({ text: `Installment_Config に ${count} 件を保存しました` });
+    } catch (error) {
+      setSheetStatus({ text: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {plans.length === 0 && (
+        <p className="text-xs text-slate-400">分割払いの計画はありません。分割補正は手入力した月だけ差し引かれます。</p>
+      )}
+      {plans.map((plan) => (
+        <div
+          key={plan.id}
+          className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3"
+        >
+          <input
+            type="text"
+            className={`${inputClass} w-40`}
+            value={plan.name}
+            placeholder="名称"
+            onChange={(event) => updatePlan(plan.id, { name: event.target.value })}
+          />
+          <input
+            type="text"
+            inputMode="numeric"
+            className={`${inputClass} w-28 text-right`}
+            value={plan.amount ? plan.amount.toLocaleString() : ''}
+            placeholder="月額（円）"
+            onChange={(event) => {
+              const cleaned = event.target.value.replace(/[^0-9]/g, '');
+              updatePlan(plan.id, { amount: cleaned ? parseInt(cleaned, 10) : 0 });
+            }}
+          />
+          <input
+            type="month"
+            className={inputClass}
+            value={plan.firstDebit}
+            title="初回引落月（空欄で登録前から継続中）"
+            onChange={(event) => updatePlan(plan.id, { firstDebit: event.target.value })}
+          />
+          <span className="text-xs text-slate-400">〜</span>
+          <input
+            type="month"
+            className={inputClass}
+            value={plan.lastDebit}
+            title="最終引落月（空欄で終了未定）"
+            onChange={(event) => updatePlan(plan.id, { lastDebit: event.target.value })}
+          />
+          <label className="flex items-center gap-1 text-xs text-slate-500">
+            毎月
+            <input
+              type="number"
+              min={1}
+              max={31}
+              className={`${inputClass} w-16 text-right`}
+              value={plan.debitDay}
+              onChange={(event) =>
+                updatePlan(plan.id, { debitDay: Math.min(31, Math.max(1, parseInt(event.target.value, 10) || 1)) })
+              }
+            />
+            日引落
+          </label>
+          <button
+            type="button"
+            onClick={() => onChange(plans.filter((item) => item.id !== plan.id))}
+            className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+            title="削除"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...plans, createInstallmentPlan()])}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+      >
+        <Plus className="h-4 w-4" />
+        分割払いを追加
+      </button>
+      {onSaveToSheet && (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={saveToSheet}
+            disabled={sheetStatus?.saving}
+            className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-xs font-semibold text-slate-600 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            スプレッドシートに保存
+          </button>
+          {sheetStatus?.saving && <span className="text-xs text-slate-400">保存中…</span>}
+          {sheetStatus?.text && (
+            <span className={`text-xs ${sheetStatus.isError ? 'text-rose-600' : 'text-emerald-700'}`}>
+              {sheetStatus.text}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstallmentEditor;
@@ -0,0 +1,187 @@
+import { AlertTriangle, Landmark } from 'lucide-react';
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { NET_WORTH_GAP_THRESHOLD } from './netWorth.js';
+import { formatSignedYen, formatYen } from './format.js';
+
+const COLORS = ['#10B981', '#F59E0B', '#F97316', '#60A5FA', '#34D399', '#F43F5E'];
+const TOTAL_COLOR = '#0F766E';
+const TOTAL_KEY = '純資産';
+
+const getSignedClass = (value) => (value >= 0 ? 'text-emerald-600' : 'text-rose-600');
+
+const formatOptionalYen = (value) => (value === null ? '-' : formatSignedYen(value));
+
+const Panel = ({ children, className = '' }) => (
+  <div
+    className={`rounded-3xl border border-white/70 bg-white/80 backdrop-blur ${className}`}
+    style={{ boxShadow: 'var(--shadow)' }}
+  >
+    {children}
+  </div>
+);
+
+/**
+ * 純資産の推移。netWorth は buildNetWorth の結果。
+ * status は残高の読み込み状況（loading / failed / unsupported）で、error は失敗時の { title, hint }。
+ */
+const NetWorthView = ({ netWorth, status, error }) => {
+  if (status) {
+    const message = {
+      loading: '残高を読み込み中...',
+      unsupported: '残高はGAS Webアプリ（Balances シート）か開発用モックのデータソースで表示できます。',
+      failed: error ? error.title : '残高を読み込めませんでした。'
+    }[status];
+    return (
+      <Panel className="mt-8 px-6 py-8 text-center text-sm text-slate-500">
+        <p>{message}</p>
+        {status === 'failed' && error?.hint && <p className="mt-2 text-xs text-slate-400">{error.hint}</p>}
+      </Panel>
+    );
+  }
+
+  const { accounts, months } = netWorth;
+  if (months.length === 0) {
+    return (
+      <Panel className="mt-8 px-6 py-8 text-center text-sm text-slate-500">
+        Balances シートに残高がありません。日付・口座・残高の列に、口座ごとの残高を記録してください。
+      </Panel>
+    );
+  }
+
+  const latest = months[months.length - 1];
+  const flaggedCount = months.filter((item) => item.flagged).length;
+  const chartData = months.map((item) => ({
+    name: `${item.year}/${item.month}`,
+    [TOTAL_KEY]: item.total,
+    ...item.byAccount
+  }));
+
+  return (
+    <section className="mt-8 space-y-6">
+      <Panel className="p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <Landmark className="h-5 w-5 text-emerald-600" />
+            <h2 className="font-display text-lg font-semibold text-slate-900">純資産の推移</h2>
+          </div>
+          <div className="text-xs text-slate-500">
+            {months[0].year}年{months[0].month}月〜{latest.year}年{latest.month}月
+          </div>
+        </div>
+        <div className="mt-4 grid grid-cols-1 gap-3 sm:grid-cols-3">
+          <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+            <p className="text-xs text-slate-500">純資産（{latest.month}月末）</p>
+            <p className="mt-1 text-xl font-semibold text-slate-900">{formatYen(latest.total)}</p>
+          </div>
+          <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+            <p className="text-xs text-slate-500">前月からの増減</p>
+            <p
+              className={`mt-1 text-xl font-semibold ${
+                latest.change === null ? 'text-slate-400' : getSignedClass(latest.change)
+              }`}
+            >
+              {formatOptionalYen(latest.change)}
+            </p>
+          </div>
+          <div
+            className={`rounded-2xl border px-4 py-3 ${
+              flaggedCount > 0 ? 'border-amber-100 bg-amber-50' : 'border-slate-100 bg-slate-50'
+            }`}
+          >
+            <p className="text-xs text-slate-500">収支と合わない月</p>
+            <p className={`mt-1 text-xl font-semibold ${flaggedCount > 0 ? 'text-amber-700' : 'text-slate-900'}`}>
+              {flaggedCount} か月
+            </p>
+          </div>
+        </div>
+        <div className="mt-6 h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+              <YAxis
+                tickFormatter={(value) => `${Math.round(value / 10000).toLocaleString()}万`}
+                tick={{ fontSize: 10 }}
+              />
+              <Tooltip formatter={(value) => formatYen(value)} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Line type="monotone" dataKey={TOTAL_KEY} stroke={TOTAL_COLOR} strokeWidth={3} dot={false} />
+              {accounts.map((account, index) => (
+                <Line
+                  key={account}
+                  type="monotone"
+                  dataKey={account}
+                  stroke={COLORS[index % COLORS.length]}
+                  strokeWidth={1.5}
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </Panel>
+
+      <Panel>
+        <div className="px-6 pt-6">
+          <h3 className="font-display text-base font-semibold text-slate-900">残高の増減と収支の突き合わせ</h3>
+          <p className="mt-1 text-xs text-slate-400">
+            差 = 純資産の増減 − 明細の収支（分割払い補正後）。差が {formatYen(NET_WORTH_GAP_THRESHOLD)}{' '}
+            以上の月は、明細にない入出金や運用損益、記録漏れがないか確認してください。
+          </p>
+        </div>
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-left text-xs sm:text-sm">
+            <thead className="bg-slate-50 text-xs uppercase text-slate-400">
+              <tr>
+                <th className="px-4 py-3 font-medium">月</th>
+                <th className="px-4 py-3 text-right font-medium">純資産</th>
+                <th className="px-4 py-3 text-right font-medium">増減</th>
+                <th className="px-4 py-3 text-right font-medium">収支</th>
+                <th className="px-4 py-3 text-right font-medium">差</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {[...months].reverse().map((item, index) => (
+                <tr
+                  key={`${item.year}-${item.month}`}
+                  className={`transition hover:bg-white/80 ${item.flagged ? 'bg-amber-50/60' : ''}`}
+                >
+                  <td className="px-4 py-3 text-slate-500 whitespace-nowrap">
+                    {item.year}年{item.month}月
+                    {index < months.length - 1 && item.addedAccounts.length > 0 && (
+                      <span className="ml-2 text-[10px] text-slate-400">
+                        記録開始: {item.addedAccounts.join('・')}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right text-slate-700">{formatYen(item.total)}</td>
+                  <td
+                    className={`px-4 py-3 text-right ${
+                      item.change === null ? 'text-slate-400' : getSignedClass(item.change)
+                    }`}
+                  >
+                    {formatOptionalYen(item.change)}
+                  </td>
+                  <td className="px-4 py-3 text-right text-slate-600">{formatOptionalYen(item.ledgerNet)}</td>
+                  <td
+                    className={`px-4 py-3 text-right font-semibold ${
+                      item.flagged ? 'text-amber-700' : 'text-slate-400'
+                    }`}
+                  >
+                    <span className="inline-flex items-center gap-1">
+                      {item.flagged && <AlertTriangle className="h-3.5 w-3.5" />}
+                      {formatOptionalYen(item.gap)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Panel>
+    </section>
+  );
+};
+
+export default NetWorthView;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { PERIOD_CUSTOM, PERIOD_START_DAY } from './rules.js';
+import { PERIOD_TYPES, createPeriodRange } from './period.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+/**
+ * 集計期間の編集。任意の期間は指定した月だけに使い、ほかの月は開始日で区切る。
+ * onSaveToSheet を渡すと、スプレッドシートの Period_Config にも保存できる。
+ */
+const PeriodEditor = ({ period, onChange, onSaveToSheet }) => {
+  const [sheetStatus, setSheetStatus] = useState(null);
+
+  const update = (patch) => onChange({ ...period, ...patch });
+
+  const updateRange = (index, patch) => {
+    update({ ranges: period.ranges.map((range, rangeIndex) => (rangeIndex === index ? { ...range, ...patch } : range)) });
+  };
+
+  const addRange = () => {
+    const today = new Date();
+    update({ ranges: [...period.ranges, createPeriodRange(today.getFullYear(), today.getMonth() + 1, period)] });
+  };
+
+  const saveToSheet = async () => {
+    setSheetStatus({ saving: true });
+    try {
+      const count = await onSaveToSheet(period);
+      setSheetStatus({ text: `Period_Config に保存しました（任意の期間 ${count} 件）` });
+    } catch (error) {
+      setSheetStatus({ text: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={inputClass} value={period.type} onChange={(event) => update({ type: event.target.value })}>
+          {PERIOD_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        {(period.type === PERIOD_START_DAY || period.type === PERIOD_CUSTOM) && (
+          <label className="flex items-center gap-2 text-xs text-slate-500">
+            開始日
+            <input
+              type="number"
+              min="1"
+              max="28"
+              className={`${inputClass} w-20 text-right`}
+              value={period.startDay}
+              onChange={(event) => update({ startDay: parseInt(event.target.value, 10) || 1 })}
+            />
+            日
+          </label>
+        )}
+      </div>
+      {period.type === PERIOD_CUSTOM && (
+        <>
+          {period.ranges.length === 0 && (
+            <p className="text-xs text-slate-400">
+              任意の期間はまだありません。指定しない月は開始日で区切り、前後の月は指定した期間に合わせて伸び縮みします。
+            </p>
+          )}
+          {period.ranges.map((range, index) => (
+            <div
+              key={index}
+              className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3"
+            >
+              <input
+                type="month"
+                className={inputClass}
+                value={range.month}
+                title="この期間を表示する月"
+                onChange={(event) => updateRange(index, { month: event.target.value })}
+              />
+              <input
+                type="date"
+                className={inputClass}
+                value={range.start}
+                onChange={(event) => updateRange(index, { start: event.target.value })}
+              />
+              <span className="text-xs text-slate-400">〜</span>
+              <input
+                type="date"
+                className={inputClass}
+                value={range.end}
+                onChange={(event) => updateRange(index, { end: event.target.value })}
+              />
+              <button
+                type="button"
+                onClick={() => update({ ranges: period.ranges.filter((_, rangeIndex) => rangeIndex !== index) })}
+                className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+                title="削除"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={addRange}
+            className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+          >
+            <Plus className="h-4 w-4" />
+            期間を追加
+          </button>
+        </>
+      )}
+      {onSaveToSheet && (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={saveToSheet}
+            disabled={sheetStatus?.saving}
+            className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-xs font-semibold text-slate-600 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            スプレッドシートに保存
+          </button>
+          {sheetStatus?.saving && <span className="text-xs text-slate-400">保存中…</span>}
+          {sheetStatus?.text && (
+            <span className={`text-xs ${sheetStatus.isError ? 'text-rose-600' : 'text-emerald-700'}`}>
+              {sheetStatus.text}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeriodEditor;
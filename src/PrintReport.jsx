@@ -0,0 +1,94 @@
+import { Bar, BarChart, CartesianGrid, Cell, Legend, Pie, PieChart, XAxis, YAxis } from 'recharts';
+
+// 印刷ではコンテナの幅が測れないため、グラフは固定の大きさで描く
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 240;
+const COLORS = ['#0F766E', '#10B981', '#F59E0B', '#F97316', '#60A5FA', '#34D399', '#F43F5E'];
+
+const formatCell = (value) => (typeof value === 'number' ? value.toLocaleString() : value);
+
+/** 支出カテゴリの円グラフ（data は buildChartData の結果） */
+export const PrintPieChart = ({ data }) => (
+  <PieChart width={CHART_WIDTH} height={CHART_HEIGHT}>
+    <Pie
+      data={data}
+      dataKey="value"
+      nameKey="name"
+      outerRadius={90}
+      isAnimationActive={false}
+      label={({ name, percent }) => `${name} ${Math.round(percent * 100)}%`}
+    >
+      {data.map((entry, index) => (
+        <Cell key={entry.name} fill={COLORS[index % COLORS.length]} />
+      ))}
+    </Pie>
+  </PieChart>
+);
+
+/** 月ごとの収入・支出の棒グラフ（data は overviewRows） */
+export const PrintIncomeExpenseChart = ({ data }) => (
+  <BarChart width={CHART_WIDTH} height={CHART_HEIGHT} data={data.map((row) => ({ ...row, name: `${row.month}月` }))}>
+    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+    <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+    <YAxis tickFormatter={(value) => `${Math.round(value / 10000)}万`} tick={{ fontSize: 10 }} />
+    <Legend wrapperStyle={{ fontSize: 10 }} />
+    <Bar dataKey="income" name="収入" fill="#10B981" isAnimationActive={false} />
+    <Bar dataKey="expense" name="支出" fill="#F97316" isAnimationActive={false} />
+  </BarChart>
+);
+
+/**
+ * 印刷用のレポート。画面では表示せず、印刷（PDFに保存）のときだけ画面の代わりに出る。
+ * summaryItems は { label, value } の一覧、children はグラフ、tables は exportData.js の表。
+ */
+const PrintReport = ({ title, summaryItems, tables, children }) => (
+  <div className="hidden bg-white p-8 text-slate-900 print:block">
+    <header className="border-b border-slate-300 pb-3">
+      <h1 className="text-xl font-semibold">{title}</h1>
+      <p className="mt-1 text-xs text-slate-500">作成日 {new Date().toLocaleDateString('ja-JP')}</p>
+    </header>
+    {summaryItems.length > 0 && (
+      <dl className="mt-4 grid grid-cols-3 gap-3 text-sm">
+        {summaryItems.map((item) => (
+          <div key={item.label} className="rounded border border-slate-200 px-3 py-2">
+            <dt className="text-xs text-slate-500">{item.label}</dt>
+            <dd className="mt-1 font-semibold">{item.value}</dd>
+          </div>
+        ))}
+      </dl>
+    )}
+    <div className="mt-4 flex justify-center">{children}</div>
+    {tables.map((table) => (
+      <section key={table.name} className="mt-6 break-inside-avoid-page">
+        <h2 className="text-sm font-semibold">{table.name}</h2>
+        <table className="mt-2 w-full border-collapse text-[10px]">
+          <thead>
+            <tr>
+              {table.headers.map((header) => (
+                <th key={header} className="border border-slate-300 bg-slate-100 px-1.5 py-1 text-left font-medium">
+                  {header}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.map((cells, rowIndex) => (
+              <tr key={rowIndex} className="break-inside-avoid">
+                {cells.map((value, cellIndex) => (
+                  <td
+                    key={cellIndex}
+                    className={`border border-slate-300 px-1.5 py-1 ${typeof value === 'number' ? 'text-right' : ''}`}
+                  >
+                    {formatCell(value)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    ))}
+  </div>
+);
+
+export default PrintReport;
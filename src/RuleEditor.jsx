@@ -0,0 +1,273 @@
+import { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+import {
+  ACTION_EXCLUDE,
+  MATCH_OPERATORS,
+  RULE_ACTIONS,
+  RULE_FIELDS,
+  applyRules,
+  createAction,
+  createCondition,
+  createRule,
+  getConditionError
+} from './ruleEngine.js';
+
+const PREVIEW_LIMIT = 20;
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+const RuleEditor = ({ rules, onChange, rows }) => {
+  const [expandedRuleId, setExpandedRuleId] = useState(null);
+
+  const preview = useMemo(() => applyRules(rows || [], rules), [rows, rules]);
+
+  const updateRule = (id, patch) => {
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...patch } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const updateListItem = (rule, key, index, patch) => {
+    updateRule(rule.id, {
+      [key]: rule[key].map((item, itemIndex) => (itemIndex === index ? { ...item, ...patch } : item))
+    });
+  };
+
+  const removeListItem = (rule, key, index) => {
+    updateRule(rule.id, { [key]: rule[key].filter((_, itemIndex) => itemIndex !== index) });
+  };
+
+  return (
+    <div className="space-y-4">
+      {rules.length === 0 && (
+        <p className="text-xs text-slate-400">ルールはまだありません。上から順に評価され、条件はすべて一致した場合に適用されます。</p>
+      )}
+      {rules.map((rule, index) => {
+        const changes = preview.changesByRule[rule.id] || [];
+        const expanded = expandedRuleId === rule.id;
+        return (
+          <div key={rule.id} className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+                title="有効/無効"
+              />
+              <input
+                type="text"
+                className={`${inputClass} flex-1 font-semibold`}
+                value={rule.name}
+                onChange={(event) => updateRule(rule.id, { name: event.target.value })}
+              />
+              <button
+                type="button"
+                onClick={() => moveRule(index, -1)}
+                className="rounded-xl p-1.5 text-slate-400 transition hover:bg-white"
+                title="上へ"
+              >
+                <ArrowUp className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveRule(index, 1)}
+                className="rounded-xl p-1.5 text-slate-400 transition hover:bg-white"
+                title="下へ"
+              >
+                <ArrowDown className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(rules.filter((item) => item.id !== rule.id))}
+                className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+                title="削除"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+
+            <p className="mt-3 text-[10px] font-semibold text-slate-500">条件（すべて一致）</p>
+            <div className="mt-1 space-y-2">
+              {rule.conditions.map((condition, conditionIndex) => {
+                const error = getConditionError(condition);
+                return (
+                  <div key={`condition-${conditionIndex}`} className="flex flex-wrap items-center gap-2">
+                    <select
+                      className={inputClass}
+                      value={condition.field}
+                      onChange={(event) =>
+                        updateListItem(rule, 'conditions', conditionIndex, { field: event.target.value })
+                      }
+                    >
+                      {RULE_FIELDS.map((field) => (
+                        <option key={field} value={field}>
+                          {field}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      className={inputClass}
+                      value={condition.operator}
+                      onChange={(event) =>
+                        updateListItem(rule, 'conditions', conditionIndex, { operator: event.target.value })
+                      }
+                    >
+                      {MATCH_OPERATORS.map((operator) => (
+                        <option key={operator.value} value={operator.value}>
+                          {operator.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      className={`${inputClass} flex-1 ${error ? 'border-rose-300' : ''}`}
+                      value={condition.value}
+                      placeholder="例: Netflix"
+                      onChange={(event) =>
+                        updateListItem(rule, 'conditions', conditionIndex, { value: event.target.value })
+                      }
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeListItem(rule, 'conditions', conditionIndex)}
+                      className="text-xs text-slate-400 hover:text-rose-500"
+                    >
+                      削除
+                    </button>
+                    {error && <span className="w-full text-[10px] text-rose-500">{error}</span>}
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                onClick={() => updateRule(rule.id, { conditions: [...rule.conditions, createCondition()] })}
+                className="text-xs font-semibold text-emerald-600 hover:text-emerald-700"
+              >
+                + 条件を追加
+              </button>
+            </div>
+
+            <p className="mt-3 text-[10px] font-semibold text-slate-500">アクション</p>
+            <div className="mt-1 space-y-2">
+              {rule.actions.map((action, actionIndex) => {
+                const definition = RULE_ACTIONS.find((item) => item.value === action.type);
+                return (
+                  <div key={`action-${actionIndex}`} className="flex flex-wrap items-center gap-2">
+                    <select
+                      className={inputClass}
+                      value={action.type}
+                      onChange={(event) => {
+                        const next = RULE_ACTIONS.find((item) => item.value === event.target.value);
+                        updateListItem(rule, 'actions', actionIndex, {
+                          type: event.target.value,
+                          value: next?.options ? next.options[0] : ''
+                        });
+                      }}
+                    >
+                      {RULE_ACTIONS.map((item) => (
+                        <option key={item.value} value={item.value}>
+                          {item.label}
+                        </option>
+                      ))}
+                    </select>
+                    {definition?.options ? (
+                      <select
+                        className={inputClass}
+                        value={action.value}
+                        onChange={(event) =>
+                          updateListItem(rule, 'actions', actionIndex, { value: event.target.value })
+                        }
+                      >
+                        {definition.options.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      action.type !== ACTION_EXCLUDE && (
+                        <input
+                          type="text"
+                          className={`${inputClass} flex-1`}
+                          value={action.value}
+                          onChange={(event) =>
+                            updateListItem(rule, 'actions', actionIndex, { value: event.target.value })
+                          }
+                        />
+                      )
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => removeListItem(rule, 'actions', actionIndex)}
+                      className="text-xs text-slate-400 hover:text-rose-500"
+                    >
+                      削除
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                onClick={() => updateRule(rule.id, { actions: [...rule.actions, createAction()] })}
+                className="text-xs font-semibold text-emerald-600 hover:text-emerald-700"
+              >
+                + アクションを追加
+              </button>
+            </div>
+
+            <div className="mt-3 border-t border-slate-200 pt-3">
+              <button
+                type="button"
+                onClick={() => setExpandedRuleId(expanded ? null : rule.id)}
+                className="text-xs font-semibold text-slate-500 hover:text-slate-700"
+              >
+                {rows ? `${changes.length} 件の明細が変更されます` : 'データ読み込み後にプレビューできます'}
+                {changes.length > 0 && (expanded ? '（閉じる）' : '（表示）')}
+              </button>
+              {expanded && changes.length > 0 && (
+                <div className="mt-2 space-y-1.5">
+                  {changes.slice(0, PREVIEW_LIMIT).map(({ row, changes: fieldChanges }, changeIndex) => (
+                    <div
+                      key={`${row['日付']}-${changeIndex}`}
+                      className="rounded-xl border border-slate-100 bg-white/80 px-3 py-2 text-[11px] text-slate-500"
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="truncate font-medium text-slate-700">{row['内容']}</span>
+                        <span className="whitespace-nowrap text-slate-400">{row['日付']}</span>
+                      </div>
+                      {fieldChanges.map((change) => (
+                        <div key={change.field}>
+                          {change.field}: {String(change.from) || '（空）'} → {String(change.to)}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                  {changes.length > PREVIEW_LIMIT && (
+                    <p className="text-[10px] text-slate-400">ほか {changes.length - PREVIEW_LIMIT} 件</p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => onChange([...rules, createRule()])}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+      >
+        <Plus className="h-4 w-4" />
+        ルールを追加
+      </button>
+    </div>
+  );
+};
+
+export default RuleEditor;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Download, RotateCcw, Trash2, Upload } from 'lucide-react';
+import { downloadBlob } from './exportData.js';
+import {
+  SETTINGS_BACKUP_STORAGE_KEY,
+  buildSettingsFile,
+  listSettingOverrides,
+  parseSettingsFile,
+  resetSettingOverride
+} from './settings.js';
+
+const buttonClass =
+  'flex items-center gap-1.5 rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-600 transition hover:bg-slate-50';
+
+const formatFileDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * 保存されている設定の一覧。項目ごとに既定値へ戻せるほか、JSONファイルへの書き出しと読み込みができる。
+ * onChange には新しい設定ドキュメント全体を渡す。
+ * backup（readSettingsBackup の結果）があれば、読めなかった設定の理由と退避した内容の書き出し・破棄を出す。
+ */
+const SettingsOverview = ({ settings, onChange, backup, onDismissBackup }) => {
+  const [status, setStatus] = useState(null);
+  const overrides = listSettingOverrides(settings);
+
+  const exportFile = () => {
+    const now = new Date();
+    downloadBlob(
+      new Blob([buildSettingsFile(settings, now)], { type: 'application/json' }),
+      `dashboard-settings-${formatFileDate(now)}.json`
+    );
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseSettingsFile(await file.text(), settings);
+      onChange(imported);
+      setStatus({ text: `${file.name} から ${listSettingOverrides(imported).length} 項目を読み込みました` });
+    } catch (error) {
+      setStatus({ text: error.message, isError: true });
+    }
+  };
+
+  const exportBackup = () => {
+    downloadBlob(new Blob([backup.raw], { type: 'application/json' }), `${SETTINGS_BACKUP_STORAGE_KEY}.json`);
+  };
+
+  return (
+    <div className="space-y-3">
+      {backup && (
+        <div className="rounded-2xl border border-rose-100 bg-rose-50 px-4 py-3 text-xs text-rose-700">
+          <p className="font-semibold">保存されていた設定を読み込めなかったため、既定値で表示しています</p>
+          {backup.error && <p className="mt-1 break-all font-mono text-[11px]">{backup.error}</p>}
+          <p className="mt-1 text-rose-600">
+            元の内容は localStorage の {SETTINGS_BACKUP_STORAGE_KEY} に退避しています。書き出して中身を確認し、必要な値を入力し直してください。
+          </p>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <button type="button" onClick={exportBackup} className={buttonClass}>
+              <Download className="h-4 w-4" />
+              退避した内容を書き出す
+            </button>
+            <button type="button" onClick={onDismissBackup} className={buttonClass}>
+              <Trash2 className="h-4 w-4" />
+              退避した内容を破棄
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={exportFile} className={buttonClass}>
+          <Download className="h-4 w-4" />
+          JSONに書き出す
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          <Upload className="h-4 w-4" />
+          JSONから読み込む
+          <input type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </label>
+        {status && (
+          <span className={`text-xs ${status.isError ? 'text-rose-600' : 'text-emerald-700'}`}>{status.text}</span>
+        )}
+      </div>
+      {overrides.length === 0 ? (
+        <p className="text-xs text-slate-400">保存されている設定はありません（すべて既定値）。</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 rounded-2xl border border-slate-100 bg-white/70">
+          {overrides.map((item) => (
+            <li key={item.id} className="flex items-center justify-between gap-3 px-4 py-2">
+              <div className="min-w-0">
+                <p className="text-xs font-semibold text-slate-700">{item.label}</p>
+                <p className="truncate text-xs text-slate-500">{item.value}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(resetSettingOverride(settings, item.id))}
+                className="flex shrink-0 items-center gap-1 text-xs font-semibold text-slate-400 transition hover:text-rose-600"
+                title="既定値に戻す"
+              >
+                <RotateCcw className="h-3.5 w-3.5" />
+                リセット
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SettingsOverview;
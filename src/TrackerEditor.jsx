@@ -0,0 +1,127 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { MATCH_OPERATORS, getConditionError } from './ruleEngine.js';
+import { TRACKER_FIELDS, createTracker, createTrackerCondition } from './trackers.js';
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+/** トラッカーの編集。組み込みのトラッカーは削除できず、無効にだけできる */
+const TrackerEditor = ({ trackers, onChange }) => {
+  const updateTracker = (id, patch) => {
+    onChange(trackers.map((tracker) => (tracker.id === id ? { ...tracker, ...patch } : tracker)));
+  };
+
+  const updateCondition = (tracker, index, patch) => {
+    updateTracker(tracker.id, {
+      conditions: tracker.conditions.map((condition, conditionIndex) =>
+        conditionIndex === index ? { ...condition, ...patch } : condition
+      )
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {trackers.map((tracker) => (
+        <div key={tracker.id} className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              checked={tracker.enabled}
+              onChange={(event) => updateTracker(tracker.id, { enabled: event.target.checked })}
+              title="有効/無効"
+            />
+            <input
+              type="text"
+              className={`${inputClass} flex-1 font-semibold`}
+              value={tracker.name}
+              onChange={(event) => updateTracker(tracker.id, { name: event.target.value })}
+            />
+            {tracker.builtIn ? (
+              <span className="rounded-full bg-white px-2 py-0.5 text-[10px] font-semibold text-slate-400">組み込み</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onChange(trackers.filter((item) => item.id !== tracker.id))}
+                className="rounded-xl p-1.5 text-rose-400 transition hover:bg-white"
+                title="削除"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+
+          <p className="mt-3 text-[10px] font-semibold text-slate-500">条件（いずれか一致）</p>
+          <div className="mt-1 space-y-2">
+            {tracker.conditions.map((condition, conditionIndex) => {
+              const error = getConditionError(condition);
+              return (
+                <div key={`condition-${conditionIndex}`} className="flex flex-wrap items-center gap-2">
+                  <select
+                    className={inputClass}
+                    value={condition.field}
+                    onChange={(event) => updateCondition(tracker, conditionIndex, { field: event.target.value })}
+                  >
+                    {TRACKER_FIELDS.map((field) => (
+                      <option key={field} value={field}>
+                        {field}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    className={inputClass}
+                    value={condition.operator}
+                    onChange={(event) => updateCondition(tracker, conditionIndex, { operator: event.target.value })}
+                  >
+                    {MATCH_OPERATORS.map((operator) => (
+                      <option key={operator.value} value={operator.value}>
+                        {operator.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    className={`${inputClass} flex-1 ${error ? 'border-rose-300' : ''}`}
+                    value={condition.value}
+                    placeholder="例: スターバックス"
+                    onChange={(event) => updateCondition(tracker, conditionIndex, { value: event.target.value })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateTracker(tracker.id, {
+                        conditions: tracker.conditions.filter((_, index) => index !== conditionIndex)
+                      })
+                    }
+                    className="text-xs text-slate-400 hover:text-rose-500"
+                  >
+                    削除
+                  </button>
+                  {error && <span className="w-full text-[10px] text-rose-500">{error}</span>}
+                </div>
+              );
+            })}
+            <button
+              type="button"
+              onClick={() =>
+                updateTracker(tracker.id, { conditions: [...tracker.conditions, createTrackerCondition()] })
+              }
+              className="text-xs font-semibold text-emerald-600 hover:text-emerald-700"
+            >
+              + 条件を追加
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...trackers, createTracker()])}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl border border-dashed border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50"
+      >
+        <Plus className="h-4 w-4" />
+        トラッカーを追加
+      </button>
+    </div>
+  );
+};
+
+export default TrackerEditor;
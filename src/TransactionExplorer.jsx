@@ -0,0 +1,255 @@
+import { useMemo, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Search } from 'lucide-react';
+import { TYPE_ADJUST, TYPE_EXPENSE, TYPE_INCOME } from './rules.js';
+import {
+  SORT_ASC,
+  SORT_DESC,
+  TARGET_ALL,
+  TARGET_EXCLUDED,
+  TARGET_ONLY,
+  createTransactionFilters,
+  filterTransactions,
+  getVisibleRange,
+  sortTransactions,
+  summarizeTransactions,
+  toTransactions
+} from './transactions.js';
+import { formatSignedYen, formatYen } from './format.js';
+
+const ROW_HEIGHT = 56;
+const VIEWPORT_HEIGHT = 560;
+const GRID_COLUMNS = 'grid-cols-[7rem_minmax(0,1fr)_10rem_4rem_7rem_7rem]';
+
+const COLUMNS = [
+  { key: 'date', label: '日付' },
+  { key: 'content', label: '内容 / メモ' },
+  { key: 'category', label: '大項目 / 中項目' },
+  { key: 'type', label: '区分' },
+  { key: 'amount', label: '金額', alignRight: true }
+];
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+const getAmountClass = (item) => {
+  if (item.type === TYPE_INCOME) return 'text-emerald-600';
+  if (item.type === TYPE_EXPENSE) return 'text-orange-600';
+  return item.signedAmount >= 0 ? 'text-emerald-600' : 'text-rose-600';
+};
+
+/** 全期間の明細の検索。rows は分類ルール適用後の明細（数年分でも表示中の行だけを描画する） */
+const TransactionExplorer = ({ rows }) => {
+  const [filters, setFilters] = useState(createTransactionFilters);
+  const [sort, setSort] = useState({ key: 'date', direction: SORT_DESC });
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  const transactions = useMemo(() => toTransactions(rows), [rows]);
+  const categories = useMemo(
+    () =>
+      Array.from(new Set(transactions.map((item) => item.category).filter(Boolean))).sort((a, b) =>
+        a.localeCompare(b, 'ja')
+      ),
+    [transactions]
+  );
+  const filtered = useMemo(() => filterTransactions(transactions, filters), [transactions, filters]);
+  const sorted = useMemo(() => sortTransactions(filtered, sort), [filtered, sort]);
+  const totals = useMemo(() => summarizeTransactions(filtered), [filtered]);
+
+  const { start, end } = getVisibleRange({
+    scrollTop,
+    viewportHeight: VIEWPORT_HEIGHT,
+    rowHeight: ROW_HEIGHT,
+    count: sorted.length
+  });
+
+  // 絞り込みを変えたら先頭から表示する
+  const updateFilter = (patch) => {
+    setFilters((current) => ({ ...current, ...patch }));
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+    setScrollTop(0);
+  };
+
+  const toggleSort = (key) => {
+    setSort((current) =>
+      current.key === key
+        ? { key, direction: current.direction === SORT_ASC ? SORT_DESC : SORT_ASC }
+        : { key, direction: key === 'date' || key === 'amount' ? SORT_DESC : SORT_ASC }
+    );
+  };
+
+  return (
+    <section className="mt-8 space-y-6">
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <div className="flex items-center gap-2">
+          <Search className="h-5 w-5 text-emerald-600" />
+          <h2 className="font-display text-lg font-semibold text-slate-900">明細検索</h2>
+        </div>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            className={`${inputClass} w-full sm:w-64`}
+            value={filters.query}
+            placeholder="内容・メモを検索"
+            onChange={(event) => updateFilter({ query: event.target.value })}
+          />
+          <select
+            className={inputClass}
+            value={filters.type}
+            onChange={(event) => updateFilter({ type: event.target.value })}
+          >
+            <option value="">すべての区分</option>
+            {[TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST].map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <select
+            className={inputClass}
+            value={filters.category}
+            onChange={(event) => updateFilter({ category: event.target.value })}
+          >
+            <option value="">すべての大項目</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+          <select
+            className={inputClass}
+            value={filters.target}
+            onChange={(event) => updateFilter({ target: event.target.value })}
+          >
+            <option value={TARGET_ALL}>計算対象: すべて</option>
+            <option value={TARGET_ONLY}>計算対象のみ</option>
+            <option value={TARGET_EXCLUDED}>計算対象外のみ</option>
+          </select>
+        </div>
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+          <span>金額</span>
+          <input
+            type="number"
+            min="0"
+            className={`${inputClass} w-28`}
+            value={filters.minAmount}
+            placeholder="下限"
+            onChange={(event) => updateFilter({ minAmount: event.target.value })}
+          />
+          <span>〜</span>
+          <input
+            type="number"
+            min="0"
+            className={`${inputClass} w-28`}
+            value={filters.maxAmount}
+            placeholder="上限"
+            onChange={(event) => updateFilter({ maxAmount: event.target.value })}
+          />
+          <span className="ml-2">期間</span>
+          <input
+            type="date"
+            className={inputClass}
+            value={filters.from}
+            onChange={(event) => updateFilter({ from: event.target.value })}
+          />
+          <span>〜</span>
+          <input
+            type="date"
+            className={inputClass}
+            value={filters.to}
+            onChange={(event) => updateFilter({ to: event.target.value })}
+          />
+          <button
+            type="button"
+            onClick={() => updateFilter(createTransactionFilters())}
+            className="ml-auto text-xs font-semibold text-slate-400 hover:text-slate-600"
+          >
+            条件をクリア
+          </button>
+        </div>
+        <p className="mt-4 text-sm text-slate-600">
+          {totals.count.toLocaleString()} 件 / 収入 {formatYen(totals.income)} / 支出 {formatYen(totals.expense)} /
+          <span className={`ml-1 font-semibold ${totals.net >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+            合計 {formatSignedYen(totals.net)}
+          </span>
+        </p>
+      </div>
+
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <div className="overflow-x-auto">
+          <div className="min-w-[48rem]">
+            <div className={`grid ${GRID_COLUMNS} bg-slate-50 text-xs text-slate-400`}>
+              {COLUMNS.map((column) => (
+                <button
+                  key={column.key}
+                  type="button"
+                  onClick={() => toggleSort(column.key)}
+                  className={`flex items-center gap-1 px-4 py-3 font-medium hover:text-slate-600 ${
+                    column.alignRight ? 'justify-end' : ''
+                  }`}
+                >
+                  {column.label}
+                  {sort.key === column.key &&
+                    (sort.direction === SORT_ASC ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />)}
+                </button>
+              ))}
+              <div className="px-4 py-3 text-right font-medium" title="表示順に足し上げた収支">
+                累計
+              </div>
+            </div>
+            {sorted.length === 0 ? (
+              <div className="px-6 py-8 text-center text-sm text-slate-500">条件に一致する明細はありません。</div>
+            ) : (
+              <div
+                ref={viewportRef}
+                className="overflow-y-auto"
+                style={{ height: Math.min(VIEWPORT_HEIGHT, sorted.length * ROW_HEIGHT) }}
+                onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+              >
+                <div className="relative" style={{ height: sorted.length * ROW_HEIGHT }}>
+                  {sorted.slice(start, end).map((item, index) => (
+                    <div
+                      key={item.id}
+                      className={`absolute inset-x-0 grid ${GRID_COLUMNS} items-center border-b border-slate-100 text-sm ${
+                        item.isTarget ? '' : 'opacity-50'
+                      }`}
+                      style={{ top: (start + index) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                    >
+                      <div className="px-4 text-slate-500 whitespace-nowrap">{item.date}</div>
+                      <div className="min-w-0 px-4">
+                        <div className="truncate font-medium text-slate-900" title={item.content}>
+                          {item.content}
+                        </div>
+                        {item.memo && <div className="truncate text-xs text-slate-400 italic">{item.memo}</div>}
+                      </div>
+                      <div className="min-w-0 px-4 text-xs text-slate-500">
+                        <div className="truncate">{item.category || '未分類'}</div>
+                        {item.subcategory && <div className="truncate text-slate-400">{item.subcategory}</div>}
+                      </div>
+                      <div className="px-4 text-xs text-slate-500">{item.type}</div>
+                      <div className={`px-4 text-right font-semibold whitespace-nowrap ${getAmountClass(item)}`}>
+                        {formatSignedYen(item.signedAmount)}
+                      </div>
+                      <div className="px-4 text-right text-xs text-slate-500 whitespace-nowrap">
+                        {formatSignedYen(item.runningTotal)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TransactionExplorer;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { Pencil } from 'lucide-react';
+import { TYPE_ADJUST, TYPE_EXPENSE, TYPE_INCOME, isTargetRow } from './rules.js';
+
+const TYPE_OPTIONS = [TYPE_INCOME, TYPE_EXPENSE, TYPE_ADJUST];
+
+const inputClass =
+  'rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 focus:border-emerald-300 focus:outline-none';
+
+const createDraft = (source) => ({
+  区分: String(source['区分'] || '').trim(),
+  計算対象: isTargetRow(source),
+  メモ: String(source['メモ'] || '')
+});
+
+// 変更した列だけを送る（計算対象はスプレッドシートと同じ 1 / 0）
+const buildChanges = (source, draft) => {
+  const changes = {};
+  if (draft['区分'] !== String(source['区分'] || '').trim()) changes['区分'] = draft['区分'];
+  if (draft['計算対象'] !== isTargetRow(source)) changes['計算対象'] = draft['計算対象'] ? 1 : 0;
+  if (draft['メモ'] !== String(source['メモ'] || '')) changes['メモ'] = draft['メモ'];
+  return changes;
+};
+
+/**
+ * 取引明細の1行。source（GASから取得した元の行）があれば、区分・計算対象・メモをその場で編集できる。
+ * onSave は画面に先に反映してから書き戻し、失敗したら Error を投げる。
+ */
+const TransactionRow = ({ item, source, onSave, amountClassName, amountLabel }) => {
+  const [draft, setDraft] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const save = async () => {
+    const changes = buildChanges(source, draft);
+    if (Object.keys(changes).length === 0) {
+      setDraft(null);
+      return;
+    }
+    const pendingDraft = draft;
+    setDraft(null);
+    setStatus({ saving: true });
+    try {
+      await onSave(source, changes);
+      setStatus(null);
+    } catch (error) {
+      // 入力内容は残して編集を再開する（競合時は最新の値が source に反映されている）
+      setDraft(pendingDraft);
+      setStatus({ message: error.message, hint: error.hint || '' });
+    }
+  };
+
+  const editing = draft !== null;
+
+  return (
+    <tr className={`transition hover:bg-white/80 ${item.isTarget ? '' : 'opacity-50'}`}>
+      <td className="px-6 py-4 text-slate-500 whitespace-nowrap">{item.date}</td>
+      <td className="px-6 py-4">
+        <div className="font-medium text-slate-900 line-clamp-2" title={item.content}>
+          {item.content}
+        </div>
+        {editing ? (
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              className={`${inputClass} flex-1`}
+              value={draft['メモ']}
+              placeholder="メモ"
+              onChange={(event) => setDraft({ ...draft, メモ: event.target.value })}
+            />
+            <label className="flex items-center gap-1 text-xs text-slate-500">
+              <input
+                type="checkbox"
+                checked={draft['計算対象']}
+                onChange={(event) => setDraft({ ...draft, 計算対象: event.target.checked })}
+              />
+              計算対象
+            </label>
+          </div>
+        ) : (
+          item.memo && <div className="mt-1 text-xs text-slate-400 italic">{item.memo}</div>
+        )}
+        {(item.tags.length > 0 || !item.isTarget) && (
+          <div className="mt-1 flex flex-wrap gap-1">
+            {!item.isTarget && (
+              <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[10px] font-semibold text-slate-500">
+                計算対象外
+              </span>
+            )}
+            {item.tags.map((tag) => (
+              <span
+                key={tag}
+                className="rounded-full bg-indigo-50 px-2 py-0.5 text-[10px] font-semibold text-indigo-600"
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+        {status?.saving && <p className="mt-1 text-[10px] text-slate-400">スプレッドシートに保存中…</p>}
+        {status?.message && (
+          <p className="mt-1 text-[10px] text-rose-600">
+            {status.message}
+            {status.hint && <span className="block text-slate-400">{status.hint}</span>}
+          </p>
+        )}
+      </td>
+      <td className="px-6 py-4">
+        {editing ? (
+          <select
+            className={inputClass}
+            value={draft['区分']}
+            onChange={(event) => setDraft({ ...draft, 区分: event.target.value })}
+          >
+            <option value="">（自動）</option>
+            {TYPE_OPTIONS.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span
+            className={`rounded-full px-2 py-1 text-[10px] font-semibold ${
+              item.type === TYPE_INCOME
+                ? 'bg-emerald-100 text-emerald-700'
+                : item.type === TYPE_EXPENSE
+                  ? 'bg-orange-100 text-orange-700'
+                  : 'bg-slate-100 text-slate-500'
+            }`}
+          >
+            {item.type}
+          </span>
+        )}
+      </td>
+      <td className={`px-6 py-4 text-right font-semibold ${amountClassName}`}>{amountLabel}</td>
+      <td className="px-4 py-4 text-right whitespace-nowrap">
+        {source &&
+          (editing ? (
+            <span className="flex items-center justify-end gap-2 text-xs">
+              <button type="button" onClick={save} className="font-semibold text-emerald-600 hover:text-emerald-700">
+                保存
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setDraft(null);
+                  setStatus(null);
+                }}
+                className="text-slate-400 hover:text-slate-600"
+              >
+                キャンセル
+              </button>
+            </span>
+          ) : (
+            <button
+              type="button"
+              onClick={() => {
+                setDraft(createDraft(source));
+                setStatus(null);
+              }}
+              disabled={status?.saving}
+              className="rounded-xl p-1.5 text-slate-400 transition hover:bg-white disabled:opacity-40"
+              title="編集"
+            >
+              <Pencil className="h-4 w-4" />
+            </button>
+          ))}
+      </td>
+    </tr>
+  );
+};
+
+export default TransactionRow;
@@ -0,0 +1,146 @@
+import { TrendingUp } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { OTHER_CATEGORY } from './trends.js';
+import { formatPercent, formatRatio, formatSignedYen, formatYen } from './format.js';
+
+const COLORS = ['#0F766E', '#10B981', '#F59E0B', '#F97316', '#60A5FA', '#34D399', '#F43F5E'];
+const OTHER_COLOR = '#CBD5E1';
+
+const getSignedClass = (value) => (value >= 0 ? 'text-emerald-600' : 'text-rose-600');
+
+const CagrCard = ({ label, value, increaseIsGood }) => (
+  <div className="rounded-2xl border border-slate-100 bg-slate-50 px-4 py-3">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p
+      className={`mt-1 text-xl font-semibold ${
+        value === null ? 'text-slate-400' : (value >= 0) === increaseIsGood ? 'text-emerald-600' : 'text-orange-600'
+      }`}
+    >
+      {formatPercent(value)}
+    </p>
+  </div>
+);
+
+/** 複数年の推移。trends は buildYearlyTrends の結果 */
+const TrendView = ({ trends }) => {
+  const { items, categories, cagr } = trends;
+  const chartData = items.map((item) => ({
+    name: `${item.year}年`,
+    ...Object.fromEntries(categories.map((category) => [category, (item.categoryShare[category] || 0) * 100]))
+  }));
+  const colorOf = (category, index) => (category === OTHER_CATEGORY ? OTHER_COLOR : COLORS[index % COLORS.length]);
+
+  if (items.length === 0) {
+    return (
+      <section
+        className="mt-8 rounded-3xl border border-white/70 bg-white/80 px-6 py-8 text-center text-sm text-slate-500 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        推移を表示できるデータがありません。
+      </section>
+    );
+  }
+
+  return (
+    <section className="mt-8 space-y-6">
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <TrendingUp className="h-5 w-5 text-emerald-600" />
+            <h2 className="font-display text-lg font-semibold text-slate-900">複数年の推移</h2>
+          </div>
+          <div className="text-xs text-slate-500">
+            {items[0].year}年〜{items[items.length - 1].year}年
+          </div>
+        </div>
+        <div className="mt-4 grid grid-cols-1 gap-3 sm:grid-cols-2">
+          <CagrCard label="収入の年平均成長率" value={cagr.income} increaseIsGood />
+          <CagrCard label="支出の年平均成長率" value={cagr.expense} increaseIsGood={false} />
+        </div>
+        <p className="mt-2 text-xs text-slate-400">
+          成長率は最初と最後の年の月平均で比べています（データが年の途中からでも比べられるように）。
+        </p>
+      </div>
+
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-xs sm:text-sm">
+            <thead className="bg-slate-50 text-xs uppercase text-slate-400">
+              <tr>
+                <th className="px-4 py-3 font-medium">年</th>
+                <th className="px-4 py-3 text-right font-medium">月数</th>
+                <th className="px-4 py-3 text-right font-medium">収入</th>
+                <th className="px-4 py-3 text-right font-medium">支出</th>
+                <th className="px-4 py-3 text-right font-medium">分割補正</th>
+                <th className="px-4 py-3 text-right font-medium">収支</th>
+                <th className="px-4 py-3 text-right font-medium" title="収支（分割補正後） ÷ 収入">
+                  貯蓄率
+                </th>
+                <th className="px-4 py-3 text-right font-medium" title="固定費 ÷ 収入">
+                  固定費率
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {items.map((item) => (
+                <tr key={item.year} className="transition hover:bg-white/80">
+                  <td className="px-4 py-3 text-slate-500 whitespace-nowrap">{item.year}年</td>
+                  <td className="px-4 py-3 text-right text-slate-400">{item.months}</td>
+                  <td className="px-4 py-3 text-right text-emerald-700">{formatYen(item.income)}</td>
+                  <td className="px-4 py-3 text-right text-orange-600">{formatYen(item.expense)}</td>
+                  <td className="px-4 py-3 text-right text-slate-500">
+                    {item.installmentDeduction > 0 ? `-${formatYen(item.installmentDeduction)}` : '-'}
+                  </td>
+                  <td className={`px-4 py-3 text-right font-semibold ${getSignedClass(item.net)}`}>
+                    {formatSignedYen(item.net)}
+                  </td>
+                  <td
+                    className={`px-4 py-3 text-right font-semibold ${
+                      item.savingsRate === null ? 'text-slate-400' : getSignedClass(item.savingsRate)
+                    }`}
+                  >
+                    {formatRatio(item.savingsRate)}
+                  </td>
+                  <td className="px-4 py-3 text-right text-slate-600">{formatRatio(item.fixedCostRatio)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div
+        className="rounded-3xl border border-white/70 bg-white/80 p-6 backdrop-blur"
+        style={{ boxShadow: 'var(--shadow)' }}
+      >
+        <h3 className="font-display text-base font-semibold text-slate-900">大項目別の支出構成比</h3>
+        {categories.length === 0 ? (
+          <p className="mt-4 text-sm text-slate-400">支出がありません。</p>
+        ) : (
+          <div className="mt-4 h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 10 }} />
+                <Tooltip formatter={(value) => formatRatio(value / 100)} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                {categories.map((category, index) => (
+                  <Bar key={category} dataKey={category} stackId="share" fill={colorOf(category, index)} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default TrendView;
@@ -0,0 +1,57 @@
+/**
+ * カテゴリ別の月次予算
+ *
+ * 予算と実績の対比は GAS と共通の `buildBudgetReport`（rules.js）で計算し、
+ * ここでは保存形式と、月の経過日数に対するペースの判定を扱います。
+ */
+import { buildBudgetReport, getPeriodProgress } from './rules.js';
+
+let budgetSequence = 0;
+const createBudgetId = () => {
+  budgetSequence += 1;
+  return `budget-${Date.now().toString(36)}-${budgetSequence}`;
+};
+
+/** month は 'YYYY-MM'（空なら毎月） */
+export const createBudget = (category = '') => ({
+  id: createBudgetId(),
+  category,
+  subcategory: '',
+  month: '',
+  amount: 0
+});
+
+export const parseStoredBudgets = (raw) => {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/** 指定月の経過割合（過去の月は 1、未来の月は 0、今月は今日までの日数の割合）。日数は集計期間で数える */
+export const getMonthElapsedRatio = (year, month, today = new Date(), period) => {
+  const { days, elapsedDays } = getPeriodProgress(year, month, today, period);
+  return elapsedDays / days;
+};
+
+export const BUDGET_OVER = 'over';
+export const BUDGET_AHEAD = 'ahead';
+export const BUDGET_ON_TRACK = 'on-track';
+
+/**
+ * 月次ビュー用の予算の進捗。
+ * pace は経過日数どおりに使った場合の想定額で、それを超えていれば「ペース超過」とする。
+ */
+export const buildBudgetProgress = (expenseByBudgetKey, budgets, year, month, today = new Date(), period) => {
+  const report = buildBudgetReport(expenseByBudgetKey, budgets, year, month);
+  const elapsed = getMonthElapsedRatio(year, month, today, period);
+  const items = report.items.map((item) => {
+    const pace = Math.round(item.amount * elapsed);
+    const status = item.spent > item.amount ? BUDGET_OVER : item.spent > pace ? BUDGET_AHEAD : BUDGET_ON_TRACK;
+    return { ...item, pace, ratio: item.spent / item.amount, status };
+  });
+  return { ...report, items, elapsed };
+};
@@ -0,0 +1,93 @@
+/**
+ * 2つの期間（月と月、年と年）のカテゴリ別支出の比較
+ */
+import { TYPE_EXPENSE, classifyRow, getPeriodOfDate } from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+
+export const PERIOD_MONTH = 'month';
+export const PERIOD_YEAR = 'year';
+
+export const GROUP_BY_CATEGORY = 'category';
+export const GROUP_BY_SUBCATEGORY = 'subcategory';
+
+/** period は { kind, year, month }（kind が PERIOD_YEAR のとき month は使わない） */
+export const createPeriod = (kind, year, month = 1) => ({ kind, year, month: kind === PERIOD_YEAR ? null : month });
+
+export const getPeriodLabel = (period) =>
+  period.kind === PERIOD_YEAR ? `${period.year}年` : `${period.year}年${period.month}月`;
+
+export const getPreviousPeriod = (period) => {
+  if (period.kind === PERIOD_YEAR) return createPeriod(PERIOD_YEAR, period.year - 1);
+  return period.month === 1
+    ? createPeriod(PERIOD_MONTH, period.year - 1, 12)
+    : createPeriod(PERIOD_MONTH, period.year, period.month - 1);
+};
+
+export const getSamePeriodLastYear = (period) => createPeriod(period.kind, period.year - 1, period.month);
+
+/** accountingPeriod は集計期間の設定（省略するとカレンダー月） */
+export const isInPeriod = (row, period, accountingPeriod) => {
+  const date = parseLedgerDate(row['日付']);
+  if (!date) return false;
+  const target = getPeriodOfDate(date, accountingPeriod);
+  if (target.year !== period.year) return false;
+  return period.kind === PERIOD_YEAR || target.month === period.month;
+};
+
+// 月次ビューの支出カテゴリ（expenseBySubcategory）と同じく、中項目がなければ大項目でまとめる
+export const getGroupKey = (classified, groupBy) => {
+  if (groupBy === GROUP_BY_CATEGORY) return classified.category || '未分類';
+  return classified.subcategory || classified.category || '未分類';
+};
+
+/** 期間内の集計対象の支出行を、カテゴリのキーごとに分ける */
+const groupExpenseRows = (rows, period, groupBy, accountingPeriod) => {
+  const groups = {};
+  rows.forEach((row) => {
+    if (!isInPeriod(row, period, accountingPeriod)) return;
+    const classified = classifyRow(row);
+    if (!classified.isTarget || classified.type !== TYPE_EXPENSE) return;
+    const key = getGroupKey(classified, groupBy);
+    if (!groups[key]) groups[key] = { total: 0, rows: [] };
+    groups[key].total += classified.amountAbs;
+    groups[key].rows.push(row);
+  });
+  return groups;
+};
+
+/**
+ * base と target のカテゴリ別支出の差（target - base）を、変化の大きい順に返す。
+ * percent は base が 0 のカテゴリでは null。
+ */
+export const buildComparison = (rows, base, target, { groupBy = GROUP_BY_SUBCATEGORY, accountingPeriod } = {}) => {
+  const baseGroups = groupExpenseRows(rows, base, groupBy, accountingPeriod);
+  const targetGroups = groupExpenseRows(rows, target, groupBy, accountingPeriod);
+  const keys = Array.from(new Set([...Object.keys(baseGroups), ...Object.keys(targetGroups)]));
+
+  const items = keys
+    .map((key) => {
+      const baseGroup = baseGroups[key] || { total: 0, rows: [] };
+      const targetGroup = targetGroups[key] || { total: 0, rows: [] };
+      const delta = targetGroup.total - baseGroup.total;
+      return {
+        key,
+        base: baseGroup.total,
+        target: targetGroup.total,
+        delta,
+        percent: baseGroup.total > 0 ? delta / baseGroup.total : null,
+        baseRows: baseGroup.rows,
+        targetRows: targetGroup.rows
+      };
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.key.localeCompare(b.key));
+
+  const baseTotal = items.reduce((sum, item) => sum + item.base, 0);
+  const targetTotal = items.reduce((sum, item) => sum + item.target, 0);
+  return {
+    items,
+    base: baseTotal,
+    target: targetTotal,
+    delta: targetTotal - baseTotal,
+    percent: baseTotal > 0 ? (targetTotal - baseTotal) / baseTotal : null
+  };
+};
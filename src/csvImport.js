@@ -0,0 +1,152 @@
+/**
+ * 家計簿CSV（`_CSV` タブと同じ列構成）をブラウザ上で読み込む
+ *
+ * マネーフォワード等のエクスポートはShift_JISのことが多いため、UTF-8として厳密に
+ * 読めなかった場合はShift_JISとして読み直します。
+ */
+import { formatLedgerDate, parseLedgerDate } from './parsing.js';
+
+export const CSV_STORAGE_KEY = 'csv_import_rows';
+export const REQUIRED_CSV_COLUMNS = ['日付', '内容', '金額（円）'];
+
+export const decodeCsvBuffer = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch (error) {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+};
+
+/** RFC 4180 形式（ダブルクォート内のカンマ・改行・"" エスケープ）に対応したCSVパーサー */
+export const parseCsv = (text) => {
+  const table = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      table.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    table.push(row);
+  }
+
+  return table.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// GASの doGet と同じ YYYY-MM-DD 形式にそろえる
+// 読めない日付はそのまま残す（データ品質で確認できるように）
+const normalizeCsvDate = (value) => formatLedgerDate(value) || String(value || '').trim();
+
+/**
+ * CSVテキストを明細行の配列に変換する。
+ * 必須列が見つからない場合は Error を投げる。
+ */
+export const rowsFromCsvText = (text) => {
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error('CSVが空です');
+
+  const keys = header.map((key) => key.trim());
+  const missing = REQUIRED_CSV_COLUMNS.filter((column) => !keys.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`必須の列が見つかりません: ${missing.join(', ')}`);
+  }
+
+  return body.map((cells) => {
+    const row = {};
+    keys.forEach((key, index) => {
+      row[key] = (cells[index] ?? '').trim();
+    });
+    row['日付'] = normalizeCsvDate(row['日付']);
+    return row;
+  });
+};
+
+export const readCsvFile = async (file) => rowsFromCsvText(decodeCsvBuffer(await file.arrayBuffer()));
+
+const getRowKey = (row) =>
+  row.ID
+    ? `id:${row.ID}`
+    : ['日付', '内容', '金額（円）', '大項目', '中項目', 'メモ'].map((key) => String(row[key] ?? '')).join('\u0001');
+
+const groupByRowKey = (rows) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = getRowKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+/**
+ * 既存の明細に新しいCSVの明細を合流させる。
+ * 期間が重なるファイルを読み込んでも二重計上しないよう、同じ内容の行は多い方の件数だけ残す
+ * （同じ日に同額の買い物が2回あるような、1ファイル内の同一行はそのまま残る）。
+ */
+export const mergeImportedRows = (existing, incoming) => {
+  const merged = groupByRowKey(existing);
+  groupByRowKey(incoming).forEach((rows, key) => {
+    if (!merged.has(key) || rows.length >= merged.get(key).length) merged.set(key, rows);
+  });
+  return Array.from(merged.values())
+    .flat()
+    .sort((a, b) => String(a['日付']).localeCompare(String(b['日付'])));
+};
+
+/** 明細の日付の年（ダッシュボードと同じく読めない日付は null） */
+export const getRowYear = (row) => {
+  const date = parseLedgerDate(row['日付']);
+  return date ? date.getFullYear() : null;
+};
+
+/**
+ * 年ごとの件数（新しい年から順）。日付を読めない行は year: null として最後にまとめ、
+ * removeRowsOfYear(rows, null) で削除できるようにする
+ */
+export const countRowsByYear = (rows) => {
+  const counts = {};
+  let unknownCount = 0;
+  rows.forEach((row) => {
+    const year = getRowYear(row);
+    if (year === null) {
+      unknownCount += 1;
+      return;
+    }
+    counts[year] = (counts[year] || 0) + 1;
+  });
+  const years = Object.entries(counts)
+    .map(([year, count]) => ({ year: parseInt(year, 10), count }))
+    .sort((a, b) => b.year - a.year);
+  return unknownCount > 0 ? [...years, { year: null, count: unknownCount }] : years;
+};
+
+export const removeRowsOfYear = (rows, year) => rows.filter((row) => getRowYear(row) !== year);
@@ -0,0 +1,133 @@
+/**
+ * データ品質のチェック
+ *
+ * 集計では黙って読み飛ばされたり推定で補われたりする明細（読めない日付・金額、区分の推定、
+ * シートの列の不足、見慣れない大項目）を、種類ごとに一覧にします。
+ */
+import { explainType, isTargetRow } from './rules.js';
+import { parseCalendarDate, parseLedgerAmount } from './parsing.js';
+
+export const ISSUE_MISSING_COLUMNS = 'missingColumns';
+export const ISSUE_BAD_DATE = 'badDate';
+export const ISSUE_BAD_AMOUNT = 'badAmount';
+export const ISSUE_INFERRED_TYPE = 'inferredType';
+export const ISSUE_UNKNOWN_CATEGORY = 'unknownCategory';
+
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+// 集計に使う列（区分・計算対象がないと、推定か集計対象外になる）
+export const EXPECTED_COLUMNS = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象'];
+
+// マネーフォワード ME の大項目
+export const KNOWN_CATEGORIES = [
+  '収入',
+  '食費',
+  '日用品',
+  '趣味・娯楽',
+  '交際費',
+  '交通費',
+  '衣服・美容',
+  '健康・医療',
+  '自動車',
+  '教養・教育',
+  '特別な支出',
+  '現金・カード',
+  '水道・光熱費',
+  '通信費',
+  '住宅',
+  '税・社会保障',
+  '保険',
+  'その他',
+  '未分類'
+];
+
+export const HEALTH_ISSUES = [
+  {
+    id: ISSUE_MISSING_COLUMNS,
+    label: '列の不足',
+    severity: SEVERITY_ERROR,
+    description: 'シートに集計で使う列がありません。列がないと日付・金額が読めないか、区分の推定や集計対象外になります。'
+  },
+  {
+    id: ISSUE_BAD_DATE,
+    label: '読めない日付',
+    severity: SEVERITY_ERROR,
+    description: '日付が空か読めないため、どの月の集計にも入りません。'
+  },
+  {
+    id: ISSUE_BAD_AMOUNT,
+    label: '読めない金額',
+    severity: SEVERITY_ERROR,
+    description: '金額が空か数値として読めないため、0円として集計されています。'
+  },
+  {
+    id: ISSUE_INFERRED_TYPE,
+    label: '区分の推定',
+    severity: SEVERITY_WARNING,
+    description: '区分が収入・支出・調整のどれでもないため、内容や大項目のキーワードから推定しています。'
+  },
+  {
+    id: ISSUE_UNKNOWN_CATEGORY,
+    label: '見慣れない大項目',
+    severity: SEVERITY_WARNING,
+    description: '大項目が空か、マネーフォワードの大項目にない名前です。固定費・変動費や予算の集計がずれることがあります。'
+  }
+];
+
+const describeTypeHint = ({ type, hint }) =>
+  hint ? `「${hint}」から${type}と判定` : `キーワードなし（${type}とみなす）`;
+
+/**
+ * rows（分類ルール適用後の明細）のデータ品質。種類ごとに { ...HEALTH_ISSUES の定義, items } を返す。
+ * items は { key, row, sheet, detail }（列の不足は row なし）。
+ */
+export const buildDataHealth = (rows) => {
+  const items = Object.fromEntries(HEALTH_ISSUES.map((issue) => [issue.id, []]));
+  const columnsBySheet = new Map();
+
+  rows.forEach((row, index) => {
+    const sheet = row._sheet || '';
+    const key = row._sheet ? `${row._sheet}:${row._row}` : `row-${index}`;
+    const add = (id, detail) => items[id].push({ key, row, sheet, detail });
+
+    if (!columnsBySheet.has(sheet)) columnsBySheet.set(sheet, { columns: new Set(), rowCount: 0 });
+    const sheetColumns = columnsBySheet.get(sheet);
+    Object.keys(row).forEach((column) => sheetColumns.columns.add(column));
+    sheetColumns.rowCount += 1;
+
+    if (!parseCalendarDate(row['日付'])) add(ISSUE_BAD_DATE, row['日付'] ? `「${row['日付']}」` : '空欄');
+    if (parseLedgerAmount(row['金額（円）']) === null) {
+      add(ISSUE_BAD_AMOUNT, row['金額（円）'] ? `「${row['金額（円）']}」` : '空欄');
+    }
+    if (!isTargetRow(row)) return;
+
+    const typeResult = explainType(row);
+    if (typeResult.inferred) add(ISSUE_INFERRED_TYPE, describeTypeHint(typeResult));
+    const category = String(row['大項目'] || '').trim();
+    if (!KNOWN_CATEGORIES.includes(category)) add(ISSUE_UNKNOWN_CATEGORY, category ? `「${category}」` : '空欄');
+  });
+
+  columnsBySheet.forEach(({ columns, rowCount }, sheet) => {
+    const missing = EXPECTED_COLUMNS.filter((column) => !columns.has(column));
+    if (missing.length === 0) return;
+    items[ISSUE_MISSING_COLUMNS].push({
+      key: `sheet:${sheet}`,
+      row: null,
+      sheet,
+      detail: `${missing.join('・')}（${rowCount} 行）`
+    });
+  });
+
+  return HEALTH_ISSUES.map((issue) => ({ ...issue, items: items[issue.id] }));
+};
+
+/** ヘッダーのバッジに出す件数（エラーがあればエラーの件数、なければ注意の件数） */
+export const summarizeDataHealth = (issues) => {
+  const countOf = (severity) =>
+    issues.filter((issue) => issue.severity === severity).reduce((sum, issue) => sum + issue.items.length, 0);
+  const errors = countOf(SEVERITY_ERROR);
+  return errors > 0
+    ? { severity: SEVERITY_ERROR, count: errors }
+    : { severity: SEVERITY_WARNING, count: countOf(SEVERITY_WARNING) };
+};
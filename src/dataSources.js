@@ -0,0 +1,462 @@
+/**
+ * 明細データの取得元（データソース）
+ *
+ * どのデータソースも `load()` で明細行の配列を返し、失敗時は DataSourceError を投げます。
+ * 画面側は読み込み中・エラー表示を共通の処理で扱えます。
+ * 口座の残高を読めるデータソース（GAS・モック）は `loadBalances()` で [{ date, account, balance }] を返します。
+ * GASは `load({ range })` で読む月の範囲を絞れ、ほかの年は `mergeGasRows` で後から読み足せます。
+ */
+
+export const SOURCE_GAS = 'gas';
+export const SOURCE_JSON = 'json';
+export const SOURCE_CSV = 'csv';
+export const SOURCE_MOCK = 'mock';
+
+export const SOURCE_LABELS = {
+  [SOURCE_GAS]: 'GAS Webアプリ',
+  [SOURCE_JSON]: 'JSONファイル',
+  [SOURCE_CSV]: 'CSV読み込み',
+  [SOURCE_MOCK]: '開発用モック'
+};
+
+export const MOCK_LEDGER_PATH = '__mock__/ledger.json';
+export const MOCK_BALANCES_PATH = '__mock__/balances.json';
+
+export const ERROR_NETWORK = 'network';
+export const ERROR_HTTP = 'http';
+export const ERROR_LOGIN_REDIRECT = 'login-redirect';
+export const ERROR_NOT_JSON = 'not-json';
+export const ERROR_FORMAT = 'format';
+export const ERROR_EMPTY = 'empty';
+export const ERROR_CONFIG = 'config';
+export const ERROR_WRITE = 'write';
+export const ERROR_CONFLICT = 'conflict';
+export const ERROR_UNAUTHORIZED = 'unauthorized';
+
+export class DataSourceError extends Error {
+  constructor(kind, message, { hint = '', status = null, detail = '' } = {}) {
+    super(message);
+    this.name = 'DataSourceError';
+    this.kind = kind;
+    this.hint = hint;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/** 書き込み対象の行が取得後に変更されていた（record に現在の値が入る） */
+export class RowConflictError extends DataSourceError {
+  constructor(fields, record) {
+    super(ERROR_CONFLICT, '取得後にスプレッドシート側で変更されています', {
+      hint: '最新の値を読み込みました。内容を確認してから保存し直してください。',
+      detail: fields.join(', ')
+    });
+    this.name = 'RowConflictError';
+    this.fields = fields;
+    this.record = record;
+  }
+}
+
+const GAS_LOGIN_MARKERS = ['accounts.google.com', 'ServiceLogin', 'identifier?'];
+
+const summarizeBody = (text) => text.replace(/\s+/g, ' ').trim().slice(0, 200);
+
+/** URLからJSONを取得する（GAS・JSONファイル・モックで共通） */
+const fetchJson = async (url, { fetchImpl = fetch, hint = '', init = {} } = {}) => {
+  let response;
+  try {
+    response = await fetchImpl(url, { cache: 'no-store', ...init });
+  } catch (error) {
+    throw new DataSourceError(ERROR_NETWORK, 'サーバーに接続できませんでした', {
+      hint: hint || 'URL・ネットワーク接続・CORSの設定を確認してください。',
+      detail: error.message
+    });
+  }
+
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new DataSourceError(ERROR_HTTP, `HTTP ${response.status} が返されました`, {
+      status: response.status,
+      hint: response.status === 404 ? 'URLが正しいか確認してください。' : hint,
+      detail: summarizeBody(text)
+    });
+  }
+
+  const isHtml = /^\s*</.test(text) || (response.headers.get('content-type') || '').includes('text/html');
+  if (isHtml) {
+    const finalUrl = response.url || '';
+    if (GAS_LOGIN_MARKERS.some((marker) => finalUrl.includes(marker) || text.includes(marker))) {
+      throw new DataSourceError(ERROR_LOGIN_REDIRECT, 'Googleのログインページが返されました', {
+        status: response.status,
+        hint: 'GASのデプロイで「アクセスできるユーザー」を「全員」にしてください。',
+        detail: finalUrl
+      });
+    }
+    throw new DataSourceError(ERROR_NOT_JSON, 'JSONではなくHTMLが返されました', {
+      status: response.status,
+      hint: hint || 'URLがJSONを返すエンドポイントか確認してください。',
+      detail: summarizeBody(text)
+    });
+  }
+
+  try {
+    return { json: JSON.parse(text), text };
+  } catch (error) {
+    throw new DataSourceError(ERROR_NOT_JSON, 'JSONとして読み込めませんでした', {
+      status: response.status,
+      hint,
+      detail: summarizeBody(text)
+    });
+  }
+};
+
+/** GASの doGet が返すエンベロープ形式か（{ schemaVersion, sheets, rows }） */
+export const isLedgerEnvelope = (json) =>
+  Boolean(json) && typeof json === 'object' && Array.isArray(json.rows) && Array.isArray(json.sheets);
+
+const throwFormatError = (text, hint) => {
+  throw new DataSourceError(ERROR_FORMAT, '想定外のデータ形式です（明細の配列ではありません）', {
+    hint,
+    detail: summarizeBody(text)
+  });
+};
+
+/** URLからJSONの明細配列を取得する（明細の配列と doGet のエンベロープのどちらも受け付ける） */
+export const fetchJsonRows = async (url, options = {}) => {
+  const { json, text } = await fetchJson(url, options);
+  if (Array.isArray(json)) return json;
+  if (isLedgerEnvelope(json)) return json.rows;
+  return throwFormatError(text, options.hint);
+};
+
+const requireUrl = (url, label) => {
+  if (!url) {
+    throw new DataSourceError(ERROR_CONFIG, `${label}のURLが設定されていません`, {
+      hint: '設定画面でURLを入力してください。'
+    });
+  }
+  return url;
+};
+
+// 画面で使う列だけをGASに要求する（ID は CSV との重複判定、_sheet / _row は常に返る）
+export const GAS_COLUMNS = ['ID', '日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+export const GAS_SCHEMA_VERSION = 2;
+export const GAS_CACHE_STORAGE_KEY = 'gas_cache';
+// 範囲を絞らずに読んだキャッシュのキー（範囲ごとにキャッシュを分ける）
+export const GAS_SCOPE_ALL = 'all';
+
+const GAS_HINT = 'GASのURLと公開設定（ウェブアプリ・全員）を確認してください。';
+
+/** GASがアクセストークンを受け付けなかった（{ ok: false, error: 'unauthorized' }）ときの Error */
+const throwIfUnauthorized = (json) => {
+  if (!json || json.error !== ERROR_UNAUTHORIZED) return;
+  throw new DataSourceError(ERROR_UNAUTHORIZED, 'GASのアクセストークンが受け付けられませんでした', {
+    hint: '設定画面の「パスフレーズ」に、スプレッドシートのメニュー「アクセストークンを再発行」で発行した値を入力してください。',
+    detail: json.message || ''
+  });
+};
+
+export const buildGasRequestUrl = (url, params) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+// range（{ from, to } は 'YYYY-MM'）をキャッシュのキーにする
+const toGasScope = (range) => (range ? `${range.from}~${range.to}` : GAS_SCOPE_ALL);
+
+// scope のないキャッシュは範囲を絞る前のもの（全期間）
+const isUsableCache = (cache, url, scope) =>
+  Boolean(cache) &&
+  cache.url === url &&
+  (cache.scope || GAS_SCOPE_ALL) === scope &&
+  cache.schemaVersion === GAS_SCHEMA_VERSION &&
+  typeof cache.generatedAt === 'string' &&
+  Boolean(cache.sheets) &&
+  typeof cache.sheets === 'object';
+
+/**
+ * 差分の応答をキャッシュに合流させる。
+ * 応答に含まれたシートは丸ごと差し替え、含まれなかったシートはキャッシュを使う。
+ * 一覧から消えたシートは捨てる。キャッシュにないシートが差分から漏れていたら null（全件取得が必要）。
+ */
+export const mergeGasSnapshot = (cache, envelope, url, scope = GAS_SCOPE_ALL) => {
+  const sheets = {};
+  for (const sheet of envelope.sheets) {
+    if (sheet.included) {
+      sheets[sheet.name] = envelope.rows.filter((row) => row._sheet === sheet.name);
+    } else if (cache && cache.sheets[sheet.name]) {
+      sheets[sheet.name] = cache.sheets[sheet.name];
+    } else {
+      return null;
+    }
+  }
+  return { url, scope, schemaVersion: envelope.schemaVersion, generatedAt: envelope.generatedAt, sheets };
+};
+
+export const flattenGasSnapshot = (snapshot) =>
+  Object.values(snapshot.sheets)
+    .flat()
+    .sort((a, b) => String(a['日付']).localeCompare(String(b['日付'])));
+
+/**
+ * 読み足した明細を今の明細に合流させる（同じシートの同じ行は読み足した方を使う）。
+ * シートの行番号がない行（旧バージョンの doGet は範囲を絞らずに全件返す）が来たら、そちらで置き換える。
+ */
+export const mergeGasRows = (current, incoming) => {
+  if (!incoming.every(isWritableRow)) return incoming;
+  const merged = new Map(current.filter(isWritableRow).map((row) => [getSheetRowKey(row), row]));
+  incoming.forEach((row) => merged.set(getSheetRowKey(row), row));
+  return Array.from(merged.values()).sort((a, b) => String(a['日付']).localeCompare(String(b['日付'])));
+};
+
+// 「2026_CSV」「2026_2_CSV」のシート名の年
+const getSheetYear = (name) => {
+  const match = /^(\d{4})/.exec(name);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * GASのWebアプリから明細を取得する。
+ * token はアクセストークン（GASのスクリプト プロパティと同じ値）。
+ * cache（{ read(scope), write }）を渡すと前回の取得日時を since として送り、編集されたシートだけを取り直す。
+ * load の range（{ from, to } は 'YYYY-MM'、両端を含む）を渡すと、その月の明細だけを読む（キャッシュも範囲ごと）。
+ * listSheetYears() は最後に読んだときの _CSV シートの年（範囲の外の年も含む）を返す。
+ */
+export const createGasSource = (url, { cache = null, token = '' } = {}) => {
+  let sheetNames = [];
+  return {
+    id: SOURCE_GAS,
+    label: SOURCE_LABELS[SOURCE_GAS],
+    load: async ({ range = null, ...options } = {}) => {
+      const baseUrl = requireUrl(url, 'GAS');
+      const scope = toGasScope(range);
+      const requestOptions = { ...options, hint: GAS_HINT };
+      const request = async (since) => {
+        const result = await fetchJson(
+          buildGasRequestUrl(baseUrl, {
+            token,
+            columns: GAS_COLUMNS.join(','),
+            from: range ? range.from : '',
+            to: range ? range.to : '',
+            since
+          }),
+          requestOptions
+        );
+        throwIfUnauthorized(result.json);
+        return result;
+      };
+
+      const cached = cache ? cache.read(scope) : null;
+      const usableCache = isUsableCache(cached, baseUrl, scope) ? cached : null;
+
+      let { json, text } = await request(usableCache ? usableCache.generatedAt : '');
+      // 旧バージョンの doGet は明細の配列をそのまま返す
+      if (Array.isArray(json)) return json;
+      if (!isLedgerEnvelope(json)) return throwFormatError(text, GAS_HINT);
+
+      let snapshot = mergeGasSnapshot(usableCache, json, baseUrl, scope);
+      if (!snapshot) {
+        ({ json, text } = await request(''));
+        if (!isLedgerEnvelope(json)) return throwFormatError(text, GAS_HINT);
+        snapshot = mergeGasSnapshot(null, json, baseUrl, scope);
+      }
+
+      if (cache) cache.write(snapshot);
+      sheetNames = Object.keys(snapshot.sheets);
+      return flattenGasSnapshot(snapshot);
+    },
+    listSheetYears: () =>
+      Array.from(new Set(sheetNames.map(getSheetYear).filter((year) => year !== null))).sort((a, b) => b - a),
+    // Balances シートの残高（doGet の type=balances）
+    loadBalances: async (options = {}) => {
+      const { json, text } = await fetchJson(buildGasRequestUrl(requireUrl(url, 'GAS'), { token, type: 'balances' }), {
+        ...options,
+        hint: GAS_HINT
+      });
+      throwIfUnauthorized(json);
+      if (!json || !Array.isArray(json.balances)) {
+        throw new DataSourceError(ERROR_FORMAT, '残高が返されませんでした（Balances シートに対応したGASか確認してください）', {
+          hint: 'GAS_LivingExpense.gs を最新にして、デプロイを更新してください。',
+          detail: summarizeBody(text)
+        });
+      }
+      return json.balances;
+    }
+  };
+};
+
+// 明細の表から書き換えられる列（GASの WRITABLE_COLUMNS と同じ）
+export const EDITABLE_COLUMNS = ['区分', '計算対象', 'メモ'];
+
+/** GASから取得した行か（_sheet / _row があればスプレッドシートへ書き戻せる） */
+export const isWritableRow = (row) => Boolean(row && row._sheet && row._row);
+
+export const getSheetRowKey = (row) => `${row._sheet}:${row._row}`;
+
+// text/plain にするとCORSのプリフライトが発生しない（GASは OPTIONS に応答できない）
+const postToGas = async (url, payload, { fetchImpl, token = '' } = {}) => {
+  const { json, text } = await fetchJson(requireUrl(url, 'GAS'), {
+    fetchImpl,
+    hint: GAS_HINT,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      body: JSON.stringify({ ...payload, token })
+    }
+  });
+
+  if (!json || typeof json !== 'object' || !('ok' in json)) {
+    throw new DataSourceError(ERROR_FORMAT, '想定外の応答です（doPost に対応したGASか確認してください）', {
+      hint: 'GAS_LivingExpense.gs を最新にして、デプロイを更新してください。',
+      detail: summarizeBody(text)
+    });
+  }
+  if (json.ok) return json;
+  throwIfUnauthorized(json);
+  if (json.error === ERROR_CONFLICT) throw new RowConflictError(json.fields || [], json.record || null);
+  throw new DataSourceError(ERROR_WRITE, json.message || 'スプレッドシートへの書き込みに失敗しました', {
+    detail: json.error
+  });
+};
+
+/**
+ * 明細の1行をスプレッドシートに書き戻す（GASの doPost）。
+ * 取得時点の値を expected として送り、食い違っていれば RowConflictError を投げる。
+ */
+export const updateGasRow = async (url, row, changes, options) => {
+  const expected = {};
+  GAS_COLUMNS.forEach((key) => {
+    if (key in row) expected[key] = row[key];
+  });
+  const payload = { action: 'updateRow', sheet: row._sheet, row: row._row, id: row.ID || '', expected, changes };
+  const { record } = await postToGas(url, payload, options);
+  return record;
+};
+
+/** 予算をスプレッドシートの Budget_Config シートに保存する（Overviewの予算差異に使われる） */
+export const saveGasBudgets = async (url, budgets, options) => {
+  const payload = {
+    action: 'saveBudgets',
+    budgets: budgets.map(({ category, subcategory, month, amount }) => ({ category, subcategory, month, amount }))
+  };
+  const { count } = await postToGas(url, payload, options);
+  return count;
+};
+
+/** 分割払いの計画をスプレッドシートの Installment_Config シートに保存する（Overviewの分割払い控除に使われる） */
+export const saveGasInstallments = async (url, plans, options) => {
+  const payload = {
+    action: 'saveInstallments',
+    plans: plans.map(({ name, amount, firstDebit, lastDebit, debitDay }) => ({ name, amount, firstDebit, lastDebit, debitDay }))
+  };
+  const { count } = await postToGas(url, payload, options);
+  return count;
+};
+
+/** 集計期間をスプレッドシートの Period_Config シートに保存する（Overviewの集計に使われる） */
+export const saveGasPeriod = async (url, period, options) => {
+  const { type, startDay, ranges } = period;
+  const { count } = await postToGas(url, { action: 'savePeriod', period: { type, startDay, ranges } }, options);
+  return count;
+};
+
+/** 重複の判定をスプレッドシートの Duplicate_Config シートに保存する（Overviewの集計に使われる） */
+export const saveGasDuplicates = async (url, resolutions, options) => {
+  const { count } = await postToGas(url, { action: 'saveDuplicates', resolutions }, options);
+  return count;
+};
+
+/**
+ * 分類ルールと分類キーワードをスプレッドシートの Rule_Config / Hint_Config シートに保存する
+ * （Overviewの集計でダッシュボードと同じ分類にするため）
+ */
+export const saveGasRules = async (url, rules, hints, options) => {
+  const payload = {
+    action: 'saveRules',
+    rules: rules.map(({ id, name, enabled, conditions, actions }) => ({ id, name, enabled, conditions, actions })),
+    hints
+  };
+  const { count } = await postToGas(url, payload, options);
+  return count;
+};
+
+/**
+ * 月ごとの入力を Overview_Config シートと同期する（更新日時が新しい方を残す）。
+ * 戻り値は同期後の Overview_Config の全行。
+ */
+export const syncGasOverviewConfig = async (url, entries, options) => {
+  const { entries: synced } = await postToGas(url, { action: 'syncOverviewConfig', entries }, options);
+  return Array.isArray(synced) ? synced : [];
+};
+
+export const createJsonFileSource = (url) => ({
+  id: SOURCE_JSON,
+  label: SOURCE_LABELS[SOURCE_JSON],
+  load: (options) => fetchJsonRows(requireUrl(url, 'JSONファイル'), options)
+});
+
+export const createCsvSource = (rows) => ({
+  id: SOURCE_CSV,
+  label: SOURCE_LABELS[SOURCE_CSV],
+  load: async () => {
+    if (!rows || rows.length === 0) {
+      throw new DataSourceError(ERROR_EMPTY, '読み込んだCSVがありません', {
+        hint: '設定画面でCSVファイルを読み込んでください。'
+      });
+    }
+    return rows;
+  }
+});
+
+export const createMockSource = (baseUrl = '/') => ({
+  id: SOURCE_MOCK,
+  label: SOURCE_LABELS[SOURCE_MOCK],
+  load: (options) =>
+    fetchJsonRows(`${baseUrl}${MOCK_LEDGER_PATH}`, {
+      ...options,
+      hint: 'モックは開発サーバー（npm run dev）でのみ利用できます。'
+    }),
+  loadBalances: async (options) => {
+    const { json } = await fetchJson(`${baseUrl}${MOCK_BALANCES_PATH}`, {
+      ...options,
+      hint: 'モックは開発サーバー（npm run dev）でのみ利用できます。'
+    });
+    return Array.isArray(json) ? json : [];
+  }
+});
+
+export const createDataSource = (id, { gasUrl, gasToken, gasCache, jsonUrl, csvRows, baseUrl }) => {
+  switch (id) {
+    case SOURCE_JSON:
+      return createJsonFileSource(jsonUrl);
+    case SOURCE_CSV:
+      return createCsvSource(csvRows);
+    case SOURCE_MOCK:
+      return createMockSource(baseUrl);
+    case SOURCE_GAS:
+    default:
+      return createGasSource(gasUrl, { cache: gasCache, token: gasToken });
+  }
+};
+
+/** 画面表示用にエラーを整形する（DataSourceError 以外は想定外のエラーとして扱う） */
+export const describeLoadError = (error, source) => {
+  const sourceLabel = source ? source.label : 'データソース';
+  if (error instanceof DataSourceError) {
+    return {
+      title: `${sourceLabel}: ${error.message}`,
+      hint: error.hint,
+      detail: error.detail
+    };
+  }
+  return {
+    title: `${sourceLabel}: データの読み込み中に想定外のエラーが発生しました`,
+    hint: '',
+    detail: error && error.message ? error.message : String(error)
+  };
+};
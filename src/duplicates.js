@@ -0,0 +1,57 @@
+/**
+ * シートをまたいだ重複明細の検出と判定
+ *
+ * 検出は GAS と共通の `findDuplicateGroups`（rules.js）で行い、判定（重複ではない / 重複として除外）は
+ * グループのキーごとに保存します。未判定のグループも、判定が済むまでは最初の1件だけを集計します。
+ */
+import {
+  DUPLICATE_DISMISSED,
+  DUPLICATE_EXCLUDED,
+  findDuplicateGroups,
+  getDaySerial,
+  getDuplicateExcludedIndexes,
+  isTargetRow,
+  parseAmount
+} from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+
+export const parseStoredResolutions = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const isResolved = (group, resolutions) =>
+  resolutions[group.key] === DUPLICATE_DISMISSED || resolutions[group.key] === DUPLICATE_EXCLUDED;
+
+/** 計算対象の明細から重複の疑いがあるグループを探す。rows は各グループの明細（日付順、最初の1件を集計に残す） */
+export const detectDuplicates = (rows) => {
+  const targets = rows.filter(isTargetRow);
+  const entries = targets.map((row) => {
+    const date = parseLedgerDate(row['日付']);
+    return {
+      daySerial: date ? getDaySerial(date) : null,
+      amount: parseAmount(row['金額（円）']),
+      content: row['内容'],
+      id: row._sheet ? `${row._sheet}:${row._row}` : row.ID
+    };
+  });
+  return findDuplicateGroups(entries)
+    .map((group) => ({ ...group, rows: group.indexes.map((index) => targets[index]) }))
+    .sort((a, b) => String(b.rows[0]['日付']).localeCompare(String(a.rows[0]['日付'])));
+};
+
+/**
+ * 集計から外す明細（重複ではないと判定したグループ以外の2件目以降）を計算対象外にした rows。
+ * groups は同じ rows から detectDuplicates で求めたもの。
+ */
+export const applyDuplicateResolutions = (rows, groups, resolutions) => {
+  const targets = rows.filter(isTargetRow);
+  const excluded = new Set(getDuplicateExcludedIndexes(groups, resolutions).map((index) => targets[index]));
+  if (excluded.size === 0) return rows;
+  return rows.map((row) => (excluded.has(row) ? { ...row, 計算対象: '0' } : row));
+};
@@ -0,0 +1,125 @@
+/**
+ * 表の書き出し（CSV / Excel）
+ *
+ * 年間Overview・取引明細・支出カテゴリを { name, headers, rows } の表にそろえ、
+ * CSV（Excel で開けるよう BOM 付き UTF-8）か .xlsx にして保存します。
+ */
+import { formatLedgerDate } from './parsing.js';
+import { buildXlsx, XLSX_MIME_TYPE } from './xlsx.js';
+
+const toDateKey = (value) => formatLedgerDate(value) || String(value || '');
+
+/**
+ * 年間Overview（overviewRows と合計行）。trackers は列に出すトラッカー、
+ * goals は積み立てを列に出す貯蓄目標（あれば合計の「目標への積立」と目標ごとの列を足す）
+ */
+export const buildOverviewTable = (year, overviewRows, overviewTotals, trackers = [], goals = []) => {
+  const toCells = (label, row) => [
+    label,
+    row.salary,
+    row.bonus,
+    row.income,
+    row.expense,
+    row.adjust,
+    -row.installmentDeduction,
+    row.net,
+    row.settlementOwed,
+    row.settlementReceived,
+    row.settlementOutstanding,
+    row.realNet,
+    row.fixedExpense,
+    row.hobby,
+    ...trackers.map((tracker) => row.trackers[tracker.id] || 0),
+    ...(goals.length > 0 ? [row.goalContribution, ...goals.map((goal) => row.goals[goal.id] || 0)] : []),
+    row.budget || '',
+    row.budget ? row.budget - row.budgetSpent : ''
+  ];
+  return {
+    name: `${year}年 年間Overview`,
+    headers: [
+      '月',
+      '給与',
+      '賞与',
+      '収入',
+      '支出',
+      '調整',
+      '分割補正',
+      '収支',
+      '彼女の支払額',
+      '入金済み',
+      '未清算',
+      '実質収支',
+      '固定費',
+      '趣味・娯楽',
+      ...trackers.map((tracker) => tracker.name),
+      ...(goals.length > 0 ? ['目標への積立', ...goals.map((goal) => `目標: ${goal.name || '名前なし'}`)] : []),
+      '予算',
+      '予算残額'
+    ],
+    rows: [
+      ...overviewRows.map((row) => toCells(`${row.month}月`, row)),
+      ...(overviewTotals ? [toCells('合計', overviewTotals)] : [])
+    ]
+  };
+};
+
+/** 月次の取引明細（summarizeMonth の details.ledger） */
+export const buildLedgerTable = (year, month, ledger) => ({
+  name: `${year}年${month}月 取引明細`,
+  headers: ['日付', '内容', '大項目', '中項目', '区分', '金額', '計算対象', 'メモ'],
+  rows: ledger.map((item) => [
+    toDateKey(item.date),
+    item.content,
+    item.category,
+    item.subcategory,
+    item.type,
+    item.amount,
+    item.isTarget ? '対象' : '対象外',
+    item.memo
+  ])
+});
+
+/** 支出カテゴリ別の金額と構成比（expenseBySubcategory） */
+export const buildCategoryTable = (year, month, expenseBySubcategory) => {
+  const entries = Object.entries(expenseBySubcategory)
+    .filter(([, amount]) => amount > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const total = entries.reduce((sum, [, amount]) => sum + amount, 0);
+  return {
+    name: `${year}年${month}月 支出カテゴリ`,
+    headers: ['カテゴリ', '金額', '構成比（%）'],
+    rows: [
+      ...entries.map(([name, amount]) => [name, amount, Math.round((amount / total) * 1000) / 10]),
+      ...(entries.length > 0 ? [['合計', total, 100]] : [])
+    ]
+  };
+};
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Excel で文字化けしないよう、先頭に BOM を付けた CRLF 区切りの CSV */
+export const toCsv = ({ headers, rows }) =>
+  `\uFEFF${[headers, ...rows].map((cells) => cells.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadCsv = (table) => {
+  downloadBlob(new Blob([toCsv(table)], { type: 'text/csv;charset=utf-8' }), `${table.name}.csv`);
+};
+
+/** tables を1シートずつにまとめた .xlsx を保存する */
+export const downloadXlsx = (tables, filename) => {
+  downloadBlob(new Blob([buildXlsx(tables)], { type: XLSX_MIME_TYPE }), `${filename}.xlsx`);
+};
@@ -0,0 +1,160 @@
+/**
+ * 月末時点の収支の見込み
+ *
+ * 見込み = 今日までの収支（分割補正後）
+ *        + 前月までに毎月発生している入出金のうち、今月まだ計上されていないもの
+ *        + それ以外の支出（変動費）の残り日数分
+ *
+ * 変動費のペースは、今月の実績ペースと直近の月の平均ペースを月の経過割合で按分して求め、
+ * 両者と過去の月の最小・最大ペースから見込みの幅（下限・上限）を出します。
+ */
+import { TYPE_EXPENSE, TYPE_INCOME, classifyRow, getPeriodOfDate, getPeriodProgress, getPeriodRange } from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+import { getMerchantKey } from './recurring.js';
+
+export const FORECAST_LOOKBACK_MONTHS = 3;
+// 直近の月のうち、この回数以上出てくる入出金を「毎月の入出金」とみなす
+export const RECURRING_MIN_MONTHS = 2;
+// 金額の振れ幅（最大 - 最小）が中央値のこの割合以下なら一定額とみなす（光熱費程度の変動は許容）
+export const RECURRING_MAX_SPREAD = 0.5;
+
+const toMonthIndex = (year, month) => year * 12 + month - 1;
+const fromMonthIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+const getPeriodDays = (monthIndex, period) => {
+  const { year, month } = fromMonthIndex(monthIndex);
+  return getPeriodRange(year, month, period).days;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/** 集計対象の収入・支出を、集計期間の月ごとに { key, name, type, amount, day } の形でまとめる */
+const collectEntriesByMonth = (rows, period, hints) => {
+  const byMonth = {};
+  rows.forEach((row) => {
+    const date = parseLedgerDate(row['日付']);
+    if (!date) return;
+    const classified = classifyRow(row, hints);
+    if (!classified.isTarget) return;
+    if (classified.type !== TYPE_INCOME && classified.type !== TYPE_EXPENSE) return;
+    if (classified.isExcludedIncome) return;
+    const { year, month } = getPeriodOfDate(date, period);
+    const monthIndex = toMonthIndex(year, month);
+    if (!byMonth[monthIndex]) byMonth[monthIndex] = [];
+    byMonth[monthIndex].push({
+      key: `${classified.type}:${getMerchantKey(row['内容'])}`,
+      name: String(row['内容'] || ''),
+      type: classified.type,
+      amount: classified.amountAbs,
+      day: date.getDate()
+    });
+  });
+  return byMonth;
+};
+
+/**
+ * 直近の月に繰り返し出てくる入出金（金額・日付は中央値）。
+ * 家賃や給与のような「月1回・金額がほぼ一定」のものだけを対象にし、
+ * スーパーのように月に何度も出てくるものや金額の振れ幅が大きいものは変動費として扱う。
+ */
+export const findRecurringEntries = (entriesByMonth, monthIndexes) => {
+  const groups = {};
+  monthIndexes.forEach((monthIndex) => {
+    const seen = {};
+    (entriesByMonth[monthIndex] || []).forEach((entry) => {
+      if (!groups[entry.key]) groups[entry.key] = { ...entry, amounts: [], days: [], repeated: false };
+      const group = groups[entry.key];
+      if (seen[entry.key]) {
+        group.repeated = true;
+        return;
+      }
+      seen[entry.key] = true;
+      group.amounts.push(entry.amount);
+      group.days.push(entry.day);
+    });
+  });
+  return Object.values(groups)
+    .filter(
+      ({ repeated, amounts }) =>
+        !repeated &&
+        amounts.length >= RECURRING_MIN_MONTHS &&
+        Math.max(...amounts) - Math.min(...amounts) <= median(amounts) * RECURRING_MAX_SPREAD
+    )
+    .map(({ key, name, type, amounts, days }) => ({ key, name, type, amount: median(amounts), day: median(days) }))
+    .sort((a, b) => a.day - b.day);
+};
+
+const sumVariableExpense = (entries, recurringKeys) =>
+  (entries || [])
+    .filter((entry) => entry.type === TYPE_EXPENSE && !recurringKeys.has(entry.key))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+/**
+ * 指定月の月末（集計期間の最終日）の収支見込み。
+ * actualNet は今日までの収支（分割補正後）。未来の月は 0、過去の月は確定値として扱う。
+ * hints は分類キーワードの設定（収入に数えない入金の判定に使う）。
+ */
+export const forecastMonth = (
+  rows,
+  { year, month, actualNet, installmentDeduction = 0, today = new Date(), period, hints }
+) => {
+  const target = toMonthIndex(year, month);
+  const todayPeriod = getPeriodOfDate(today, period);
+  const current = toMonthIndex(todayPeriod.year, todayPeriod.month);
+  const { days: daysInMonth, elapsedDays: daysElapsed } = getPeriodProgress(year, month, today, period);
+  const elapsed = daysElapsed / daysInMonth;
+
+  // 未来の月も、今月より前の確定した月から見込む
+  const historyEnd = Math.min(target, current);
+  const history = Array.from({ length: FORECAST_LOOKBACK_MONTHS }, (_, index) => historyEnd - index - 1);
+
+  const entriesByMonth = collectEntriesByMonth(rows, period, hints);
+  const recurring = findRecurringEntries(entriesByMonth, history);
+  const recurringKeys = new Set(recurring.map((entry) => entry.key));
+  const targetEntries = entriesByMonth[target] || [];
+  const bookedKeys = new Set(targetEntries.map((entry) => entry.key));
+  const pending = elapsed >= 1 ? [] : recurring.filter((entry) => !bookedKeys.has(entry.key));
+
+  const pendingIncome = pending.filter((entry) => entry.type === TYPE_INCOME).reduce((sum, entry) => sum + entry.amount, 0);
+  const pendingExpense = pending.filter((entry) => entry.type === TYPE_EXPENSE).reduce((sum, entry) => sum + entry.amount, 0);
+
+  const historicalPaces = history
+    .filter((monthIndex) => entriesByMonth[monthIndex])
+    .map((monthIndex) => sumVariableExpense(entriesByMonth[monthIndex], recurringKeys) / getPeriodDays(monthIndex, period));
+  const variableSoFar = sumVariableExpense(targetEntries, recurringKeys);
+  const currentPace = daysElapsed > 0 ? variableSoFar / daysElapsed : null;
+  const historicalPace = historicalPaces.length
+    ? historicalPaces.reduce((sum, pace) => sum + pace, 0) / historicalPaces.length
+    : null;
+
+  const expectedPace =
+    currentPace !== null && historicalPace !== null
+      ? currentPace * elapsed + historicalPace * (1 - elapsed)
+      : (currentPace ?? historicalPace ?? 0);
+  const paceCandidates = [expectedPace, ...(currentPace !== null ? [currentPace] : []), ...historicalPaces];
+  const remainingDays = daysInMonth - daysElapsed;
+  const variable = {
+    soFar: variableSoFar,
+    expected: Math.round(expectedPace * remainingDays),
+    low: Math.round(Math.min(...paceCandidates) * remainingDays),
+    high: Math.round(Math.max(...paceCandidates) * remainingDays)
+  };
+
+  const base = actualNet + pendingIncome - pendingExpense;
+  return {
+    elapsed,
+    remainingDays,
+    actualNet,
+    installmentDeduction,
+    pending,
+    pendingIncome,
+    pendingExpense,
+    variable,
+    // 変動費が多いほど収支は下がるので、上限の支出が下限の見込みになる
+    net: { expected: base - variable.expected, low: base - variable.high, high: base - variable.low },
+    hasHistory: historicalPaces.length > 0
+  };
+};
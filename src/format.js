@@ -0,0 +1,20 @@
+/** 金額の表示（画面の各コンポーネントで共通） */
+
+export const formatYen = (value) => `¥${Math.abs(value).toLocaleString()}`;
+
+export const formatSignedYen = (value) => {
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+  return `${sign}¥${Math.abs(value).toLocaleString()}`;
+};
+
+export const formatPercent = (ratio) => {
+  if (ratio === null || ratio === undefined) return '-';
+  const sign = ratio > 0 ? '+' : ratio < 0 ? '-' : '';
+  return `${sign}${Math.round(Math.abs(ratio) * 1000) / 10}%`;
+};
+
+/** 割合（貯蓄率・構成比など）の表示。percent と違い、正の値に + を付けない */
+export const formatRatio = (ratio) => {
+  if (ratio === null || ratio === undefined) return '-';
+  return `${Math.round(ratio * 1000) / 10}%`;
+};
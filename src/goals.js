@@ -0,0 +1,166 @@
+/**
+ * 貯蓄目標（目標額・期限と、毎月の積み立てペース）
+ *
+ * 積み立ては「月の収支（分割払い補正後）の割合」か「目標のタグが付いた振替の明細」で数えます。
+ * 期限までの残りの月数で残額を割ったものを、毎月必要な積み立て額とします。
+ */
+import { classifyRow, getPeriodOfDate, getScheduledInstallmentTotal } from './rules.js';
+import { TAGS_FIELD } from './ruleEngine.js';
+import { summarizeMonth } from './summary.js';
+import { groupRowsByMonth } from './trends.js';
+
+export const GOAL_SOURCE_SHARE = 'share';
+export const GOAL_SOURCE_TAG = 'tag';
+export const GOAL_SOURCES = [
+  { value: GOAL_SOURCE_SHARE, label: '収支の割合' },
+  { value: GOAL_SOURCE_TAG, label: 'タグ付きの振替' }
+];
+
+export const GOAL_ACHIEVED = 'achieved';
+export const GOAL_ON_TRACK = 'on-track';
+export const GOAL_BEHIND = 'behind';
+export const GOAL_OVERDUE = 'overdue';
+
+let goalSequence = 0;
+const createGoalId = () => {
+  goalSequence += 1;
+  return `goal-${Date.now().toString(36)}-${goalSequence}`;
+};
+
+const toMonthValue = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+
+/** startMonth・deadline は 'YYYY-MM'。share は収支に対する割合（%）、tag は振替の明細に付けるタグ */
+export const createGoal = (today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth() + 1;
+  return {
+    id: createGoalId(),
+    name: '',
+    target: 0,
+    startMonth: toMonthValue({ year, month }),
+    deadline: toMonthValue({ year: year + 1, month }),
+    source: GOAL_SOURCE_SHARE,
+    share: 20,
+    tag: ''
+  };
+};
+
+export const parseStoredGoals = (raw) => {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// 年月を月の通し番号にする（'YYYY-MM' が読めなければ null）
+const toMonthIndex = (value) => {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+};
+
+const fromMonthIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+/** 'YYYY-MM' を「2027年4月」の形にする */
+export const formatGoalMonth = (value) => {
+  const index = toMonthIndex(value);
+  if (index === null) return '';
+  const { year, month } = fromMonthIndex(index);
+  return `${year}年${month}月`;
+};
+
+/** 目標額と、開始月〜期限の月が読める目標の、対象月の範囲（読めなければ null） */
+const getGoalRange = (goal) => {
+  const start = toMonthIndex(goal.startMonth);
+  const end = toMonthIndex(goal.deadline);
+  if (!(goal.target > 0) || start === null || end === null || start > end) return null;
+  return { start, end };
+};
+
+const sumTaggedRows = (rows, tag) =>
+  rows
+    .filter((row) => (row[TAGS_FIELD] || []).includes(tag))
+    .reduce((sum, row) => sum + classifyRow(row).amountAbs, 0);
+
+/**
+ * 月ごとの目標への積み立て（{ 'YYYY-M': { total, byGoal: { [目標のid]: 金額 } } }）。
+ * 収支の割合の目標は、その月の収支（分割払い補正後）がプラスのときだけ割合分を積み立てたと見なす。
+ * タグの目標は、タグが付いた明細の金額を数える（計算対象外の振替も含む）。hints は分類キーワードの設定。
+ */
+export const buildGoalContributions = (goals = [], rows = [], { period, getInstallmentDeduction, hints } = {}) => {
+  const ranged = goals.map((goal) => ({ goal, range: getGoalRange(goal) })).filter((item) => item.range);
+  if (ranged.length === 0) return {};
+  const resolveInstallment =
+    getInstallmentDeduction || ((year, month) => getScheduledInstallmentTotal(year, month, undefined, period));
+  const rowsByMonth = groupRowsByMonth(rows, period);
+
+  const byMonth = {};
+  Object.entries(rowsByMonth).forEach(([key, monthRows]) => {
+    const [year, month] = key.split('-').map(Number);
+    const index = year * 12 + month - 1;
+    const active = ranged.filter(({ range }) => range.start <= index && index <= range.end);
+    if (active.length === 0) return;
+
+    let net = null;
+    const byGoal = {};
+    active.forEach(({ goal }) => {
+      if (goal.source === GOAL_SOURCE_TAG) {
+        byGoal[goal.id] = goal.tag ? sumTaggedRows(monthRows, goal.tag) : 0;
+        return;
+      }
+      if (net === null) {
+        const installmentDeduction = resolveInstallment(year, month);
+        net = summarizeMonth(monthRows, installmentDeduction, 0, [], hints).ledger.net - installmentDeduction;
+      }
+      byGoal[goal.id] = Math.round((Math.max(net, 0) * (Number(goal.share) || 0)) / 100);
+    });
+    const total = Object.values(byGoal).reduce((sum, value) => sum + value, 0);
+    byMonth[key] = { total, byGoal };
+  });
+  return byMonth;
+};
+
+/**
+ * 目標ごとの進捗。saved は開始月から今月（期限を過ぎていれば期限の月）までの積み立ての合計。
+ * required は今月を含めた残りの月数で残額を割った額で、期限を過ぎていれば残額そのもの。
+ * 先月までに毎月同じ額を積み立てた場合の想定額（expected）に届いていれば「順調」とする。
+ */
+export const buildGoalProgress = (goals = [], contributions = {}, today = new Date(), period) => {
+  const current = getPeriodOfDate(today, period);
+  const currentIndex = current.year * 12 + current.month - 1;
+
+  return goals.flatMap((goal) => {
+    const range = getGoalRange(goal);
+    if (!range) return [];
+    let saved = 0;
+    for (let index = range.start; index <= Math.min(range.end, currentIndex); index += 1) {
+      const { year, month } = fromMonthIndex(index);
+      saved += contributions[`${year}-${month}`]?.byGoal[goal.id] || 0;
+    }
+    const remaining = Math.max(goal.target - saved, 0);
+    const totalMonths = range.end - range.start + 1;
+    const monthsLeft = Math.max(range.end - Math.max(currentIndex, range.start) + 1, 0);
+    const completedMonths = Math.min(Math.max(currentIndex - range.start, 0), totalMonths);
+    const expected = Math.round((goal.target * completedMonths) / totalMonths);
+
+    let status = GOAL_ON_TRACK;
+    if (remaining === 0) status = GOAL_ACHIEVED;
+    else if (currentIndex > range.end) status = GOAL_OVERDUE;
+    else if (saved < expected) status = GOAL_BEHIND;
+
+    return [
+      {
+        goal,
+        saved,
+        remaining,
+        ratio: Math.min(saved / goal.target, 1),
+        monthsLeft,
+        required: monthsLeft > 0 ? Math.ceil(remaining / monthsLeft) : remaining,
+        expected,
+        status
+      }
+    ];
+  });
+};
@@ -0,0 +1,38 @@
+/**
+ * 分割払いの計画（名称・月額・初回/最終引落月・引落日）
+ *
+ * 月ごとの控除額と残り回数は GAS と共通の `getInstallmentSchedule`（rules.js）で計算し、
+ * ここでは設定での保存形式を扱います。保存していなければ rules.js の初期値の計画を使います。
+ */
+import { DEFAULT_INSTALLMENT_PLANS } from './rules.js';
+
+let planSequence = 0;
+const createPlanId = () => {
+  planSequence += 1;
+  return `installment-${Date.now().toString(36)}-${planSequence}`;
+};
+
+const DEFAULT_DEBIT_DAY = 27;
+
+const withDefaultIds = () =>
+  DEFAULT_INSTALLMENT_PLANS.map((plan, index) => ({ id: `installment-default-${index + 1}`, ...plan }));
+
+/** firstDebit / lastDebit は 'YYYY-MM'（firstDebit を空にすると登録前から継続中として扱う） */
+export const createInstallmentPlan = (today = new Date()) => ({
+  id: createPlanId(),
+  name: '',
+  amount: 0,
+  firstDebit: `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`,
+  lastDebit: '',
+  debitDay: DEFAULT_DEBIT_DAY
+});
+
+export const parseStoredInstallmentPlans = (raw) => {
+  if (!raw) return withDefaultIds();
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : withDefaultIds();
+  } catch (error) {
+    return withDefaultIds();
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * 純資産（口座の残高）の推移と、明細の収支との突き合わせ
+ *
+ * Balances シートの残高を集計期間の月ごとにまとめ、口座ごとの月末の残高（その月に記録がなければ前の月の残高）を
+ * 合計します。月の増減を明細の収支（分割払い補正後）と比べ、差が大きい月を説明のつかない差として目立たせます。
+ */
+import { getPeriodOfDate, getScheduledInstallmentTotal } from './rules.js';
+import { parseLedgerAmount, parseLedgerDate } from './parsing.js';
+import { summarizeMonth } from './summary.js';
+import { groupRowsByMonth } from './trends.js';
+
+// 増減と収支の差がこの金額以上の月を目立たせる
+export const NET_WORTH_GAP_THRESHOLD = 10000;
+
+/** 残高の記録を読み直す（日付・口座・残高のどれかが読めないものは除き、日付の古い順） */
+export const normalizeBalances = (entries = []) =>
+  entries
+    .map((entry) => ({
+      date: parseLedgerDate(entry.date),
+      account: String(entry.account ?? '').trim(),
+      balance: parseLedgerAmount(entry.balance)
+    }))
+    .filter((entry) => entry.date && entry.account && entry.balance !== null)
+    .sort((a, b) => a.date - b.date);
+
+const sumValues = (values) => Object.values(values).reduce((sum, value) => sum + value, 0);
+
+const nextMonth = ({ year, month }) => (month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 });
+
+/**
+ * 最初に残高を記録した月から最後の月までの純資産の推移。
+ * 増減（change）は前の月から記録のある口座だけで計算する（記録を始めた口座の残高を増減と見なさないため）。
+ * 明細のない月は収支（ledgerNet）と差（gap）を null にする。hints は分類キーワードの設定。
+ */
+export const buildNetWorth = (
+  balances,
+  rows = [],
+  { period, getInstallmentDeduction, gapThreshold = NET_WORTH_GAP_THRESHOLD, hints } = {}
+) => {
+  const entries = normalizeBalances(balances);
+  if (entries.length === 0) return { accounts: [], months: [] };
+  const resolveInstallment =
+    getInstallmentDeduction || ((year, month) => getScheduledInstallmentTotal(year, month, undefined, period));
+
+  // 月ごとに、口座ごとの最後の記録
+  const closingByMonth = {};
+  entries.forEach((entry) => {
+    const { year, month } = getPeriodOfDate(entry.date, period);
+    const key = `${year}-${month}`;
+    closingByMonth[key] = { ...closingByMonth[key], [entry.account]: entry.balance };
+  });
+  const rowsByMonth = groupRowsByMonth(rows, period);
+
+  const last = getPeriodOfDate(entries[entries.length - 1].date, period);
+  const months = [];
+  let byAccount = {};
+  for (
+    let cursor = getPeriodOfDate(entries[0].date, period);
+    cursor.year < last.year || (cursor.year === last.year && cursor.month <= last.month);
+    cursor = nextMonth(cursor)
+  ) {
+    const key = `${cursor.year}-${cursor.month}`;
+    const previous = byAccount;
+    byAccount = { ...previous, ...closingByMonth[key] };
+
+    const change =
+      months.length === 0
+        ? null
+        : Object.keys(previous).reduce((sum, account) => sum + byAccount[account] - previous[account], 0);
+    let ledgerNet = null;
+    if (rowsByMonth[key]) {
+      const installmentDeduction = resolveInstallment(cursor.year, cursor.month);
+      ledgerNet =
+        summarizeMonth(rowsByMonth[key], installmentDeduction, 0, [], hints).ledger.net - installmentDeduction;
+    }
+    const gap = change !== null && ledgerNet !== null ? change - ledgerNet : null;
+
+    months.push({
+      year: cursor.year,
+      month: cursor.month,
+      total: sumValues(byAccount),
+      byAccount,
+      addedAccounts: Object.keys(byAccount).filter((account) => !(account in previous)),
+      change,
+      ledgerNet,
+      gap,
+      flagged: gap !== null && Math.abs(gap) >= gapThreshold
+    });
+  }
+
+  const latest = months[months.length - 1].byAccount;
+  return { accounts: Object.keys(latest).sort((a, b) => latest[b] - latest[a]), months };
+};
@@ -0,0 +1,54 @@
+/**
+ * 月ごとの入力（分割払い補正・彼女の立替入力）と Overview_Config シートの同期
+ *
+ * ダッシュボードとシートのどちらで変えても、月ごとに更新日時（ISO 8601）が新しい方を残します。
+ * シート側の突き合わせは GAS の syncOverviewConfig、シートを手で編集したときの更新日時は onEdit が記録します。
+ */
+import { isLegacyInstallmentDefault } from './rules.js';
+import { MONTHLY_INSTALLMENT, MONTHLY_PARTNER_ADVANCE, normalizeMonthlyInputs } from './settings.js';
+
+export const SYNC_SYNCING = 'syncing';
+export const SYNC_DONE = 'synced';
+export const SYNC_FAILED = 'failed';
+
+const toCell = (value) => (value === '' || value === null || value === undefined ? '' : String(value));
+
+/** 送信する行（更新日時のない月はシート側を優先するため送らない） */
+export const toOverviewConfigEntries = (monthlyInputs = {}) =>
+  Object.keys(monthlyInputs)
+    .filter((monthKey) => monthlyInputs[monthKey].updatedAt)
+    .map((monthKey) => {
+      const [year, month] = monthKey.split('-').map(Number);
+      const inputs = monthlyInputs[monthKey];
+      return {
+        year,
+        month,
+        installment: toCell(inputs[MONTHLY_INSTALLMENT]),
+        partnerAdvance: toCell(inputs[MONTHLY_PARTNER_ADVANCE]),
+        updatedAt: inputs.updatedAt
+      };
+    });
+
+/**
+ * 同期後のシートの行を月ごとの入力に反映する。
+ * シートの方が新しい月だけ置き換え、更新日時のない行はダッシュボードに入力がない月だけ取り込む。
+ * 更新日時のない行の分割払い補正が以前の既定値のままなら、手入力ではないので空欄（自動計算）として扱う。
+ */
+export const mergeOverviewConfigEntries = (monthlyInputs = {}, entries = []) => {
+  const next = { ...monthlyInputs };
+  entries.forEach((entry) => {
+    const monthKey = `${entry.year}-${entry.month}`;
+    const local = next[monthKey];
+    const updatedAt = entry.updatedAt || '';
+    if (local && (!updatedAt || (local.updatedAt || '') >= updatedAt)) return;
+    const installment = !updatedAt && isLegacyInstallmentDefault(entry.installment) ? '' : entry.installment;
+    const inputs = {
+      [MONTHLY_INSTALLMENT]: toCell(installment),
+      // 立替の 0 円は未入力と同じ
+      [MONTHLY_PARTNER_ADVANCE]: Number(entry.partnerAdvance) ? toCell(entry.partnerAdvance) : ''
+    };
+    if (updatedAt) inputs.updatedAt = updatedAt;
+    next[monthKey] = inputs;
+  });
+  return normalizeMonthlyInputs(next);
+};
@@ -0,0 +1,63 @@
+/**
+ * 集計期間の設定
+ *
+ * 期間の判定は GAS と共通の `getPeriodOfDate` / `getPeriodRange`（rules.js）で行い、
+ * ここでは保存形式と画面の表示を扱います。
+ */
+import {
+  DEFAULT_PERIOD_SETTING,
+  PERIOD_CALENDAR,
+  PERIOD_CUSTOM,
+  PERIOD_START_DAY,
+  getPeriodRange,
+  getPeriodStartDay
+} from './rules.js';
+
+export const PERIOD_TYPES = [
+  { value: PERIOD_CALENDAR, label: 'カレンダー月（1日〜末日）' },
+  { value: PERIOD_START_DAY, label: '開始日を固定（25日始まりなど）' },
+  { value: PERIOD_CUSTOM, label: '月ごとに期間を指定' }
+];
+
+export const parseStoredPeriod = (raw) => {
+  if (!raw) return DEFAULT_PERIOD_SETTING;
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || !PERIOD_TYPES.some((type) => type.value === parsed.type)) return DEFAULT_PERIOD_SETTING;
+    return {
+      type: parsed.type,
+      startDay: parsed.startDay || 1,
+      ranges: Array.isArray(parsed.ranges) ? parsed.ranges : []
+    };
+  } catch (error) {
+    return DEFAULT_PERIOD_SETTING;
+  }
+};
+
+// 開始日が1日で任意の期間もなければ、カレンダー月と同じ
+export const isCalendarPeriod = (period) => period.type !== PERIOD_CUSTOM && getPeriodStartDay(period) === 1;
+
+/** 任意の期間を追加するときの初期値（その月の開始日固定の期間） */
+export const createPeriodRange = (year, month, period) => {
+  const { start, end } = getPeriodRange(year, month, { ...period, type: PERIOD_START_DAY });
+  return { month: `${year}-${String(month).padStart(2, '0')}`, start, end };
+};
+
+/** 「4/25〜5/24」の形の表示 */
+export const formatPeriodRange = (year, month, period) => {
+  const { start, end } = getPeriodRange(year, month, period);
+  const toLabel = (value) => {
+    const [, monthPart, dayPart] = value.split('-');
+    return `${parseInt(monthPart, 10)}/${parseInt(dayPart, 10)}`;
+  };
+  return `${toLabel(start)}〜${toLabel(end)}`;
+};
+
+/**
+ * firstYear〜lastYear 年の集計期間をすべて含むカレンダー月の範囲（{ from, to } は 'YYYY-MM'）。
+ * GASから明細を年で絞って読むときに使う（25日始まりなら翌年1月の24日までが含まれる）
+ */
+export const getYearMonthSpan = (firstYear, lastYear, period) => ({
+  from: getPeriodRange(firstYear, 1, period).start.slice(0, 7),
+  to: getPeriodRange(lastYear, 12, period).end.slice(0, 7)
+});
@@ -0,0 +1,164 @@
+/**
+ * 明細の履歴から定期的な支出（サブスク・年額プランなど）を見つける
+ *
+ * 内容を正規化した店名ごとに、金額の近い請求を1つの系列にまとめ、
+ * 請求の間隔が毎月・毎年のどちらかにそろっている系列を定期的な支出とみなします。
+ */
+import { TYPE_EXPENSE, classifyRow, getPeriodRange } from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+
+export const INTERVAL_MONTHLY = 'monthly';
+export const INTERVAL_YEARLY = 'yearly';
+
+// 前回の請求からこの割合以内の金額なら同じ系列とみなす（値上げもこの範囲で追える）
+export const RECURRING_AMOUNT_TOLERANCE = 0.5;
+// 次回の予定日からこの日数を過ぎても請求がなければ「請求なし」とする
+export const MISSED_GRACE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+// 月末・休日で引落日がずれる分
+const MONTHLY_SLACK_DAYS = 7;
+const YEARLY_SLACK_DAYS = 20;
+
+const INTERVAL_DAYS = {
+  [INTERVAL_MONTHLY]: 31,
+  [INTERVAL_YEARLY]: 365
+};
+
+/** 内容から日付や「〇月分」などの請求ごとに変わる部分を除いた店名のキー */
+export const getMerchantKey = (content) =>
+  String(content || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\d{2,4}[年/.-]\d{1,2}(月分?)?|\d{1,2}月分?/g, '')
+    .replace(/\s+/g, '')
+    .trim();
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const fromDateString = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const diffDays = (from, to) => Math.round((to - from) / DAY_MS);
+
+// 月末の請求は翌月の月末にそろえる（1/31 → 2/28）
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+const isSimilarAmount = (a, b) => Math.abs(a - b) <= Math.max(a, b) * RECURRING_AMOUNT_TOLERANCE;
+
+/** 請求の間隔から周期を判定する。どちらにも当てはまらなければ null */
+const detectInterval = (dates) => {
+  const gaps = dates.slice(1).map((date, index) => diffDays(dates[index], date));
+  if (gaps.length === 0) return null;
+  if (gaps.every((gap) => Math.abs(gap - 365) <= YEARLY_SLACK_DAYS)) return INTERVAL_YEARLY;
+  // 1回分の請求漏れ（2か月空く）は許容するが、1か月間隔の請求が少なくとも1回は必要
+  const months = gaps.map((gap) => Math.round(gap / AVERAGE_MONTH_DAYS));
+  const isMonthly = gaps.every(
+    (gap, index) => months[index] >= 1 && Math.abs(gap - months[index] * AVERAGE_MONTH_DAYS) <= MONTHLY_SLACK_DAYS
+  );
+  return isMonthly && months.includes(1) ? INTERVAL_MONTHLY : null;
+};
+
+/** 店名ごとに、金額の近い請求を日付順の系列にまとめる */
+const buildSeries = (charges) => {
+  const byMerchant = {};
+  charges.forEach((charge) => {
+    if (!byMerchant[charge.key]) byMerchant[charge.key] = [];
+    byMerchant[charge.key].push(charge);
+  });
+
+  return Object.values(byMerchant).flatMap((merchantCharges) => {
+    const series = [];
+    merchantCharges
+      .sort((a, b) => a.date - b.date)
+      .forEach((charge) => {
+        const candidates = series.filter((item) => isSimilarAmount(item[item.length - 1].amount, charge.amount));
+        if (candidates.length === 0) {
+          series.push([charge]);
+          return;
+        }
+        const closest = candidates.reduce((best, item) =>
+          Math.abs(item[item.length - 1].amount - charge.amount) < Math.abs(best[best.length - 1].amount - charge.amount)
+            ? item
+            : best
+        );
+        closest.push(charge);
+      });
+    return series;
+  });
+};
+
+/**
+ * 指定月の時点で続いている定期的な支出。
+ * 指定月の集計期間の最終日（今月なら今日）までの明細だけを使い、
+ * 今月の請求・次回の予定日と、値上げ・請求なし・今月検出のフラグを付けて返す。
+ * 定期的と判定するには2回以上の請求が必要なので、今月検出は今月の請求が2回目になったもの（新しく始めたサービスは2回目の請求で出る）。
+ */
+export const detectRecurringCharges = (rows, { year, month, today = new Date(), period }) => {
+  const range = getPeriodRange(year, month, period);
+  const todayKey = toDateString(today);
+  const asOf = fromDateString(todayKey < range.end ? todayKey : range.end);
+
+  const charges = [];
+  rows.forEach((row) => {
+    const date = parseLedgerDate(row['日付']);
+    if (!date || toDateString(date) > range.end) return;
+    const classified = classifyRow(row);
+    if (!classified.isTarget || classified.type !== TYPE_EXPENSE) return;
+    const key = getMerchantKey(row['内容']);
+    if (!key) return;
+    charges.push({ key, date, amount: classified.amountAbs, row });
+  });
+
+  const isThisMonth = (date) => toDateString(date) >= range.start && toDateString(date) <= range.end;
+
+  const items = buildSeries(charges)
+    .map((series) => {
+      const interval = detectInterval(series.map((charge) => charge.date));
+      if (!interval) return null;
+      const last = series[series.length - 1];
+      const previous = series[series.length - 2];
+      const nextDate = addMonths(last.date, interval === INTERVAL_YEARLY ? 12 : 1);
+      const overdueDays = diffDays(nextDate, asOf);
+      // 1周期以上請求がなければ解約済みとみなす
+      if (overdueDays > INTERVAL_DAYS[interval]) return null;
+      const chargedThisMonth = isThisMonth(last.date);
+      return {
+        key: `${last.key}:${series[0].amount}`,
+        name: String(last.row['内容'] || ''),
+        category: String(last.row['大項目'] || '').trim(),
+        subcategory: String(last.row['中項目'] || '').trim(),
+        interval,
+        amount: last.amount,
+        previousAmount: previous.amount,
+        count: series.length,
+        firstDate: toDateString(series[0].date),
+        lastDate: toDateString(last.date),
+        nextDate: toDateString(nextDate),
+        chargedThisMonth,
+        isDetectedThisMonth: chargedThisMonth && series.length === 2,
+        isPriceIncrease: chargedThisMonth && last.amount > previous.amount,
+        isMissed: overdueDays > MISSED_GRACE_DAYS
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.nextDate.localeCompare(b.nextDate) || a.name.localeCompare(b.name));
+
+  return {
+    items,
+    // 今月の請求額と、年額プランを12で割った月額換算の合計
+    total: items.filter((item) => item.chargedThisMonth).reduce((sum, item) => sum + item.amount, 0),
+    monthlyTotal: Math.round(
+      items.reduce((sum, item) => sum + (item.interval === INTERVAL_YEARLY ? item.amount / 12 : item.amount), 0)
+    )
+  };
+};
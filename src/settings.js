@@ -0,0 +1,343 @@
+/**
+ * ダッシュボードの設定（1つのバージョン付きドキュメント）
+ *
+ * 以前は設定ごとに localStorage のキー（`gas_url` や月ごとの `installment_adjust_YYYY-M` など）へ
+ * 保存していました。これを `dashboard_settings` の1つのドキュメントにまとめ、JSONファイルとして
+ * 書き出し・読み込みできるようにします。形式を変えるときは SETTINGS_VERSION を上げて MIGRATIONS に変換を足します。
+ */
+import { parseStoredBudgets } from './budget.js';
+import { parseStoredResolutions } from './duplicates.js';
+import { parseStoredGoals } from './goals.js';
+import { parseStoredInstallmentPlans } from './installments.js';
+import { PERIOD_TYPES, parseStoredPeriod } from './period.js';
+import { parseStoredClassificationHints, parseStoredRules } from './ruleEngine.js';
+import { BUILT_IN_TRACKERS, parseStoredTrackers } from './trackers.js';
+
+export const SETTINGS_STORAGE_KEY = 'dashboard_settings';
+// 読めなかった設定ドキュメント（壊れたJSONなど）の元の文字列を退避するキー
+export const SETTINGS_BACKUP_STORAGE_KEY = 'dashboard_settings_backup';
+export const SETTINGS_VERSION = 1;
+export const SETTINGS_FILE_TYPE = 'cashflow-dashboard-settings';
+
+export const MONTHLY_INSTALLMENT = 'installmentAdjust';
+export const MONTHLY_PARTNER_ADVANCE = 'partnerAdvance';
+
+const parseText = (raw) => (typeof raw === 'string' ? raw.trim() : '');
+const countOf = (items, unit = '件') => `${items.length.toLocaleString()} ${unit}`;
+
+/**
+ * ドキュメントの項目。legacyKey は version 0（個別のキー）での保存先、
+ * parse は保存された文字列を読む関数（JSON の項目は json: true）。secret: true の項目はJSONファイルに書き出さない。
+ */
+export const SETTING_SECTIONS = [
+  { key: 'gasUrl', legacyKey: 'gas_url', label: 'GAS WebアプリのURL', parse: parseText },
+  // GASのアクセストークン。一覧には値を出さない（version 0 にはなかった項目なので legacyKey はない）
+  { key: 'gasToken', label: 'GASのパスフレーズ', parse: parseText, describe: () => '設定済み', secret: true },
+  { key: 'dataSource', legacyKey: 'data_source', label: 'データソース', parse: parseText },
+  { key: 'jsonUrl', legacyKey: 'json_url', label: 'JSONファイルのURL', parse: parseText },
+  { key: 'view', legacyKey: 'dashboard_view', label: '表示中のタブ', parse: parseText },
+  {
+    key: 'rules',
+    legacyKey: 'categorization_rules',
+    label: '分類ルール',
+    parse: parseStoredRules,
+    json: true,
+    describe: (rules) => countOf(rules)
+  },
+  {
+    key: 'classificationHints',
+    label: '分類キーワード',
+    parse: parseStoredClassificationHints,
+    json: true,
+    describe: (hints) => `変更 ${countOf(Object.keys(hints), '項目')}`
+  },
+  {
+    key: 'budgets',
+    legacyKey: 'category_budgets',
+    label: '予算',
+    parse: parseStoredBudgets,
+    json: true,
+    describe: (budgets) => countOf(budgets)
+  },
+  {
+    key: 'installmentPlans',
+    label: '分割払いの計画',
+    parse: parseStoredInstallmentPlans,
+    json: true,
+    describe: (plans) => countOf(plans)
+  },
+  {
+    key: 'trackers',
+    legacyKey: 'custom_trackers',
+    label: 'トラッカー',
+    parse: parseStoredTrackers,
+    json: true,
+    describe: (trackers) =>
+      `${countOf(trackers)}（追加 ${trackers.filter((tracker) => !BUILT_IN_TRACKERS.some((item) => item.id === tracker.id)).length} 件）`
+  },
+  {
+    key: 'goals',
+    label: '貯蓄目標',
+    parse: parseStoredGoals,
+    json: true,
+    describe: (goals) => countOf(goals)
+  },
+  {
+    key: 'period',
+    legacyKey: 'accounting_period',
+    label: '集計期間',
+    parse: parseStoredPeriod,
+    json: true,
+    describe: (period) => PERIOD_TYPES.find((type) => type.value === period.type)?.label || period.type
+  },
+  {
+    key: 'duplicateResolutions',
+    legacyKey: 'duplicate_resolutions',
+    label: '重複の判定',
+    parse: parseStoredResolutions,
+    json: true,
+    describe: (resolutions) => countOf(Object.keys(resolutions))
+  }
+];
+
+export const MONTHLY_FIELDS = [
+  { key: MONTHLY_INSTALLMENT, legacyPrefix: 'installment_adjust_', label: '分割払い補正' },
+  { key: MONTHLY_PARTNER_ADVANCE, legacyPrefix: 'partner_advance_', label: '彼女の立替入力' }
+];
+
+const LEGACY_MONTHLY_PATTERN = /^(installment_adjust_|partner_advance_)(\d{4})-(\d{1,2})$/;
+
+const findSection = (key) => SETTING_SECTIONS.find((section) => section.key === key);
+
+const parseSectionValue = (section, value) => section.parse(section.json ? JSON.stringify(value) : value);
+
+const toMonthKey = (year, month) => `${year}-${month}`;
+
+/**
+ * 月ごとの入力は数字だけの文字列（空欄は保存しない）。
+ * updatedAt は最後に変更した日時（ISO 8601）で、Overview_Config との同期で新しい方を残すのに使う。
+ * 入力を消した月も、消したことを同期できるよう updatedAt だけ残す。
+ */
+export const normalizeMonthlyInputs = (value) => {
+  const result = {};
+  if (!value || typeof value !== 'object') return result;
+  Object.keys(value).forEach((monthKey) => {
+    if (!/^\d{4}-\d{1,2}$/.test(monthKey) || !value[monthKey]) return;
+    const inputs = {};
+    MONTHLY_FIELDS.forEach(({ key }) => {
+      const cleaned = String(value[monthKey][key] ?? '').replace(/[^0-9]/g, '');
+      if (cleaned) inputs[key] = cleaned;
+    });
+    if (typeof value[monthKey].updatedAt === 'string' && value[monthKey].updatedAt) {
+      inputs.updatedAt = value[monthKey].updatedAt;
+    }
+    if (Object.keys(inputs).length > 0) result[monthKey] = inputs;
+  });
+  return result;
+};
+
+/** 保存されている項目だけを読み直したドキュメント（未設定の項目は持たない） */
+export const normalizeSettings = (document) => {
+  const settings = { version: SETTINGS_VERSION };
+  if (!document || typeof document !== 'object') return settings;
+  SETTING_SECTIONS.forEach((section) => {
+    if (document[section.key] === undefined || document[section.key] === '') return;
+    const value = parseSectionValue(section, document[section.key]);
+    if (value !== '') settings[section.key] = value;
+  });
+  const monthlyInputs = normalizeMonthlyInputs(document.monthlyInputs);
+  if (Object.keys(monthlyInputs).length > 0) settings.monthlyInputs = monthlyInputs;
+  return settings;
+};
+
+/**
+ * 各バージョンから次のバージョンへの変換。
+ * version 0 は個別の localStorage キーを { version: 0, values: { キー: 文字列 } } にまとめたもの。
+ */
+export const MIGRATIONS = {
+  0: (document) => {
+    const values = document.values || {};
+    const next = { version: 1, monthlyInputs: {} };
+    SETTING_SECTIONS.forEach((section) => {
+      const raw = values[section.legacyKey];
+      if (raw === undefined || raw === null || raw === '') return;
+      next[section.key] = section.parse(raw);
+    });
+    Object.keys(values).forEach((key) => {
+      const match = LEGACY_MONTHLY_PATTERN.exec(key);
+      if (!match) return;
+      const field = MONTHLY_FIELDS.find((item) => item.legacyPrefix === match[1]);
+      const monthKey = toMonthKey(parseInt(match[2], 10), parseInt(match[3], 10));
+      next.monthlyInputs[monthKey] = { ...next.monthlyInputs[monthKey], [field.key]: values[key] };
+    });
+    return next;
+  }
+};
+
+/** ドキュメントを現在のバージョンに変換する（新しいバージョンのものは Error） */
+export const migrateSettings = (document) => {
+  let current = document;
+  let version = Number(current?.version) || 0;
+  if (version > SETTINGS_VERSION) {
+    throw new Error(`新しいバージョン（v${version}）の設定です。アプリを更新してから読み込んでください`);
+  }
+  while (version < SETTINGS_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return normalizeSettings(current);
+};
+
+const listStorageKeys = (storage) => Array.from({ length: storage.length }, (_, index) => storage.key(index));
+
+const isLegacyKey = (key) =>
+  SETTING_SECTIONS.some((section) => section.legacyKey === key) || LEGACY_MONTHLY_PATTERN.test(key);
+
+// 保存された文字列を設定ドキュメントとして読む（読めなければ理由を書いた Error）
+const parseStoredSettings = (raw) => {
+  let document;
+  try {
+    document = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`設定のJSONを読み込めませんでした（${error.message}）`);
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('設定の形式が正しくありません（オブジェクトではありません）');
+  }
+  return migrateSettings(document);
+};
+
+/**
+ * storage（localStorage と同じ形）から設定を読む。
+ * まだ個別のキーしかなければ version 0 として変換し、migrated: true を返す。
+ * 読めなければ既定値で始め、元の文字列を SETTINGS_BACKUP_STORAGE_KEY に退避して error に理由を返す
+ * （次に設定を保存すると元のドキュメントは上書きされるため）。
+ */
+export const readSettings = (storage) => {
+  const raw = storage.getItem(SETTINGS_STORAGE_KEY);
+  if (raw) {
+    try {
+      return { settings: parseStoredSettings(raw), migrated: false };
+    } catch (error) {
+      storage.setItem(SETTINGS_BACKUP_STORAGE_KEY, raw);
+      return { settings: normalizeSettings(null), migrated: false, error: error.message };
+    }
+  }
+  const values = {};
+  listStorageKeys(storage)
+    .filter(isLegacyKey)
+    .forEach((key) => {
+      values[key] = storage.getItem(key);
+    });
+  return { settings: migrateSettings({ version: 0, values }), migrated: Object.keys(values).length > 0 };
+};
+
+/** 退避した設定の元の文字列と読めなかった理由（退避していなければ null） */
+export const readSettingsBackup = (storage) => {
+  const raw = storage.getItem(SETTINGS_BACKUP_STORAGE_KEY);
+  if (!raw) return null;
+  try {
+    parseStoredSettings(raw);
+    return { raw, error: '' };
+  } catch (error) {
+    return { raw, error: error.message };
+  }
+};
+
+export const clearSettingsBackup = (storage) => storage.removeItem(SETTINGS_BACKUP_STORAGE_KEY);
+
+/** ドキュメントを保存し、移行済みの個別のキーを消す */
+export const writeSettings = (storage, settings) => {
+  storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  listStorageKeys(storage)
+    .filter(isLegacyKey)
+    .forEach((key) => storage.removeItem(key));
+};
+
+/** 項目を更新したドキュメント（値が undefined の項目は未設定に戻す） */
+export const mergeSettings = (settings, patch) => {
+  const next = { ...settings };
+  Object.keys(patch).forEach((key) => {
+    if (patch[key] === undefined) delete next[key];
+    else next[key] = patch[key];
+  });
+  return next;
+};
+
+/** 保存されていればその値、なければ既定値 */
+export const getSetting = (settings, key) => {
+  const section = findSection(key);
+  return settings[key] !== undefined ? settings[key] : section.parse(null);
+};
+
+/** 指定月の入力（未入力の項目は空文字） */
+export const getMonthlyInput = (settings, year, month, field) =>
+  settings.monthlyInputs?.[toMonthKey(year, month)]?.[field] || '';
+
+/** 指定月の入力を変えたドキュメント（変更した日時を updatedAt に記録する） */
+export const setMonthlyInput = (settings, year, month, field, value, updatedAt = new Date().toISOString()) => {
+  const monthKey = toMonthKey(year, month);
+  const inputs = { ...settings.monthlyInputs?.[monthKey], updatedAt };
+  if (value) inputs[field] = value;
+  else delete inputs[field];
+  return mergeSettings(settings, { monthlyInputs: { ...settings.monthlyInputs, [monthKey]: inputs } });
+};
+
+/** 設定の一覧に出す、保存されている項目（id は resetSettingOverride に渡す） */
+export const listSettingOverrides = (settings) => {
+  const items = SETTING_SECTIONS.filter((section) => settings[section.key] !== undefined).map((section) => ({
+    id: section.key,
+    label: section.label,
+    value: section.describe ? section.describe(settings[section.key]) : settings[section.key]
+  }));
+  Object.keys(settings.monthlyInputs || {})
+    .sort((a, b) => {
+      const [yearA, monthA] = a.split('-').map(Number);
+      const [yearB, monthB] = b.split('-').map(Number);
+      return yearA - yearB || monthA - monthB;
+    })
+    .forEach((monthKey) => {
+      const [year, month] = monthKey.split('-');
+      MONTHLY_FIELDS.forEach((field) => {
+        const value = settings.monthlyInputs[monthKey][field.key];
+        if (!value) return;
+        items.push({
+          id: `monthly:${monthKey}:${field.key}`,
+          label: `${year}年${month}月 ${field.label}`,
+          value: `${Number(value).toLocaleString()}円`
+        });
+      });
+    });
+  return items;
+};
+
+export const resetSettingOverride = (settings, id) => {
+  const monthly = /^monthly:(\d{4})-(\d{1,2}):(\w+)$/.exec(id);
+  if (monthly) return setMonthlyInput(settings, monthly[1], monthly[2], monthly[3], '');
+  return mergeSettings(settings, { [id]: undefined });
+};
+
+/** 書き出し用の JSON 文字列 */
+export const buildSettingsFile = (settings, exportedAt = new Date()) => {
+  const exported = { ...settings };
+  SETTING_SECTIONS.filter((section) => section.secret).forEach((section) => delete exported[section.key]);
+  return JSON.stringify({ type: SETTINGS_FILE_TYPE, exportedAt: exportedAt.toISOString(), settings: exported }, null, 2);
+};
+
+/** 書き出した JSON ファイルを読む（形式が違えば Error）。ファイルにない secret の項目は current の値を残す */
+export const parseSettingsFile = (text, current = {}) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('JSONとして読み込めませんでした');
+  }
+  if (!parsed || parsed.type !== SETTINGS_FILE_TYPE || !parsed.settings) {
+    throw new Error('ダッシュボードの設定ファイルではありません');
+  }
+  const imported = migrateSettings(parsed.settings);
+  SETTING_SECTIONS.filter((section) => section.secret).forEach((section) => {
+    if (!(section.key in imported) && section.key in current) imported[section.key] = current[section.key];
+  });
+  return imported;
+};
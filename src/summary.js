@@ -0,0 +1,113 @@
+import {
+  TYPE_EXPENSE,
+  accumulateRow,
+  buildSettlement,
+  classifyRow,
+  createEmptySummary,
+  getPeriodOfDate
+} from './rules.js';
+import { formatLedgerDate, parseLedgerDate } from './parsing.js';
+import { TAGS_FIELD } from './ruleEngine.js';
+import { BUILT_IN_TRACKERS, getActiveTrackers, matchesTracker } from './trackers.js';
+
+// 日付の新しい順（書き方が混ざっていても日付として比べる）
+const byDateDesc = (a, b) => formatLedgerDate(b.date).localeCompare(formatLedgerDate(a.date));
+
+/** 行が指定月の集計期間に入るか（period を省略するとカレンダー月） */
+export const isSameMonth = (row, year, month, period) => {
+  const date = parseLedgerDate(row['日付']);
+  if (!date) return false;
+  const target = getPeriodOfDate(date, period);
+  return target.year === year && target.month === month;
+};
+
+export const buildChartData = (map, limit = 6) => {
+  const entries = Object.entries(map)
+    .map(([name, value]) => ({ name, value }))
+    .filter((entry) => entry.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  if (entries.length <= limit) return entries;
+
+  const major = entries.slice(0, limit);
+  const restValue = entries.slice(limit).reduce((sum, item) => sum + item.value, 0);
+  return [...major, { name: 'その他', value: restValue }];
+};
+
+/** 1か月分の明細の集計。hints は分類キーワードの設定（省略すると既定値） */
+export const summarizeMonth = (rows, installmentDeduction, partnerAdvance = 0, trackers = BUILT_IN_TRACKERS, hints) => {
+  const totals = createEmptySummary();
+  const ledgerDetails = [];
+  const expenseBySubcategory = {};
+  const trackerReports = getActiveTrackers(trackers).map((tracker) => ({
+    id: tracker.id,
+    name: tracker.name,
+    total: 0,
+    details: [],
+    tracker
+  }));
+
+  rows.forEach((row) => {
+    const classified = classifyRow(row, hints);
+    const { type, amount: amountRaw, amountAbs } = classified;
+    const subcategory = String(row['中項目'] || '').trim();
+    const category = String(row['大項目'] || '').trim();
+
+    const detail = {
+      date: row['日付'],
+      content: row['内容'] || '',
+      category,
+      subcategory,
+      type,
+      amount: amountRaw,
+      amountAbs,
+      memo: row['メモ'] || '',
+      tags: row[TAGS_FIELD] || [],
+      isTarget: classified.isTarget,
+      isFixedExpense: classified.isFixedExpense,
+      // GASから取得した行の位置（明細の表からの書き戻しに使う）
+      sheet: row._sheet || '',
+      sheetRow: row._row || null
+    };
+
+    ledgerDetails.push(detail);
+
+    if (!classified.isTarget) return;
+
+    accumulateRow(totals, classified);
+
+    if (type === TYPE_EXPENSE) {
+      const key = subcategory || category || '未分類';
+      expenseBySubcategory[key] = (expenseBySubcategory[key] || 0) + amountAbs;
+
+      trackerReports.forEach((report) => {
+        if (!matchesTracker(row, type, report.tracker)) return;
+        report.total += amountAbs;
+        report.details.push(detail);
+      });
+    }
+  });
+
+  return {
+    ledger: {
+      income: totals.incomeTotal,
+      expense: totals.expenseTotal,
+      adjust: totals.adjustTotal,
+      net: totals.incomeTotal - totals.expenseTotal + totals.adjustTotal
+    },
+    salary: totals.salaryTotal,
+    bonus: totals.bonusTotal,
+    fixedExpense: totals.fixedExpenseTotal,
+    hobby: totals.hobbyTotal,
+    expenseBySubcategory,
+    expenseByBudgetKey: totals.expenseByBudgetKey,
+    settlement: buildSettlement(totals, partnerAdvance),
+    details: {
+      ledger: ledgerDetails.sort(byDateDesc)
+    },
+    trackers: trackerReports.map(({ tracker, ...report }) => ({
+      ...report,
+      details: report.details.sort(byDateDesc)
+    }))
+  };
+};
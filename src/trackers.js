@@ -0,0 +1,88 @@
+/**
+ * ユーザー定義のトラッカー（AI費用・子育て・コーヒーなど、見ておきたい支出の集計）
+ *
+ * 条件のいずれかに一致した支出か、トラッカー名のタグ（分類ルールの「タグを付与」）が付いた支出を集計します。
+ * 条件の形式は分類ルールと共通です。
+ */
+import { TYPE_EXPENSE } from './rules.js';
+import { MATCH_INCLUDES, MATCH_REGEX, RULE_FIELDS, TAGS_FIELD, matchesCondition } from './ruleEngine.js';
+
+// 大項目・中項目・内容・メモのどれかに一致すればよい条件
+export const ANY_FIELD = 'すべての項目';
+export const TRACKER_FIELDS = [ANY_FIELD, ...RULE_FIELDS];
+
+export const AI_TRACKER_ID = 'builtin-ai';
+
+export const AI_HINTS = [
+  'AI',
+  'ChatGPT',
+  'OpenAI',
+  'Claude',
+  'Gemini',
+  'Copilot',
+  'Perplexity',
+  'Midjourney',
+  'DALL-E',
+  'DALL·E',
+  'NotionAI',
+  'Stability',
+  'Anthropic',
+  'Cursor',
+  'AQUAVOICE',
+  'GOOGLEPLAYJAPAN'
+];
+
+/** 組み込みのトラッカー。名前と条件は編集でき、削除の代わりに無効にできる */
+export const BUILT_IN_TRACKERS = [
+  {
+    id: AI_TRACKER_ID,
+    name: 'AI',
+    builtIn: true,
+    enabled: true,
+    conditions: [{ field: ANY_FIELD, operator: MATCH_REGEX, value: AI_HINTS.join('|') }]
+  }
+];
+
+let trackerSequence = 0;
+const createTrackerId = () => {
+  trackerSequence += 1;
+  return `tracker-${Date.now().toString(36)}-${trackerSequence}`;
+};
+
+export const createTrackerCondition = () => ({ field: ANY_FIELD, operator: MATCH_INCLUDES, value: '' });
+
+export const createTracker = () => ({
+  id: createTrackerId(),
+  name: '新しいトラッカー',
+  enabled: true,
+  conditions: [createTrackerCondition()]
+});
+
+/** 保存済みのトラッカー。組み込みのトラッカーが保存されていなければ先頭に足す */
+export const parseStoredTrackers = (raw) => {
+  let stored = [];
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      stored = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      stored = [];
+    }
+  }
+  const missing = BUILT_IN_TRACKERS.filter((builtIn) => !stored.some((tracker) => tracker.id === builtIn.id));
+  return [...missing, ...stored];
+};
+
+const matchesTrackerCondition = (row, condition) =>
+  condition.field === ANY_FIELD
+    ? RULE_FIELDS.some((field) => matchesCondition(row, { ...condition, field }))
+    : matchesCondition(row, condition);
+
+/** 支出の行がトラッカーの対象か（type は classifyRow 済みの区分） */
+export const matchesTracker = (row, type, tracker) => {
+  if (type !== TYPE_EXPENSE) return false;
+  if (tracker.name && (row[TAGS_FIELD] || []).includes(tracker.name)) return true;
+  return tracker.conditions.some((condition) => matchesTrackerCondition(row, condition));
+};
+
+export const getActiveTrackers = (trackers) => (trackers || []).filter((tracker) => tracker.enabled);
@@ -0,0 +1,118 @@
+/**
+ * 明細検索（全期間の明細の検索・絞り込み・並べ替え）
+ */
+import { TYPE_EXPENSE, TYPE_INCOME, classifyRow } from './rules.js';
+import { formatLedgerDate } from './parsing.js';
+
+export const TARGET_ALL = 'all';
+export const TARGET_ONLY = 'target';
+export const TARGET_EXCLUDED = 'excluded';
+
+export const SORT_ASC = 'asc';
+export const SORT_DESC = 'desc';
+
+export const createTransactionFilters = () => ({
+  query: '',
+  type: '',
+  category: '',
+  minAmount: '',
+  maxAmount: '',
+  from: '',
+  to: '',
+  target: TARGET_ALL
+});
+
+const toSearchText = (value) => String(value || '').normalize('NFKC').toLowerCase();
+
+/**
+ * 検索用に明細を整える。signedAmount は収入を +、支出を - にそろえた金額（調整はそのまま）。
+ * row は元の行（分類ルール適用後）。
+ */
+export const toTransactions = (rows) =>
+  rows.map((row, index) => {
+    const { type, amount, amountAbs, isTarget } = classifyRow(row);
+    return {
+      id: row._sheet ? `${row._sheet}:${row._row}` : `row-${index}`,
+      date: formatLedgerDate(row['日付']),
+      content: String(row['内容'] || ''),
+      memo: String(row['メモ'] || ''),
+      category: String(row['大項目'] || '').trim(),
+      subcategory: String(row['中項目'] || '').trim(),
+      type,
+      amountAbs,
+      signedAmount: type === TYPE_INCOME ? amountAbs : type === TYPE_EXPENSE ? -amountAbs : amount,
+      isTarget,
+      searchText: toSearchText(`${row['内容'] || ''} ${row['メモ'] || ''}`),
+      row
+    };
+  });
+
+const parseBound = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/** 内容・メモの全文検索（空白区切りはすべて含むもの）と各条件での絞り込み。金額は絶対値で比べる */
+export const filterTransactions = (transactions, filters) => {
+  const terms = toSearchText(filters.query).split(/\s+/).filter(Boolean);
+  const minAmount = parseBound(filters.minAmount);
+  const maxAmount = parseBound(filters.maxAmount);
+  return transactions.filter((item) => {
+    if (terms.some((term) => !item.searchText.includes(term))) return false;
+    if (filters.type && item.type !== filters.type) return false;
+    if (filters.category && item.category !== filters.category) return false;
+    if (minAmount !== null && item.amountAbs < minAmount) return false;
+    if (maxAmount !== null && item.amountAbs > maxAmount) return false;
+    if (filters.from && item.date < filters.from) return false;
+    if (filters.to && item.date > filters.to) return false;
+    if (filters.target === TARGET_ONLY && !item.isTarget) return false;
+    if (filters.target === TARGET_EXCLUDED && item.isTarget) return false;
+    return true;
+  });
+};
+
+const SORT_VALUES = {
+  date: (item) => item.date,
+  content: (item) => item.content,
+  category: (item) => `${item.category}/${item.subcategory}`,
+  type: (item) => item.type,
+  amount: (item) => item.signedAmount
+};
+
+const compareValues = (a, b) => (typeof a === 'number' ? a - b : String(a).localeCompare(String(b), 'ja'));
+
+/** 並べ替えて、表示順の累計（runningTotal）を付ける。同じ値は日付の新しい順 */
+export const sortTransactions = (transactions, { key = 'date', direction = SORT_DESC } = {}) => {
+  const getValue = SORT_VALUES[key] || SORT_VALUES.date;
+  const sign = direction === SORT_ASC ? 1 : -1;
+  let runningTotal = 0;
+  return [...transactions]
+    .sort((a, b) => sign * compareValues(getValue(a), getValue(b)) || b.date.localeCompare(a.date))
+    .map((item) => {
+      runningTotal += item.signedAmount;
+      return { ...item, runningTotal };
+    });
+};
+
+/** 絞り込んだ明細の件数と収入・支出・収支（調整を含む）の合計 */
+export const summarizeTransactions = (transactions) =>
+  transactions.reduce(
+    (acc, item) => ({
+      count: acc.count + 1,
+      income: acc.income + (item.type === TYPE_INCOME ? item.amountAbs : 0),
+      expense: acc.expense + (item.type === TYPE_EXPENSE ? item.amountAbs : 0),
+      net: acc.net + item.signedAmount
+    }),
+    { count: 0, income: 0, expense: 0, net: 0 }
+  );
+
+/** 仮想スクロールで描画する行の範囲（end は含まない）。前後に overscan 行ずつ余分に描画する */
+export const getVisibleRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan = 8 }) => {
+  const first = Math.floor(scrollTop / rowHeight);
+  const visibleCount = Math.ceil(viewportHeight / rowHeight);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, first + visibleCount + overscan)
+  };
+};
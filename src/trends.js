@@ -0,0 +1,104 @@
+/**
+ * 複数年の推移（年ごとの収支・貯蓄率・固定費率、大項目別の構成比、年平均成長率）
+ *
+ * 年の途中（データの始まった年や今年）も並べられるよう、成長率は月平均の金額で比べます。
+ */
+import { TYPE_EXPENSE, classifyRow, getPeriodOfDate, getScheduledInstallmentTotal } from './rules.js';
+import { parseLedgerDate } from './parsing.js';
+import { summarizeMonth } from './summary.js';
+
+// 構成比のグラフに個別に出す大項目の数（残りは「その他」にまとめる）
+export const TREND_CATEGORY_LIMIT = 6;
+export const OTHER_CATEGORY = 'その他';
+
+/** 明細を集計期間の月ごとに分ける（{ 'YYYY-M': 行の配列 }） */
+export const groupRowsByMonth = (rows, period) => {
+  const byMonth = {};
+  rows.forEach((row) => {
+    const date = parseLedgerDate(row['日付']);
+    if (!date) return;
+    const { year, month } = getPeriodOfDate(date, period);
+    const key = `${year}-${month}`;
+    if (!byMonth[key]) byMonth[key] = [];
+    byMonth[key].push(row);
+  });
+  return byMonth;
+};
+
+const toRatio = (value, total) => (total > 0 ? value / total : null);
+
+/** 年平均成長率。比べられない（2年未満・0以下の値がある）ときは null */
+export const getCagr = (first, last, years) => {
+  if (years <= 0 || first <= 0 || last <= 0) return null;
+  return Math.pow(last / first, 1 / years) - 1;
+};
+
+/**
+ * 年ごとの推移。明細のある月だけを集計する（分割補正も明細のない月は引かない）。
+ * getInstallmentDeduction(year, month) で月ごとの分割補正を渡せる（省略すると分割払いの計画から計算）。
+ * hints は分類キーワードの設定（省略すると既定値）。
+ */
+export const buildYearlyTrends = (rows, years, { period, getInstallmentDeduction, hints } = {}) => {
+  const resolveInstallment =
+    getInstallmentDeduction || ((year, month) => getScheduledInstallmentTotal(year, month, undefined, period));
+  const byMonth = groupRowsByMonth(rows, period);
+  const categoryTotals = {};
+
+  const items = [...years]
+    .sort((a, b) => a - b)
+    .map((year) => {
+      const item = { year, months: 0, income: 0, expense: 0, installmentDeduction: 0, net: 0, fixedExpense: 0 };
+      const expenseByCategory = {};
+      for (let month = 1; month <= 12; month += 1) {
+        const monthRows = byMonth[`${year}-${month}`];
+        if (!monthRows) continue;
+        const installmentDeduction = resolveInstallment(year, month);
+        const summary = summarizeMonth(monthRows, installmentDeduction, 0, [], hints);
+        item.months += 1;
+        item.income += summary.ledger.income;
+        item.expense += summary.ledger.expense;
+        item.installmentDeduction += installmentDeduction;
+        item.net += summary.ledger.net - installmentDeduction;
+        item.fixedExpense += summary.fixedExpense;
+
+        monthRows.forEach((row) => {
+          const classified = classifyRow(row, hints);
+          if (!classified.isTarget || classified.type !== TYPE_EXPENSE) return;
+          const category = classified.category || '未分類';
+          expenseByCategory[category] = (expenseByCategory[category] || 0) + classified.amountAbs;
+          categoryTotals[category] = (categoryTotals[category] || 0) + classified.amountAbs;
+        });
+      }
+      return {
+        ...item,
+        savingsRate: toRatio(item.net, item.income),
+        fixedCostRatio: toRatio(item.fixedExpense, item.income),
+        expenseByCategory
+      };
+    })
+    .filter((item) => item.months > 0);
+
+  const ranked = Object.keys(categoryTotals).sort((a, b) => categoryTotals[b] - categoryTotals[a]);
+  const categories =
+    ranked.length > TREND_CATEGORY_LIMIT + 1 ? [...ranked.slice(0, TREND_CATEGORY_LIMIT), OTHER_CATEGORY] : ranked;
+
+  const withShare = items.map((item) => {
+    const categoryShare = {};
+    Object.entries(item.expenseByCategory).forEach(([category, amount]) => {
+      const key = categories.includes(category) ? category : OTHER_CATEGORY;
+      categoryShare[key] = (categoryShare[key] || 0) + amount / item.expense;
+    });
+    return { ...item, categoryShare };
+  });
+
+  const first = withShare[0];
+  const last = withShare[withShare.length - 1];
+  const monthlyCagr = (key) =>
+    first && last ? getCagr(first[key] / first.months, last[key] / last.months, last.year - first.year) : null;
+
+  return {
+    items: withShare,
+    categories,
+    cagr: { income: monthlyCagr('income'), expense: monthlyCagr('expense') }
+  };
+};
@@ -0,0 +1,180 @@
+/**
+ * Excel（.xlsx）ファイルの書き出し
+ *
+ * 表を書き出すだけなので、ライブラリは使わずに最小限の SpreadsheetML を
+ * 無圧縮の ZIP にまとめます。数値は数値のセル、それ以外は文字列のセルになります。
+ */
+
+const encoder = new TextEncoder();
+// 更新日時は固定（1980-01-01）
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/** files（{ name, data: Uint8Array }）を無圧縮の ZIP にまとめる */
+const buildZip = (files) => {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    // ファイル名は UTF-8
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const result = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  parts.forEach((chunk) => {
+    result.set(chunk, position);
+    position += chunk.length;
+  });
+  return result;
+};
+
+const escapeXml = (value) =>
+  String(value)
+    // XML に書けない制御文字は除く
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 列番号（0始まり）を A, B, …, Z, AA の形にする
+const toColumnName = (index) => {
+  let name = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const buildCell = (value, rowIndex, columnIndex) => {
+  const ref = `${toColumnName(columnIndex)}${rowIndex + 1}`;
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const buildSheetXml = ({ headers, rows }) => {
+  const sheetRows = [headers, ...rows]
+    .map((cells, rowIndex) => {
+      const cellXml = cells.map((value, columnIndex) => buildCell(value, rowIndex, columnIndex)).join('');
+      return `<row r="${rowIndex + 1}">${cellXml}</row>`;
+    })
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${sheetRows}</sheetData></worksheet>`
+  );
+};
+
+// シート名は31文字まで、[]:*?/\ は使えない
+const toSheetName = (name, index) => String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, '_').slice(0, 31);
+
+/** tables（{ name, headers, rows }）を1シートずつ書き出した .xlsx の中身 */
+export const buildXlsx = (tables) => {
+  const sheets = tables.map((table, index) => ({ ...table, sheetName: toSheetName(table.name, index), id: index + 1 }));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      xml:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets
+          .map(
+            ({ id }) =>
+              `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      xml:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      xml:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheets.map(({ id, sheetName }) => `<sheet name="${escapeXml(sheetName)}" sheetId="${id}" r:id="rId${id}"/>`).join('')}</sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      xml:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets
+          .map(
+            ({ id }) =>
+              `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`
+          )
+          .join('') +
+        '</Relationships>'
+    },
+    ...sheets.map((sheet) => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, xml: buildSheetXml(sheet) }))
+  ];
+  return buildZip(files.map(({ name, xml }) => ({ name, data: encoder.encode(xml) })));
+};
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { BUDGET_AHEAD, BUDGET_ON_TRACK, BUDGET_OVER, buildBudgetProgress, getMonthElapsedRatio } from '../src/budget.js';
+import { buildBudgetReport, resolveBudgets } from '../src/rules.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const budgets = [
+  { category: '趣味・娯楽', subcategory: '', month: '', amount: 5000 },
+  { category: '趣味・娯楽', subcategory: '映画・音楽・ゲーム', month: '', amount: 3000 },
+  { category: '食費', subcategory: '', month: '', amount: 30000 },
+  { category: '食費', subcategory: '', month: '2026-01', amount: 8000 },
+  { category: '通信費', subcategory: '', month: '2026-01', amount: 0 }
+];
+
+test('month-specific budgets override the monthly default', () => {
+  const january = resolveBudgets(budgets, 2026, 1);
+  assert.equal(january.find((budget) => budget.key === '食費').amount, 8000);
+  assert.equal(resolveBudgets(budgets, 2026, 2).find((budget) => budget.key === '食費').amount, 30000);
+  // 0 円の月指定は予算なしとして扱う
+  assert.equal(january.some((budget) => budget.key === '通信費'), false);
+});
+
+test('budget report compares spending and does not double count subcategories', () => {
+  const january = summarizeMonth(fixtureRows.filter((row) => isSameMonth(row, 2026, 1)), 0);
+  const report = buildBudgetReport(january.expenseByBudgetKey, budgets, 2026, 1);
+  const byKey = Object.fromEntries(report.items.map((item) => [item.key, item]));
+
+  assert.equal(byKey['趣味・娯楽'].spent, 5580);
+  assert.equal(byKey['趣味・娯楽/映画・音楽・ゲーム'].spent, 3600);
+  assert.equal(byKey['食費'].remaining, -420);
+  assert.deepEqual(
+    { budget: report.budget, spent: report.spent },
+    { budget: 13000, spent: 5580 + 8420 }
+  );
+});
+
+test('GAS overview variance uses the same budget report', () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  const sheet = {
+    getName: () => '2026_CSV',
+    getDataRange: () => ({
+      getValues: () => [HEADER, ...fixtureRows.map((row) => HEADER.map((key) => row[key]))]
+    })
+  };
+  const summary = vm.runInContext('collectRows', context)([sheet]).byMonth['2026-1'];
+  const gasReport = vm.runInContext('buildBudgetReport', context)(summary.expenseByBudgetKey, budgets, 2026, 1);
+  const app = summarizeMonth(fixtureRows.filter((row) => isSameMonth(row, 2026, 1)), 0);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(gasReport)), buildBudgetReport(app.expenseByBudgetKey, budgets, 2026, 1));
+});
+
+test('pace compares spending with the elapsed share of the month', () => {
+  const today = new Date(2026, 0, 10);
+  assert.equal(getMonthElapsedRatio(2025, 12, today), 1);
+  assert.equal(getMonthElapsedRatio(2026, 2, today), 0);
+  assert.equal(getMonthElapsedRatio(2026, 1, today), 10 / 31);
+
+  const spending = { 食費: 3000, 日用品: 500, 衣服・美容: 6000 };
+  const progress = buildBudgetProgress(
+    spending,
+    [
+      { category: '食費', amount: 6200 },
+      { category: '日用品', amount: 6200 },
+      { category: '衣服・美容', amount: 5000 }
+    ],
+    2026,
+    1,
+    today
+  );
+  assert.deepEqual(
+    progress.items.map((item) => [item.key, item.pace, item.status]),
+    [
+      ['食費', 2000, BUDGET_AHEAD],
+      ['日用品', 2000, BUDGET_ON_TRACK],
+      ['衣服・美容', 1613, BUDGET_OVER]
+    ]
+  );
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import {
+  GROUP_BY_CATEGORY,
+  PERIOD_MONTH,
+  PERIOD_YEAR,
+  buildComparison,
+  createPeriod,
+  getPreviousPeriod,
+  getSamePeriodLastYear
+} from '../src/comparison.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+
+const january = createPeriod(PERIOD_MONTH, 2026, 1);
+const february = createPeriod(PERIOD_MONTH, 2026, 2);
+
+test('period helpers wrap across years', () => {
+  assert.deepEqual(getPreviousPeriod(january), createPeriod(PERIOD_MONTH, 2025, 12));
+  assert.deepEqual(getSamePeriodLastYear(february), createPeriod(PERIOD_MONTH, 2025, 2));
+  assert.deepEqual(getPreviousPeriod(createPeriod(PERIOD_YEAR, 2026)), { kind: PERIOD_YEAR, year: 2025, month: null });
+});
+
+test('month comparison sorts categories by the size of the change', () => {
+  const comparison = buildComparison(fixtureRows, january, february);
+  assert.deepEqual(
+    comparison.items.slice(0, 3).map(({ key, base, target, delta }) => ({ key, base, target, delta })),
+    [
+      { key: '家賃・地代', base: 98000, target: 0, delta: -98000 },
+      { key: '電気代', base: 0, target: 9800, delta: 9800 },
+      { key: '食料品', base: 8420, target: 0, delta: -8420 }
+    ]
+  );
+  assert.equal(comparison.items.find((item) => item.key === '電気代').percent, null);
+  // 計算対象外（ATM引き出し）や調整は比較に含めない
+  assert.equal(comparison.items.some((item) => item.key === 'ATM引き出し'), false);
+  assert.equal(comparison.delta, comparison.target - comparison.base);
+});
+
+test('comparison keeps the underlying rows for click-through', () => {
+  const comparison = buildComparison(fixtureRows, january, february, { groupBy: GROUP_BY_CATEGORY });
+  const food = comparison.items.find((item) => item.key === '食費');
+  assert.equal(food.percent, (6400 - 8420) / 8420);
+  assert.deepEqual(
+    food.baseRows.map((row) => row['日付']),
+    fixtureRows.filter((row) => row['大項目'] === '食費' && row['日付'].startsWith('2026-01')).map((row) => row['日付'])
+  );
+  assert.equal(food.targetRows.length, 1);
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import {
+  countRowsByYear,
+  decodeCsvBuffer,
+  mergeImportedRows,
+  parseCsv,
+  removeRowsOfYear,
+  rowsFromCsvText
+} from '../src/csvImport.js';
+
+test('parseCsv handles quoted commas, escaped quotes and embedded newlines', () => {
+  assert.deepEqual(parseCsv('a,"b,c","d ""e"""\r\n"f\ng",h,\n'), [
+    ['a', 'b,c', 'd "e"'],
+    ['f\ng', 'h', '']
+  ]);
+});
+
+test('Shift_JIS exports are decoded and normalized into ledger rows', () => {
+  const buffer = readFileSync(new URL('./fixtures/moneyforward-sjis.csv', import.meta.url));
+  const rows = rowsFromCsvText(decodeCsvBuffer(buffer));
+
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0]['日付'], '2026-01-05');
+  assert.equal(rows[0]['内容'], 'スーパー "まとめ買い"');
+  assert.equal(rows[0]['金額（円）'], '-3,280');
+  assert.equal(rows[0]['メモ'], 'カンマ, を含むメモ');
+  assert.equal(rows[1]['内容'], '複数行の\r\n内容');
+});
+
+test('UTF-8 with BOM is decoded as UTF-8', () => {
+  const buffer = new TextEncoder().encode('\uFEFF日付,内容,金額（円）\n2026-02-01,給与,300000\n');
+  assert.deepEqual(rowsFromCsvText(decodeCsvBuffer(buffer)), [
+    { 日付: '2026-02-01', 内容: '給与', '金額（円）': '300000' }
+  ]);
+});
+
+test('missing required columns are reported', () => {
+  assert.throws(() => rowsFromCsvText('日付,内容\n2026-01-01,test\n'), /金額（円）/);
+});
+
+test('overlapping files are merged without double counting', () => {
+  const coffee = { 日付: '2026-01-05', 内容: 'カフェ', '金額（円）': '-500' };
+  const lunch = { 日付: '2026-01-06', 内容: 'ランチ', '金額（円）': '-900' };
+  const nextYear = { 日付: '2027-01-02', 内容: '初詣', '金額（円）': '-1000' };
+
+  const first = mergeImportedRows([], [coffee, { ...coffee }, lunch]);
+  const merged = mergeImportedRows(first, [{ ...coffee }, { ...lunch }, nextYear]);
+
+  assert.equal(merged.length, 4);
+  assert.deepEqual(countRowsByYear(merged), [
+    { year: 2027, count: 1 },
+    { year: 2026, count: 3 }
+  ]);
+});
+
+test('rows with unreadable dates are listed and removed as one unknown-date entry', () => {
+  const rows = [
+    { 日付: '2026-01-05', 内容: 'カフェ', '金額（円）': '-500' },
+    { 日付: '', 内容: '日付なし', '金額（円）': '-900' },
+    { 日付: '2026-13-40', 内容: '読めない日付', '金額（円）': '-1000' }
+  ];
+  assert.deepEqual(countRowsByYear(rows), [
+    { year: 2026, count: 1 },
+    { year: null, count: 2 }
+  ]);
+  assert.deepEqual(
+    removeRowsOfYear(rows, null).map((row) => row['内容']),
+    ['カフェ']
+  );
+});
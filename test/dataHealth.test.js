@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import {
+  ISSUE_BAD_AMOUNT,
+  ISSUE_BAD_DATE,
+  ISSUE_INFERRED_TYPE,
+  ISSUE_MISSING_COLUMNS,
+  ISSUE_UNKNOWN_CATEGORY,
+  SEVERITY_ERROR,
+  SEVERITY_WARNING,
+  buildDataHealth,
+  summarizeDataHealth
+} from '../src/dataHealth.js';
+import { explainType, getType } from '../src/rules.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+
+const itemsOf = (issues, id) => issues.find((issue) => issue.id === id).items;
+
+test('lists inferred types with the keyword that decided them', () => {
+  const issues = buildDataHealth(fixtureRows);
+  const inferred = itemsOf(issues, ISSUE_INFERRED_TYPE);
+  const byContent = Object.fromEntries(inferred.map((item) => [item.row['内容'], item.detail]));
+
+  assert.equal(byContent['返金 Amazon'], '「返金」から調整と判定');
+  assert.equal(byContent['ドラッグストア'], 'キーワードなし（支出とみなす）');
+  assert.equal(itemsOf(issues, ISSUE_BAD_DATE).length, 0);
+  assert.equal(itemsOf(issues, ISSUE_BAD_AMOUNT).length, 0);
+  assert.equal(itemsOf(issues, ISSUE_MISSING_COLUMNS).length, 0);
+});
+
+test('explainType agrees with getType and marks explicit 区分 as not inferred', () => {
+  fixtureRows.forEach((row) => assert.equal(explainType(row).type, getType(row)));
+  assert.deepEqual(explainType({ 区分: '支出', 内容: '給与' }), { type: '支出', inferred: false, hint: null });
+});
+
+test('flags unreadable dates and amounts, unknown categories and missing columns per sheet', () => {
+  const base = { 内容: 'テスト', 大項目: '食費', 中項目: '食料品', 区分: '支出', 計算対象: 1 };
+  const rows = [
+    { ...base, _sheet: '2025_CSV', _row: 2, 日付: '', '金額（円）': -100 },
+    { ...base, _sheet: '2025_CSV', _row: 3, 日付: '2025-13-45', '金額（円）': 'abc' },
+    { ...base, _sheet: '2025_CSV', _row: 4, 日付: '2025-05-01', '金額（円）': '-1,200', 大項目: '謎の項目' },
+    { 日付: '2025-05-02', 内容: '列が少ない', '金額（円）': -300, _sheet: '2024_CSV', _row: 2 }
+  ];
+  const issues = buildDataHealth(rows);
+
+  assert.deepEqual(
+    itemsOf(issues, ISSUE_BAD_DATE).map((item) => item.key),
+    ['2025_CSV:2', '2025_CSV:3']
+  );
+  assert.deepEqual(
+    itemsOf(issues, ISSUE_BAD_AMOUNT).map((item) => item.detail),
+    ['「abc」']
+  );
+  assert.deepEqual(
+    itemsOf(issues, ISSUE_UNKNOWN_CATEGORY).map((item) => item.detail),
+    ['「謎の項目」']
+  );
+  // 計算対象の列がない行は集計対象外なので、区分や大項目は見ない
+  assert.equal(itemsOf(issues, ISSUE_INFERRED_TYPE).length, 0);
+  assert.deepEqual(itemsOf(issues, ISSUE_MISSING_COLUMNS), [
+    { key: 'sheet:2024_CSV', row: null, sheet: '2024_CSV', detail: '大項目・中項目・区分・計算対象（1 行）' }
+  ]);
+
+  assert.deepEqual(summarizeDataHealth(issues), { severity: SEVERITY_ERROR, count: 4 });
+  assert.deepEqual(summarizeDataHealth(buildDataHealth(fixtureRows)), { severity: SEVERITY_WARNING, count: 4 });
+});
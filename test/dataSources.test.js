@@ -0,0 +1,318 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  ERROR_EMPTY,
+  ERROR_FORMAT,
+  ERROR_HTTP,
+  ERROR_LOGIN_REDIRECT,
+  ERROR_NETWORK,
+  ERROR_NOT_JSON,
+  ERROR_UNAUTHORIZED,
+  ERROR_WRITE,
+  GAS_SCHEMA_VERSION,
+  GAS_SCOPE_ALL,
+  RowConflictError,
+  createCsvSource,
+  createGasSource,
+  describeLoadError,
+  fetchJsonRows,
+  mergeGasRows,
+  saveGasDuplicates,
+  updateGasRow
+} from '../src/dataSources.js';
+import { createMockLedger } from '../dev/mockLedger.js';
+
+const respondWith = (body, init = {}) => async () => new Response(body, init);
+
+const rejectsWithKind = (promise, kind) => assert.rejects(promise, (error) => error.kind === kind);
+
+test('successful responses resolve to the row array', async () => {
+  const rows = [{ 日付: '2026-01-01' }];
+  assert.deepEqual(await fetchJsonRows('https://example.com', { fetchImpl: respondWith(JSON.stringify(rows)) }), rows);
+});
+
+test('each failure mode is reported with its own diagnostic', async () => {
+  await rejectsWithKind(
+    fetchJsonRows('https://example.com', {
+      fetchImpl: async () => {
+        throw new TypeError('Failed to fetch');
+      }
+    }),
+    ERROR_NETWORK
+  );
+  await rejectsWithKind(
+    fetchJsonRows('https://example.com', { fetchImpl: respondWith('quota exceeded', { status: 503 }) }),
+    ERROR_HTTP
+  );
+  await rejectsWithKind(
+    fetchJsonRows('https://example.com', {
+      fetchImpl: respondWith('<html><form action="https://accounts.google.com/ServiceLogin"></form></html>', {
+        headers: { 'content-type': 'text/html' }
+      })
+    }),
+    ERROR_LOGIN_REDIRECT
+  );
+  await rejectsWithKind(
+    fetchJsonRows('https://example.com', { fetchImpl: respondWith('<!DOCTYPE html><p>Error</p>') }),
+    ERROR_NOT_JSON
+  );
+  await rejectsWithKind(fetchJsonRows('https://example.com', { fetchImpl: respondWith('{oops') }), ERROR_NOT_JSON);
+  await rejectsWithKind(
+    fetchJsonRows('https://example.com', { fetchImpl: respondWith('{"error":"x"}') }),
+    ERROR_FORMAT
+  );
+});
+
+test('adapters share the same error shape', async () => {
+  const source = createGasSource('https://script.google.com/macros/s/x/exec');
+  const error = await source.load({ fetchImpl: respondWith('', { status: 500 }) }).catch((caught) => caught);
+  const described = describeLoadError(error, source);
+  assert.equal(described.title, 'GAS Webアプリ: HTTP 500 が返されました');
+  assert.match(described.hint, /公開設定/);
+
+  await rejectsWithKind(createCsvSource([]).load(), ERROR_EMPTY);
+});
+
+test('mock ledger is deterministic and never dated after today', () => {
+  const today = new Date(2026, 9, 19);
+  const rows = createMockLedger({ today, months: 3 });
+  assert.deepEqual(rows, createMockLedger({ today, months: 3 }));
+  assert.ok(rows.every((row) => row['日付'] >= '2026-08-01' && row['日付'] <= '2026-10-19'));
+});
+
+const GAS_URL = 'https://script.google.com/macros/s/x/exec';
+
+const envelope = (sheets, rows, generatedAt) => ({
+  schemaVersion: GAS_SCHEMA_VERSION,
+  generatedAt,
+  rowCount: rows.length,
+  sheets,
+  rows
+});
+
+const createMemoryCache = (initial = null) => {
+  const cache = { value: initial, read: () => cache.value, write: (value) => (cache.value = value) };
+  return cache;
+};
+
+test('envelope responses resolve to their rows', async () => {
+  const rows = [{ 日付: '2026-01-01', _sheet: '2026_CSV', _row: 2 }];
+  const body = JSON.stringify(envelope([{ name: '2026_CSV', included: true }], rows, '2026-01-02T00:00:00.000Z'));
+  assert.deepEqual(await fetchJsonRows('https://example.com', { fetchImpl: respondWith(body) }), rows);
+});
+
+test('GAS source merges incremental responses into the cache', async () => {
+  const cache = createMemoryCache();
+  const requested = [];
+  const replyWith = (payload) => async (url) => {
+    requested.push(new URL(url));
+    return new Response(JSON.stringify(payload));
+  };
+  const source = createGasSource(GAS_URL, { cache });
+
+  await source.load({
+    fetchImpl: replyWith(
+      envelope(
+        [
+          { name: '2026_CSV', included: true },
+          { name: '2025_CSV', included: true }
+        ],
+        [
+          { 日付: '2026-02-01', 内容: '旧', _sheet: '2026_CSV', _row: 2 },
+          { 日付: '2025-12-01', 内容: '前年', _sheet: '2025_CSV', _row: 2 }
+        ],
+        '2026-02-02T00:00:00.000Z'
+      )
+    )
+  });
+  assert.equal(requested[0].searchParams.get('since'), null);
+  assert.match(requested[0].searchParams.get('columns'), /日付/);
+
+  const rows = await source.load({
+    fetchImpl: replyWith(
+      envelope(
+        [
+          { name: '2026_CSV', included: true },
+          { name: '2025_CSV', included: false }
+        ],
+        [{ 日付: '2026-02-01', 内容: '新', _sheet: '2026_CSV', _row: 2 }],
+        '2026-02-03T00:00:00.000Z'
+      )
+    )
+  });
+  assert.equal(requested[1].searchParams.get('since'), '2026-02-02T00:00:00.000Z');
+  assert.deepEqual(
+    rows.map((row) => row['内容']),
+    ['前年', '新']
+  );
+  assert.equal(cache.value.generatedAt, '2026-02-03T00:00:00.000Z');
+
+  // 削除されたシートはキャッシュからも消える
+  const afterDelete = await source.load({
+    fetchImpl: replyWith(envelope([{ name: '2026_CSV', included: false }], [], '2026-02-04T00:00:00.000Z'))
+  });
+  assert.deepEqual(
+    afterDelete.map((row) => row['内容']),
+    ['新']
+  );
+});
+
+test('GAS source falls back to a full reload when an uncached sheet is skipped', async () => {
+  const cache = createMemoryCache({
+    url: GAS_URL,
+    schemaVersion: GAS_SCHEMA_VERSION,
+    generatedAt: '2026-02-02T00:00:00.000Z',
+    sheets: { '2026_CSV': [] }
+  });
+  const sinceValues = [];
+  const rows = await createGasSource(GAS_URL, { cache }).load({
+    fetchImpl: async (url) => {
+      const since = new URL(url).searchParams.get('since');
+      sinceValues.push(since);
+      return new Response(
+        JSON.stringify(
+          envelope(
+            [
+              { name: '2026_CSV', included: !since },
+              { name: '2024_CSV', included: !since }
+            ],
+            since ? [] : [{ 日付: '2024-05-01', _sheet: '2024_CSV', _row: 2 }],
+            '2026-02-03T00:00:00.000Z'
+          )
+        )
+      );
+    }
+  });
+  assert.deepEqual(sinceValues, ['2026-02-02T00:00:00.000Z', null]);
+  assert.equal(rows.length, 1);
+});
+
+test('GAS source sends the month range and keeps a cache per range', async () => {
+  const caches = {};
+  const cache = { read: (scope) => caches[scope] || null, write: (snapshot) => (caches[snapshot.scope] = snapshot) };
+  const requested = [];
+  const source = createGasSource(GAS_URL, { cache });
+  const load = (range, rows) =>
+    source.load({
+      range,
+      fetchImpl: async (url) => {
+        requested.push(new URL(url).searchParams);
+        return new Response(
+          JSON.stringify(
+            envelope(
+              [
+                { name: '2026_CSV', included: true },
+                { name: '2024_CSV', included: true }
+              ],
+              rows,
+              '2026-02-02T00:00:00.000Z'
+            )
+          )
+        );
+      }
+    });
+
+  const rows = await load({ from: '2025-01', to: '2026-12' }, [{ 日付: '2026-01-05', _sheet: '2026_CSV', _row: 2 }]);
+  assert.equal(rows.length, 1);
+  assert.deepEqual([requested[0].get('from'), requested[0].get('to')], ['2025-01', '2026-12']);
+  // 読んでいない年のシートも年の選択に出す
+  assert.deepEqual(source.listSheetYears(), [2026, 2024]);
+
+  // 別の範囲はその範囲のキャッシュだけを使う（since なしで取り直す）
+  await load({ from: '2023-01', to: '2024-12' }, [{ 日付: '2024-05-01', _sheet: '2024_CSV', _row: 2 }]);
+  assert.equal(requested[1].get('since'), null);
+  await load(null, []);
+  assert.deepEqual([requested[2].get('from'), requested[2].get('since')], [null, null]);
+  assert.deepEqual(Object.keys(caches).sort(), ['2023-01~2024-12', '2025-01~2026-12', GAS_SCOPE_ALL]);
+
+  await load({ from: '2025-01', to: '2026-12' }, []);
+  assert.equal(requested[3].get('since'), '2026-02-02T00:00:00.000Z');
+});
+
+test('rows loaded for another year are merged by sheet row', () => {
+  const current = [
+    { 日付: '2026-01-05', 内容: '旧', _sheet: '2026_CSV', _row: 2 },
+    { 日付: '2025-12-01', 内容: '前年', _sheet: '2025_CSV', _row: 2 }
+  ];
+  const merged = mergeGasRows(current, [
+    { 日付: '2025-12-01', 内容: '前年', _sheet: '2025_CSV', _row: 2 },
+    { 日付: '2024-03-01', 内容: '前々年', _sheet: '2024_CSV', _row: 2 }
+  ]);
+  assert.deepEqual(
+    merged.map((row) => row['内容']),
+    ['前々年', '前年', '旧']
+  );
+  // 旧バージョンの doGet は全件を返すので置き換える
+  const legacy = [{ 日付: '2026-01-05' }];
+  assert.equal(mergeGasRows(current, legacy), legacy);
+});
+
+test('GAS source still accepts the legacy array response', async () => {
+  const rows = [{ 日付: '2026-01-01' }];
+  const cache = createMemoryCache();
+  assert.deepEqual(
+    await createGasSource(GAS_URL, { cache }).load({ fetchImpl: respondWith(JSON.stringify(rows)) }),
+    rows
+  );
+  assert.equal(cache.value, null);
+});
+
+test('updateGasRow posts the fetched values and surfaces conflicts', async () => {
+  const row = { _sheet: '2026_CSV', _row: 5, 日付: '2026-01-10', 内容: 'スーパー', メモ: '', _tags: ['AI'] };
+  let sent;
+  const record = await updateGasRow(GAS_URL, row, { メモ: '確認済み' }, {
+    fetchImpl: async (url, init) => {
+      sent = init;
+      return new Response(JSON.stringify({ ok: true, record: { ...row, メモ: '確認済み' } }));
+    }
+  });
+  assert.equal(record['メモ'], '確認済み');
+  assert.equal(sent.method, 'POST');
+  const payload = JSON.parse(sent.body);
+  assert.deepEqual(payload.expected, { 日付: '2026-01-10', 内容: 'スーパー', メモ: '' });
+  assert.deepEqual({ sheet: payload.sheet, row: payload.row }, { sheet: '2026_CSV', row: 5 });
+
+  const conflict = await updateGasRow(GAS_URL, row, { メモ: 'x' }, {
+    fetchImpl: respondWith(
+      JSON.stringify({ ok: false, error: 'conflict', fields: ['メモ'], record: { ...row, メモ: '他で編集' } })
+    )
+  }).catch((caught) => caught);
+  assert.ok(conflict instanceof RowConflictError);
+  assert.equal(conflict.record['メモ'], '他で編集');
+
+  await rejectsWithKind(
+    updateGasRow(GAS_URL, row, { 金額: 0 }, {
+      fetchImpl: respondWith(JSON.stringify({ ok: false, error: 'invalid-field', message: '更新できない列です' }))
+    }),
+    ERROR_WRITE
+  );
+});
+
+test('GAS requests carry the access token and surface rejections as unauthorized', async () => {
+  const unauthorized = respondWith(JSON.stringify({ ok: false, error: 'unauthorized', message: 'アクセストークンが違います' }));
+  let requested;
+  const error = await createGasSource(GAS_URL, { token: 'secret passphrase' })
+    .load({
+      fetchImpl: async (url, init) => {
+        requested = new URL(url);
+        return unauthorized(url, init);
+      }
+    })
+    .catch((caught) => caught);
+  assert.equal(requested.searchParams.get('token'), 'secret passphrase');
+  assert.equal(error.kind, ERROR_UNAUTHORIZED);
+  assert.equal(error.detail, 'アクセストークンが違います');
+
+  let sent;
+  await rejectsWithKind(
+    saveGasDuplicates(GAS_URL, {}, {
+      token: 'secret passphrase',
+      fetchImpl: async (url, init) => {
+        sent = JSON.parse(init.body);
+        return unauthorized(url, init);
+      }
+    }),
+    ERROR_UNAUTHORIZED
+  );
+  assert.equal(sent.token, 'secret passphrase');
+});
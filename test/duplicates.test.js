@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { applyDuplicateResolutions, detectDuplicates, isResolved } from '../src/duplicates.js';
+import { DUPLICATE_DISMISSED, DUPLICATE_EXCLUDED, isTargetRow } from '../src/rules.js';
+import { summarizeMonth } from '../src/summary.js';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const ledger = fixtureRows.map((row, index) => ({ ...row, _sheet: '2026_CSV', _row: index + 2 }));
+// 1月の明細を別のシートに貼り直したもの（スーパーは翌日付、映画は3日後で重複とみなさない）
+const pasted = ledger
+  .filter((row) => ['スーパー', '電気代', '映画'].includes(row['内容']))
+  .map((row, index) => ({
+    ...row,
+    _sheet: '2026_2_CSV',
+    _row: index + 2,
+    内容: row['内容'] === 'スーパー' ? ' ｽｰﾊﾟｰ ' : row['内容'],
+    日付: row['内容'] === 'スーパー' ? '2026-01-11' : row['内容'] === '映画' ? '2026-01-17' : row['日付']
+  }));
+const rows = [...ledger, ...pasted];
+
+test('groups rows with the same amount and normalized 内容 within two days', () => {
+  const groups = detectDuplicates(rows);
+  assert.deepEqual(
+    groups.map((group) => group.key),
+    ['電気代|-9800|2026_2_CSV:4,2026_CSV:15', 'スーパー|-8420|2026_2_CSV:2,2026_CSV:5']
+  );
+  assert.deepEqual(
+    groups[1].rows.map((row) => row['日付']),
+    ['2026-01-10', '2026-01-11']
+  );
+  // 計算対象外の行（ATM引出）は候補にしない
+  const atm = ledger.find((row) => !isTargetRow(row));
+  assert.deepEqual(detectDuplicates([atm, { ...atm, _sheet: '2026_2_CSV' }]), []);
+});
+
+test('measures the window from the first row of each group, inside one sheet too', () => {
+  // 同じシートで毎日続く明細も、最初の明細から2日以内のものを1つのグループにする（20日分が1つに連ならない）
+  const fares = Array.from({ length: 20 }, (_, index) => ({
+    日付: `2026-03-${String(index + 1).padStart(2, '0')}`,
+    内容: 'JR東日本 モバイルSuica',
+    '金額（円）': -200,
+    大項目: '交通費',
+    中項目: '電車',
+    区分: '支出',
+    計算対象: 1,
+    メモ: '',
+    _sheet: '2026_CSV',
+    _row: index + 2
+  }));
+  const groups = detectDuplicates(fares);
+  assert.equal(groups.length, 7);
+  assert.deepEqual(
+    groups[groups.length - 1].rows.map((row) => row['日付']),
+    ['2026-03-01', '2026-03-02', '2026-03-03']
+  );
+  assert.equal(groups[groups.length - 1].key, 'jr東日本モバイルsuica|-200|2026_CSV:2,2026_CSV:3,2026_CSV:4');
+});
+
+test('keys each group by its own rows so other groups keep their resolutions', () => {
+  const keysOf = (sourceRows) => detectDuplicates(sourceRows).map((group) => group.key);
+  const before = keysOf(rows);
+  // 別のグループより前の日付の明細が増えても、ほかのグループのキーは変わらない
+  const earlier = { ...pasted[0], 日付: '2026-01-05', _row: 10 };
+  const after = keysOf([...rows, earlier, { ...earlier, _sheet: '2026_3_CSV', _row: 2 }]);
+  assert.equal(after.length, before.length + 1);
+  before.forEach((key) => assert.ok(after.includes(key)));
+  // 明細の並び順にもよらない
+  assert.deepEqual(keysOf([...rows].reverse()), before);
+});
+
+test('counts only the first row of unresolved and excluded groups and every row of dismissed groups', () => {
+  const groups = detectDuplicates(rows);
+  const expenseOf = (resolutions) =>
+    summarizeMonth(applyDuplicateResolutions(rows, groups, resolutions), 0).ledger.expense;
+  const original = summarizeMonth(fixtureRows, 0).ledger.expense;
+  const pastedExpense = original + 3600 + 9800 + 8420;
+
+  assert.equal(expenseOf({}), pastedExpense - 9800 - 8420);
+  assert.equal(expenseOf({ [groups[0].key]: DUPLICATE_DISMISSED }), pastedExpense - 8420);
+  assert.equal(expenseOf({ [groups[0].key]: DUPLICATE_EXCLUDED }), pastedExpense - 9800 - 8420);
+  assert.equal(isResolved(groups[0], {}), false);
+  assert.equal(isResolved(groups[0], { [groups[0].key]: DUPLICATE_EXCLUDED }), true);
+  assert.equal(applyDuplicateResolutions(ledger, [], {}), ledger);
+});
+
+test('collectRows (GAS) applies the same duplicate check and Duplicate_Config resolutions', () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  const collectRows = vm.runInContext('collectRows', context);
+  const createSheet = (name, sheetRows) => ({
+    getName: () => name,
+    getDataRange: () => ({ getValues: () => [HEADER, ...sheetRows.map((row) => HEADER.map((key) => row[key]))] })
+  });
+  const sheets = [createSheet('2026_CSV', ledger), createSheet('2026_2_CSV', pasted)];
+  const groups = detectDuplicates(rows);
+
+  [{}, { [groups[0].key]: DUPLICATE_DISMISSED }].forEach((resolutions) => {
+    const result = collectRows(sheets, undefined, resolutions);
+    const app = applyDuplicateResolutions(rows, groups, resolutions);
+    [1, 2].forEach((month) => {
+      const monthRows = app.filter((row) => isTargetRow(row) && new Date(row['日付']).getMonth() + 1 === month);
+      assert.equal(result.byMonth[`2026-${month}`].expenseTotal, summarizeMonth(monthRows, 0).ledger.expense);
+    });
+  });
+  assert.equal(collectRows(sheets).duplicateCount, 2);
+  const allDismissed = Object.fromEntries(groups.map((group) => [group.key, DUPLICATE_DISMISSED]));
+  assert.equal(collectRows(sheets, undefined, allDismissed).duplicateCount, 0);
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { buildCategoryTable, buildLedgerTable, buildOverviewTable, toCsv } from '../src/exportData.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+import { buildXlsx, crc32 } from '../src/xlsx.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+const january = summarizeMonth(
+  fixtureRows.filter((row) => isSameMonth(row, 2026, 1)),
+  0
+);
+
+// 無圧縮の ZIP からファイル名と中身を取り出す
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    assert.equal(view.getUint32(offset + 14, true), crc32(data), `${name} の CRC`);
+    files[name] = decoder.decode(data);
+    offset += 30 + nameLength + size;
+  }
+  return files;
+};
+
+test('CSV starts with a BOM, uses CRLF and quotes cells that need it', () => {
+  const csv = toCsv({ headers: ['内容', '金額'], rows: [['映画, "字幕"', -3600], ['改行\nあり', 0]] });
+  assert.equal(csv, '\uFEFF内容,金額\r\n"映画, ""字幕""",-3600\r\n"改行\nあり",0\r\n');
+});
+
+test('ledger and category tables follow the month report', () => {
+  const ledger = buildLedgerTable(2026, 1, january.details.ledger);
+  assert.equal(ledger.rows.length, 11);
+  const atm = ledger.rows.find((cells) => cells[1] === 'ATM引出');
+  assert.deepEqual([atm[0], atm[4], atm[5], atm[6]], ['2026-01-22', '支出', -20000, '対象外']);
+
+  const categories = buildCategoryTable(2026, 1, january.expenseBySubcategory);
+  const total = categories.rows[categories.rows.length - 1];
+  assert.equal(total[0], '合計');
+  assert.equal(total[1], january.ledger.expense);
+  assert.deepEqual(categories.rows[0].slice(0, 2), ['家賃・地代', 98000]);
+});
+
+test('overview table has one row per month plus totals and tracker columns', () => {
+  const row = {
+    month: 1,
+    salary: 320000,
+    bonus: 0,
+    income: 380000,
+    expense: 120000,
+    adjust: 0,
+    installmentDeduction: 5000,
+    net: 255000,
+    settlementOwed: 48000,
+    settlementReceived: 40000,
+    settlementOutstanding: 8000,
+    realNet: 263000,
+    fixedExpense: 100000,
+    hobby: 3600,
+    budget: 0,
+    budgetSpent: 0,
+    trackers: { ai: 3000 }
+  };
+  const table = buildOverviewTable(2026, [row], { ...row, month: null }, [{ id: 'ai', name: 'AI' }]);
+  assert.equal(table.headers.length, table.rows[0].length);
+  assert.equal(table.headers[14], 'AI');
+  assert.deepEqual(table.headers.slice(8, 11), ['彼女の支払額', '入金済み', '未清算']);
+  assert.deepEqual(table.rows[0].slice(8, 11), [48000, 40000, 8000]);
+  assert.deepEqual(table.rows.map((cells) => cells[0]), ['1月', '合計']);
+  assert.equal(table.rows[0][6], -5000);
+
+  // 貯蓄目標があるときだけ、トラッカーの後ろに積み立ての列を足す
+  const withGoals = buildOverviewTable(
+    2026,
+    [{ ...row, goalContribution: 50000, goals: { trip: 50000 } }],
+    null,
+    [{ id: 'ai', name: 'AI' }],
+    [{ id: 'trip', name: '旅行' }]
+  );
+  assert.deepEqual(withGoals.headers.slice(14, 17), ['AI', '目標への積立', '目標: 旅行']);
+  assert.deepEqual(withGoals.rows[0].slice(15, 17), [50000, 50000]);
+});
+
+test('xlsx is a valid zip with one worksheet per table', () => {
+  const files = readZip(
+    buildXlsx([
+      { name: '2026年1月 取引明細', headers: ['内容', '金額'], rows: [['A&B <C>', -3600]] },
+      { name: 'a/b', headers: ['x'], rows: [] }
+    ])
+  );
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="2026年1月 取引明細" sheetId="1"/);
+  assert.match(files['xl/workbook.xml'], /<sheet name="a_b" sheetId="2"/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="A2" t="inlineStr"><is><t xml:space="preserve">A&amp;B &lt;C&gt;<\/t><\/is><\/c><c r="B2"><v>-3600<\/v><\/c>/);
+});
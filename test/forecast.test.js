@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { forecastMonth } from '../src/forecast.js';
+
+const row = (date, content, amount, type, category = '食費') => ({
+  日付: date,
+  内容: content,
+  '金額（円）': amount,
+  大項目: category,
+  中項目: '',
+  区分: type,
+  計算対象: '1',
+  メモ: ''
+});
+
+// 家賃と給与は毎月、食費は月によって金額が違う
+const history = ['2026-01', '2026-02', '2026-03'].flatMap((month, index) => [
+  row(`${month}-25`, '給与', 300000, '収入', '収入'),
+  row(`${month}-27`, '家賃', -100000, '支出', '住宅'),
+  row(`${month}-10`, 'スーパー', -(31000 + index * 15500), '支出')
+]);
+
+test('forecast adds pending recurring entries and the remaining variable spending', () => {
+  const rows = [...history, row('2026-04-05', 'スーパー', -10000, '支出')];
+  const forecast = forecastMonth(rows, {
+    year: 2026,
+    month: 4,
+    actualNet: -10000 - 5000,
+    installmentDeduction: 5000,
+    today: new Date(2026, 3, 10)
+  });
+
+  assert.deepEqual(
+    forecast.pending.map(({ name, amount, day }) => ({ name, amount, day })),
+    [
+      { name: '給与', amount: 300000, day: 25 },
+      { name: '家賃', amount: 100000, day: 27 }
+    ]
+  );
+  assert.equal(forecast.remainingDays, 20);
+  // 今月のペース 1,000円/日 と直近3か月の平均ペースを経過割合で按分する
+  const historicalPace = (31000 / 31 + 46500 / 28 + 62000 / 31) / 3;
+  const expectedPace = 1000 * (10 / 30) + historicalPace * (20 / 30);
+  assert.equal(forecast.variable.expected, Math.round(expectedPace * 20));
+  assert.equal(forecast.variable.low, Math.round(1000 * 20));
+  assert.equal(forecast.variable.high, Math.round((62000 / 31) * 20));
+  assert.equal(forecast.net.expected, -15000 + 300000 - 100000 - forecast.variable.expected);
+  assert.ok(forecast.net.low <= forecast.net.expected && forecast.net.expected <= forecast.net.high);
+});
+
+test('entries already booked this month are not counted again', () => {
+  const rows = [...history, row('2026-04-25', '給与', 300000, '収入', '収入')];
+  const forecast = forecastMonth(rows, { year: 2026, month: 4, actualNet: 300000, today: new Date(2026, 3, 26) });
+  assert.deepEqual(
+    forecast.pending.map((entry) => entry.name),
+    ['家賃']
+  );
+});
+
+test('past months are final and future months rely on history only', () => {
+  const past = forecastMonth(history, { year: 2026, month: 2, actualNet: 123, today: new Date(2026, 3, 10) });
+  assert.deepEqual(past.net, { expected: 123, low: 123, high: 123 });
+  assert.equal(past.pending.length, 0);
+
+  const future = forecastMonth(history, { year: 2026, month: 6, actualNet: -5000, today: new Date(2026, 3, 10) });
+  assert.equal(future.remainingDays, 30);
+  assert.equal(future.pendingIncome - future.pendingExpense, 200000);
+  assert.equal(future.hasHistory, true);
+});
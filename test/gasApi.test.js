@@ -0,0 +1,449 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const createSheet = (name, rows, header = HEADER) => {
+  const values = [header, ...rows.map((row) => header.map((key) => row[key]))];
+  return {
+    values,
+    getName: () => name,
+    getDataRange: () => ({ getValues: () => values.map((row) => [...row]) }),
+    getRange: (row, column) => ({
+      setValue: (value) => {
+        values[row - 1][column - 1] = value;
+      },
+      setValues: (block) => {
+        block.forEach((cells, offset) => {
+          const target = values[row - 1 + offset] || [];
+          cells.forEach((cell, index) => {
+            target[column - 1 + index] = cell;
+          });
+          values[row - 1 + offset] = target;
+        });
+      },
+      setNumberFormat() {}
+    }),
+    appendRow: (cells) => {
+      values.push([...cells]);
+    },
+    clearContents: () => {
+      values.length = 0;
+    },
+    setFrozenRows() {}
+  };
+};
+
+const TEST_TOKEN = 'test-access-token';
+
+// doGet / doPost が使う Apps Script のサービスだけを最小限に再現する
+const loadGasApi = (sheets, properties = {}, scriptProperties = { accessToken: TEST_TOKEN }, lockAvailable = true) => {
+  const context = vm.createContext({
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => ({
+        getSheets: () => sheets,
+        getSheetByName: (name) => sheets.find((sheet) => sheet.getName() === name) || null,
+        insertSheet: (name) => {
+          const sheet = createSheet(name, []);
+          sheets.push(sheet);
+          return sheet;
+        }
+      })
+    },
+    PropertiesService: {
+      getDocumentProperties: () => ({
+        getProperties: () => properties,
+        setProperty: (key, value) => {
+          properties[key] = value;
+        }
+      }),
+      getScriptProperties: () => ({
+        getProperty: (key) => (key in scriptProperties ? scriptProperties[key] : null),
+        setProperty: (key, value) => {
+          scriptProperties[key] = value;
+        }
+      })
+    },
+    LockService: { getDocumentLock: () => ({ tryLock: () => lockAvailable, releaseLock() {} }) },
+    ContentService: {
+      MimeType: { JSON: 'json' },
+      createTextOutput: (text) => ({ text, setMimeType() { return this; } })
+    }
+  });
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  const doGet = vm.runInContext('doGet', context);
+  const doPost = vm.runInContext('doPost', context);
+  return {
+    // token を省略したリクエストには正しいトークンを付ける
+    get: (parameter) => JSON.parse(doGet({ parameter: { token: TEST_TOKEN, ...parameter } }).text),
+    post: (body) => JSON.parse(doPost({ postData: { contents: JSON.stringify({ token: TEST_TOKEN, ...body }) } }).text),
+    // 別の realm のオブジェクトは deepEqual で比べられないので JSON を通す
+    readPeriodConfig: () =>
+      JSON.parse(vm.runInContext('JSON.stringify(readPeriodConfig(SpreadsheetApp.getActiveSpreadsheet()))', context)),
+    readClassification: () =>
+      JSON.parse(
+        vm.runInContext(
+          'JSON.stringify({ rules: readRuleConfig(SpreadsheetApp.getActiveSpreadsheet()), hints: readHintConfig(SpreadsheetApp.getActiveSpreadsheet()) })',
+          context
+        )
+      ),
+    // updateOverviewSheets と同じく Installment_Config の計画で自動計算する
+    ensureOverviewConfig: (years) =>
+      JSON.parse(
+        vm.runInContext(
+          `(() => {
+            const ss = SpreadsheetApp.getActiveSpreadsheet();
+            return JSON.stringify(ensureOverviewConfig(ss, ${JSON.stringify(years)}, undefined, readInstallmentConfig(ss)));
+          })()`,
+          context
+        )
+      )
+  };
+};
+
+const loadDoGet = (sheets, properties) => loadGasApi(sheets, properties).get;
+
+const sheets = [
+  createSheet('2026_CSV', fixtureRows),
+  createSheet('Overview_2026', []),
+  createSheet('2025_CSV', [{ ...fixtureRows[0], 日付: '2025-12-10' }])
+];
+
+test('doGet returns an envelope with metadata for every _CSV sheet', () => {
+  const response = loadDoGet(sheets)({});
+  assert.equal(response.schemaVersion, 2);
+  assert.equal(response.rowCount, fixtureRows.length + 1);
+  assert.deepEqual(
+    response.sheets.map((sheet) => sheet.name),
+    ['2026_CSV', '2025_CSV']
+  );
+  assert.deepEqual(
+    { _sheet: response.rows[0]._sheet, _row: response.rows[0]._row },
+    { _sheet: '2026_CSV', _row: 2 }
+  );
+});
+
+test('doGet filters by year, month range and columns', () => {
+  const get = loadDoGet(sheets);
+  assert.equal(get({ year: '2025' }).rowCount, 1);
+  assert.equal(get({ year: '2025,2026' }).rowCount, fixtureRows.length + 1);
+
+  const february = get({ from: '2026-02', to: '2026-02' });
+  assert.ok(february.rows.length > 0);
+  assert.ok(february.rows.every((row) => row['日付'].startsWith('2026-02')));
+
+  // 絞り込みに使う日付列を返さない場合も year / from / to は効く
+  const projected = get({ columns: '内容,金額（円）', to: '2025-12' });
+  assert.deepEqual(Object.keys(projected.rows[0]).sort(), ['_row', '_sheet', '内容', '金額（円）'].sort());
+  assert.equal(projected.rowCount, 1);
+});
+
+test('doGet with since returns only sheets edited after the watermark', () => {
+  const get = loadDoGet(sheets, {
+    'modified:2026_CSV': '2026-03-02T00:00:00.000Z',
+    'modified:2025_CSV': '2026-01-01T00:00:00.000Z'
+  });
+  const response = get({ since: '2026-03-01T00:00:00.000Z' });
+  assert.deepEqual(
+    response.sheets.map(({ name, included }) => ({ name, included })),
+    [
+      { name: '2026_CSV', included: true },
+      { name: '2025_CSV', included: false }
+    ]
+  );
+  assert.ok(response.rows.every((row) => row._sheet === '2026_CSV'));
+});
+
+test('doPost updates an editable cell and records the sheet as modified', () => {
+  const properties = {};
+  const sheet = createSheet('2026_CSV', fixtureRows);
+  const { get, post } = loadGasApi([sheet], properties);
+  const row = get({}).rows[0];
+  const expected = { ...row };
+  delete expected._sheet;
+  delete expected._row;
+
+  const result = post({ action: 'updateRow', sheet: '2026_CSV', row: 2, expected, changes: { メモ: '確認済み' } });
+  assert.equal(result.ok, true);
+  assert.equal(result.record['メモ'], '確認済み');
+  assert.equal(sheet.values[1][HEADER.indexOf('メモ')], '確認済み');
+  assert.ok(properties['modified:2026_CSV']);
+});
+
+test('doPost refuses stale edits and columns outside the allow-list', () => {
+  const sheet = createSheet('2026_CSV', fixtureRows);
+  const { post } = loadGasApi([sheet]);
+
+  const conflict = post({
+    action: 'updateRow',
+    sheet: '2026_CSV',
+    row: 2,
+    expected: { 内容: '別の内容' },
+    changes: { 計算対象: 0 }
+  });
+  assert.equal(conflict.error, 'conflict');
+  assert.deepEqual(conflict.fields, ['内容']);
+  assert.equal(conflict.record['内容'], fixtureRows[0]['内容']);
+  assert.equal(sheet.values[1][HEADER.indexOf('計算対象')], fixtureRows[0]['計算対象']);
+
+  assert.equal(post({ action: 'updateRow', sheet: '2026_CSV', row: 2, changes: { '金額（円）': 0 } }).error, 'invalid-field');
+  assert.equal(post({ action: 'updateRow', sheet: 'Overview_2026', row: 2, changes: {} }).error, 'not-found');
+  assert.equal(post({ action: 'updateRow', sheet: '2026_CSV', row: 999, changes: {} }).error, 'not-found');
+});
+
+test('doPost locates rows by ID even after they move', () => {
+  const header = ['ID', ...HEADER];
+  const sheet = createSheet(
+    '2026_CSV',
+    fixtureRows.slice(0, 3).map((row, index) => ({ ...row, ID: `mf-${index}` })),
+    header
+  );
+  const { post } = loadGasApi([sheet]);
+  const result = post({ action: 'updateRow', sheet: '2026_CSV', row: 2, id: 'mf-2', changes: { 区分: '調整' } });
+  assert.equal(result.record._row, 4);
+  assert.equal(sheet.values[3][header.indexOf('区分')], '調整');
+});
+
+test('doPost saves budgets to Budget_Config and reads them back', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { post } = loadGasApi(ledgerSheets);
+  const result = post({
+    action: 'saveBudgets',
+    budgets: [
+      { category: '食費', subcategory: '', month: '', amount: 30000 },
+      { category: '', subcategory: '', month: '', amount: 1000 },
+      { category: '食費', subcategory: '外食', month: '2026-01', amount: '8,000' }
+    ]
+  });
+  assert.deepEqual(result, { ok: true, count: 2 });
+
+  const budgetSheet = ledgerSheets.find((sheet) => sheet.getName() === 'Budget_Config');
+  assert.deepEqual(budgetSheet.values.slice(1), [
+    ['食費', '', '', 30000],
+    ['食費', '外食', '2026-01', 8000]
+  ]);
+  assert.equal(post({ action: 'saveBudgets', budgets: 'x' }).error, 'bad-request');
+});
+
+test('doPost saves the accounting period to Period_Config and reads it back', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { post, readPeriodConfig } = loadGasApi(ledgerSheets);
+  assert.deepEqual(readPeriodConfig(), { type: 'calendar', startDay: 1, ranges: [] });
+
+  const ranges = [{ month: '2026-04', start: '2026-04-24', end: '2026-05-24' }];
+  assert.deepEqual(post({ action: 'savePeriod', period: { type: 'custom', startDay: 25, ranges } }), {
+    ok: true,
+    count: 1
+  });
+  const periodSheet = ledgerSheets.find((sheet) => sheet.getName() === 'Period_Config');
+  assert.deepEqual(periodSheet.values.slice(1), [
+    ['', 25, ''],
+    ['2026-04', '2026-04-24', '2026-05-24']
+  ]);
+  assert.deepEqual(readPeriodConfig(), { type: 'custom', startDay: 25, ranges });
+
+  post({ action: 'savePeriod', period: { type: 'startDay', startDay: 25, ranges } });
+  assert.deepEqual(readPeriodConfig(), { type: 'startDay', startDay: 25, ranges: [] });
+  assert.equal(post({ action: 'savePeriod' }).error, 'bad-request');
+});
+
+test('doPost saves duplicate resolutions to Duplicate_Config', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { post } = loadGasApi(ledgerSheets);
+  const result = post({
+    action: 'saveDuplicates',
+    resolutions: { 'スーパー|-8420|2026-01-10': 'excluded', '電気代|-9800|2026-02-15': 'dismissed', x: 'unknown' }
+  });
+  assert.deepEqual(result, { ok: true, count: 2 });
+  const duplicateSheet = ledgerSheets.find((sheet) => sheet.getName() === 'Duplicate_Config');
+  assert.deepEqual(duplicateSheet.values.slice(1), [
+    ['スーパー|-8420|2026-01-10', 'excluded'],
+    ['電気代|-9800|2026-02-15', 'dismissed']
+  ]);
+  assert.equal(post({ action: 'saveDuplicates', resolutions: [] }).error, 'bad-request');
+});
+
+test('doPost saves rules to Rule_Config and classification hints to Hint_Config', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { post, readClassification } = loadGasApi(ledgerSheets);
+  assert.deepEqual(readClassification(), { rules: [], hints: {} });
+
+  const rule = {
+    id: 'rule-1',
+    name: 'サブスク',
+    enabled: true,
+    conditions: [{ field: '内容', operator: 'includes', value: 'ChatGPT' }],
+    actions: [{ type: 'setCategory', value: '趣味・娯楽' }]
+  };
+  const result = post({
+    action: 'saveRules',
+    rules: [rule, { ...rule, id: 'broken', conditions: 'x' }],
+    hints: { salary: [] }
+  });
+  assert.deepEqual(result, { ok: true, count: 1 });
+
+  // 変えていないキーワードは既定値を書き込み、シートで直せるようにする
+  const hintSheet = ledgerSheets.find((sheet) => sheet.getName() === 'Hint_Config');
+  assert.deepEqual(
+    hintSheet.values.slice(1).map((row) => [row[0], row[2]]),
+    [
+      ['salary', ''],
+      ['excludeIncome', 'シユクリ,ユキエ'],
+      ['variableExpenseCategories', '趣味・娯楽,食費,日用品'],
+      ['hobbyCategory', '趣味・娯楽']
+    ]
+  );
+  const { rules, hints } = readClassification();
+  assert.deepEqual(rules, [rule]);
+  assert.deepEqual(hints.salary, ['']);
+  assert.deepEqual(hints.variableExpenseCategories, ['趣味・娯楽', '食費', '日用品']);
+  assert.equal(post({ action: 'saveRules', rules: {} }).error, 'bad-request');
+});
+
+test('doPost answers with a JSON error when the document lock is busy', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { post } = loadGasApi(ledgerSheets, {}, undefined, false);
+  const result = post({ action: 'saveDuplicates', resolutions: {} });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'busy');
+  assert.match(result.message, /しばらくしてから/);
+  assert.equal(ledgerSheets.length, 1);
+});
+
+test('doPost syncs monthly inputs with Overview_Config, keeping the newer side', () => {
+  const configSheet = createSheet('Overview_Config', [], ['年', '月', '分割払い補正（空欄で自動）', '彼女の立替入力']);
+  configSheet.values.push(
+    [2026, 1, 15000, '', '2026-03-05T00:00:00.000Z'],
+    [2026, 2, '', 4000, '2026-03-01T00:00:00.000Z'],
+    [2026, 3, '', '', '']
+  );
+  const { post } = loadGasApi([configSheet]);
+  const result = post({
+    action: 'syncOverviewConfig',
+    entries: [
+      { year: 2026, month: 1, installment: '12000', partnerAdvance: '', updatedAt: '2026-03-02T00:00:00.000Z' },
+      { year: 2026, month: 2, installment: '', partnerAdvance: '', updatedAt: '2026-03-04T00:00:00.000Z' },
+      { year: 2026, month: 3, installment: '8000', partnerAdvance: '', updatedAt: '2026-03-04T00:00:00.000Z' },
+      { year: 2026, month: 4, installment: '', partnerAdvance: '2500', updatedAt: '2026-03-04T00:00:00.000Z' },
+      { year: 2026, month: 5, installment: '1', partnerAdvance: '', updatedAt: '' }
+    ]
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.count, 3);
+  assert.equal(configSheet.values[0][4], '更新日時');
+  assert.deepEqual(configSheet.values.slice(1), [
+    [2026, 1, 15000, '', '2026-03-05T00:00:00.000Z'],
+    [2026, 2, '', '', '2026-03-04T00:00:00.000Z'],
+    [2026, 3, 8000, '', '2026-03-04T00:00:00.000Z'],
+    [2026, 4, '', 2500, '2026-03-04T00:00:00.000Z']
+  ]);
+  assert.deepEqual(result.entries[0], {
+    year: 2026,
+    month: 1,
+    installment: 15000,
+    partnerAdvance: '',
+    updatedAt: '2026-03-05T00:00:00.000Z'
+  });
+  assert.equal(result.entries.length, 4);
+  assert.equal(post({ action: 'syncOverviewConfig' }).error, 'bad-request');
+});
+
+test('ensureOverviewConfig turns the legacy installment default back into automatic deductions', () => {
+  const configSheet = createSheet('Overview_Config', [], ['年', '月', '分割払い補正（空欄で自動）', '彼女の立替入力']);
+  configSheet.values.push(
+    [2026, 8, 39524, '', ''],
+    [2026, 9, '39,524', 3000, ''],
+    [2026, 10, 39524, '', '2026-10-01T00:00:00.000Z'],
+    [2026, 11, 12000, '', '']
+  );
+  const scriptProperties = { accessToken: TEST_TOKEN };
+  const config = loadGasApi([configSheet], {}, scriptProperties).ensureOverviewConfig([2026]);
+
+  assert.deepEqual(
+    configSheet.values.slice(1, 5).map((row) => row[2]),
+    ['', '', 39524, 12000]
+  );
+  // 2026年8月は計画の引落（テンピュールのみ）から自動計算する
+  assert.equal(config['2026-8'].installment, 11973);
+  assert.equal(config['2026-9'].partnerAdvance, 3000);
+  assert.equal(config['2026-10'].installment, 39524);
+  assert.equal(configSheet.values.length, 13);
+  assert.ok(scriptProperties.legacyInstallmentDefaultsClearedAt);
+
+  // 移行は一度だけ。その後に入力した同じ金額は手入力の値として残す
+  configSheet.values[1][2] = 39524;
+  const rerun = loadGasApi([configSheet], {}, scriptProperties).ensureOverviewConfig([2026]);
+  assert.equal(configSheet.values[1][2], 39524);
+  assert.equal(rerun['2026-8'].installment, 39524);
+});
+
+test('doPost saveInstallments replaces Installment_Config and drives the automatic deduction', () => {
+  const ledgerSheets = [createSheet('Overview_Config', [], ['年', '月', '分割払い補正（空欄で自動）', '彼女の立替入力'])];
+  const api = loadGasApi(ledgerSheets);
+  const response = api.post({
+    action: 'saveInstallments',
+    plans: [
+      { name: 'ソファ', amount: '5,000', firstDebit: '2026-09', lastDebit: '2027-02', debitDay: 27 },
+      { name: '', amount: 0, firstDebit: '', lastDebit: '', debitDay: 27 }
+    ]
+  });
+  assert.deepEqual(response, { ok: true, count: 1 });
+
+  const planSheet = ledgerSheets.find((sheet) => sheet.getName() === 'Installment_Config');
+  assert.deepEqual(planSheet.values.slice(1), [['ソファ', 5000, '2026-09', '2027-02', 27]]);
+
+  const config = api.ensureOverviewConfig([2026]);
+  assert.equal(config['2026-8'].installment, 0);
+  assert.equal(config['2026-9'].installment, 5000);
+  assert.equal(api.post({ action: 'saveInstallments', plans: 'x' }).error, 'bad-request');
+});
+
+test('doGet and doPost reject requests without the access token', () => {
+  const ledgerSheets = [createSheet('2026_CSV', fixtureRows)];
+  const { get, post } = loadGasApi(ledgerSheets);
+  const denied = get({ token: 'wrong-token' });
+  assert.equal(denied.ok, false);
+  assert.equal(denied.error, 'unauthorized');
+  assert.equal('rows' in denied, false);
+  assert.equal(get({ token: '' }).error, 'unauthorized');
+  assert.equal(get({ token: `${TEST_TOKEN}x` }).error, 'unauthorized');
+  assert.equal(post({ action: 'saveDuplicates', resolutions: {}, token: 'wrong-token' }).error, 'unauthorized');
+  assert.equal(ledgerSheets.length, 1);
+
+  // トークンを発行していなければ、どのトークンでも読めない
+  const unissued = loadGasApi([createSheet('2026_CSV', fixtureRows)], {}, {});
+  assert.equal(unissued.get({}).error, 'unauthorized');
+  assert.match(unissued.get({}).message, /発行されていません/);
+});
+
+test('doGet serves the Balances sheet when type=balances', () => {
+  const balanceSheet = createSheet(
+    'Balances',
+    [
+      { 日付: '2026/02/28', 口座: 'NISA', 残高: '¥330,000' },
+      { 日付: '2026-01-31', 口座: '普通預金', 残高: 1200000 },
+      { 日付: '', 口座: '普通預金', 残高: 1 },
+      { 日付: '2026-02-28', 口座: '普通預金', 残高: '不明' }
+    ],
+    ['日付', '口座', '残高']
+  );
+  const get = loadDoGet([createSheet('2026_CSV', fixtureRows), balanceSheet]);
+  const response = get({ type: 'balances' });
+  assert.equal('rows' in response, false);
+  assert.deepEqual(response.balances, [
+    { date: '2026-01-31', account: '普通預金', balance: 1200000 },
+    { date: '2026-02-28', account: 'NISA', balance: 330000 }
+  ]);
+
+  assert.deepEqual(loadDoGet([createSheet('2026_CSV', fixtureRows)])({ type: 'balances' }).balances, []);
+  assert.equal(get({ type: 'balances', token: 'wrong-token' }).error, 'unauthorized');
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import {
+  GOAL_ACHIEVED,
+  GOAL_BEHIND,
+  GOAL_ON_TRACK,
+  GOAL_OVERDUE,
+  GOAL_SOURCE_SHARE,
+  GOAL_SOURCE_TAG,
+  buildGoalContributions,
+  buildGoalProgress
+} from '../src/goals.js';
+import { TAGS_FIELD } from '../src/ruleEngine.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+
+const ledgerNetOf = (month) => summarizeMonth(fixtureRows.filter((row) => isSameMonth(row, 2026, month)), 0).ledger.net;
+
+const transfer = (date, amount, tags) => ({
+  日付: date,
+  内容: '定期預金へ振替',
+  '金額（円）': amount,
+  大項目: '振替',
+  中項目: '',
+  区分: '振替',
+  計算対象: 0,
+  メモ: '',
+  [TAGS_FIELD]: tags
+});
+
+const rows = [
+  ...fixtureRows,
+  transfer('2026-01-28', -30000, ['旅行']),
+  transfer('2026-02-28', -30000, ['旅行']),
+  transfer('2026-02-28', -10000, ['車'])
+];
+
+const noInstallment = () => 0;
+
+const shareGoal = {
+  id: 'goal-share',
+  name: '生活防衛資金',
+  target: 600000,
+  startMonth: '2026-01',
+  deadline: '2026-12',
+  source: GOAL_SOURCE_SHARE,
+  share: 50,
+  tag: ''
+};
+const tagGoal = {
+  id: 'goal-tag',
+  name: '旅行',
+  target: 90000,
+  startMonth: '2026-02',
+  deadline: '2026-04',
+  source: GOAL_SOURCE_TAG,
+  share: 0,
+  tag: '旅行'
+};
+
+test('counts a share of positive monthly net and tagged transfers within each goal range', () => {
+  const contributions = buildGoalContributions([shareGoal, tagGoal], rows, { getInstallmentDeduction: noInstallment });
+  const januaryShare = Math.round(Math.max(ledgerNetOf(1), 0) / 2);
+  const februaryShare = Math.round(Math.max(ledgerNetOf(2), 0) / 2);
+
+  // 旅行の目標は2月からなので、1月の振替は数えない
+  assert.deepEqual(contributions['2026-1'], { total: januaryShare, byGoal: { 'goal-share': januaryShare } });
+  assert.deepEqual(contributions['2026-2'], {
+    total: februaryShare + 30000,
+    byGoal: { 'goal-share': februaryShare, 'goal-tag': 30000 }
+  });
+
+  // 分割払い補正で収支がマイナスになった月は、割合の目標には積み立てない
+  const withInstallment = buildGoalContributions([shareGoal], rows, { getInstallmentDeduction: () => 10000000 });
+  assert.equal(withInstallment['2026-1'].byGoal['goal-share'], 0);
+});
+
+test('derives the required monthly pace and on-track or behind status', () => {
+  const contributions = {
+    '2026-2': { total: 30000, byGoal: { 'goal-tag': 30000 } },
+    '2026-3': { total: 10000, byGoal: { 'goal-tag': 10000 } }
+  };
+  const [march] = buildGoalProgress([tagGoal], contributions, new Date(2026, 2, 15));
+  // 3月の時点で2月分（90000 の 1/3）は積み立てておきたい
+  assert.equal(march.expected, 30000);
+  assert.equal(march.saved, 40000);
+  assert.equal(march.status, GOAL_ON_TRACK);
+  assert.equal(march.monthsLeft, 2);
+  assert.equal(march.required, 25000);
+
+  const [april] = buildGoalProgress([tagGoal], contributions, new Date(2026, 3, 10));
+  assert.equal(april.expected, 60000);
+  assert.equal(april.status, GOAL_BEHIND);
+  assert.equal(april.required, 50000);
+
+  const [overdue] = buildGoalProgress([tagGoal], contributions, new Date(2026, 5, 1));
+  assert.equal(overdue.status, GOAL_OVERDUE);
+  assert.equal(overdue.monthsLeft, 0);
+  assert.equal(overdue.required, 50000);
+
+  const [achieved] = buildGoalProgress(
+    [tagGoal],
+    { ...contributions, '2026-4': { total: 60000, byGoal: { 'goal-tag': 60000 } } },
+    new Date(2026, 5, 1)
+  );
+  assert.equal(achieved.status, GOAL_ACHIEVED);
+  assert.equal(achieved.ratio, 1);
+});
+
+test('ignores goals without a target or with an unreadable or reversed range', () => {
+  const goals = [
+    { ...shareGoal, id: 'no-target', target: 0 },
+    { ...shareGoal, id: 'reversed', startMonth: '2026-12', deadline: '2026-01' },
+    { ...shareGoal, id: 'unreadable', deadline: '' }
+  ];
+  assert.deepEqual(buildGoalContributions(goals, rows), {});
+  assert.deepEqual(buildGoalProgress(goals, {}, new Date(2026, 0, 1)), []);
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { buildNetWorth, normalizeBalances } from '../src/netWorth.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+import { createMockBalances, createMockLedger } from '../dev/mockLedger.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+
+const ledgerNetOf = (month) => summarizeMonth(fixtureRows.filter((row) => isSameMonth(row, 2026, month)), 0).ledger.net;
+
+test('reads balance entries in any ledger date and amount format and drops unreadable ones', () => {
+  const entries = normalizeBalances([
+    { date: '2026/01/31', account: ' 普通預金 ', balance: '¥1,200,000' },
+    { date: 'R8.1.15', account: 'NISA', balance: '300000' },
+    { date: '', account: 'NISA', balance: 1 },
+    { date: '2026-01-20', account: '', balance: 1 },
+    { date: '2026-01-20', account: '証券', balance: 'abc' }
+  ]);
+  assert.deepEqual(
+    entries.map((entry) => [entry.date.getDate(), entry.account, entry.balance]),
+    [
+      [15, 'NISA', 300000],
+      [31, '普通預金', 1200000]
+    ]
+  );
+});
+
+test('carries balances forward and compares each month change with the ledger net', () => {
+  const januaryBank = 1000000;
+  const februaryBank = januaryBank + ledgerNetOf(2);
+  const { accounts, months } = buildNetWorth(
+    [
+      { date: '2025-12-31', account: '普通預金', balance: 900000 },
+      { date: '2026-01-10', account: '普通預金', balance: 950000 },
+      { date: '2026-01-31', account: '普通預金', balance: januaryBank },
+      { date: '2026-01-31', account: '証券', balance: 500000 },
+      // 証券は2月に記録がないので1月の残高のまま、NISAは3月から記録を始めた
+      { date: '2026-02-28', account: '普通預金', balance: februaryBank },
+      { date: '2026-03-31', account: 'NISA', balance: 100000 },
+      { date: '2026-03-31', account: '普通預金', balance: februaryBank - 100000 }
+    ],
+    fixtureRows,
+    { getInstallmentDeduction: () => 0 }
+  );
+
+  assert.deepEqual(accounts, ['普通預金', '証券', 'NISA']);
+  assert.deepEqual(
+    months.map((item) => [item.month, item.total]),
+    [
+      [12, 900000],
+      [1, januaryBank + 500000],
+      [2, februaryBank + 500000],
+      [3, februaryBank + 500000]
+    ]
+  );
+  const [december, january, february, march] = months;
+  assert.equal(december.change, null);
+  assert.equal(december.ledgerNet, null);
+
+  // 1月は証券の記録を始めた月なので、増減は普通預金だけで計算する
+  assert.deepEqual(january.addedAccounts, ['証券']);
+  assert.equal(january.change, januaryBank - 900000);
+  assert.equal(january.ledgerNet, ledgerNetOf(1));
+  assert.equal(january.gap, januaryBank - 900000 - ledgerNetOf(1));
+  assert.equal(january.flagged, Math.abs(january.gap) >= 10000);
+
+  assert.equal(february.gap, 0);
+  assert.equal(february.flagged, false);
+
+  // 明細のない月は突き合わせない
+  assert.equal(march.change, -100000);
+  assert.equal(march.ledgerNet, null);
+  assert.equal(march.gap, null);
+});
+
+test('mock balances reconcile with the mock ledger except for investment returns', () => {
+  const today = new Date(2026, 5, 30);
+  const { months } = buildNetWorth(createMockBalances({ today, months: 6 }), createMockLedger({ today, months: 6 }), {
+    getInstallmentDeduction: () => 0
+  });
+  assert.equal(months.length, 6);
+  months.slice(1).forEach((item) => {
+    const securitiesReturn = item.byAccount['証券口座'] - months[months.indexOf(item) - 1].byAccount['証券口座'];
+    assert.equal(item.gap, securitiesReturn);
+  });
+});
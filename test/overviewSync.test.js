@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { mergeOverviewConfigEntries, toOverviewConfigEntries } from '../src/overviewSync.js';
+
+const local = {
+  '2026-1': { installmentAdjust: '12000', updatedAt: '2026-03-02T00:00:00.000Z' },
+  '2026-2': { partnerAdvance: '5000', updatedAt: '2026-03-01T00:00:00.000Z' },
+  // 移行前から残っている入力（更新日時なし）
+  '2026-3': { installmentAdjust: '8000' }
+};
+
+test('sends only the months that carry an update timestamp', () => {
+  assert.deepEqual(toOverviewConfigEntries(local), [
+    { year: 2026, month: 1, installment: '12000', partnerAdvance: '', updatedAt: '2026-03-02T00:00:00.000Z' },
+    { year: 2026, month: 2, installment: '', partnerAdvance: '5000', updatedAt: '2026-03-01T00:00:00.000Z' }
+  ]);
+});
+
+test('keeps whichever side changed a month last', () => {
+  const merged = mergeOverviewConfigEntries(local, [
+    // ダッシュボードの方が新しい
+    { year: 2026, month: 1, installment: 9000, partnerAdvance: '', updatedAt: '2026-03-01T12:00:00.000Z' },
+    // シートで後から消した
+    { year: 2026, month: 2, installment: '', partnerAdvance: '', updatedAt: '2026-03-05T00:00:00.000Z' },
+    // 更新日時のない行はダッシュボードに入力がない月だけ取り込む
+    { year: 2026, month: 3, installment: 0, partnerAdvance: '', updatedAt: '' },
+    { year: 2026, month: 4, installment: 0, partnerAdvance: 3000, updatedAt: '' },
+    { year: 2026, month: 5, installment: '', partnerAdvance: 0, updatedAt: '' }
+  ]);
+  assert.deepEqual(merged, {
+    '2026-1': local['2026-1'],
+    '2026-2': { updatedAt: '2026-03-05T00:00:00.000Z' },
+    '2026-3': local['2026-3'],
+    '2026-4': { installmentAdjust: '0', partnerAdvance: '3000' }
+  });
+});
+
+test('treats the legacy installment default on untimestamped rows as automatic', () => {
+  const merged = mergeOverviewConfigEntries({}, [
+    { year: 2026, month: 6, installment: 39524, partnerAdvance: '', updatedAt: '' },
+    { year: 2026, month: 7, installment: 39524, partnerAdvance: 2000, updatedAt: '' },
+    // 同期後に手で入れ直した値はそのまま使う
+    { year: 2026, month: 8, installment: 39524, partnerAdvance: '', updatedAt: '2026-08-01T00:00:00.000Z' }
+  ]);
+  assert.deepEqual(merged, {
+    '2026-7': { partnerAdvance: '2000' },
+    '2026-8': { installmentAdjust: '39524', updatedAt: '2026-08-01T00:00:00.000Z' }
+  });
+});
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { GAS_MODULES, buildGasSource } from '../scripts/build-gas.js';
+import { ACTION_EXCLUDE, ACTION_SET_CATEGORY, MATCH_INCLUDES, applyRules } from '../src/ruleEngine.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+import {
+  buildSettlement,
+  getInstallmentSchedule,
+  getScheduledInstallmentTotal,
+  isTargetRow
+} from '../src/rules.js';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const loadGas = () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  return {
+    collectRows: vm.runInContext('collectRows', context),
+    buildSettlement: vm.runInContext('buildSettlement', context),
+    getScheduledInstallmentTotal: vm.runInContext('getScheduledInstallmentTotal', context)
+  };
+};
+
+const createSheet = (rows) => ({
+  getName: () => '2026_CSV',
+  getDataRange: () => ({
+    getValues: () => [HEADER, ...rows.map((row) => HEADER.map((key) => row[key]))]
+  })
+});
+
+test('Parsing.gs, Rules.gs and RuleEngine.gs are generated from the current src modules', () => {
+  GAS_MODULES.forEach((module) => {
+    assert.equal(readText(`../${module.output}`), buildGasSource(readText(`../${module.source}`), module.source));
+  });
+});
+
+test('collectRows (GAS) and summarizeMonth (app) produce the same monthly totals', () => {
+  const gas = loadGas();
+  // 年度をまたいだシート分割も同じ結果になることを確認する
+  const result = gas.collectRows([createSheet(fixtureRows.slice(0, 8)), createSheet(fixtureRows.slice(8))]);
+
+  [1, 2, 3].forEach((month) => {
+    const monthRows = fixtureRows.filter((row) => isTargetRow(row) && isSameMonth(row, 2026, month));
+    const app = summarizeMonth(monthRows, 0, 8000);
+    const summary = result.byMonth[`2026-${month}`];
+
+    if (monthRows.length === 0) {
+      assert.equal(summary, undefined);
+      return;
+    }
+
+    assert.deepEqual(
+      {
+        income: summary.incomeTotal,
+        expense: summary.expenseTotal,
+        adjust: summary.adjustTotal,
+        salary: summary.salaryTotal,
+        bonus: summary.bonusTotal,
+        fixedExpense: summary.fixedExpenseTotal,
+        hobby: summary.hobbyTotal
+      },
+      {
+        income: app.ledger.income,
+        expense: app.ledger.expense,
+        adjust: app.ledger.adjust,
+        salary: app.salary,
+        bonus: app.bonus,
+        fixedExpense: app.fixedExpense,
+        hobby: app.hobby
+      }
+    );
+    assert.deepEqual({ ...gas.buildSettlement(summary, 8000) }, app.settlement);
+  });
+});
+
+test('excluded income hints are applied on both sides', () => {
+  const gas = loadGas();
+  const february = gas.collectRows([createSheet(fixtureRows)]).byMonth['2026-2'];
+  assert.equal(february.incomeTotal, 450000);
+  assert.equal(february.bonusTotal, 450000);
+});
+
+test('collectRows (GAS) applies the same user rules and classification hints as the app', () => {
+  const gas = loadGas();
+  const condition = (value) => [{ field: '内容', operator: MATCH_INCLUDES, value }];
+  const rules = [
+    { id: 'movie', name: '映画は除外', enabled: true, conditions: condition('映画'), actions: [{ type: ACTION_EXCLUDE }] },
+    {
+      id: 'subscription',
+      name: 'サブスクは趣味',
+      enabled: true,
+      conditions: condition('ChatGPT'),
+      actions: [{ type: ACTION_SET_CATEGORY, value: '趣味・娯楽' }]
+    },
+    { id: 'off', name: '無効', enabled: false, conditions: condition('家賃'), actions: [{ type: ACTION_EXCLUDE }] }
+  ];
+  const hints = { salary: ['賞与'], excludeIncome: [], variableExpenseCategories: ['食費'] };
+  const result = gas.collectRows([createSheet(fixtureRows)], undefined, {}, { rules, hints });
+  const ruled = applyRules(fixtureRows, rules).rows;
+
+  [1, 2].forEach((month) => {
+    const monthRows = ruled.filter((row) => isTargetRow(row) && isSameMonth(row, 2026, month));
+    const app = summarizeMonth(monthRows, 0, 0, [], hints);
+    const summary = result.byMonth[`2026-${month}`];
+    assert.deepEqual(
+      [summary.incomeTotal, summary.expenseTotal, summary.salaryTotal, summary.fixedExpenseTotal, summary.hobbyTotal],
+      [app.ledger.income, app.ledger.expense, app.salary, app.fixedExpense, app.hobby]
+    );
+  });
+  // 賞与を給与に数え、シユクリの入金も収入に入れる。映画は除外し、サブスクは趣味になる
+  assert.equal(result.byMonth['2026-2'].salaryTotal, 450000);
+  assert.equal(result.byMonth['2026-2'].incomeTotal, 465000);
+  assert.equal(result.byMonth['2026-1'].hobbyTotal, 1980 + 3000);
+});
+
+test('settlement follows the README formula', () => {
+  const january = summarizeMonth(
+    fixtureRows.filter((row) => isTargetRow(row) && isSameMonth(row, 2026, 1)),
+    0,
+    8000
+  );
+  // 共同生活費: 食費 8,420 + 日用品 2,180 + 趣味 3,600 + 通信費 3,000 = 17,200（自費・立替・住宅は除外）
+  assert.deepEqual(january.settlement, {
+    fixedShare: 40000,
+    sharedExpense: 17200,
+    sharedHalf: 8600,
+    advance: 5500,
+    partnerAdvance: 8000,
+    partnerAdvanceHalf: 4000,
+    owed: 50100,
+    received: 60000,
+    outstanding: -9900
+  });
+  assert.equal(buildSettlement({ rowCount: 0, sharedExpenseTotal: 0, advanceTotal: 0, settlementReceived: 0 }).owed, 0);
+});
+
+test('installment schedule only deducts plans within their debit months', () => {
+  const gas = loadGas();
+  const plans = [
+    { name: 'A', amount: 1000, firstDebit: '2026-02', lastDebit: '2026-04', debitDay: 27 },
+    { name: 'B', amount: 500, firstDebit: '', lastDebit: '2026-02', debitDay: 10 }
+  ];
+  assert.deepEqual(
+    [1, 2, 3, 4, 5].map((month) => getScheduledInstallmentTotal(2026, month, plans)),
+    [500, 1500, 1000, 1000, 0]
+  );
+  assert.equal(gas.getScheduledInstallmentTotal(2026, 3), getScheduledInstallmentTotal(2026, 3));
+
+  const [planA, planB] = getInstallmentSchedule(2026, 3, plans);
+  assert.equal(planA.remainingPayments, 2);
+  assert.equal(planA.totalPayments, 3);
+  assert.equal(planB.finished, true);
+  assert.equal(planB.remainingPayments, 0);
+  assert.equal(getInstallmentSchedule(2026, 1, plans)[0].remainingPayments, 3);
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { formatLedgerDate, parseLedgerAmount, parseLedgerDate } from '../src/parsing.js';
+import { parseAmount } from '../src/rules.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+
+// 日本より西のタイムゾーンでも日付が前日にずれないことを確かめる
+process.env.TZ = 'America/Los_Angeles';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const cases = JSON.parse(readText('./fixtures/parsing-cases.json'));
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const loadGas = () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  return {
+    formatLedgerDate: vm.runInContext('formatLedgerDate', context),
+    parseLedgerAmount: vm.runInContext('parseLedgerAmount', context),
+    collectRows: vm.runInContext('collectRows', context)
+  };
+};
+
+test('parses every date format in the fixture to the same calendar date in the app and GAS', () => {
+  const gas = loadGas();
+  cases.dates.forEach(([input, expected]) => {
+    assert.equal(formatLedgerDate(input), expected || '', `app: ${JSON.stringify(input)}`);
+    assert.equal(gas.formatLedgerDate(input), expected || '', `gas: ${JSON.stringify(input)}`);
+  });
+});
+
+test('parses every amount format in the fixture and reports the rest as null', () => {
+  const gas = loadGas();
+  cases.amounts.forEach(([input, expected]) => {
+    assert.equal(parseLedgerAmount(input), expected, `app: ${JSON.stringify(input)}`);
+    assert.equal(gas.parseLedgerAmount(input), expected, `gas: ${JSON.stringify(input)}`);
+    // 集計では読めない金額を 0 円として扱う
+    assert.equal(parseAmount(input), expected === null ? 0 : expected);
+  });
+});
+
+test('keeps month-end rows in their month regardless of the local timezone', () => {
+  const date = parseLedgerDate('2026-01-31');
+  assert.deepEqual([date.getFullYear(), date.getMonth() + 1, date.getDate()], [2026, 1, 31]);
+  assert.equal(isSameMonth({ 日付: '2026-01-31' }, 2026, 1), true);
+  assert.equal(isSameMonth({ 日付: '2026-02-01' }, 2026, 1), false);
+  assert.equal(parseLedgerDate('2026-02-30'), null);
+});
+
+test('collectRows (GAS) and summarizeMonth (app) agree on Japanese date and amount formats', () => {
+  const toJapanese = (row) => {
+    const [year, month, day] = row['日付'].split('-').map(Number);
+    const amount = Number(String(row['金額（円）']).replace(/,/g, ''));
+    return {
+      ...row,
+      日付: `R${year - 2018}.${month}.${day}`,
+      '金額（円）': amount < 0 ? `△${Math.abs(amount).toLocaleString()}円` : `¥${amount.toLocaleString()}`
+    };
+  };
+  const rows = fixtureRows.map(toJapanese);
+  const sheet = {
+    getName: () => '2026_CSV',
+    getDataRange: () => ({ getValues: () => [HEADER, ...rows.map((row) => HEADER.map((key) => row[key]))] })
+  };
+  const result = loadGas().collectRows([sheet]);
+
+  [1, 2].forEach((month) => {
+    const app = summarizeMonth(rows.filter((row) => isSameMonth(row, 2026, month)), 0).ledger;
+    const original = summarizeMonth(fixtureRows.filter((row) => isSameMonth(row, 2026, month)), 0).ledger;
+    assert.deepEqual(app, original);
+    assert.equal(result.byMonth[`2026-${month}`].incomeTotal, app.income);
+    assert.equal(result.byMonth[`2026-${month}`].expenseTotal, app.expense);
+  });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { getMonthElapsedRatio } from '../src/budget.js';
+import { formatPeriodRange, getYearMonthSpan, isCalendarPeriod, parseStoredPeriod } from '../src/period.js';
+import {
+  DEFAULT_PERIOD_SETTING,
+  PERIOD_CUSTOM,
+  PERIOD_START_DAY,
+  getPeriodOfDate,
+  getPeriodRange,
+  getScheduledInstallmentTotal,
+  isTargetRow
+} from '../src/rules.js';
+import { isSameMonth, summarizeMonth } from '../src/summary.js';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+const fixtureRows = JSON.parse(readText('./fixtures/ledger-rows.json'));
+const HEADER = ['日付', '内容', '金額（円）', '大項目', '中項目', '区分', '計算対象', 'メモ'];
+
+const payday = { type: PERIOD_START_DAY, startDay: 25, ranges: [] };
+
+test('a fixed start day labels each period by the month it starts in', () => {
+  assert.deepEqual(getPeriodRange(2026, 1, payday), { start: '2026-01-25', end: '2026-02-24', days: 31 });
+  assert.deepEqual(getPeriodRange(2025, 12, payday), { start: '2025-12-25', end: '2026-01-24', days: 31 });
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 0, 10), payday), { year: 2025, month: 12 });
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 0, 25), payday), { year: 2026, month: 1 });
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 0, 10), DEFAULT_PERIOD_SETTING), { year: 2026, month: 1 });
+  assert.equal(formatPeriodRange(2026, 1, payday), '1/25〜2/24');
+  assert.equal(isCalendarPeriod(payday), false);
+  assert.equal(isCalendarPeriod({ ...payday, startDay: 1 }), true);
+  // 開始日は 1〜28 日に丸める
+  assert.equal(getPeriodRange(2026, 2, { ...payday, startDay: 31 }).start, '2026-02-28');
+});
+
+test('custom ranges override one month and the neighbouring months adjust to them', () => {
+  const period = {
+    type: PERIOD_CUSTOM,
+    startDay: 25,
+    ranges: [{ month: '2026-04', start: '2026-04-24', end: '2026-05-26' }]
+  };
+  assert.equal(getPeriodRange(2026, 3, period).end, '2026-04-23');
+  assert.equal(getPeriodRange(2026, 4, period).days, 33);
+  assert.equal(getPeriodRange(2026, 5, period).start, '2026-05-27');
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 3, 24), period), { year: 2026, month: 4 });
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 4, 26), period), { year: 2026, month: 4 });
+  assert.deepEqual(getPeriodOfDate(new Date(2026, 4, 27), period), { year: 2026, month: 5 });
+});
+
+test('installments are deducted in the period that contains the debit day', () => {
+  const plans = [
+    { name: 'A', amount: 1000, firstDebit: '2026-02', lastDebit: '2026-04', debitDay: 27 },
+    { name: 'B', amount: 500, firstDebit: '', lastDebit: '2026-02', debitDay: 10 }
+  ];
+  // 1月（1/25〜2/24）は 1/27 と 2/10 の引落を含む
+  assert.equal(getScheduledInstallmentTotal(2026, 1, plans, payday), 500);
+  assert.equal(getScheduledInstallmentTotal(2026, 2, plans, payday), 1000);
+  assert.equal(getScheduledInstallmentTotal(2026, 4, plans, payday), 1000);
+  assert.equal(getScheduledInstallmentTotal(2026, 5, plans, payday), 0);
+});
+
+test('month progress follows the period', () => {
+  assert.equal(getMonthElapsedRatio(2026, 1, new Date(2026, 0, 24), payday), 0);
+  assert.equal(getMonthElapsedRatio(2026, 1, new Date(2026, 1, 24), payday), 1);
+  assert.equal(getMonthElapsedRatio(2026, 1, new Date(2026, 0, 25), payday), 1 / 31);
+});
+
+test('collectRows (GAS) and summarizeMonth (app) bucket rows by the same period', () => {
+  const context = vm.createContext({});
+  vm.runInContext(
+    ['../Parsing.gs', '../Rules.gs', '../RuleEngine.gs', '../GAS_LivingExpense.gs'].map((path) => readText(path)).join('\n'),
+    context
+  );
+  const sheet = {
+    getName: () => '2026_CSV',
+    getDataRange: () => ({ getValues: () => [HEADER, ...fixtureRows.map((row) => HEADER.map((key) => row[key]))] })
+  };
+  const { byMonth } = vm.runInContext('collectRows', context)([sheet], payday);
+
+  assert.deepEqual(Object.keys(byMonth).sort(), ['2025-12', '2026-1']);
+  [
+    [2025, 12],
+    [2026, 1]
+  ].forEach(([year, month]) => {
+    const app = summarizeMonth(
+      fixtureRows.filter((row) => isTargetRow(row) && isSameMonth(row, year, month, payday)),
+      0
+    );
+    const summary = byMonth[`${year}-${month}`];
+    assert.deepEqual(
+      { income: summary.incomeTotal, expense: summary.expenseTotal, salary: summary.salaryTotal },
+      { income: app.ledger.income, expense: app.ledger.expense, salary: app.salary }
+    );
+  });
+});
+
+test('stored period settings fall back to calendar months', () => {
+  assert.deepEqual(parseStoredPeriod(JSON.stringify(payday)), payday);
+  assert.equal(parseStoredPeriod('{"type":"weekly"}'), DEFAULT_PERIOD_SETTING);
+  assert.equal(parseStoredPeriod('not json'), DEFAULT_PERIOD_SETTING);
+});
+
+test('the month span of a year covers every period of that year', () => {
+  assert.deepEqual(getYearMonthSpan(2025, 2026, DEFAULT_PERIOD_SETTING), { from: '2025-01', to: '2026-12' });
+  assert.deepEqual(getYearMonthSpan(2026, 2026, payday), { from: '2026-01', to: '2027-01' });
+});
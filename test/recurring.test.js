@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { INTERVAL_MONTHLY, INTERVAL_YEARLY, detectRecurringCharges, getMerchantKey } from '../src/recurring.js';
+
+const row = (date, content, amount, category = '通信費', subcategory = '') => ({
+  日付: date,
+  内容: content,
+  '金額（円）': amount,
+  大項目: category,
+  中項目: subcategory,
+  区分: '支出',
+  計算対象: '1',
+  メモ: ''
+});
+
+const rows = [
+  // キーワードに頼らずに見つける（ジムは健康・医療、クラウドは教養・教育）
+  row('2026-01-05', 'ＦＩＴジム 1月分', -7700, '健康・医療', 'フィットネス'),
+  row('2026-02-05', 'FITジム 2月分', -7700, '健康・医療', 'フィットネス'),
+  row('2026-03-06', 'FITジム 3月分', -7700, '健康・医療', 'フィットネス'),
+  row('2026-01-20', 'Cloud Storage', -250, '教養・教育'),
+  row('2026-02-20', 'Cloud Storage', -250, '教養・教育'),
+  row('2026-03-20', 'Cloud Storage', -400, '教養・教育'),
+  row('2025-03-12', 'ドメイン更新', -1500),
+  // 先月解約したサービス（3月は請求なし）
+  row('2026-01-15', 'Video Pass', -990),
+  row('2026-02-15', 'Video Pass', -990),
+  // 今月から2回目の請求
+  row('2026-02-14', 'Music', -1080),
+  row('2026-03-14', 'Music', -1080),
+  // 月に何度も行く店は定期的な支出ではない
+  ...['2026-01-03', '2026-01-17', '2026-02-03', '2026-02-17', '2026-03-03'].map((date) =>
+    row(date, 'スーパー', -4000, '食費', '食料品')
+  )
+];
+
+const find = (result, name) => result.items.find((item) => item.name === name);
+
+test('merchant key ignores width, case, spaces and billing months', () => {
+  assert.equal(getMerchantKey('ＦＩＴジム 1月分'), getMerchantKey('FITジム 2026/02'));
+  assert.equal(getMerchantKey('Cloud  Storage'), 'cloudstorage');
+});
+
+test('detects monthly charges across categories with the next expected date', () => {
+  const result = detectRecurringCharges(rows, { year: 2026, month: 3, today: new Date(2026, 2, 31) });
+  const gym = find(result, 'FITジム 3月分');
+  assert.equal(gym.interval, INTERVAL_MONTHLY);
+  assert.equal(gym.count, 3);
+  assert.equal(gym.nextDate, '2026-04-06');
+  assert.equal(gym.chargedThisMonth, true);
+  assert.equal(find(result, 'スーパー'), undefined);
+});
+
+test('flags price increases, charges detected this month and missed charges', () => {
+  const result = detectRecurringCharges(rows, { year: 2026, month: 3, today: new Date(2026, 2, 31) });
+  const cloud = find(result, 'Cloud Storage');
+  assert.equal(cloud.isPriceIncrease, true);
+  assert.equal(cloud.previousAmount, 250);
+  assert.equal(find(result, 'Music').isDetectedThisMonth, true);
+  assert.equal(find(result, 'FITジム 3月分').isDetectedThisMonth, false);
+  const video = find(result, 'Video Pass');
+  assert.equal(video.isMissed, true);
+  assert.equal(video.nextDate, '2026-03-15');
+  assert.equal(result.total, 7700 + 400 + 1080);
+});
+
+test('yearly plans are detected and stopped subscriptions drop off', () => {
+  const yearly = [...rows, row('2026-03-10', 'ドメイン更新', -1500)];
+  const result = detectRecurringCharges(yearly, { year: 2026, month: 4, today: new Date(2026, 3, 30) });
+  const domain = find(result, 'ドメイン更新');
+  assert.equal(domain.interval, INTERVAL_YEARLY);
+  assert.equal(domain.nextDate, '2027-03-10');
+  // 2か月以上請求のない月額サービスは解約済みとして出さない
+  assert.equal(find(result, 'Video Pass'), undefined);
+  assert.equal(result.monthlyTotal, 7700 + 400 + 1080 + Math.round(1500 / 12));
+});
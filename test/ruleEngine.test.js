@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  ACTION_EXCLUDE,
+  ACTION_SET_CATEGORY,
+  ACTION_SET_TYPE,
+  ACTION_TAG,
+  MATCH_INCLUDES,
+  MATCH_REGEX,
+  TAGS_FIELD,
+  applyRules,
+  getConditionError
+} from '../src/ruleEngine.js';
+
+const rows = [
+  { 日付: '2026-01-05', 内容: 'NETFLIX.COM', 大項目: '通信費', 中項目: '', 区分: '支出', 計算対象: '1', メモ: '' },
+  { 日付: '2026-01-06', 内容: 'エニタイムフィットネス', 大項目: '未分類', 中項目: '', 区分: '支出', 計算対象: '1', メモ: '' },
+  { 日付: '2026-01-07', 内容: 'スーパー', 大項目: '食費', 中項目: '食料品', 区分: '支出', 計算対象: '1', メモ: '立替' }
+];
+
+const rule = (id, conditions, actions, enabled = true) => ({ id, name: id, enabled, conditions, actions });
+
+test('rules apply in order and later rules see earlier changes', () => {
+  const rules = [
+    rule('gym', [{ field: '内容', operator: MATCH_REGEX, value: 'フィットネス|ジム' }], [
+      { type: ACTION_SET_CATEGORY, value: '健康・医療' }
+    ]),
+    rule('health-tag', [{ field: '大項目', operator: MATCH_INCLUDES, value: '健康' }], [
+      { type: ACTION_TAG, value: 'ジム' }
+    ])
+  ];
+  const { rows: result, changesByRule } = applyRules(rows, rules);
+
+  assert.equal(result[1]['大項目'], '健康・医療');
+  assert.deepEqual(result[1][TAGS_FIELD], ['ジム']);
+  assert.equal(changesByRule.gym.length, 1);
+  assert.deepEqual(changesByRule['health-tag'][0].changes, [{ field: 'タグ', from: '', to: 'ジム' }]);
+  assert.equal(rows[1]['大項目'], '未分類');
+});
+
+test('substring match is case-insensitive and all conditions must match', () => {
+  const rules = [
+    rule(
+      'netflix',
+      [
+        { field: '内容', operator: MATCH_INCLUDES, value: 'netflix' },
+        { field: '大項目', operator: MATCH_INCLUDES, value: '通信費' }
+      ],
+      [{ type: ACTION_EXCLUDE, value: '' }]
+    ),
+    rule('memo', [{ field: 'メモ', operator: MATCH_INCLUDES, value: '立替' }], [{ type: ACTION_SET_TYPE, value: '調整' }], false)
+  ];
+  const { rows: result, changesByRule } = applyRules(rows, rules);
+
+  assert.equal(result[0]['計算対象'], '0');
+  assert.equal(result[2]['区分'], '支出');
+  assert.deepEqual(changesByRule.memo, []);
+});
+
+test('invalid regular expressions never match and are reported', () => {
+  const condition = { field: '内容', operator: MATCH_REGEX, value: '(' };
+  assert.equal(getConditionError(condition), '正規表現が不正です');
+  const { changesByRule } = applyRules(rows, [rule('broken', [condition], [{ type: ACTION_EXCLUDE, value: '' }])]);
+  assert.deepEqual(changesByRule.broken, []);
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_INSTALLMENT_PLANS, DEFAULT_PERIOD_SETTING } from '../src/rules.js';
+import {
+  MONTHLY_INSTALLMENT,
+  MONTHLY_PARTNER_ADVANCE,
+  SETTINGS_BACKUP_STORAGE_KEY,
+  SETTINGS_STORAGE_KEY,
+  SETTINGS_VERSION,
+  buildSettingsFile,
+  clearSettingsBackup,
+  getMonthlyInput,
+  getSetting,
+  listSettingOverrides,
+  parseSettingsFile,
+  readSettings,
+  readSettingsBackup,
+  resetSettingOverride,
+  setMonthlyInput,
+  writeSettings
+} from '../src/settings.js';
+
+// localStorage と同じ形のメモリ上のストレージ
+const createStorage = (entries = {}) => {
+  const map = new Map(Object.entries(entries));
+  return {
+    get length() {
+      return map.size;
+    },
+    key: (index) => Array.from(map.keys())[index] ?? null,
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    keys: () => Array.from(map.keys())
+  };
+};
+
+const legacyEntries = {
+  gas_url: 'https://script.google.com/macros/s/xxx/exec',
+  dashboard_view: 'annual',
+  categorization_rules: JSON.stringify([{ id: 'rule-1', conditions: [], actions: [] }]),
+  accounting_period: JSON.stringify({ type: 'startDay', startDay: 25, ranges: [] }),
+  'installment_adjust_2026-1': '12000',
+  'installment_adjust_2026-2': '',
+  'partner_advance_2026-1': '5000',
+  csv_import_rows: '[]'
+};
+
+test('migrates the individual localStorage keys into one versioned document', () => {
+  const storage = createStorage(legacyEntries);
+  const { settings, migrated } = readSettings(storage);
+
+  assert.equal(migrated, true);
+  assert.equal(settings.version, SETTINGS_VERSION);
+  assert.equal(settings.gasUrl, legacyEntries.gas_url);
+  assert.equal(settings.view, 'annual');
+  assert.equal(settings.rules.length, 1);
+  assert.deepEqual(settings.period, { type: 'startDay', startDay: 25, ranges: [] });
+  assert.deepEqual(settings.monthlyInputs, { '2026-1': { installmentAdjust: '12000', partnerAdvance: '5000' } });
+  assert.equal(getMonthlyInput(settings, 2026, 1, MONTHLY_PARTNER_ADVANCE), '5000');
+
+  // 移行後は個別のキーを消し、設定以外のデータ（CSVの明細など）は残す
+  writeSettings(storage, settings);
+  assert.deepEqual(storage.keys().sort(), ['csv_import_rows', SETTINGS_STORAGE_KEY]);
+  assert.deepEqual(readSettings(storage), { settings, migrated: false });
+});
+
+test('falls back to defaults for settings that were never stored', () => {
+  const { settings, migrated } = readSettings(createStorage());
+  assert.equal(migrated, false);
+  assert.deepEqual(settings, { version: SETTINGS_VERSION });
+  assert.deepEqual(getSetting(settings, 'period'), DEFAULT_PERIOD_SETTING);
+  assert.deepEqual(getSetting(settings, 'budgets'), []);
+  assert.equal(getSetting(settings, 'gasUrl'), '');
+  // 分割払いの計画は編集するまで初期値の計画を使い、すべて消したら空のまま
+  assert.deepEqual(
+    getSetting(settings, 'installmentPlans').map(({ id, ...plan }) => plan),
+    DEFAULT_INSTALLMENT_PLANS
+  );
+  assert.deepEqual(getSetting({ ...settings, installmentPlans: [] }, 'installmentPlans'), []);
+  assert.deepEqual(listSettingOverrides(settings), []);
+});
+
+test('backs up a corrupt settings document instead of silently using defaults', () => {
+  const raw = '{"version":1,"gasUrl":"https://script.google.com/macros/s/xxx/exec",';
+  const storage = createStorage({ [SETTINGS_STORAGE_KEY]: raw });
+  const { settings, migrated, error } = readSettings(storage);
+
+  assert.deepEqual(settings, { version: SETTINGS_VERSION });
+  assert.equal(migrated, false);
+  assert.match(error, /設定のJSONを読み込めませんでした/);
+  assert.equal(storage.getItem(SETTINGS_BACKUP_STORAGE_KEY), raw);
+  // 既定値で保存し直しても、退避した内容と理由は残る
+  writeSettings(storage, settings);
+  assert.deepEqual(readSettingsBackup(storage), { raw, error });
+
+  clearSettingsBackup(storage);
+  assert.equal(readSettingsBackup(storage), null);
+  assert.match(readSettings(createStorage({ [SETTINGS_STORAGE_KEY]: '[1]' })).error, /形式が正しくありません/);
+  assert.equal(readSettings(createStorage()).error, undefined);
+});
+
+test('lists every stored override and resets them one at a time', () => {
+  const { settings } = readSettings(createStorage(legacyEntries));
+  const overrides = listSettingOverrides(settings);
+  assert.deepEqual(
+    overrides.map((item) => item.id),
+    [
+      'gasUrl',
+      'view',
+      'rules',
+      'period',
+      'monthly:2026-1:installmentAdjust',
+      'monthly:2026-1:partnerAdvance'
+    ]
+  );
+  assert.equal(overrides.find((item) => item.id === 'rules').value, '1 件');
+
+  const withoutInstallment = resetSettingOverride(settings, 'monthly:2026-1:installmentAdjust');
+  assert.equal(getMonthlyInput(withoutInstallment, 2026, 1, MONTHLY_INSTALLMENT), '');
+  assert.equal(getMonthlyInput(withoutInstallment, 2026, 1, MONTHLY_PARTNER_ADVANCE), '5000');
+
+  const withoutPeriod = resetSettingOverride(settings, 'period');
+  assert.equal('period' in withoutPeriod, false);
+  assert.deepEqual(getSetting(withoutPeriod, 'period'), DEFAULT_PERIOD_SETTING);
+
+  // 消した月も Overview_Config へ同期できるよう、更新日時だけ残す
+  const cleared = setMonthlyInput(withoutInstallment, 2026, 1, MONTHLY_PARTNER_ADVANCE, '', '2026-03-01T00:00:00.000Z');
+  assert.deepEqual(cleared.monthlyInputs, { '2026-1': { updatedAt: '2026-03-01T00:00:00.000Z' } });
+  assert.deepEqual(
+    listSettingOverrides(cleared).map((item) => item.id),
+    ['gasUrl', 'view', 'rules', 'period']
+  );
+});
+
+test('round-trips settings through the JSON file and rejects other files', () => {
+  const { settings } = readSettings(createStorage(legacyEntries));
+  const file = buildSettingsFile(settings, new Date('2026-03-01T00:00:00Z'));
+  assert.deepEqual(parseSettingsFile(file), settings);
+
+  assert.throws(() => parseSettingsFile('{'), /JSONとして読み込めません/);
+  assert.throws(() => parseSettingsFile('[]'), /設定ファイルではありません/);
+  const newer = JSON.parse(file);
+  newer.settings.version = SETTINGS_VERSION + 1;
+  assert.throws(() => parseSettingsFile(JSON.stringify(newer)), /新しいバージョン/);
+});
+
+test('leaves the GAS access token out of the exported file and keeps the current one on import', () => {
+  const { settings } = readSettings(createStorage(legacyEntries));
+  const withToken = { ...settings, gasToken: 'secret-passphrase' };
+  const file = buildSettingsFile(withToken, new Date('2026-03-01T00:00:00Z'));
+  assert.equal(file.includes('secret-passphrase'), false);
+  assert.equal('gasToken' in JSON.parse(file).settings, false);
+
+  assert.deepEqual(parseSettingsFile(file), settings);
+  assert.equal(parseSettingsFile(file, { gasToken: 'current-passphrase' }).gasToken, 'current-passphrase');
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { MATCH_INCLUDES, TAGS_FIELD } from '../src/ruleEngine.js';
+import { summarizeMonth } from '../src/summary.js';
+import {
+  AI_TRACKER_ID,
+  ANY_FIELD,
+  BUILT_IN_TRACKERS,
+  createTracker,
+  matchesTracker,
+  parseStoredTrackers
+} from '../src/trackers.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+const january = fixtureRows.filter((row) => row['日付'].startsWith('2026-01'));
+
+const [aiTracker] = BUILT_IN_TRACKERS;
+
+test('built-in AI tracker matches hints in any field and the AI tag', () => {
+  assert.equal(matchesTracker({ 内容: 'OPENAI *CHATGPT SUBSCR' }, '支出', aiTracker), true);
+  assert.equal(matchesTracker({ 内容: 'Amazon', メモ: 'claude 年額' }, '支出', aiTracker), true);
+  assert.equal(matchesTracker({ 内容: '書店', [TAGS_FIELD]: ['AI'] }, '支出', aiTracker), true);
+  // 支出以外は集計しない
+  assert.equal(matchesTracker({ 内容: 'ChatGPT 返金' }, '収入', aiTracker), false);
+});
+
+test('stored trackers keep the built-in tracker even when it was not saved', () => {
+  const custom = { ...createTracker(), name: 'コーヒー' };
+  const trackers = parseStoredTrackers(JSON.stringify([custom]));
+  assert.deepEqual(
+    trackers.map((tracker) => tracker.id),
+    [AI_TRACKER_ID, custom.id]
+  );
+  const disabled = parseStoredTrackers(JSON.stringify([{ ...aiTracker, enabled: false }]));
+  assert.equal(disabled.length, 1);
+  assert.equal(disabled[0].enabled, false);
+  assert.equal(parseStoredTrackers('not json').length, BUILT_IN_TRACKERS.length);
+});
+
+test('summarizeMonth reports every enabled tracker with its details', () => {
+  const leisure = {
+    ...createTracker(),
+    name: '娯楽',
+    conditions: [
+      { field: '中項目', operator: MATCH_INCLUDES, value: '映画' },
+      { field: ANY_FIELD, operator: MATCH_INCLUDES, value: '書籍' }
+    ]
+  };
+  const disabled = {
+    ...createTracker(),
+    enabled: false,
+    conditions: [{ field: ANY_FIELD, operator: MATCH_INCLUDES, value: 'スーパー' }]
+  };
+  const summary = summarizeMonth(january, 0, 0, [aiTracker, leisure, disabled]);
+
+  assert.deepEqual(
+    summary.trackers.map(({ name, total, details }) => ({ name, total, count: details.length })),
+    [
+      { name: 'AI', total: 3000, count: 1 },
+      { name: '娯楽', total: 3600 + 1980, count: 2 }
+    ]
+  );
+  // 計算対象外の行は集計しない
+  const excluded = { ...createTracker(), conditions: [{ field: '内容', operator: MATCH_INCLUDES, value: 'ATM' }] };
+  assert.equal(summarizeMonth(january, 0, 0, [excluded]).trackers[0].total, 0);
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import {
+  SORT_ASC,
+  TARGET_EXCLUDED,
+  TARGET_ONLY,
+  createTransactionFilters,
+  filterTransactions,
+  getVisibleRange,
+  sortTransactions,
+  summarizeTransactions,
+  toTransactions
+} from '../src/transactions.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+const transactions = toTransactions(fixtureRows);
+
+const filter = (patch) => filterTransactions(transactions, { ...createTransactionFilters(), ...patch });
+
+test('full-text search matches every term in 内容 or メモ, ignoring width and case', () => {
+  assert.deepEqual(
+    filter({ query: 'ｃｈａｔｇｐｔ' }).map((item) => item.content),
+    ['ChatGPT Plus']
+  );
+  assert.deepEqual(
+    filter({ query: '振込 1月分' }).map((item) => item.content),
+    ['振込 ユキエ']
+  );
+});
+
+test('filters by type, category, amount range, date range and 計算対象', () => {
+  assert.equal(filter({ type: '収入' }).length, 4);
+  assert.deepEqual(
+    filter({ category: '趣味・娯楽' }).map((item) => item.content),
+    ['映画', '書籍']
+  );
+  assert.deepEqual(
+    filter({ minAmount: '9000', maxAmount: '20000' }).map((item) => item.amountAbs),
+    [20000, 15000, 9800]
+  );
+  assert.equal(filter({ from: '2026-02-01', to: '2026-02-15' }).length, 3);
+  assert.deepEqual(
+    filter({ target: TARGET_EXCLUDED }).map((item) => item.content),
+    ['ATM引出']
+  );
+  assert.equal(filter({ target: TARGET_ONLY }).length, fixtureRows.length - 1);
+});
+
+test('sorting keeps a running total in display order', () => {
+  const sorted = sortTransactions(filter({ category: '食費' }), { key: 'amount', direction: SORT_ASC });
+  assert.deepEqual(
+    sorted.map(({ signedAmount, runningTotal }) => ({ signedAmount, runningTotal })),
+    [
+      { signedAmount: -8420, runningTotal: -8420 },
+      { signedAmount: -6400, runningTotal: -14820 }
+    ]
+  );
+  const byDate = sortTransactions(transactions);
+  assert.equal(byDate[0].date, '2026-02-20');
+  assert.equal(byDate[byDate.length - 1].runningTotal, summarizeTransactions(transactions).net);
+});
+
+test('visible range covers the viewport plus overscan', () => {
+  assert.deepEqual(getVisibleRange({ scrollTop: 0, viewportHeight: 560, rowHeight: 56, count: 5000 }), {
+    start: 0,
+    end: 18
+  });
+  assert.deepEqual(getVisibleRange({ scrollTop: 5600, viewportHeight: 560, rowHeight: 56, count: 105 }), {
+    start: 92,
+    end: 105
+  });
+});
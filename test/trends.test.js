@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { OTHER_CATEGORY, TREND_CATEGORY_LIMIT, buildYearlyTrends, getCagr } from '../src/trends.js';
+
+const fixtureRows = JSON.parse(readFileSync(new URL('./fixtures/ledger-rows.json', import.meta.url), 'utf8'));
+
+// 2025年は1月分だけの明細を持つ（支出 12,000 / 収入 300,000）
+const previousYear = [
+  { 日付: '2025-01-25', 内容: '給与', '金額（円）': 300000, 大項目: '収入', 中項目: '給与', 区分: '収入', 計算対象: 1 },
+  { 日付: '2025-01-10', 内容: 'スーパー', '金額（円）': -12000, 大項目: '食費', 中項目: '食料品', 区分: '支出', 計算対象: 1 }
+];
+
+test('yearly trends only count months that have rows, including the installment deduction', () => {
+  const { items } = buildYearlyTrends([...fixtureRows, ...previousYear], [2026, 2025], {
+    getInstallmentDeduction: () => 1000
+  });
+  assert.deepEqual(
+    items.map(({ year, months, income, installmentDeduction }) => ({ year, months, income, installmentDeduction })),
+    [
+      { year: 2025, months: 1, income: 300000, installmentDeduction: 1000 },
+      { year: 2026, months: 2, income: 770000, installmentDeduction: 2000 }
+    ]
+  );
+  const [first] = items;
+  assert.equal(first.net, 300000 - 12000 - 1000);
+  assert.equal(first.savingsRate, first.net / 300000);
+  assert.equal(first.fixedCostRatio, 0);
+  assert.deepEqual(first.categoryShare, { 食費: 1 });
+});
+
+test('category shares add up to 100% and small categories are grouped', () => {
+  // フィクスチャの7つの大項目はそのまま並び、8つ目が加わると小さいものから「その他」にまとめる
+  assert.equal(buildYearlyTrends(fixtureRows, [2026]).categories.length, 7);
+  const extra = { ...previousYear[1], 日付: '2026-02-03', 大項目: '医療', '金額（円）': -100 };
+  const { items, categories } = buildYearlyTrends([...fixtureRows, extra], [2026]);
+  assert.equal(categories.length, TREND_CATEGORY_LIMIT + 1);
+  assert.equal(categories[categories.length - 1], OTHER_CATEGORY);
+  assert.equal(categories.includes('医療'), false);
+  const total = Object.values(items[0].categoryShare).reduce((sum, share) => sum + share, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test('CAGR compares monthly averages between the first and last year', () => {
+  assert.equal(getCagr(100, 121, 2).toFixed(4), '0.1000');
+  assert.equal(getCagr(0, 121, 2), null);
+  assert.equal(getCagr(100, 121, 0), null);
+
+  const { cagr } = buildYearlyTrends([...fixtureRows, ...previousYear], [2025, 2026], {
+    getInstallmentDeduction: () => 0
+  });
+  // 2026年は2か月分なので、月平均の支出で比べる
+  const { items } = buildYearlyTrends(fixtureRows, [2026], { getInstallmentDeduction: () => 0 });
+  assert.equal(cagr.expense, items[0].expense / 2 / 12000 - 1);
+  assert.equal(buildYearlyTrends(fixtureRows, [2026]).cagr.income, null);
+});
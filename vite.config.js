@@ -1,7 +1,25 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createMockBalances, createMockLedger } from './dev/mockLedger.js';
+import { MOCK_BALANCES_PATH, MOCK_LEDGER_PATH } from './src/dataSources.js';
+
+// `npm run dev` のときだけ、架空の明細と口座残高を返すモックAPIを提供する
+const mockLedgerServer = () => ({
+  name: 'mock-ledger-server',
+  apply: 'serve',
+  configureServer(server) {
+    server.middlewares.use(`${server.config.base}${MOCK_LEDGER_PATH}`, (req, res) => {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(createMockLedger()));
+    });
+    server.middlewares.use(`${server.config.base}${MOCK_BALANCES_PATH}`, (req, res) => {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(createMockBalances()));
+    });
+  }
+});
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mockLedgerServer()],
   base: '/personal-cashflow-dashboard/'
 });